@@ -0,0 +1,14 @@
+const Stripe = require('stripe');
+
+// Stripe client shared by payment controllers.
+// Set STRIPE_API_HOST (and optionally STRIPE_API_PORT / STRIPE_API_PROTOCOL)
+// to point the SDK at a local stub such as stripe-mock during development.
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY || 'sk_test_demo_key', {
+  ...(process.env.STRIPE_API_HOST && {
+    host: process.env.STRIPE_API_HOST,
+    port: process.env.STRIPE_API_PORT || 12111,
+    protocol: process.env.STRIPE_API_PROTOCOL || 'http',
+  }),
+});
+
+module.exports = stripe;
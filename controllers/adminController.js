@@ -1,10 +1,40 @@
 const User = require('../models/User');
 const MenuItem = require('../models/MenuItem');
 const asyncHandler = require('../utils/asyncHandler');
-const { validateLogin, validateMenuItem } = require('../utils/validation');
+const { validateLogin, validateMfaLogin, validateMenuItem } = require('../utils/validation');
+const { createSession } = require('../utils/sessions');
+const { checkLogin, recordLoginFailure, recordLoginSuccess, sendLoginLocked } = require('../utils/loginThrottle');
+const { completeMfaLogin, sendMfaChallenge, sendMfaError } = require('../utils/mfa');
 const { getTempUsers } = require('./authController');
 const { getTempMenuItems } = require('./menuController');
 
+// Open an admin session and answer with its tokens in the body
+const sendAdminSession = async (user, req, res, { mfaVerified }) => {
+  await user.updateLastLogin();
+
+  // The access token is short-lived, the refresh token renews it
+  const { session, accessToken, refreshToken } = await createSession(user, req, { mfaVerified });
+
+  res.status(200).json({
+    success: true,
+    message: mfaVerified
+      ? 'Admin login successful'
+      : 'Admin login successful. Set up two-factor authentication to use the admin routes',
+    token: accessToken,
+    refreshToken,
+    sessionId: session._id,
+    ...(!mfaVerified && { mfaSetupRequired: true }),
+    user: {
+      id: user._id,
+      name: user.name,
+      email: user.email,
+      role: user.role,
+      mfaEnabled: user.mfaEnabled,
+      lastLogin: user.lastLogin,
+    },
+  });
+};
+
 // @desc    Admin login
 // @route   POST /api/admin/login
 // @access  Public
@@ -20,45 +50,44 @@ const adminLogin = asyncHandler(async (req, res) => {
 
   const { email, password } = req.body;
 
+  // Locked after repeated failures: refused without checking the password
+  const throttle = await checkLogin(email, req.ip);
+  if (throttle.locked) {
+    return sendLoginLocked(res, throttle.retryAfter);
+  }
+
   try {
     // Try to use MongoDB first
     const user = await User.findOne({ email }).select('+password');
 
-    if (!user || user.role !== 'admin') {
+    // Check if password matches
+    const isMatch = Boolean(user) && user.role === 'admin' && await user.matchPassword(password);
+
+    if (!isMatch) {
+      await recordLoginFailure(email, req.ip);
       return res.status(401).json({
         success: false,
         message: 'Invalid admin credentials',
       });
     }
 
-    // Check if password matches
-    const isMatch = await user.matchPassword(password);
-
-    if (!isMatch) {
-      return res.status(401).json({
+    if (!user.isActive) {
+      return res.status(403).json({
         success: false,
-        message: 'Invalid admin credentials',
+        code: 'ACCOUNT_DEACTIVATED',
+        message: 'This account has been deactivated',
       });
     }
 
-    // Update last login
-    await user.updateLastLogin();
+    // Enrolled admins finish with POST /api/admin/login/mfa (which clears the failures)
+    if (user.mfaEnabled) {
+      return sendMfaChallenge(res, user);
+    }
 
-    // Generate token
-    const token = user.getSignedJwtToken();
+    await recordLoginSuccess(email);
 
-    res.status(200).json({
-      success: true,
-      message: 'Admin login successful',
-      token,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role,
-        lastLogin: user.lastLogin,
-      },
-    });
+    // Not enrolled yet: the session only gives access to the enrolment
+    await sendAdminSession(user, req, res, { mfaVerified: false });
   } catch (dbError) {
     // Fallback to in-memory storage for testing
     console.log('Using in-memory storage for admin login...');
@@ -108,6 +137,35 @@ const adminLogin = asyncHandler(async (req, res) => {
   }
 });
 
+// @desc    Second admin login step: exchange the mfa pending token and a code for a session
+// @route   POST /api/admin/login/mfa
+// @access  Public
+const adminVerifyMfa = asyncHandler(async (req, res) => {
+  const { error } = validateMfaLogin(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error.details[0].message,
+    });
+  }
+
+  let user;
+  try {
+    ({ user } = await completeMfaLogin(req.body.mfaToken, req.body, req));
+  } catch (mfaError) {
+    return sendMfaError(res, mfaError);
+  }
+
+  if (user.role !== 'admin') {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid admin credentials',
+    });
+  }
+
+  await sendAdminSession(user, req, res, { mfaVerified: true });
+});
+
 // @desc    Get admin dashboard stats
 // @route   GET /api/admin/stats
 // @access  Private/Admin
@@ -156,5 +214,6 @@ const getDashboardStats = asyncHandler(async (req, res) => {
 
 module.exports = {
   adminLogin,
+  adminVerifyMfa,
   getDashboardStats,
 };
\ No newline at end of file
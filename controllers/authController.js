@@ -1,7 +1,41 @@
 const User = require('../models/User');
+const Reservation = require('../models/Reservation');
+const Session = require('../models/Session');
 const asyncHandler = require('../utils/asyncHandler');
-const { validateRegister, validateLogin } = require('../utils/validation');
-const { sendTokenResponse, clearTokenCookie } = require('../utils/authCookies');
+const {
+  validateRegister,
+  validateLogin,
+  validateForgotPassword,
+  validateResetPassword,
+} = require('../utils/validation');
+const { sendTokenResponse, setAuthCookies, setAccessCookie, clearTokenCookie } = require('../utils/authCookies');
+const { rotateSession, signAccessToken, invalidateUserTokens } = require('../utils/sessions');
+const { sendVerificationEmail, sendPasswordResetEmail } = require('../utils/accountEmails');
+const { checkLogin, recordLoginFailure, recordLoginSuccess, sendLoginLocked } = require('../utils/loginThrottle');
+const { sendMfaChallenge } = require('../utils/mfa');
+
+// Send a new email verification link; the account works without it, so a failure is only logged
+const issueVerificationEmail = async (user) => {
+  try {
+    const token = user.createAccountToken('emailVerification');
+    await user.save({ validateBeforeSave: false });
+    await sendVerificationEmail(user, token);
+  } catch (error) {
+    console.error('Error sending verification email:', error);
+  }
+};
+
+// Attach the phone and walk-in reservations made with a newly verified email; a failure is only logged
+const linkGuestReservations = async (user) => {
+  try {
+    const linked = await Reservation.linkGuestReservations(user);
+    if (linked > 0) {
+      await User.findByIdAndUpdate(user._id, { $inc: { totalReservations: linked } });
+    }
+  } catch (error) {
+    console.error('Error linking guest reservations:', error);
+  }
+};
 
 // @desc    Register user
 // @route   POST /api/auth/register
@@ -35,7 +69,9 @@ const register = asyncHandler(async (req, res) => {
     phone,
   });
 
-  sendTokenResponse(user, 201, res, 'User registered successfully');
+  await issueVerificationEmail(user);
+
+  await sendTokenResponse(user, 201, req, res, 'User registered successfully');
 });
 
 // @desc    Login user
@@ -53,30 +89,46 @@ const login = asyncHandler(async (req, res) => {
 
   const { email, password } = req.body;
 
+  // Locked after repeated failures: refused without checking the password
+  const throttle = await checkLogin(email, req.ip);
+  if (throttle.locked) {
+    return sendLoginLocked(res, throttle.retryAfter);
+  }
+
   // Find user with password
   const user = await User.findOne({ email }).select('+password');
 
-  if (!user) {
+  // Check if password matches
+  const isMatch = Boolean(user) && await user.matchPassword(password);
+
+  if (!isMatch) {
+    await recordLoginFailure(email, req.ip);
     return res.status(401).json({
       success: false,
       message: 'Invalid credentials',
     });
   }
 
-  // Check if password matches
-  const isMatch = await user.matchPassword(password);
-
-  if (!isMatch) {
-    return res.status(401).json({
+  if (!user.isActive) {
+    return res.status(403).json({
       success: false,
-      message: 'Invalid credentials',
+      code: 'ACCOUNT_DEACTIVATED',
+      message: 'This account has been deactivated',
     });
   }
 
+  // With two-factor on, the password only earns a token for POST /api/auth/mfa/verify.
+  // Failures are only cleared once the code is checked too, or wrong codes could be retried forever
+  if (user.mfaEnabled) {
+    return sendMfaChallenge(res, user);
+  }
+
+  await recordLoginSuccess(email);
+
   // Update last login
   await user.updateLastLogin();
 
-  sendTokenResponse(user, 200, res, 'Login successful');
+  await sendTokenResponse(user, 200, req, res, 'Login successful');
 });
 
 // @desc    Get current logged in user
@@ -143,6 +195,14 @@ const updateProfileUser = asyncHandler(async (req, res) => {
     });
   }
 
+  // A new address has to be confirmed again
+  const emailChanged = fieldsToUpdate.email !== undefined &&
+    fieldsToUpdate.email.toLowerCase() !== req.user.email;
+  if (emailChanged) {
+    fieldsToUpdate.isEmailVerified = false;
+    fieldsToUpdate.emailVerifiedAt = null;
+  }
+
   const user = await User.findByIdAndUpdate(req.user._id, fieldsToUpdate, {
     new: true,
     runValidators: true,
@@ -155,6 +215,10 @@ const updateProfileUser = asyncHandler(async (req, res) => {
     });
   }
 
+  if (emailChanged) {
+    await issueVerificationEmail(user);
+  }
+
   console.log('User updated successfully:', user._id);
 
   res.status(200).json({
@@ -208,9 +272,245 @@ const changePassword = asyncHandler(async (req, res) => {
   user.password = newPassword;
   await user.save();
 
+  // Whoever knew the old password is logged out everywhere else; this session gets a new access token
+  await invalidateUserTokens(user, 'password-change', { except: req.authSession._id });
+  const token = signAccessToken(user, req.authSession);
+  setAccessCookie(res, token);
+
   res.status(200).json({
     success: true,
     message: 'Password changed successfully',
+    token,
+  });
+});
+
+// @desc    Email a password reset link
+// @route   POST /api/auth/forgot-password
+// @access  Public
+const forgotPassword = asyncHandler(async (req, res) => {
+  const { error } = validateForgotPassword(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error.details[0].message,
+    });
+  }
+
+  // Same answer whether or not the address has an account
+  const user = await User.findOne({ email: req.body.email.toLowerCase() });
+  if (user) {
+    const token = user.createAccountToken('passwordReset');
+    await user.save({ validateBeforeSave: false });
+
+    try {
+      await sendPasswordResetEmail(user, token);
+    } catch (error) {
+      console.error('Error sending password reset email:', error);
+      user.clearAccountToken('passwordReset');
+      await user.save({ validateBeforeSave: false });
+    }
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'If an account exists for this email, a password reset link has been sent',
+  });
+});
+
+// @desc    Choose a new password with the token of a reset link
+// @route   PUT /api/auth/reset-password/:token
+// @access  Public
+const resetPassword = asyncHandler(async (req, res) => {
+  const { error } = validateResetPassword(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error.details[0].message,
+    });
+  }
+
+  const user = await User.findByAccountToken('passwordReset', req.params.token);
+  if (!user) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid or expired password reset link',
+    });
+  }
+
+  user.password = req.body.password;
+  user.clearAccountToken('passwordReset');
+  // The link reached the inbox: the address is confirmed as well
+  const newlyVerified = !user.isEmailVerified;
+  if (newlyVerified) {
+    user.isEmailVerified = true;
+    user.emailVerifiedAt = new Date();
+    user.clearAccountToken('emailVerification');
+  }
+  await user.save();
+
+  if (newlyVerified) {
+    await linkGuestReservations(user);
+  }
+
+  // Whoever knew the old password is logged out
+  await invalidateUserTokens(user, 'password-change');
+
+  // The emailed link is not a second factor
+  if (user.mfaEnabled) {
+    return sendMfaChallenge(res, user, 'Password reset successfully, enter the code from your authenticator app');
+  }
+
+  await sendTokenResponse(user, 200, req, res, 'Password reset successfully');
+});
+
+// @desc    Confirm the email address with the token of a verification link
+// @route   POST /api/auth/verify-email/:token
+// @access  Public
+const verifyEmail = asyncHandler(async (req, res) => {
+  const user = await User.findByAccountToken('emailVerification', req.params.token);
+  if (!user) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid or expired verification link',
+    });
+  }
+
+  user.isEmailVerified = true;
+  user.emailVerifiedAt = new Date();
+  user.clearAccountToken('emailVerification');
+  await user.save({ validateBeforeSave: false });
+
+  await linkGuestReservations(user);
+
+  res.status(200).json({
+    success: true,
+    message: 'Email verified successfully',
+  });
+});
+
+// @desc    Send a new email verification link
+// @route   POST /api/auth/resend-verification
+// @access  Private
+const resendVerification = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id);
+
+  if (user.isEmailVerified) {
+    return res.status(400).json({
+      success: false,
+      message: 'Email is already verified',
+    });
+  }
+
+  const token = user.createAccountToken('emailVerification');
+  await user.save({ validateBeforeSave: false });
+
+  try {
+    await sendVerificationEmail(user, token);
+  } catch (error) {
+    console.error('Error sending verification email:', error);
+    return res.status(502).json({
+      success: false,
+      message: 'Verification email could not be sent',
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: `Verification email sent to ${user.email}`,
+  });
+});
+
+// @desc    Exchange the refresh token for new access and refresh tokens
+// @route   POST /api/auth/refresh
+// @access  Public (refresh token cookie, or refreshToken in the body)
+const refreshToken = asyncHandler(async (req, res) => {
+  const token = req.cookies.refreshToken || req.body.refreshToken;
+  if (!token || token === 'none') {
+    return res.status(401).json({
+      success: false,
+      message: 'No refresh token provided',
+    });
+  }
+
+  let rotated;
+  try {
+    rotated = await rotateSession(token, req);
+  } catch (error) {
+    if (error.statusCode !== 401 && error.statusCode !== 403) throw error;
+
+    clearTokenCookie(res);
+    return res.status(error.statusCode).json({
+      success: false,
+      ...(error.code && { code: error.code }),
+      message: error.message,
+    });
+  }
+
+  setAuthCookies(res, rotated.accessToken, rotated.refreshToken);
+
+  res.status(200).json({
+    success: true,
+    message: 'Session refreshed',
+    token: rotated.accessToken,
+    refreshToken: rotated.refreshToken,
+    sessionId: rotated.session._id,
+  });
+});
+
+// @desc    List the open sessions of the current user
+// @route   GET /api/auth/sessions
+// @access  Private
+const getSessions = asyncHandler(async (req, res) => {
+  const sessions = await Session.find({ userId: req.user._id, ...Session.activeFilter() })
+    .sort({ lastUsedAt: -1 })
+    .lean();
+
+  res.status(200).json({
+    success: true,
+    count: sessions.length,
+    data: sessions.map(session => ({
+      ...session,
+      current: session._id.toString() === req.authSession._id.toString(),
+    })),
+  });
+});
+
+// @desc    Revoke one session of the current user (log that device out)
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+const revokeSession = asyncHandler(async (req, res) => {
+  const session = await Session.findOneAndUpdate(
+    { _id: req.params.id, userId: req.user._id, ...Session.activeFilter() },
+    { revokedAt: new Date(), revokedReason: 'revoked' },
+    { new: true }
+  );
+
+  if (!session) {
+    return res.status(404).json({
+      success: false,
+      message: 'Session not found',
+    });
+  }
+
+  if (session._id.toString() === req.authSession._id.toString()) {
+    clearTokenCookie(res);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Session revoked',
+  });
+});
+
+// @desc    Revoke every session of the current user but this one
+// @route   DELETE /api/auth/sessions
+// @access  Private
+const revokeOtherSessions = asyncHandler(async (req, res) => {
+  const revoked = await Session.revokeAllForUser(req.user._id, 'revoked', { except: req.authSession._id });
+
+  res.status(200).json({
+    success: true,
+    message: `${revoked} other sessions revoked`,
   });
 });
 
@@ -218,6 +518,10 @@ const changePassword = asyncHandler(async (req, res) => {
 // @route   POST /api/auth/logout
 // @access  Private
 const logout = asyncHandler(async (req, res) => {
+  await Session.updateOne(
+    { _id: req.authSession._id, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: 'logout' }
+  );
   clearTokenCookie(res);
 
   res.status(200).json({
@@ -232,5 +536,13 @@ module.exports = {
   getMe,
   updateProfileUser,
   changePassword,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
+  refreshToken,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
   logout,
 };
\ No newline at end of file
@@ -0,0 +1,75 @@
+const DepositPolicy = require('../models/DepositPolicy');
+const asyncHandler = require('../utils/asyncHandler');
+const { validateDepositPolicy } = require('../utils/validation');
+const { getDepositRequirement, loadDepositPolicy } = require('../utils/deposits');
+
+// @desc    Get the deposit policy
+// @route   GET /api/deposits/policy
+// @access  Public
+const getDepositPolicy = asyncHandler(async (req, res) => {
+  const saved = await loadDepositPolicy();
+
+  res.status(200).json({
+    success: true,
+    data: saved || { enabled: false, currency: 'usd', rules: [], refundWindowHours: 24 },
+  });
+});
+
+// @desc    Replace the deposit policy
+// @route   PUT /api/deposits/policy
+// @access  Private/Admin
+const updateDepositPolicy = asyncHandler(async (req, res) => {
+  const { error, value } = validateDepositPolicy(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error.details[0].message,
+    });
+  }
+
+  // Existing reservations keep the deposit and refund deadline they were booked with
+  const policy = await DepositPolicy.findOneAndUpdate(
+    { key: 'default' },
+    { ...value, updatedBy: req.user._id },
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+
+  res.status(200).json({
+    success: true,
+    message: 'Deposit policy updated successfully',
+    data: policy,
+  });
+});
+
+// @desc    Get the deposit the current user would pay for a booking
+// @route   GET /api/deposits/quote?date=YYYY-MM-DD&guests=4
+// @access  Private
+const getDepositQuote = asyncHandler(async (req, res) => {
+  const { date } = req.query;
+  const guests = parseInt(req.query.guests, 10);
+
+  if (!date || Number.isNaN(new Date(date).getTime()) || !(guests >= 1)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Valid date and guests parameters are required',
+    });
+  }
+
+  const policy = await loadDepositPolicy();
+  const requirement = getDepositRequirement(policy, { guests, date, noShowCount: req.user.noShowCount });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      required: Boolean(requirement),
+      ...requirement,
+      ...(requirement && { refundWindowHours: policy.refundWindowHours }),
+    },
+  });
+});
+
+module.exports = {
+  getDepositPolicy,
+  updateDepositPolicy,
+  getDepositQuote,
+};
@@ -0,0 +1,35 @@
+const {
+  ADMIN_CHANNEL,
+  userChannel,
+  subscribe,
+} = require('../utils/eventStream');
+const { hasAdminAccess } = require('../middleware/auth');
+
+// @desc    Stream order and reservation updates (Server-Sent Events)
+// @route   GET /api/events
+// @access  Private
+const streamEvents = (req, res) => {
+  const channels = [userChannel(req.user._id)];
+  // Admins without a second-factor session only get their own events
+  if (hasAdminAccess(req)) {
+    channels.push(ADMIN_CHANNEL);
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no', // Disable proxy buffering (nginx)
+  });
+  res.flushHeaders();
+
+  // EventSource sends Last-Event-ID on reconnect; the query param covers manual resumes
+  const resumeFromId = req.headers['last-event-id'] || req.query.lastEventId;
+  const unsubscribe = subscribe(res, channels, resumeFromId);
+
+  req.on('close', unsubscribe);
+};
+
+module.exports = {
+  streamEvents,
+};
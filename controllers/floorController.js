@@ -0,0 +1,280 @@
+const mongoose = require('mongoose');
+const Reservation = require('../models/Reservation');
+const Table = require('../models/Table');
+const asyncHandler = require('../utils/asyncHandler');
+const ErrorResponse = require('../utils/errorResponse');
+const { loadSchedule } = require('../utils/timeSlots');
+const { bookTables, releaseTables, findCapacityProblem } = require('../utils/reservationHelpers');
+const { buildFloorStatus } = require('../utils/floorStatus');
+const { offerFreedSeats } = require('../utils/waitlist');
+const { runAtomically } = require('../utils/transactions');
+const { today } = require('../utils/timezone');
+const { publishReservationEvent } = require('../utils/eventStream');
+
+// Load a reservation for a floor action, or answer 404
+const findReservation = async (req, res) => {
+  const reservation = await Reservation.findById(req.params.id);
+
+  if (!reservation) {
+    res.status(404).json({
+      success: false,
+      message: 'Reservation not found',
+    });
+    return null;
+  }
+
+  return reservation;
+};
+
+// Answer 400 unless the reservation is in one of the statuses; returns false if it did
+const checkStatus = (reservation, statuses, action, res) => {
+  if (!statuses.includes(reservation.status)) {
+    res.status(400).json({
+      success: false,
+      message: `A ${reservation.status} reservation cannot be ${action}`,
+    });
+    return false;
+  }
+  return true;
+};
+
+// Offer tables freed on the floor to the waitlist; the floor change itself is already saved
+const offerFreedTables = async (date, schedule) => {
+  try {
+    await offerFreedSeats(date, { schedule });
+  } catch (error) {
+    console.error('Error offering freed tables to the waitlist:', error);
+  }
+};
+
+// @desc    Get the live floor: each table's state, party and elapsed time
+// @route   GET /api/floor?zone=<zoneId>
+// @access  Private/Admin
+const getFloorStatus = asyncHandler(async (req, res) => {
+  const { zone } = req.query;
+  if (zone && !mongoose.Types.ObjectId.isValid(zone)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid zone',
+    });
+  }
+
+  const now = new Date();
+  const day = today(now);
+  const [schedule, tables, reservations] = await Promise.all([
+    loadSchedule(),
+    Table.find({ isActive: true, ...(zone && { zone }) }).select('-tableBookings').sort({ tableNumber: 1 }),
+    // Parties seated before midnight are still at their table
+    Reservation.find({
+      $or: [
+        { date: day, status: { $in: ['pending', 'confirmed', 'seated'] } },
+        { date: { $lt: day }, status: 'seated' },
+      ],
+    }),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      at: now,
+      ...buildFloorStatus(tables, reservations, schedule, now),
+    },
+  });
+});
+
+// @desc    Seat the party of a confirmed reservation
+// @route   POST /api/floor/reservations/:id/seat
+// @access  Private/Admin
+const seatReservation = asyncHandler(async (req, res) => {
+  const reservation = await findReservation(req, res);
+  if (!reservation) return;
+  if (!checkStatus(reservation, ['confirmed'], 'seated', res)) return;
+
+  const now = new Date();
+  if (reservation.date.getTime() !== today(now).getTime()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Only reservations of today can be seated',
+    });
+  }
+
+  const seated = await Reservation.findOneAndUpdate(
+    { _id: reservation._id, status: 'confirmed' },
+    { status: 'seated', seatedAt: now },
+    { new: true }
+  );
+  if (!seated) {
+    return res.status(409).json({
+      success: false,
+      message: 'Reservation was updated meanwhile, please refresh the floor',
+    });
+  }
+
+  publishReservationEvent('reservation.updated', seated);
+
+  res.status(200).json({
+    success: true,
+    message: `Party seated at table ${seated.tableNumber.join(', ')}`,
+    data: seated,
+  });
+});
+
+// @desc    Clear the table of a seated party: the reservation is completed and its tables freed
+// @route   POST /api/floor/reservations/:id/clear
+// @access  Private/Admin
+const clearReservation = asyncHandler(async (req, res) => {
+  const reservation = await findReservation(req, res);
+  if (!reservation) return;
+  if (!checkStatus(reservation, ['seated'], 'cleared', res)) return;
+
+  const schedule = await loadSchedule();
+  const cleared = await runAtomically(async ({ session, onRollback }) => {
+    const seated = await Reservation.findOne({ _id: reservation._id, status: 'seated' }).session(session);
+    if (!seated) return null;
+
+    await seated.complete({ session });
+    onRollback(() => Reservation.updateOne({ _id: seated._id }, { status: 'seated', completedAt: null }));
+
+    if (seated.tableNumber.length > 0) {
+      await releaseTables(seated.tableNumber, seated.date, seated.slot, { session, onRollback, schedule });
+      await Table.updateMany({ tableNumber: { $in: seated.tableNumber } }, { needsCleaning: true }, { session });
+    }
+    return seated;
+  });
+
+  if (!cleared) {
+    return res.status(409).json({
+      success: false,
+      message: 'Reservation was updated meanwhile, please refresh the floor',
+    });
+  }
+
+  publishReservationEvent('reservation.updated', cleared);
+  await offerFreedTables(cleared.date, schedule);
+
+  res.status(200).json({
+    success: true,
+    message: `Table ${cleared.tableNumber.join(', ')} cleared and waiting to be cleaned`,
+    data: cleared,
+  });
+});
+
+// @desc    Move a reservation, seated or not, to other tables
+// @route   POST /api/floor/reservations/:id/transfer
+// @access  Private/Admin
+const transferReservation = asyncHandler(async (req, res) => {
+  const { tableNumber } = req.body;
+  if (!Array.isArray(tableNumber) || tableNumber.length === 0 ||
+    !tableNumber.every(number => Number.isInteger(number) && number >= 1)) {
+    return res.status(400).json({
+      success: false,
+      message: 'tableNumber must be a list of table numbers',
+    });
+  }
+
+  const reservation = await findReservation(req, res);
+  if (!reservation) return;
+  if (!checkStatus(reservation, ['pending', 'confirmed', 'seated'], 'moved', res)) return;
+
+  const targets = [...new Set(tableNumber)];
+  if (targets.length === reservation.tableNumber.length &&
+    targets.every(number => reservation.tableNumber.includes(number))) {
+    return res.status(400).json({
+      success: false,
+      message: 'The reservation is already at these tables',
+    });
+  }
+
+  const activeTables = await Table.countDocuments({ tableNumber: { $in: targets }, isActive: true });
+  if (activeTables !== targets.length) {
+    return res.status(400).json({
+      success: false,
+      message: 'Some of the selected tables do not exist or are inactive',
+    });
+  }
+  const capacityProblem = await findCapacityProblem(targets, reservation.guests);
+  if (capacityProblem) {
+    return res.status(400).json({
+      success: false,
+      message: capacityProblem,
+    });
+  }
+
+  const schedule = await loadSchedule();
+  const previousTables = reservation.tableNumber;
+  const wasSeated = reservation.status === 'seated';
+
+  let moved;
+  try {
+    moved = await runAtomically(async ({ session, onRollback }) => {
+      // Free the old tables first, so that a move to overlapping tables stays valid
+      await releaseTables(previousTables, reservation.date, reservation.slot, { session, onRollback, schedule });
+      await bookTables(targets, reservation.date, reservation.slot, { session, onRollback, schedule });
+
+      if (wasSeated) {
+        const left = previousTables.filter(number => !targets.includes(number));
+        await Table.updateMany({ tableNumber: { $in: left } }, { needsCleaning: true }, { session });
+      }
+
+      const updated = await Reservation.findOneAndUpdate(
+        { _id: reservation._id, status: reservation.status },
+        { tableNumber: targets },
+        { new: true, session }
+      );
+      if (!updated) {
+        throw new ErrorResponse('Reservation was updated meanwhile, please refresh the floor', 409);
+      }
+      return updated;
+    });
+  } catch (error) {
+    if (error.conflicts || error.statusCode === 409) {
+      return res.status(409).json({
+        success: false,
+        message: error.message,
+        ...(error.conflicts && { conflicts: error.conflicts }),
+      });
+    }
+    throw error;
+  }
+
+  publishReservationEvent('reservation.updated', moved);
+  await offerFreedTables(moved.date, schedule);
+
+  res.status(200).json({
+    success: true,
+    message: `Reservation moved to table ${targets.join(', ')}`,
+    data: moved,
+  });
+});
+
+// @desc    Mark a table cleaned and ready for the next party
+// @route   POST /api/floor/tables/:tableNumber/cleaned
+// @access  Private/Admin
+const markTableCleaned = asyncHandler(async (req, res) => {
+  const table = await Table.findOneAndUpdate(
+    { tableNumber: parseInt(req.params.tableNumber, 10) },
+    { needsCleaning: false },
+    { new: true }
+  ).select('-tableBookings');
+
+  if (!table) {
+    return res.status(404).json({
+      success: false,
+      message: 'Table not found',
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: `Table ${table.tableNumber} is ready`,
+    data: table,
+  });
+});
+
+module.exports = {
+  getFloorStatus,
+  seatReservation,
+  clearReservation,
+  transferReservation,
+  markTableCleaned,
+};
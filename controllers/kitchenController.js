@@ -0,0 +1,115 @@
+const Order = require('../models/Order');
+const asyncHandler = require('../utils/asyncHandler');
+const { transitionOrder } = require('../utils/orderStatus');
+const { scheduleOrder, aggregateByStation } = require('../utils/kitchen');
+const { publishOrderEvent } = require('../utils/eventStream');
+
+const KITCHEN_STATUSES = ['confirmed', 'preparing'];
+
+// @desc    Get the kitchen queue grouped by station
+// @route   GET /api/kitchen/queue
+// @access  Private/Admin
+const getKitchenQueue = asyncHandler(async (req, res) => {
+  const query = { status: { $in: KITCHEN_STATUSES } };
+  if (req.query.orderType) query.orderType = req.query.orderType;
+
+  const orders = await Order.find(query)
+    .populate('items.menuItem', 'name category preparationTime')
+    .sort({ createdAt: 1 });
+
+  const now = new Date();
+  const scheduledOrders = orders
+    .map(order => {
+      const schedule = scheduleOrder(order, now);
+
+      return {
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        orderType: order.orderType,
+        status: order.status,
+        notes: order.notes,
+        readyAt: schedule.readyAt,
+        items: schedule.items,
+      };
+    })
+    .sort((a, b) => a.readyAt - b.readyAt);
+
+  let stations = aggregateByStation(scheduledOrders);
+  if (req.query.station) {
+    stations = { [req.query.station]: stations[req.query.station] || [] };
+  }
+
+  res.status(200).json({
+    success: true,
+    count: scheduledOrders.length,
+    data: {
+      orders: scheduledOrders,
+      stations,
+    },
+  });
+});
+
+// @desc    Mark an order line as done; the order moves to ready when every line is done
+// @route   PATCH /api/kitchen/orders/:orderId/items/:itemId/bump
+// @access  Private/Admin
+const bumpOrderItem = asyncHandler(async (req, res) => {
+  const order = await Order.findById(req.params.orderId);
+
+  if (!order) {
+    return res.status(404).json({
+      success: false,
+      message: 'Order not found',
+    });
+  }
+
+  if (!KITCHEN_STATUSES.includes(order.status)) {
+    return res.status(409).json({
+      success: false,
+      message: `Cannot bump items of an order that is ${order.status}`,
+    });
+  }
+
+  const item = order.items.id(req.params.itemId);
+
+  if (!item) {
+    return res.status(404).json({
+      success: false,
+      message: 'Order item not found',
+    });
+  }
+
+  if (item.kitchenStatus === 'done') {
+    return res.status(409).json({
+      success: false,
+      message: `${item.name} has already been bumped`,
+    });
+  }
+
+  // The first bump means the kitchen has started on the order
+  if (order.status === 'confirmed') {
+    transitionOrder(order, 'preparing', { actor: req.user, reason: 'Kitchen started preparing' });
+  }
+
+  item.kitchenStatus = 'done';
+  item.bumpedAt = new Date();
+
+  const allDone = order.items.every(line => line.kitchenStatus === 'done');
+  if (allDone) {
+    transitionOrder(order, 'ready', { actor: req.user, reason: 'All items bumped by the kitchen' });
+  }
+
+  await order.save();
+
+  publishOrderEvent('order.updated', order);
+
+  res.status(200).json({
+    success: true,
+    message: allDone ? 'Order is ready' : 'Item bumped',
+    data: order,
+  });
+});
+
+module.exports = {
+  getKitchenQueue,
+  bumpOrderItem,
+};
@@ -0,0 +1,224 @@
+const User = require('../models/User');
+const Session = require('../models/Session');
+const asyncHandler = require('../utils/asyncHandler');
+const { validateMfaCode, validateMfaLogin, validateMfaDisable } = require('../utils/validation');
+const { sendTokenResponse } = require('../utils/authCookies');
+const { generateSecret, verifyCode } = require('../utils/totp');
+const {
+  generateRecoveryCodes,
+  getOtpauthUri,
+  verifySecondFactor,
+  completeMfaLogin,
+  sendMfaError,
+} = require('../utils/mfa');
+
+const sendValidationError = (res, error) => res.status(400).json({
+  success: false,
+  message: error.details[0].message,
+});
+
+// @desc    Two-factor authentication status of the current user
+// @route   GET /api/auth/mfa
+// @access  Private
+const getMfaStatus = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id).select('+mfaRecoveryCodes');
+
+  res.status(200).json({
+    success: true,
+    data: {
+      enabled: user.mfaEnabled,
+      enabledAt: user.mfaEnabledAt,
+      required: user.role === 'admin',
+      recoveryCodesLeft: user.mfaEnabled ? user.mfaRecoveryCodes.length : 0,
+      sessionVerified: Boolean(req.authSession && req.authSession.mfaVerified),
+    },
+  });
+});
+
+// @desc    Start enrolling an authenticator app: new secret and its otpauth URI (for a QR code)
+// @route   POST /api/auth/mfa/setup
+// @access  Private
+const setupMfa = asyncHandler(async (req, res) => {
+  if (req.user.mfaEnabled) {
+    return res.status(400).json({
+      success: false,
+      message: 'Two-factor authentication is already enabled',
+    });
+  }
+
+  // Replaces any setup left unfinished; the secret only counts once confirmed with a code
+  const secret = generateSecret();
+  await User.updateOne({ _id: req.user._id }, { mfaPendingSecret: secret });
+
+  res.status(200).json({
+    success: true,
+    message: 'Scan the QR code with your authenticator app, then confirm with a code',
+    data: {
+      secret,
+      otpauthUri: getOtpauthUri(req.user, secret),
+    },
+  });
+});
+
+// @desc    Confirm enrolment with a first code and get the recovery codes
+// @route   POST /api/auth/mfa/enable
+// @access  Private
+const enableMfa = asyncHandler(async (req, res) => {
+  const { error } = validateMfaCode(req.body);
+  if (error) return sendValidationError(res, error);
+
+  const user = await User.findById(req.user._id).select('+mfaPendingSecret');
+
+  if (user.mfaEnabled) {
+    return res.status(400).json({
+      success: false,
+      message: 'Two-factor authentication is already enabled',
+    });
+  }
+  if (!user.mfaPendingSecret) {
+    return res.status(400).json({
+      success: false,
+      message: 'Start the setup first',
+    });
+  }
+
+  const step = verifyCode(user.mfaPendingSecret, req.body.code);
+  if (step === null) {
+    return res.status(400).json({
+      success: false,
+      code: 'MFA_CODE_INVALID',
+      message: 'Invalid authentication code',
+    });
+  }
+
+  const { codes, hashes } = generateRecoveryCodes();
+  user.mfaEnabled = true;
+  user.mfaEnabledAt = new Date();
+  user.mfaSecret = user.mfaPendingSecret;
+  user.mfaPendingSecret = undefined;
+  user.mfaRecoveryCodes = hashes;
+  user.mfaLastUsedStep = step;
+  await user.save({ validateBeforeSave: false });
+
+  // This session just proved the second factor; the others were opened with the password alone
+  await Session.updateOne({ _id: req.authSession._id }, { mfaVerified: true });
+  await Session.revokeAllForUser(user._id, 'mfa-change', { except: req.authSession._id });
+
+  res.status(200).json({
+    success: true,
+    message: 'Two-factor authentication enabled. Keep the recovery codes somewhere safe: they are shown only once',
+    data: {
+      recoveryCodes: codes,
+    },
+  });
+});
+
+// @desc    Turn two-factor authentication off
+// @route   POST /api/auth/mfa/disable
+// @access  Private
+const disableMfa = asyncHandler(async (req, res) => {
+  const { error } = validateMfaDisable(req.body);
+  if (error) return sendValidationError(res, error);
+
+  if (req.user.role === 'admin') {
+    return res.status(403).json({
+      success: false,
+      message: 'Two-factor authentication is required for admin accounts',
+    });
+  }
+
+  const user = await User.findById(req.user._id).select('+password +mfaSecret');
+
+  if (!user.mfaEnabled) {
+    return res.status(400).json({
+      success: false,
+      message: 'Two-factor authentication is not enabled',
+    });
+  }
+
+  const isMatch = await user.matchPassword(req.body.password);
+  if (!isMatch || !await verifySecondFactor(user, req.body)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Password or authentication code is incorrect',
+    });
+  }
+
+  await User.updateOne(
+    { _id: user._id },
+    {
+      mfaEnabled: false,
+      mfaEnabledAt: null,
+      $unset: { mfaSecret: 1, mfaPendingSecret: 1, mfaRecoveryCodes: 1, mfaLastUsedStep: 1 },
+    }
+  );
+
+  res.status(200).json({
+    success: true,
+    message: 'Two-factor authentication disabled',
+  });
+});
+
+// @desc    Replace the recovery codes (the old ones stop working)
+// @route   POST /api/auth/mfa/recovery-codes
+// @access  Private
+const regenerateRecoveryCodes = asyncHandler(async (req, res) => {
+  const { error } = validateMfaCode(req.body);
+  if (error) return sendValidationError(res, error);
+
+  const user = await User.findById(req.user._id).select('+mfaSecret');
+
+  if (!user.mfaEnabled) {
+    return res.status(400).json({
+      success: false,
+      message: 'Two-factor authentication is not enabled',
+    });
+  }
+
+  if (!await verifySecondFactor(user, { code: req.body.code })) {
+    return res.status(400).json({
+      success: false,
+      code: 'MFA_CODE_INVALID',
+      message: 'Invalid authentication code',
+    });
+  }
+
+  const { codes, hashes } = generateRecoveryCodes();
+  await User.updateOne({ _id: user._id }, { mfaRecoveryCodes: hashes });
+
+  res.status(200).json({
+    success: true,
+    message: 'New recovery codes generated, the previous ones no longer work',
+    data: {
+      recoveryCodes: codes,
+    },
+  });
+});
+
+// @desc    Second login step: exchange the mfa pending token and a code for a session
+// @route   POST /api/auth/mfa/verify
+// @access  Public
+const verifyMfaLogin = asyncHandler(async (req, res) => {
+  const { error } = validateMfaLogin(req.body);
+  if (error) return sendValidationError(res, error);
+
+  let user;
+  try {
+    ({ user } = await completeMfaLogin(req.body.mfaToken, req.body, req));
+  } catch (mfaError) {
+    return sendMfaError(res, mfaError);
+  }
+
+  await user.updateLastLogin();
+
+  await sendTokenResponse(user, 200, req, res, 'Login successful', { mfaVerified: true });
+});
+
+module.exports = {
+  getMfaStatus,
+  setupMfa,
+  enableMfa,
+  disableMfa,
+  regenerateRecoveryCodes,
+  verifyMfaLogin,
+};
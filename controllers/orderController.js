@@ -2,6 +2,17 @@ const Order = require('../models/Order');
 const MenuItem = require('../models/MenuItem');
 const User = require('../models/User');
 const asyncHandler = require('../utils/asyncHandler');
+const { priceOrderItems } = require('../utils/orderPricing');
+const {
+  ORDER_STATUSES,
+  canTransition,
+  transitionOrder,
+  buildOrderTimeline,
+} = require('../utils/orderStatus');
+const { publishOrderEvent } = require('../utils/eventStream');
+const { hasAdminAccess } = require('../middleware/auth');
+const { loadSchedule } = require('../utils/timeSlots');
+const { findOrderingClosure, describeClosure } = require('../utils/closures');
 
 // @desc    Create new order
 // @route   POST /api/orders
@@ -17,9 +28,6 @@ const createOrder = asyncHandler(async (req, res) => {
     paymentMethod,
     phone,
     specialInstructions,
-    totalPrice,
-    paymentStatus,
-    transactionId
   } = req.body;
 
   // Basic validation
@@ -44,22 +52,25 @@ const createOrder = asyncHandler(async (req, res) => {
     });
   }
 
-  // Calculate totals from provided data or items
-  let calculatedTotal = totalPrice;
-  if (!calculatedTotal) {
-    calculatedTotal = items.reduce((total, item) => {
-      return total + (item.price * item.quantity);
-    }, 0);
+  // No pickup or delivery while the restaurant is closed
+  const closure = findOrderingClosure(new Date(), await loadSchedule());
+  if (closure) {
+    return res.status(400).json({
+      success: false,
+      message: describeClosure(closure),
+    });
   }
 
-  // Prepare order items
-  const orderItems = items.map(item => ({
-    menuItem: item.menuItem || item._id,
-    quantity: item.quantity,
-    price: item.price,
-    name: item.name,
-    image: item.image
-  }));
+  // Resolve items against the menu and compute the total server-side
+  const { orderItems, totalPrice, errors } = await priceOrderItems(items);
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Some items in your cart cannot be ordered',
+      errors,
+    });
+  }
 
   // Create order in MongoDB
   const order = await Order.create({
@@ -67,32 +78,17 @@ const createOrder = asyncHandler(async (req, res) => {
     userEmail: req.user.email,
     userName: req.user.name,
     items: orderItems,
-    totalPrice: Math.round(calculatedTotal * 100) / 100, // Round to 2 decimal places
+    totalPrice,
     orderType,
-    paymentStatus: paymentStatus || 'pending',
+    paymentStatus: 'pending', // Only the Stripe webhook may mark an order as paid
     paymentMethod: paymentMethod || 'cash',
     deliveryAddress: orderType === 'delivery' ? deliveryAddress : null,
     specialInstructions: specialInstructions || '',
     phone: phone || req.user.phone,
-    transactionId: transactionId || null,
   });
 
   console.log('Order created in MongoDB:', order._id);
-
-  // Update user statistics if payment is already paid
-  if (paymentStatus === 'paid') {
-    try {
-      await User.findByIdAndUpdate(req.user._id, {
-        $inc: {
-          totalOrders: 1,
-          totalSpent: calculatedTotal,
-        },
-      });
-      console.log('User statistics updated for paid order');
-    } catch (error) {
-      console.error('Error updating user statistics:', error);
-    }
-  }
+  publishOrderEvent('order.created', order);
 
   res.status(201).json({
     success: true,
@@ -164,7 +160,7 @@ const getOrder = asyncHandler(async (req, res) => {
   }
 
   // Make sure user owns order or is admin
-  if (order.userId.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+  if (order.userId.toString() !== req.user._id.toString() && !hasAdminAccess(req)) {
     return res.status(403).json({
       success: false,
       message: 'Not authorized to access this order',
@@ -174,6 +170,7 @@ const getOrder = asyncHandler(async (req, res) => {
   res.status(200).json({
     success: true,
     data: order,
+    timeline: buildOrderTimeline(order),
   });
 });
 
@@ -181,7 +178,7 @@ const getOrder = asyncHandler(async (req, res) => {
 // @route   PATCH /api/orders/:id/status
 // @access  Private/Admin
 const updateOrderStatus = asyncHandler(async (req, res) => {
-  const { status } = req.body;
+  const { status, reason } = req.body;
 
   if (!status) {
     return res.status(400).json({
@@ -190,22 +187,14 @@ const updateOrderStatus = asyncHandler(async (req, res) => {
     });
   }
 
-  const validStatuses = ['pending', 'confirmed', 'preparing', 'ready', 'delivered', 'cancelled'];
-  if (!validStatuses.includes(status)) {
+  if (!ORDER_STATUSES.includes(status)) {
     return res.status(400).json({
       success: false,
-      message: `Invalid status. Must be one of: ${validStatuses.join(', ')}`,
+      message: `Invalid status. Must be one of: ${ORDER_STATUSES.join(', ')}`,
     });
   }
 
-  const order = await Order.findByIdAndUpdate(
-    req.params.id,
-    {
-      status,
-      updatedAt: new Date(),
-    },
-    { new: true, runValidators: true }
-  ).populate('items.menuItem', 'name price');
+  const order = await Order.findById(req.params.id);
 
   if (!order) {
     return res.status(404).json({
@@ -214,10 +203,23 @@ const updateOrderStatus = asyncHandler(async (req, res) => {
     });
   }
 
+  const transition = transitionOrder(order, status, { actor: req.user, reason });
+  if (!transition.success) {
+    return res.status(409).json({
+      success: false,
+      message: transition.message,
+      allowedTransitions: transition.allowedTransitions,
+    });
+  }
+
+  await order.save();
+  await order.populate('items.menuItem', 'name price');
+
   console.log(`✅ Order status updated successfully in MongoDB: ${order._id}`);
+  publishOrderEvent('order.updated', order);
 
-  // Update user statistics if order is delivered and payment wasn't already paid
-  if (status === 'delivered' && order.paymentStatus !== 'paid') {
+  // Update user statistics if order is delivered and payment wasn't already recorded by Stripe
+  if (status === 'delivered' && ['pending', 'failed'].includes(order.paymentStatus)) {
     try {
       await User.findByIdAndUpdate(order.userId, {
         $inc: {
@@ -258,11 +260,11 @@ const cancelOrder = asyncHandler(async (req, res) => {
     });
   }
 
-  // Check if order can be cancelled
-  if (order.status === 'delivered' || order.status === 'cancelled') {
-    return res.status(400).json({
+  // Check if order can be cancelled at all
+  if (!canTransition(order, 'cancelled')) {
+    return res.status(409).json({
       success: false,
-      message: 'Cannot cancel order that is already delivered or cancelled',
+      message: `Cannot cancel order that is already ${order.status}`,
     });
   }
 
@@ -281,9 +283,9 @@ const cancelOrder = asyncHandler(async (req, res) => {
     });
   }
 
-  order.status = 'cancelled';
-  order.updatedAt = new Date();
+  transitionOrder(order, 'cancelled', { actor: req.user, reason: req.body && req.body.reason });
   await order.save();
+  publishOrderEvent('order.updated', order);
 
   res.status(200).json({
     success: true,
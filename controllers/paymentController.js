@@ -1,32 +1,72 @@
-const Stripe = require('stripe');
+const Order = require('../models/Order');
+const User = require('../models/User');
+const PaymentEvent = require('../models/PaymentEvent');
+const stripe = require('../config/stripe');
 const asyncHandler = require('../utils/asyncHandler');
-
-// Initialize payment gateway
-const stripe = new Stripe(process.env.STRIPE_SECRET_KEY || 'sk_test_demo_key'); // Demo key
-
+const { validateRefund } = require('../utils/validation');
+const { roundPrice } = require('../utils/orderPricing');
+const { confirmDeposit, recordDepositRefund } = require('../utils/deposits');
+const {
+  isOrderRefundable,
+  getRefundableAmount,
+  calculateRefund,
+  reserveRefund,
+  revertRefund,
+  reverseUserStatistics,
+} = require('../utils/orderRefunds');
 
 // @desc    Create Stripe payment intent
 // @route   POST /api/payments/stripe/create-intent
 // @access  Private
 const createStripePaymentIntent = asyncHandler(async (req, res) => {
-  const { amount, currency = 'usd' } = req.body;
+  const { orderId, currency = 'usd' } = req.body;
+
+  if (!orderId) {
+    return res.status(400).json({
+      success: false,
+      message: 'Order ID is required',
+    });
+  }
+
+  const order = await Order.findById(orderId);
+
+  if (!order) {
+    return res.status(404).json({
+      success: false,
+      message: 'Order not found',
+    });
+  }
+
+  if (order.userId.toString() !== req.user._id.toString()) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to pay for this order',
+    });
+  }
 
-  if (!amount || amount <= 0) {
+  if (order.paymentStatus !== 'pending' && order.paymentStatus !== 'failed') {
     return res.status(400).json({
       success: false,
-      message: 'Valid amount is required',
+      message: `Order payment is already ${order.paymentStatus}`,
     });
   }
 
   try {
     const paymentIntent = await stripe.paymentIntents.create({
-      amount: amount * 100, // Stripe expects amount in cents
+      amount: Math.round(order.totalPrice * 100), // Stripe expects amount in cents
       currency,
       automatic_payment_methods: {
         enabled: true,
       },
+      metadata: {
+        orderId: order._id.toString(),
+        orderNumber: order.orderNumber,
+      },
     });
 
+    order.transactionId = paymentIntent.id;
+    await order.save();
+
     res.status(200).json({
       success: true,
       data: {
@@ -88,6 +128,283 @@ const confirmStripePayment = asyncHandler(async (req, res) => {
 });
 
 
+// Find the order a PaymentIntent was created for
+const findOrderForPaymentIntent = async (paymentIntentId, metadata = {}) => {
+  if (metadata.orderId) {
+    const order = await Order.findById(metadata.orderId);
+    if (order) return order;
+  }
+
+  return Order.findOne({ transactionId: paymentIntentId });
+};
+
+const handlePaymentIntentSucceeded = async (paymentIntent) => {
+  const order = await findOrderForPaymentIntent(paymentIntent.id, paymentIntent.metadata);
+  if (!order) return null;
+
+  if (order.paymentStatus === 'paid') {
+    return order;
+  }
+
+  const expectedAmount = Math.round(order.totalPrice * 100);
+  if (paymentIntent.amount_received < expectedAmount) {
+    console.warn(`PaymentIntent ${paymentIntent.id} received ${paymentIntent.amount_received} but order ${order.orderNumber} expects ${expectedAmount}`);
+    return null;
+  }
+
+  order.paymentStatus = 'paid';
+  order.transactionId = paymentIntent.id;
+  order.paidAt = new Date();
+  await order.save();
+
+  await User.findByIdAndUpdate(order.userId, {
+    $inc: {
+      totalOrders: 1,
+      totalSpent: order.totalPrice,
+    },
+  });
+
+  return order;
+};
+
+const handlePaymentIntentFailed = async (paymentIntent) => {
+  const order = await findOrderForPaymentIntent(paymentIntent.id, paymentIntent.metadata);
+  if (!order) return null;
+
+  // A failed retry must never downgrade an order that was already paid
+  if (order.paymentStatus === 'pending' || order.paymentStatus === 'failed') {
+    order.paymentStatus = 'failed';
+    order.transactionId = paymentIntent.id;
+    await order.save();
+  }
+
+  return order;
+};
+
+const handleChargeRefunded = async (charge) => {
+  const order = await findOrderForPaymentIntent(charge.payment_intent, charge.metadata);
+  if (!order) return null;
+
+  // Refunds issued through the API are recorded before Stripe is called,
+  // so anything beyond refundedAmount was issued from the Stripe dashboard
+  const untrackedAmount = Math.min(
+    roundPrice(charge.amount_refunded / 100 - order.refundedAmount),
+    getRefundableAmount(order)
+  );
+
+  if (untrackedAmount > 0) {
+    // Recorded atomically, within what Stripe reports, so a refund issued meanwhile through the API is not lost
+    const recorded = await reserveRefund(order, {
+      amount: untrackedAmount,
+      method: 'stripe',
+      stripeRefundId: charge.refunds && charge.refunds.data && charge.refunds.data[0]
+        ? charge.refunds.data[0].id
+        : null,
+      reason: 'Refunded from Stripe',
+    }, { refundedUpTo: charge.amount_refunded / 100 });
+
+    // The order changed since it was read: fail so that Stripe retries with fresh amounts
+    if (!recorded) {
+      throw new Error(`Refunds of order ${order._id} changed while recording charge ${charge.id}`);
+    }
+
+    await reverseUserStatistics(recorded.order, untrackedAmount);
+    return recorded.order;
+  }
+
+  return order;
+};
+
+const stripeEventHandlers = {
+  'payment_intent.succeeded': handlePaymentIntentSucceeded,
+  'payment_intent.payment_failed': handlePaymentIntentFailed,
+  'charge.refunded': handleChargeRefunded,
+};
+
+// Reservation deposits carry a reservationId in their metadata; a failed attempt needs no handling,
+// the guest can retry until the unpaid reservation expires
+const reservationEventHandlers = {
+  'payment_intent.succeeded': confirmDeposit,
+  'setup_intent.succeeded': confirmDeposit,
+  'charge.refunded': recordDepositRefund,
+};
+
+// @desc    Receive Stripe webhook events
+// @route   POST /api/payments/stripe/webhook
+// @access  Public (verified by Stripe signature)
+const handleStripeWebhook = asyncHandler(async (req, res) => {
+  let event;
+
+  try {
+    // req.body is the raw Buffer: the signature is computed over the exact payload
+    event = stripe.webhooks.constructEvent(
+      req.body,
+      req.headers['stripe-signature'],
+      process.env.STRIPE_WEBHOOK_SECRET
+    );
+  } catch (error) {
+    console.error('Stripe webhook signature verification failed:', error.message);
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid webhook signature',
+    });
+  }
+
+  // Record the event before processing it: the unique eventId turns replays into no-ops
+  try {
+    await PaymentEvent.create({
+      eventId: event.id,
+      type: event.type,
+      objectId: event.data.object.id,
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(200).json({
+        success: true,
+        received: true,
+        duplicate: true,
+      });
+    }
+    throw error;
+  }
+
+  const object = event.data.object;
+  const forReservation = Boolean(object.metadata && object.metadata.reservationId);
+  const handler = (forReservation ? reservationEventHandlers : stripeEventHandlers)[event.type];
+
+  try {
+    const target = handler ? await handler(object) : null;
+
+    await PaymentEvent.updateOne({ eventId: event.id }, {
+      status: target ? 'processed' : 'ignored',
+      order: target && !forReservation ? target._id : null,
+      reservation: target && forReservation ? target._id : null,
+      processedAt: new Date(),
+    });
+  } catch (error) {
+    // Forget the event so that Stripe's retry gets processed
+    await PaymentEvent.deleteOne({ eventId: event.id });
+    throw error;
+  }
+
+  res.status(200).json({
+    success: true,
+    received: true,
+  });
+});
+
+// @desc    Refund a paid order, fully or partially
+// @route   POST /api/payments/orders/:id/refund
+// @access  Private/Admin
+const refundOrder = asyncHandler(async (req, res) => {
+  const { error } = validateRefund(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error.details[0].message,
+    });
+  }
+
+  const order = await Order.findById(req.params.id);
+
+  if (!order) {
+    return res.status(404).json({
+      success: false,
+      message: 'Order not found',
+    });
+  }
+
+  if (!isOrderRefundable(order)) {
+    return res.status(400).json({
+      success: false,
+      message: `Order with payment status ${order.paymentStatus} cannot be refunded`,
+    });
+  }
+
+  const { amount, items, error: refundError } = calculateRefund(order, req.body);
+  if (refundError) {
+    return res.status(400).json({
+      success: false,
+      message: refundError,
+    });
+  }
+
+  const method = req.body.method ||
+    (order.paymentMethod === 'card' && order.transactionId ? 'stripe' : 'cash');
+
+  if (method === 'stripe' && !order.transactionId) {
+    return res.status(400).json({
+      success: false,
+      message: 'Order has no Stripe payment to refund',
+    });
+  }
+
+  // Record the refund first so the charge.refunded webhook sees it as already tracked
+  const previousPaymentStatus = order.paymentStatus;
+  const reservation = await reserveRefund(order, {
+    amount,
+    method,
+    items,
+    reason: req.body.reason || null,
+    createdBy: req.user._id,
+  });
+
+  if (!reservation) {
+    return res.status(409).json({
+      success: false,
+      message: 'The order was refunded meanwhile, check the remaining amount and try again',
+    });
+  }
+
+  let { order: refundedOrder, refund } = reservation;
+
+  if (method === 'stripe') {
+    let stripeRefund;
+    try {
+      stripeRefund = await stripe.refunds.create({
+        payment_intent: order.transactionId,
+        amount: Math.round(amount * 100),
+        metadata: {
+          orderId: order._id.toString(),
+          refundId: refund._id.toString(),
+        },
+      });
+    } catch (stripeError) {
+      console.error('Stripe refund error:', stripeError);
+
+      await revertRefund(order, refund, previousPaymentStatus);
+
+      return res.status(502).json({
+        success: false,
+        message: 'Failed to issue Stripe refund',
+        error: stripeError.message,
+      });
+    }
+
+    refundedOrder = await Order.findOneAndUpdate(
+      { _id: order._id, 'refunds._id': refund._id },
+      { 'refunds.$.stripeRefundId': stripeRefund.id },
+      { new: true }
+    );
+    refund = refundedOrder.refunds.id(refund._id);
+  }
+
+  try {
+    await reverseUserStatistics(refundedOrder, amount);
+  } catch (statsError) {
+    console.error('Error updating user statistics:', statsError);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Refund issued successfully',
+    data: {
+      refund,
+      order: refundedOrder,
+    },
+  });
+});
+
 // @desc    Get payment methods
 // @route   GET /api/payments/methods
 // @access  Private
@@ -118,5 +435,7 @@ const getPaymentMethods = asyncHandler(async (req, res) => {
 module.exports = {
   createStripePaymentIntent,
   confirmStripePayment,
+  handleStripeWebhook,
+  refundOrder,
   getPaymentMethods,
 };
\ No newline at end of file
@@ -1,15 +1,119 @@
 const Reservation = require('../models/Reservation');
+const ReservationSeries = require('../models/ReservationSeries');
 const User = require('../models/User');
 const asyncHandler = require('../utils/asyncHandler');
-const { validateReservation } = require('../utils/validation');
-const { isValidSlot } = require('../utils/timeSlots');
 const {
+  validateReservation,
+  validateGuestReservation,
+  validateReservationSeries,
+  validateReservationSeriesUpdate,
+} = require('../utils/validation');
+const { isValidSlot, loadSchedule, getCurrentSlot } = require('../utils/timeSlots');
+const { findClosure, describeClosure } = require('../utils/closures');
+const {
+  createReservationDateTime,
   validateReservationUpdate,
+  isValidNewReservationTime,
   canCancelReservation,
-  addTableBooking,
-  removeTableBooking
+  bookTables,
+  releaseTables,
+  findCapacityProblem,
+  findAvailableTables
 } = require('../utils/reservationHelpers');
-const Table = require('../models/Table');
+const ErrorResponse = require('../utils/errorResponse');
+const { runAtomically } = require('../utils/transactions');
+const { toCalendarDate, today, addDays, formatCalendarDate } = require('../utils/timezone');
+const { publishReservationEvent } = require('../utils/eventStream');
+const { offerFreedSeats } = require('../utils/waitlist');
+const {
+  getDepositRequirement,
+  buildDeposit,
+  coversRequirement,
+  moveRefundDeadline,
+  loadDepositPolicy,
+  startDepositPayment,
+  settleCancelledDeposit,
+  chargeNoShowFee,
+} = require('../utils/deposits');
+const { expandRecurrence, findRecurrenceProblem } = require('../utils/recurrence');
+const { checkOccurrences, bookSeries } = require('../utils/reservationSeries');
+
+const AUTO_ASSIGN_ATTEMPTS = 3;
+
+// Statuses in which a reservation no longer holds its tables
+const RELEASED_STATUSES = ['cancelled', 'no-show', 'completed'];
+
+// Answer a table booking conflict raised by bookTables or allocateTables
+const sendTableConflict = (res, error) => {
+  return res.status(409).json({
+    success: false,
+    message: error.message,
+    ...(error.conflicts && { conflicts: error.conflicts }),
+  });
+};
+
+// Offer tables freed by a cancellation or a move to the waitlist; the change itself is already saved
+const passToWaitlist = async (date, schedule) => {
+  try {
+    await offerFreedSeats(date, { schedule });
+  } catch (error) {
+    console.error('Error offering freed tables to the waitlist:', error);
+  }
+};
+
+// Pick the best free tables for a party, or fail with 409 if it cannot be seated
+const allocateTables = async (date, slot, guests, { session, schedule }) => {
+  const { suggestion } = await findAvailableTables(date, slot, guests, { session, schedule });
+  if (!suggestion) {
+    throw new ErrorResponse(`No table is available for ${guests} guests at this time`, 409);
+  }
+  return suggestion.tableNumbers;
+};
+
+/**
+ * Book the tables and save the reservation together: a conflict on any table leaves nothing behind
+ * @param {object} reservationData - Reservation fields (date, slot, guests, ...)
+ * @param {Array<number>} [tableNumber] - Requested tables; omit to assign the best ones
+ * @param {object} schedule - Service schedule
+ * @returns {Promise<object>} The saved reservation
+ * @throws {ErrorResponse} 400 if the requested tables seat fewer guests than the party,
+ *   409 (with `conflicts` for taken tables) if the party cannot be seated
+ */
+const saveWithTables = async (reservationData, tableNumber, schedule) => {
+  const { date, slot, guests } = reservationData;
+  const autoAssign = !tableNumber || tableNumber.length === 0;
+
+  const capacityProblem = !autoAssign && await findCapacityProblem(tableNumber, guests);
+  if (capacityProblem) {
+    throw new ErrorResponse(capacityProblem, 400);
+  }
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await runAtomically(async ({ session, onRollback }) => {
+        const tables = autoAssign
+          ? await allocateTables(date, slot, guests, { session, schedule })
+          : tableNumber;
+
+        await bookTables(tables, date, slot, { session, onRollback, schedule });
+
+        const newReservation = new Reservation({ ...reservationData, tableNumber: tables });
+        await newReservation.save({ session });
+        return newReservation;
+      });
+    } catch (error) {
+      // An automatic allocation can lose a race for its tables: allocate again from fresh availability
+      if (!(error.conflicts && autoAssign && attempt < AUTO_ASSIGN_ATTEMPTS)) {
+        throw error;
+      }
+    }
+  }
+};
+
+const sameTables = (a = [], b = []) => {
+  return JSON.stringify([...a].map(Number).sort((x, y) => x - y)) ===
+    JSON.stringify([...b].map(Number).sort((x, y) => x - y));
+};
 
 // @desc    Create new reservation
 // @route   POST /api/reservations
@@ -24,7 +128,33 @@ const createReservation = asyncHandler(async (req, res) => {
     });
   }
 
-  const { date, slot, guests, tableNumber, specialRequest, contactPhone } = req.body;
+  const { slot, guests, tableNumber, specialRequest, contactPhone } = req.body;
+  const date = toCalendarDate(req.body.date);
+
+  const schedule = await loadSchedule();
+  if (!(await isValidSlot(slot, date, schedule))) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid slot number',
+    });
+  }
+
+  const closure = findClosure(date, slot, [], schedule);
+  if (closure) {
+    return res.status(400).json({
+      success: false,
+      message: describeClosure(closure),
+    });
+  }
+
+  // Same-day bookings are allowed until an hour before the seating
+  const timeCheck = isValidNewReservationTime(date, slot, schedule);
+  if (!timeCheck.isValid) {
+    return res.status(400).json({
+      success: false,
+      message: timeCheck.message,
+    });
+  }
 
   // Create reservation object
   const reservationData = {
@@ -34,28 +164,52 @@ const createReservation = asyncHandler(async (req, res) => {
     date,
     slot,
     guests,
-    tableNumber,
     specialRequest,
     contactPhone,
   };
 
-  const reservation = new Reservation(reservationData);
-  await reservation.save();
+  // A reservation asking for a deposit holds its tables as pending until Stripe confirms the payment
+  const policy = await loadDepositPolicy();
+  const requirement = getDepositRequirement(policy, { guests, date, noShowCount: req.user.noShowCount });
+  if (requirement) {
+    reservationData.status = 'pending';
+    reservationData.deposit = buildDeposit(requirement, { date, slot }, policy, schedule);
+  }
+
+  let reservation;
+  try {
+    reservation = await saveWithTables(reservationData, tableNumber, schedule);
+  } catch (error) {
+    if (error.conflicts || error.statusCode === 409) {
+      return sendTableConflict(res, error);
+    }
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    throw error;
+  }
 
-  // If tableNumber array is provided, update table bookings
-  if (tableNumber && tableNumber.length > 0) {
+  let payment = null;
+  if (requirement) {
     try {
-      for (const tableNum of tableNumber) {
-        const table = await Table.findOne({ tableNumber: parseInt(tableNum) });
-        if (table) {
-          await addTableBooking(table, date, slot);
-          console.log(`Table ${tableNum} booked for reservation ${reservation._id}`);
-        } else {
-          console.warn(`Table ${tableNum} not found when creating reservation`);
-        }
-      }
+      payment = await startDepositPayment(reservation, req.user);
     } catch (error) {
-      console.error('Error updating table bookings:', error);
+      console.error('Stripe deposit intent error:', error);
+
+      // Without a payment to complete, the reservation would only block its tables
+      await runAtomically(async ({ session, onRollback }) => {
+        await releaseTables(reservation.tableNumber, date, slot, { session, onRollback, schedule });
+        await Reservation.deleteOne({ _id: reservation._id }, { session });
+      });
+
+      return res.status(502).json({
+        success: false,
+        message: 'Failed to start the deposit payment',
+        error: error.message,
+      });
     }
   }
 
@@ -75,10 +229,106 @@ const createReservation = asyncHandler(async (req, res) => {
   const populatedReservation = await Reservation.findById(reservation._id)
     .populate('userId', 'name email phone');
 
+  publishReservationEvent('reservation.created', populatedReservation);
+
   res.status(201).json({
     success: true,
-    message: 'Reservation created successfully',
+    message: payment
+      ? 'Reservation pending: complete the deposit payment to confirm it'
+      : 'Reservation created successfully',
     data: populatedReservation,
+    ...(payment && { payment }),
+  });
+});
+
+// @desc    Create a reservation for a phone or walk-in guest without an account
+// @route   POST /api/reservations/admin
+// @access  Private/Admin
+const createGuestReservation = asyncHandler(async (req, res) => {
+  const { error, value } = validateGuestReservation(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error.details[0].message,
+    });
+  }
+
+  const { source, seatNow, guests, tableNumber, name, contactPhone, email, specialRequest } = value;
+  const schedule = await loadSchedule();
+
+  let date = req.body.date ? toCalendarDate(req.body.date) : today();
+  let { slot } = value;
+  if (seatNow && slot === undefined) {
+    const current = getCurrentSlot(new Date(), schedule);
+    if (!current) {
+      return res.status(400).json({
+        success: false,
+        message: 'No service is in progress, please choose a slot',
+      });
+    }
+    ({ date, slot } = current);
+  }
+
+  if (!(await isValidSlot(slot, date, schedule))) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid slot number',
+    });
+  }
+
+  const closure = findClosure(date, slot, [], schedule);
+  if (closure) {
+    return res.status(400).json({
+      success: false,
+      message: describeClosure(closure),
+    });
+  }
+
+  // Staff may book up to the start of the seating; a walk-in seated now takes the slot in progress
+  if (!seatNow && createReservationDateTime(date, slot, schedule) < new Date()) {
+    return res.status(400).json({
+      success: false,
+      message: 'This slot has already started',
+    });
+  }
+
+  const reservationData = {
+    userId: null,
+    userEmail: email || null,
+    userName: name,
+    source,
+    createdBy: req.user._id,
+    status: seatNow ? 'seated' : 'confirmed',
+    seatedAt: seatNow ? new Date() : null,
+    date,
+    slot,
+    guests,
+    specialRequest,
+    contactPhone,
+  };
+
+  let reservation;
+  try {
+    reservation = await saveWithTables(reservationData, tableNumber, schedule);
+  } catch (error) {
+    if (error.conflicts || error.statusCode === 409) {
+      return sendTableConflict(res, error);
+    }
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    throw error;
+  }
+
+  publishReservationEvent('reservation.created', reservation);
+
+  res.status(201).json({
+    success: true,
+    message: seatNow ? 'Walk-in seated successfully' : 'Reservation created successfully',
+    data: reservation,
   });
 });
 
@@ -99,9 +349,9 @@ const getUserReservations = asyncHandler(async (req, res) => {
 
   // Filter by upcoming/past reservations
   if (req.query.upcoming === 'true') {
-    query.date = { $gte: new Date().setHours(0, 0, 0, 0) };
+    query.date = { $gte: today() };
   } else if (req.query.past === 'true') {
-    query.date = { $lt: new Date().setHours(0, 0, 0, 0) };
+    query.date = { $lt: today() };
   }
 
   const total = await Reservation.countDocuments(query);
@@ -149,10 +399,8 @@ const getAdminReservations = asyncHandler(async (req, res) => {
 
   if (status) query.status = status;
   if (date) {
-    const startDate = new Date(date);
-    const endDate = new Date(date);
-    endDate.setDate(endDate.getDate() + 1);
-    query.date = { $gte: startDate, $lt: endDate };
+    const startDate = toCalendarDate(date);
+    query.date = { $gte: startDate, $lt: addDays(startDate, 1) };
   }
   if (search) {
     query.$or = [
@@ -212,69 +460,78 @@ const updateAdminReservation = asyncHandler(async (req, res) => {
     });
   }
 
-  // Handle table number changes
-  if (tableNumber && JSON.stringify(tableNumber) !== JSON.stringify(originalReservation.tableNumber)) {
-    try {
-      // Remove booking from old tables if they exist
-      if (originalReservation.tableNumber && originalReservation.tableNumber.length > 0) {
-        for (const oldTableNum of originalReservation.tableNumber) {
-          const oldTable = await Table.findOne({ tableNumber: parseInt(oldTableNum) });
-          if (oldTable) {
-            await removeTableBooking(oldTable, originalReservation.date, originalReservation.slot);
-            console.log(`Removed booking from table ${oldTableNum}`);
-          }
-        }
+  const tablesChanged = tableNumber && !sameTables(tableNumber, originalReservation.tableNumber);
+  const statusChanged = status && status !== originalReservation.status;
+  const hadTables = !RELEASED_STATUSES.includes(originalReservation.status) &&
+    originalReservation.tableNumber && originalReservation.tableNumber.length > 0;
+  // Tables the reservation holds once updated: none in a released status
+  const holdsTables = !RELEASED_STATUSES.includes(status || originalReservation.status);
+  const newTables = holdsTables ? (tableNumber || originalReservation.tableNumber || []) : [];
+  const releaseOld = hadTables && (!holdsTables || tablesChanged);
+  // A reservation leaving a released status books its tables again, checked for conflicts
+  const bookNew = newTables.length > 0 && (!hadTables || tablesChanged);
+  const noShow = statusChanged && status === 'no-show' && originalReservation.userId;
+
+  const capacityProblem = bookNew && tablesChanged &&
+    await findCapacityProblem(newTables, originalReservation.guests);
+  if (capacityProblem) {
+    return res.status(400).json({
+      success: false,
+      message: capacityProblem,
+    });
+  }
+
+  let reservation;
+  try {
+    reservation = await runAtomically(async ({ session, onRollback }) => {
+      // Free the old tables before booking the new ones, so overlapping selections stay valid
+      if (releaseOld) {
+        await releaseTables(originalReservation.tableNumber, originalReservation.date, originalReservation.slot, { session, onRollback });
       }
 
-      // Add booking to new tables
-      if (tableNumber && tableNumber.length > 0) {
-        for (const newTableNum of tableNumber) {
-          const newTable = await Table.findOne({ tableNumber: parseInt(newTableNum) });
-          if (newTable) {
-            await addTableBooking(newTable, originalReservation.date, originalReservation.slot);
-            console.log(`Added booking to table ${newTableNum}`);
-          } else {
-            return res.status(400).json({
-              success: false,
-              message: `Table ${newTableNum} not found`,
-            });
-          }
-        }
+      if (bookNew) {
+        await bookTables(newTables, originalReservation.date, originalReservation.slot, { session, onRollback });
       }
-    } catch (error) {
-      console.error('Error updating table bookings:', error);
-      return res.status(500).json({
-        success: false,
-        message: 'Error updating table bookings',
-      });
-    }
-  }
 
-  // Handle status changes (especially cancellation)
-  if (status === 'cancelled' && originalReservation.status !== 'cancelled' && originalReservation.tableNumber && originalReservation.tableNumber.length > 0) {
-    try {
-      for (const tableNum of originalReservation.tableNumber) {
-        const table = await Table.findOne({ tableNumber: parseInt(tableNum) });
-        if (table) {
-          await removeTableBooking(table, originalReservation.date, originalReservation.slot);
-          console.log(`Removed booking from table ${tableNum} due to cancellation`);
-        }
+      if (noShow) {
+        await User.updateOne({ _id: originalReservation.userId }, { $inc: { noShowCount: 1 } }, { session });
+        onRollback(() => User.updateOne({ _id: originalReservation.userId }, { $inc: { noShowCount: -1 } }));
       }
-    } catch (error) {
-      console.error('Error removing table bookings on cancellation:', error);
+
+      return Reservation.findByIdAndUpdate(
+        req.params.id,
+        {
+          ...(status && { status }),
+          ...(statusChanged && status === 'seated' && { seatedAt: new Date() }),
+          ...(statusChanged && status === 'completed' && { completedAt: new Date() }),
+          ...(tableNumber && { tableNumber }),
+          ...(specialRequests && { specialRequests }),
+          updatedAt: new Date(),
+        },
+        { new: true, runValidators: true, session }
+      );
+    });
+  } catch (error) {
+    if (error.conflicts) {
+      return sendTableConflict(res, error);
     }
+    throw error;
   }
 
-  const reservation = await Reservation.findByIdAndUpdate(
-    req.params.id,
-    {
-      ...(status && { status }),
-      ...(tableNumber && { tableNumber }),
-      ...(specialRequests && { specialRequests }),
-      updatedAt: new Date(),
-    },
-    { new: true, runValidators: true }
-  ).populate('userId', 'name email phone');
+  // Stripe is called once the new status is saved; a failure is recorded on the deposit
+  if (statusChanged && status === 'cancelled') {
+    await settleCancelledDeposit(reservation, { byRestaurant: true });
+  } else if (statusChanged && status === 'no-show') {
+    await chargeNoShowFee(reservation);
+  }
+
+  await reservation.populate('userId', 'name email phone');
+
+  publishReservationEvent('reservation.updated', reservation);
+
+  if (releaseOld) {
+    await passToWaitlist(originalReservation.date);
+  }
 
   res.status(200).json({
     success: true,
@@ -328,7 +585,7 @@ const updateUserReservation = asyncHandler(async (req, res) => {
     });
   }
 
-  if (reservation.userId.toString() !== req.user._id.toString()) {
+  if (!reservation.userId || reservation.userId.toString() !== req.user._id.toString()) {
     return res.status(403).json({
       success: false,
       message: 'Not authorized to update this reservation',
@@ -343,17 +600,27 @@ const updateUserReservation = asyncHandler(async (req, res) => {
     });
   }
 
-  // Validate slot number if provided
-  const { date, slot } = req.body;
-  if (slot && !isValidSlot(slot)) {
+  // Validate the slot (new, or kept on a new date) against the service schedule
+  const { slot } = req.body;
+  const date = req.body.date && toCalendarDate(req.body.date);
+  const schedule = await loadSchedule();
+  if ((date || slot) && !(await isValidSlot(slot || reservation.slot, date || reservation.date, schedule))) {
     return res.status(400).json({
       success: false,
       message: 'Invalid slot number',
     });
   }
 
+  const closure = (date || slot) && findClosure(date || reservation.date, slot || reservation.slot, [], schedule);
+  if (closure) {
+    return res.status(400).json({
+      success: false,
+      message: describeClosure(closure),
+    });
+  }
+
   // Use helper to validate time constraints
-  const validation = validateReservationUpdate(reservation, { date, slot });
+  const validation = validateReservationUpdate(reservation, { date, slot }, schedule);
   if (!validation.isValid) {
     return res.status(400).json({
       success: false,
@@ -363,31 +630,21 @@ const updateUserReservation = asyncHandler(async (req, res) => {
 
   const { guests, specialRequest, contactPhone } = req.body;
 
-  // Handle date/slot changes for table bookings
-  if ((date || slot) && reservation.tableNumber && reservation.tableNumber.length > 0) {
-    try {
-      for (const tableNum of reservation.tableNumber) {
-        const table = await Table.findOne({ tableNumber: parseInt(tableNum) });
-        if (table) {
-          // Remove old booking
-          await removeTableBooking(table, reservation.date, reservation.slot);
-          // Add new booking with updated date/slot
-          const newDate = date || reservation.date;
-          const newSlot = slot || reservation.slot;
-          await addTableBooking(table, newDate, newSlot);
-          console.log(`Updated table ${tableNum} booking from ${reservation.date}/${reservation.slot} to ${newDate}/${newSlot}`);
-        }
-      }
-    } catch (error) {
-      console.error('Error updating table bookings:', error);
-      return res.status(500).json({
+  // A larger party or another day can fall under the deposit policy, which is only paid when booking
+  if (guests || date || slot) {
+    const requirement = getDepositRequirement(await loadDepositPolicy(), {
+      guests: guests || reservation.guests,
+      date: date || reservation.date,
+      noShowCount: req.user.noShowCount,
+    });
+    if (!coversRequirement(reservation.deposit, requirement)) {
+      return res.status(400).json({
         success: false,
-        message: 'Error updating table bookings',
+        message: `This change requires a deposit of ${requirement.amount.toFixed(2)}, please make a new reservation for it`,
       });
     }
   }
 
-  // Validate input if provided
   const updateData = {};
   if (date) updateData.date = date;
   if (slot) updateData.slot = slot;
@@ -396,11 +653,56 @@ const updateUserReservation = asyncHandler(async (req, res) => {
   if (contactPhone) updateData.contactPhone = contactPhone;
   updateData.updatedAt = new Date();
 
-  const updatedReservation = await Reservation.findByIdAndUpdate(
-    req.params.id,
-    updateData,
-    { new: true, runValidators: true }
-  ).populate('userId', 'name email phone');
+  // The refund deadline follows the seating it was set for
+  if ((date || slot) && reservation.deposit) {
+    updateData['deposit.refundableUntil'] = moveRefundDeadline(
+      reservation.deposit,
+      { date: reservation.date, slot: reservation.slot },
+      { date: date || reservation.date, slot: slot || reservation.slot },
+      schedule
+    );
+  }
+
+  const hasTables = reservation.tableNumber && reservation.tableNumber.length > 0;
+  // A party grown past the seats of its tables is given new ones
+  const outgrown = Boolean(guests && hasTables && await findCapacityProblem(reservation.tableNumber, guests));
+  const movingTables = hasTables && Boolean(date || slot || outgrown);
+
+  // Move the table bookings and update the reservation together
+  let updatedReservation;
+  try {
+    updatedReservation = await runAtomically(async ({ session, onRollback }) => {
+      if (movingTables) {
+        const newDate = date || reservation.date;
+        const newSlot = slot || reservation.slot;
+        await releaseTables(reservation.tableNumber, reservation.date, reservation.slot, { session, onRollback, schedule });
+        const tables = outgrown
+          ? await allocateTables(newDate, newSlot, guests, { session, schedule })
+          : reservation.tableNumber;
+        await bookTables(tables, newDate, newSlot, { session, onRollback, schedule });
+        updateData.tableNumber = tables;
+      }
+
+      return Reservation.findByIdAndUpdate(
+        req.params.id,
+        updateData,
+        { new: true, runValidators: true, session }
+      );
+    });
+  } catch (error) {
+    if (error.conflicts || error.statusCode === 409) {
+      return sendTableConflict(res, error);
+    }
+    throw error;
+  }
+
+  await updatedReservation.populate('userId', 'name email phone');
+
+  publishReservationEvent('reservation.updated', updatedReservation);
+
+  if (movingTables) {
+    await passToWaitlist(reservation.date, schedule);
+  }
 
   res.status(200).json({
     success: true,
@@ -422,7 +724,7 @@ const cancelUserReservation = asyncHandler(async (req, res) => {
     });
   }
 
-  if (reservation.userId.toString() !== req.user._id.toString()) {
+  if (!reservation.userId || reservation.userId.toString() !== req.user._id.toString()) {
     return res.status(403).json({
       success: false,
       message: 'Not authorized to cancel this reservation',
@@ -437,7 +739,7 @@ const cancelUserReservation = asyncHandler(async (req, res) => {
     });
   }
 
-  if (reservation.status !== 'confirmed') {
+  if (reservation.status !== 'confirmed' && reservation.status !== 'pending') {
     return res.status(400).json({
       success: false,
       message: 'Only confirmed reservations can be cancelled',
@@ -445,7 +747,8 @@ const cancelUserReservation = asyncHandler(async (req, res) => {
   }
 
   // Use helper to validate cancellation time constraints
-  const cancellationCheck = canCancelReservation(reservation.date, reservation.slot);
+  const schedule = await loadSchedule();
+  const cancellationCheck = canCancelReservation(reservation.date, reservation.slot, schedule);
   if (!cancellationCheck.canCancel) {
     return res.status(400).json({
       success: false,
@@ -453,26 +756,19 @@ const cancelUserReservation = asyncHandler(async (req, res) => {
     });
   }
 
-  reservation.status = 'cancelled';
-  reservation.updatedAt = new Date();
-  await reservation.save();
-
-  // If tableNumber array is assigned, remove table bookings
-  if (reservation.tableNumber && reservation.tableNumber.length > 0) {
-    try {
-      for (const tableNum of reservation.tableNumber) {
-        const table = await Table.findOne({ tableNumber: parseInt(tableNum) });
-        if (table) {
-          await removeTableBooking(table, reservation.date, reservation.slot);
-          console.log(`Table ${tableNum} booking removed for cancelled reservation ${reservation._id}`);
-        } else {
-          console.warn(`Table ${tableNum} not found when cancelling reservation`);
-        }
-      }
-    } catch (error) {
-      console.error('Error removing table bookings:', error);
+  // Cancel and free the tables together
+  await runAtomically(async ({ session, onRollback }) => {
+    if (reservation.tableNumber && reservation.tableNumber.length > 0) {
+      await releaseTables(reservation.tableNumber, reservation.date, reservation.slot, { session, onRollback, schedule });
     }
-  }
+
+    reservation.status = 'cancelled';
+    reservation.updatedAt = new Date();
+    await reservation.save({ session });
+  });
+
+  // Refunded when cancelled early enough, kept otherwise; an unpaid one is simply voided
+  await settleCancelledDeposit(reservation);
 
   // Update user statistics (decrement totalReservations)
   try {
@@ -486,6 +782,12 @@ const cancelUserReservation = asyncHandler(async (req, res) => {
     console.error('Error updating user statistics:', error);
   }
 
+  publishReservationEvent('reservation.cancelled', reservation);
+
+  if (reservation.tableNumber && reservation.tableNumber.length > 0) {
+    await passToWaitlist(reservation.date, schedule);
+  }
+
   res.status(200).json({
     success: true,
     message: 'Reservation cancelled successfully',
@@ -493,8 +795,424 @@ const cancelUserReservation = asyncHandler(async (req, res) => {
   });
 });
 
+// Load a series of the current user, or answer 404/403
+const findOwnSeries = async (req, res, action) => {
+  const series = await ReservationSeries.findById(req.params.id);
+
+  if (!series) {
+    res.status(404).json({
+      success: false,
+      message: 'Reservation series not found',
+    });
+    return null;
+  }
+
+  if (series.userId.toString() !== req.user._id.toString()) {
+    res.status(403).json({
+      success: false,
+      message: `Not authorized to ${action} this reservation series`,
+    });
+    return null;
+  }
+
+  return series;
+};
+
+// Confirmed occurrences of a series that have not started yet
+const findUpcomingOccurrences = async (series, schedule, now) => {
+  const occurrences = await Reservation.find({
+    series: series._id,
+    status: 'confirmed',
+    date: { $gte: today(now) },
+  }).sort({ date: 1 });
+
+  return occurrences.filter(occurrence => createReservationDateTime(occurrence.date, occurrence.slot, schedule) > now);
+};
+
+// Why an occurrence cannot take the series changes (the same rules as a single update), or null
+const findOccurrenceUpdateProblem = async (occurrence, slot, schedule, now) => {
+  if (slot && !(await isValidSlot(slot, occurrence.date, schedule))) {
+    return 'The restaurant does not serve this slot on that day';
+  }
+
+  const closure = slot && findClosure(occurrence.date, slot, [], schedule);
+  if (closure) {
+    return describeClosure(closure);
+  }
+
+  const validation = validateReservationUpdate(occurrence, { slot }, schedule, now);
+  return validation.isValid ? null : validation.errors[0];
+};
+
+const describeOccurrence = (occurrence, message) => ({
+  reservationId: occurrence._id,
+  date: formatCalendarDate(occurrence.date),
+  message,
+});
+
+// @desc    Create a recurring series of reservations
+// @route   POST /api/reservations/series
+// @access  Private
+const createReservationSeries = asyncHandler(async (req, res) => {
+  const { error, value } = validateReservationSeries(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error.details[0].message,
+    });
+  }
+
+  const { slot, guests, tableNumber = [], specialRequest, contactPhone, recurrence, skipConflicts, dryRun } = value;
+  const date = toCalendarDate(value.date);
+
+  const recurrenceProblem = findRecurrenceProblem(date, recurrence);
+  if (recurrenceProblem) {
+    return res.status(400).json({
+      success: false,
+      message: recurrenceProblem,
+    });
+  }
+
+  // Deposits are paid per reservation: such dates have to be booked one at a time
+  const dates = expandRecurrence(date, recurrence);
+  const policy = await loadDepositPolicy();
+  if (dates.some(day => getDepositRequirement(policy, { guests, date: day, noShowCount: req.user.noShowCount }))) {
+    return res.status(400).json({
+      success: false,
+      message: 'Some dates of this series require a deposit, please book them one at a time',
+    });
+  }
+
+  const schedule = await loadSchedule();
+  const report = await checkOccurrences(dates, { slot, guests, tableNumber }, schedule);
+  const available = report.filter(entry => entry.available);
+  const conflicts = report.filter(entry => !entry.available);
+
+  if (dryRun) {
+    return res.status(200).json({
+      success: true,
+      message: `${available.length} of ${report.length} dates are available`,
+      data: report,
+    });
+  }
+
+  if (available.length === 0 || (conflicts.length > 0 && !skipConflicts)) {
+    return res.status(409).json({
+      success: false,
+      message: available.length === 0
+        ? 'None of the dates of this series is available'
+        : 'Some dates of this series are not available',
+      conflicts,
+    });
+  }
+
+  // Fields shared by the series and each of its reservations
+  const reservationData = {
+    userId: req.user._id,
+    userEmail: req.user.email,
+    userName: req.user.name,
+    slot,
+    guests,
+    tableNumber,
+    contactPhone,
+    specialRequest,
+  };
+
+  let booked;
+  try {
+    booked = await bookSeries(
+      { ...reservationData, startDate: date, recurrence },
+      available.map(entry => toCalendarDate(entry.date)),
+      reservationData,
+      schedule
+    );
+  } catch (error) {
+    if (error.conflicts || error.statusCode === 409) {
+      return sendTableConflict(res, error);
+    }
+    throw error;
+  }
+
+  try {
+    await User.findByIdAndUpdate(req.user._id, {
+      $inc: {
+        totalReservations: booked.reservations.length,
+      },
+    });
+  } catch (error) {
+    console.error('Error updating user statistics:', error);
+  }
+
+  booked.reservations.forEach(reservation => publishReservationEvent('reservation.created', reservation));
+
+  res.status(201).json({
+    success: true,
+    message: `Series created with ${booked.reservations.length} reservations`,
+    data: booked,
+    ...(conflicts.length > 0 && { skipped: conflicts }),
+  });
+});
+
+// @desc    Get a reservation series of the current user with its reservations
+// @route   GET /api/reservations/series/:id
+// @access  Private
+const getReservationSeries = asyncHandler(async (req, res) => {
+  const series = await findOwnSeries(req, res, 'view');
+  if (!series) return;
+
+  const reservations = await Reservation.find({ series: series._id }).sort({ date: 1 });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      series,
+      reservations,
+    },
+  });
+});
+
+// @desc    Update every upcoming reservation of a series (slot, guests, contact, request)
+// @route   PUT /api/reservations/series/:id
+// @access  Private
+const updateReservationSeries = asyncHandler(async (req, res) => {
+  const { error } = validateReservationSeriesUpdate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error.details[0].message,
+    });
+  }
+
+  const series = await findOwnSeries(req, res, 'update');
+  if (!series) return;
+
+  if (series.status !== 'active') {
+    return res.status(400).json({
+      success: false,
+      message: 'This reservation series has been cancelled',
+    });
+  }
+
+  const { slot, guests, specialRequest, contactPhone } = req.body;
+  const schedule = await loadSchedule();
+  const now = new Date();
+
+  // Occurrences too close to their seating keep their current details
+  const updatable = [];
+  const skipped = [];
+  for (const occurrence of await findUpcomingOccurrences(series, schedule, now)) {
+    const problem = await findOccurrenceUpdateProblem(occurrence, slot, schedule, now);
+    if (problem) {
+      skipped.push(describeOccurrence(occurrence, problem));
+    } else {
+      updatable.push(occurrence);
+    }
+  }
+
+  if (updatable.length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'No upcoming reservation of this series can be modified',
+      skipped,
+    });
+  }
+
+  const updateData = {};
+  if (slot) updateData.slot = slot;
+  if (guests) updateData.guests = guests;
+  if (specialRequest !== undefined) updateData.specialRequest = specialRequest;
+  if (contactPhone) updateData.contactPhone = contactPhone;
+
+  // Deposits are paid per reservation: a party size that asks for one is refused as at creation
+  if (guests) {
+    const policy = await loadDepositPolicy();
+    const needsDeposit = updatable.some(occurrence => getDepositRequirement(policy, {
+      guests,
+      date: occurrence.date,
+      noShowCount: req.user.noShowCount,
+    }));
+    if (needsDeposit) {
+      return res.status(400).json({
+        success: false,
+        message: 'Some dates of this series require a deposit for this party size, please book them one at a time',
+      });
+    }
+  }
+
+  // As for a single reservation, a party grown past the seats of its tables is given new ones
+  const outgrown = new Set();
+  if (guests) {
+    for (const occurrence of updatable) {
+      if (occurrence.tableNumber.length > 0 && await findCapacityProblem(occurrence.tableNumber, guests)) {
+        outgrown.add(occurrence);
+      }
+    }
+  }
+
+  const moved = updatable.filter(occurrence => occurrence.tableNumber.length > 0
+    && ((slot && slot !== occurrence.slot) || outgrown.has(occurrence)));
+
+  // Move the table bookings of every occurrence and update them together
+  try {
+    await runAtomically(async ({ session, onRollback }) => {
+      const conflicts = [];
+      const reallocated = [];
+      for (const occurrence of moved) {
+        const newSlot = slot || occurrence.slot;
+        try {
+          await releaseTables(occurrence.tableNumber, occurrence.date, occurrence.slot, { session, onRollback, schedule });
+          const tables = outgrown.has(occurrence)
+            ? await allocateTables(occurrence.date, newSlot, guests, { session, schedule })
+            : occurrence.tableNumber;
+          await bookTables(tables, occurrence.date, newSlot, { session, onRollback, schedule });
+          if (outgrown.has(occurrence)) reallocated.push({ occurrence, tables });
+        } catch (error) {
+          if (!(error.conflicts || error.statusCode === 409)) throw error;
+          // Keep going to report every date; the throw below undoes the moves already made
+          conflicts.push(describeOccurrence(occurrence, error.message));
+        }
+      }
+
+      if (conflicts.length > 0) {
+        const error = new ErrorResponse('Some reservations of the series cannot take this change', 409);
+        error.conflicts = conflicts;
+        throw error;
+      }
+
+      await Reservation.updateMany(
+        { _id: { $in: updatable.map(occurrence => occurrence._id) } },
+        { ...updateData, updatedAt: new Date() },
+        { runValidators: true, session }
+      );
+      for (const { occurrence, tables } of reallocated) {
+        await Reservation.updateOne({ _id: occurrence._id }, { tableNumber: tables }, { session });
+      }
+      await ReservationSeries.updateOne({ _id: series._id }, updateData, { session });
+    });
+  } catch (error) {
+    if (error.conflicts) {
+      return sendTableConflict(res, error);
+    }
+    throw error;
+  }
+
+  const [updatedSeries, reservations] = await Promise.all([
+    ReservationSeries.findById(series._id),
+    Reservation.find({ _id: { $in: updatable.map(occurrence => occurrence._id) } }).sort({ date: 1 }),
+  ]);
+
+  reservations.forEach(reservation => publishReservationEvent('reservation.updated', reservation));
+
+  for (const occurrence of moved) {
+    await passToWaitlist(occurrence.date, schedule);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: `${reservations.length} reservations of the series updated`,
+    data: {
+      series: updatedSeries,
+      reservations,
+    },
+    ...(skipped.length > 0 && { skipped }),
+  });
+});
+
+// @desc    Cancel every upcoming reservation of a series
+// @route   DELETE /api/reservations/series/:id
+// @access  Private
+const cancelReservationSeries = asyncHandler(async (req, res) => {
+  const series = await findOwnSeries(req, res, 'cancel');
+  if (!series) return;
+
+  if (series.status !== 'active') {
+    return res.status(400).json({
+      success: false,
+      message: 'This reservation series is already cancelled',
+    });
+  }
+
+  const schedule = await loadSchedule();
+  const now = new Date();
+
+  // Occurrences too close to their seating stay booked, as they would on their own
+  const cancellable = [];
+  const skipped = [];
+  for (const occurrence of await findUpcomingOccurrences(series, schedule, now)) {
+    const cancellationCheck = canCancelReservation(occurrence.date, occurrence.slot, schedule, now);
+    if (cancellationCheck.canCancel) {
+      cancellable.push(occurrence);
+    } else {
+      skipped.push(describeOccurrence(occurrence, cancellationCheck.message));
+    }
+  }
+
+  if (cancellable.length === 0 && skipped.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'No upcoming reservation of this series can be cancelled',
+      skipped,
+    });
+  }
+
+  // Cancel and free the tables together
+  await runAtomically(async ({ session, onRollback }) => {
+    for (const occurrence of cancellable) {
+      if (occurrence.tableNumber.length > 0) {
+        await releaseTables(occurrence.tableNumber, occurrence.date, occurrence.slot, { session, onRollback, schedule });
+      }
+    }
+
+    await Reservation.updateMany(
+      { _id: { $in: cancellable.map(occurrence => occurrence._id) } },
+      { status: 'cancelled', updatedAt: new Date() },
+      { session }
+    );
+    await ReservationSeries.updateOne({ _id: series._id }, { status: 'cancelled' }, { session });
+  });
+
+  if (cancellable.length > 0) {
+    try {
+      await User.findByIdAndUpdate(req.user._id, {
+        $inc: {
+          totalReservations: -cancellable.length,
+        },
+      });
+    } catch (error) {
+      console.error('Error updating user statistics:', error);
+    }
+  }
+
+  const [cancelledSeries, cancelled] = await Promise.all([
+    ReservationSeries.findById(series._id),
+    Reservation.find({ _id: { $in: cancellable.map(occurrence => occurrence._id) } }).sort({ date: 1 }),
+  ]);
+  cancelled.forEach(reservation => publishReservationEvent('reservation.cancelled', reservation));
+
+  for (const reservation of cancelled) {
+    if (reservation.tableNumber.length > 0) {
+      await passToWaitlist(reservation.date, schedule);
+    }
+  }
+
+  res.status(200).json({
+    success: true,
+    message: `${cancelled.length} reservations of the series cancelled`,
+    data: {
+      series: cancelledSeries,
+      reservations: cancelled,
+    },
+    ...(skipped.length > 0 && { skipped }),
+  });
+});
+
 module.exports = {
   createReservation,
+  createGuestReservation,
+  createReservationSeries,
+  getReservationSeries,
+  updateReservationSeries,
+  cancelReservationSeries,
   getUserReservations,
   getAdminReservations,
   updateAdminReservation,
@@ -0,0 +1,283 @@
+const ServiceSchedule = require('../models/ServiceSchedule');
+const ScheduleException = require('../models/ScheduleException');
+const Reservation = require('../models/Reservation');
+const asyncHandler = require('../utils/asyncHandler');
+const { validateSchedule, validateScheduleException } = require('../utils/validation');
+const {
+  DEFAULT_SCHEDULE,
+  loadSchedule,
+  getSlotsForDate,
+  getBlockedSlots,
+  findServicesProblem,
+  findScheduleProblem,
+} = require('../utils/timeSlots');
+const { findClosure, getClosuresForDate } = require('../utils/closures');
+const { toCalendarDate, today, addDays } = require('../utils/timezone');
+
+/**
+ * Get the active reservations from today on, optionally limited to a range of days
+ * @param {object} range - { from?: Date, to?: Date } (days, inclusive)
+ * @returns {Promise<Array>} Reservations (number, date, slot, tables)
+ */
+const findUpcomingReservations = ({ from, to } = {}) => {
+  const firstDay = today();
+  const dateRange = { $gte: from && from > firstDay ? from : firstDay };
+  if (to) {
+    dateRange.$lt = addDays(to, 1);
+  }
+
+  return Reservation.find({
+    status: { $in: ['pending', 'confirmed', 'seated'] },
+    date: dateRange,
+  }).select('reservationNumber date slot tableNumber');
+};
+
+/**
+ * Find upcoming reservations whose slot would start at another time, or hold its tables
+ * for other slots, under a new schedule. Slot numbers are stored on reservations and table
+ * bookings, so such a change would silently move them.
+ */
+const findAffectedReservations = async (currentSchedule, newSchedule, range) => {
+  const reservations = await findUpcomingReservations(range);
+
+  return reservations.filter(reservation => {
+    const before = getSlotsForDate(reservation.date, currentSchedule).find(s => s.slot === reservation.slot);
+    const after = getSlotsForDate(reservation.date, newSchedule).find(s => s.slot === reservation.slot);
+
+    return !before || !after || before.label !== after.label ||
+      getBlockedSlots(reservation.slot, reservation.date, currentSchedule).join() !==
+      getBlockedSlots(reservation.slot, reservation.date, newSchedule).join();
+  });
+};
+
+const summarizeReservation = (reservation) => ({
+  reservationId: reservation._id,
+  reservationNumber: reservation.reservationNumber,
+  date: reservation.date,
+  slot: reservation.slot,
+});
+
+// @desc    Get the service schedule
+// @route   GET /api/schedule
+// @access  Public
+const getSchedule = asyncHandler(async (req, res) => {
+  const saved = await ServiceSchedule.getActive();
+
+  res.status(200).json({
+    success: true,
+    data: {
+      ...(saved || DEFAULT_SCHEDULE),
+      isDefault: !saved,
+    },
+  });
+});
+
+// @desc    Replace the service schedule
+// @route   PUT /api/schedule
+// @access  Private/Admin
+const updateSchedule = asyncHandler(async (req, res) => {
+  const { error, value } = validateSchedule(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error.details[0].message,
+    });
+  }
+
+  const problem = findScheduleProblem(value);
+  if (problem) {
+    return res.status(400).json({
+      success: false,
+      message: problem,
+    });
+  }
+
+  const current = await loadSchedule();
+  const affected = await findAffectedReservations(current, { ...value, exceptions: current.exceptions });
+  if (affected.length > 0) {
+    return res.status(409).json({
+      success: false,
+      message: `${affected.length} upcoming reservation(s) would change time or duration under this schedule`,
+      affectedReservations: affected.map(summarizeReservation),
+    });
+  }
+
+  const schedule = await ServiceSchedule.findOneAndUpdate(
+    { key: 'default' },
+    { ...value, updatedBy: req.user._id },
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+
+  res.status(200).json({
+    success: true,
+    message: 'Service schedule updated successfully',
+    data: schedule,
+  });
+});
+
+// @desc    Get the reservation slots of a date
+// @route   GET /api/schedule/slots?date=YYYY-MM-DD
+// @access  Public
+const getScheduleSlots = asyncHandler(async (req, res) => {
+  const { date } = req.query;
+
+  if (!date || Number.isNaN(new Date(date).getTime())) {
+    return res.status(400).json({
+      success: false,
+      message: 'A valid date parameter is required',
+    });
+  }
+
+  const schedule = await loadSchedule();
+
+  res.status(200).json({
+    success: true,
+    data: {
+      date,
+      slotLength: schedule.slotLength,
+      seatingDuration: schedule.seatingDuration,
+      slots: getSlotsForDate(date, schedule).map(slot => {
+        const closure = findClosure(date, slot.slot, [], schedule);
+        return { ...slot, closed: Boolean(closure), ...(closure && { closedReason: closure.reason }) };
+      }),
+      closures: getClosuresForDate(date, schedule),
+    },
+  });
+});
+
+// @desc    Get current and upcoming closures and exceptional openings
+// @route   GET /api/schedule/exceptions
+// @access  Public
+const getScheduleExceptions = asyncHandler(async (req, res) => {
+  const exceptions = await ScheduleException.findCurrent();
+
+  res.status(200).json({
+    success: true,
+    count: exceptions.length,
+    data: exceptions,
+  });
+});
+
+// @desc    Close the restaurant (or some tables/slots), or open it exceptionally, on a range of dates
+// @route   POST /api/schedule/exceptions
+// @access  Private/Admin
+const createScheduleException = asyncHandler(async (req, res) => {
+  const { error, value } = validateScheduleException(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error.details[0].message,
+    });
+  }
+
+  const startDate = toCalendarDate(req.body.startDate);
+  const endDate = toCalendarDate(req.body.endDate || req.body.startDate);
+  const current = await loadSchedule();
+
+  const exception = new ScheduleException({
+    ...value,
+    startDate,
+    endDate,
+    createdBy: req.user._id,
+  });
+
+  if (exception.type === 'opening') {
+    const problem = findServicesProblem(value.services, 'in this opening');
+    if (problem) {
+      return res.status(400).json({
+        success: false,
+        message: problem,
+      });
+    }
+
+    const overlapping = current.exceptions.find(existing =>
+      existing.type === 'opening' && existing.startDate <= endDate && existing.endDate >= startDate
+    );
+    if (overlapping) {
+      return res.status(409).json({
+        success: false,
+        message: `These dates overlap another exceptional opening (${overlapping.reason})`,
+      });
+    }
+
+    // An opening renumbers the slots of its dates: existing reservations must keep their time
+    const withOpening = { ...current, exceptions: [exception.toObject(), ...current.exceptions] };
+    const affected = await findAffectedReservations(current, withOpening, { from: startDate, to: endDate });
+    if (affected.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `${affected.length} reservation(s) on these dates would change time under this opening`,
+        affectedReservations: affected.map(summarizeReservation),
+      });
+    }
+  }
+
+  await exception.save();
+
+  // Existing reservations are kept; the admin gets the list of guests to contact
+  let affectedReservations = [];
+  if (exception.type === 'closure') {
+    const candidates = await findUpcomingReservations({ from: startDate, to: endDate });
+    const closureOnly = { ...current, exceptions: [exception.toObject()] };
+    affectedReservations = candidates
+      .filter(reservation => findClosure(reservation.date, reservation.slot, reservation.tableNumber, closureOnly))
+      .map(summarizeReservation);
+  }
+
+  res.status(201).json({
+    success: true,
+    message: `${exception.type === 'closure' ? 'Closure' : 'Opening'} created successfully`,
+    data: exception,
+    affectedReservations,
+  });
+});
+
+// @desc    Delete a closure or exceptional opening
+// @route   DELETE /api/schedule/exceptions/:id
+// @access  Private/Admin
+const deleteScheduleException = asyncHandler(async (req, res) => {
+  const exception = await ScheduleException.findById(req.params.id);
+
+  if (!exception) {
+    return res.status(404).json({
+      success: false,
+      message: 'Schedule exception not found',
+    });
+  }
+
+  if (exception.type === 'opening') {
+    const current = await loadSchedule();
+    const withoutOpening = {
+      ...current,
+      exceptions: current.exceptions.filter(existing => existing._id.toString() !== exception._id.toString()),
+    };
+    const affected = await findAffectedReservations(current, withoutOpening, {
+      from: exception.startDate,
+      to: exception.endDate,
+    });
+
+    if (affected.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `${affected.length} reservation(s) depend on this opening`,
+        affectedReservations: affected.map(summarizeReservation),
+      });
+    }
+  }
+
+  await exception.deleteOne();
+
+  res.status(200).json({
+    success: true,
+    message: 'Schedule exception deleted successfully',
+  });
+});
+
+module.exports = {
+  getSchedule,
+  updateSchedule,
+  getScheduleSlots,
+  getScheduleExceptions,
+  createScheduleException,
+  deleteScheduleException,
+};
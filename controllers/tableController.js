@@ -1,17 +1,67 @@
+const mongoose = require('mongoose');
 const Table = require('../models/Table');
+const Zone = require('../models/Zone');
 const asyncHandler = require('../utils/asyncHandler');
+const { validateTable } = require('../utils/validation');
 const {
   getTableAvailability,
   findAvailableTables,
-  addTableBooking,
-  removeTableBooking
+  bookTables,
+  releaseTables
 } = require('../utils/reservationHelpers');
+const { runAtomically } = require('../utils/transactions');
+const { isValidSlot, loadSchedule } = require('../utils/timeSlots');
+const { findClosure, getClosuresForDate } = require('../utils/closures');
+const { today } = require('../utils/timezone');
+
+// Answer 400 for a zone query parameter that is not a zone ID; returns false if it did
+const checkZoneParam = (zone, res) => {
+  if (zone && !mongoose.Types.ObjectId.isValid(zone)) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid zone'
+    });
+    return false;
+  }
+  return true;
+};
+
+/**
+ * Check the zone and joinable tables of a table being created or updated
+ * @param {object} layout - Validated table fields
+ * @param {number} tableNumber - Number of the table
+ * @returns {Promise<string|null>} A description of the problem, or null if the layout is valid
+ */
+const findLayoutProblem = async ({ zone, joinableWith }, tableNumber) => {
+  if (zone && !(await Zone.exists({ _id: zone }))) {
+    return 'Zone not found';
+  }
+
+  if (joinableWith && joinableWith.length > 0) {
+    if (joinableWith.includes(tableNumber)) {
+      return 'A table cannot be joined with itself';
+    }
+
+    const existing = await Table.find({ tableNumber: { $in: joinableWith } }).distinct('tableNumber');
+    const unknown = joinableWith.filter(number => !existing.includes(number));
+    if (unknown.length > 0) {
+      return `Unknown table(s) to join with: ${unknown.join(', ')}`;
+    }
+  }
+
+  return null;
+};
 
-// @desc    Get all tables
-// @route   GET /api/tables
+// @desc    Get all tables, with their floor plan layout
+// @route   GET /api/tables?zone=<zoneId>
 // @access  Private/Admin
 const getTables = asyncHandler(async (req, res) => {
-  const tables = await Table.find().sort({ tableNumber: 1 });
+  const { zone } = req.query;
+  if (!checkZoneParam(zone, res)) return;
+
+  const tables = await Table.find(zone ? { zone } : {})
+    .populate('zone', 'name')
+    .sort({ tableNumber: 1 });
 
   res.status(200).json({
     success: true,
@@ -21,10 +71,10 @@ const getTables = asyncHandler(async (req, res) => {
 });
 
 // @desc    Get table availability for a specific date
-// @route   GET /api/tables/availability?date=YYYY-MM-DD
+// @route   GET /api/tables/availability?date=YYYY-MM-DD&zone=<zoneId>
 // @access  Private
 const getTableAvailabilityForDate = asyncHandler(async (req, res) => {
-  const { date } = req.query;
+  const { date, zone } = req.query;
 
   if (!date) {
     return res.status(400).json({
@@ -32,21 +82,24 @@ const getTableAvailabilityForDate = asyncHandler(async (req, res) => {
       message: 'Date parameter is required'
     });
   }
+  if (!checkZoneParam(zone, res)) return;
 
-  const availability = await getTableAvailability(date);
+  const schedule = await loadSchedule();
+  const availability = await getTableAvailability(date, schedule, { zone });
 
   res.status(200).json({
     success: true,
     data: availability,
+    closures: getClosuresForDate(date, schedule),
     date: date
   });
 });
 
-// @desc    Find available tables for specific date, slot and capacity
-// @route   GET /api/tables/available?date=YYYY-MM-DD&slot=1&capacity=4
+// @desc    Find available tables for specific date and slot, with a suggested allocation for the party
+// @route   GET /api/tables/available?date=YYYY-MM-DD&slot=1&guests=4&zone=<zoneId> (capacity= is accepted as an alias of guests)
 // @access  Private
 const getAvailableTables = asyncHandler(async (req, res) => {
-  const { date, slot, capacity = 1 } = req.query;
+  const { date, slot, guests, zone, capacity = 1 } = req.query;
 
   if (!date || !slot) {
     return res.status(400).json({
@@ -54,24 +107,36 @@ const getAvailableTables = asyncHandler(async (req, res) => {
       message: 'Date and slot parameters are required'
     });
   }
+  if (!checkZoneParam(zone, res)) return;
 
   const slotNumber = parseInt(slot, 10);
-  const requiredCapacity = parseInt(capacity, 10);
+  const partySize = parseInt(guests || capacity, 10);
+  const schedule = await loadSchedule();
+
+  if (!(await isValidSlot(slotNumber, date, schedule))) {
+    return res.status(400).json({
+      success: false,
+      message: 'Slot is not open on this date'
+    });
+  }
 
-  if (slotNumber < 1 || slotNumber > 9) {
+  if (!partySize || partySize < 1) {
     return res.status(400).json({
       success: false,
-      message: 'Slot must be between 1 and 9'
+      message: 'Guests must be a number of at least 1'
     });
   }
 
-  const tables = await findAvailableTables(date, slotNumber, requiredCapacity);
+  const tables = await findAvailableTables(date, slotNumber, partySize, { schedule, zone });
+  const closure = findClosure(date, slotNumber, [], schedule);
 
   res.status(200).json({
     success: true,
     data: {
       availableTables: tables.availableTables,
-      occupiedTables: tables.occupiedTables
+      occupiedTables: tables.occupiedTables,
+      suggestion: tables.suggestion,
+      closedReason: closure ? closure.reason : null
     }
   });
 });
@@ -95,23 +160,106 @@ const getTable = asyncHandler(async (req, res) => {
   });
 });
 
-// @desc    Update table (capacity, notes, isActive)
+// @desc    Create a table
+// @route   POST /api/tables
+// @access  Private/Admin
+const createTable = asyncHandler(async (req, res) => {
+  const { error, value } = validateTable(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error.details[0].message
+    });
+  }
+
+  if (await Table.exists({ tableNumber: value.tableNumber })) {
+    return res.status(409).json({
+      success: false,
+      message: `Table ${value.tableNumber} already exists`
+    });
+  }
+
+  const problem = await findLayoutProblem(value, value.tableNumber);
+  if (problem) {
+    return res.status(400).json({
+      success: false,
+      message: problem
+    });
+  }
+
+  const table = await Table.create(value);
+
+  res.status(201).json({
+    success: true,
+    message: 'Table created successfully',
+    data: table
+  });
+});
+
+// @desc    Update table (capacity, notes, isActive, zone and floor plan layout)
 // @route   PUT /api/tables/:id
 // @access  Private/Admin
 const updateTable = asyncHandler(async (req, res) => {
-  const { capacity, notes, isActive } = req.body;
+  const { error, value } = validateTable(req.body, { isUpdate: true });
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error.details[0].message
+    });
+  }
+
+  const existing = await Table.findById(req.params.id);
+  if (!existing) {
+    return res.status(404).json({
+      success: false,
+      message: 'Table not found'
+    });
+  }
+
+  const problem = await findLayoutProblem(value, existing.tableNumber);
+  if (problem) {
+    return res.status(400).json({
+      success: false,
+      message: problem
+    });
+  }
+
+  // Position is merged so that moving a table does not reset its rotation
+  const { position, joinableWith, ...fields } = value;
+  const updateData = { ...fields };
+  if (position) {
+    Object.entries(position).forEach(([key, coordinate]) => {
+      updateData[`position.${key}`] = coordinate;
+    });
+  }
 
-  const updateData = {};
-  if (capacity !== undefined) updateData.capacity = capacity;
-  if (notes !== undefined) updateData.notes = notes;
-  if (isActive !== undefined) updateData.isActive = isActive;
+  const update = { $set: updateData };
+  if (joinableWith === null) {
+    // Back to joining tables with consecutive numbers
+    update.$unset = { joinableWith: 1 };
+  } else if (joinableWith) {
+    updateData.joinableWith = joinableWith;
+  }
 
   const table = await Table.findByIdAndUpdate(
     req.params.id,
-    updateData,
+    update,
     { new: true, runValidators: true }
   );
 
+  res.status(200).json({
+    success: true,
+    message: 'Table updated successfully',
+    data: table
+  });
+});
+
+// @desc    Delete a table without upcoming bookings
+// @route   DELETE /api/tables/:id
+// @access  Private/Admin
+const deleteTable = asyncHandler(async (req, res) => {
+  const table = await Table.findById(req.params.id);
+
   if (!table) {
     return res.status(404).json({
       success: false,
@@ -119,10 +267,29 @@ const updateTable = asyncHandler(async (req, res) => {
     });
   }
 
+  const upcoming = table.tableBookings.filter(booking =>
+    booking.date >= today() && booking.bookedSlots.length > 0
+  );
+  if (upcoming.length > 0) {
+    return res.status(409).json({
+      success: false,
+      message: `Table ${table.tableNumber} has bookings on ${upcoming.length} upcoming day(s); deactivate it instead or move its reservations first`,
+      dates: upcoming.map(booking => booking.date)
+    });
+  }
+
+  await runAtomically(async ({ session }) => {
+    await Table.deleteOne({ _id: table._id }, { session });
+    await Table.updateMany(
+      { joinableWith: table.tableNumber },
+      { $pull: { joinableWith: table.tableNumber } },
+      { session }
+    );
+  });
+
   res.status(200).json({
     success: true,
-    message: 'Table updated successfully',
-    data: table
+    message: 'Table deleted successfully'
   });
 });
 
@@ -140,10 +307,10 @@ const addBookingToTable = asyncHandler(async (req, res) => {
   }
 
   const slotNumber = parseInt(slot, 10);
-  if (slotNumber < 1 || slotNumber > 7) {
+  if (!(await isValidSlot(slotNumber, date))) {
     return res.status(400).json({
       success: false,
-      message: 'Slot must be between 1 and 7 (requires 3 consecutive slots)'
+      message: 'Slot is not open on this date'
     });
   }
 
@@ -155,12 +322,23 @@ const addBookingToTable = asyncHandler(async (req, res) => {
     });
   }
 
-  await addTableBooking(table, date, slotNumber);
+  try {
+    await runAtomically(options => bookTables([table.tableNumber], date, slotNumber, options));
+  } catch (error) {
+    if (error.conflicts) {
+      return res.status(409).json({
+        success: false,
+        message: error.message,
+        conflicts: error.conflicts
+      });
+    }
+    throw error;
+  }
 
   res.status(200).json({
     success: true,
     message: 'Booking added to table successfully',
-    data: table
+    data: await Table.findById(table._id)
   });
 });
 
@@ -178,10 +356,10 @@ const removeBookingFromTable = asyncHandler(async (req, res) => {
   }
 
   const slotNumber = parseInt(slot, 10);
-  if (slotNumber < 1 || slotNumber > 7) {
+  if (!(await isValidSlot(slotNumber, date))) {
     return res.status(400).json({
       success: false,
-      message: 'Slot must be between 1 and 7 (requires 3 consecutive slots)'
+      message: 'Slot is not open on this date'
     });
   }
 
@@ -193,12 +371,12 @@ const removeBookingFromTable = asyncHandler(async (req, res) => {
     });
   }
 
-  await removeTableBooking(table, date, slotNumber);
+  await releaseTables([table.tableNumber], date, slotNumber);
 
   res.status(200).json({
     success: true,
     message: 'Booking removed from table successfully',
-    data: table
+    data: await Table.findById(table._id)
   });
 });
 
@@ -219,7 +397,9 @@ module.exports = {
   getTableAvailabilityForDate,
   getAvailableTables,
   getTable,
+  createTable,
   updateTable,
+  deleteTable,
   addBookingToTable,
   removeBookingFromTable,
   initializeTables
@@ -1,5 +1,8 @@
 const User = require('../models/User');
+const Session = require('../models/Session');
 const asyncHandler = require('../utils/asyncHandler');
+const { invalidateUserTokens } = require('../utils/sessions');
+const { unlockAccount } = require('../utils/loginThrottle');
 
 // @desc    Get all users
 // @route   GET /api/users
@@ -96,16 +99,24 @@ const updateUser = asyncHandler(async (req, res) => {
     }
   });
 
+  const previous = await User.findById(req.params.id);
+  if (!previous) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found',
+    });
+  }
+
   const user = await User.findByIdAndUpdate(req.params.id, fieldsToUpdate, {
     new: true,
     runValidators: true,
   }).select('-password');
 
-  if (!user) {
-    return res.status(404).json({
-      success: false,
-      message: 'User not found',
-    });
+  // Tokens carry the access the user had when they were issued: end them on a role change or deactivation
+  if (previous.isActive && user.isActive === false) {
+    await invalidateUserTokens(user, 'deactivated');
+  } else if (previous.role !== user.role) {
+    await invalidateUserTokens(user, 'role-change');
   }
 
   res.status(200).json({
@@ -137,6 +148,7 @@ const deleteUser = asyncHandler(async (req, res) => {
   }
 
   await User.findByIdAndDelete(req.params.id);
+  await Session.deleteMany({ userId: user._id });
 
   res.status(200).json({
     success: true,
@@ -144,6 +156,29 @@ const deleteUser = asyncHandler(async (req, res) => {
   });
 });
 
+// @desc    Lift the login lock of a user after repeated failed logins
+// @route   POST /api/users/:id/unlock
+// @access  Private/Admin
+const unlockUser = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found',
+    });
+  }
+
+  const hadFailures = await unlockAccount(user.email);
+
+  res.status(200).json({
+    success: true,
+    message: hadFailures
+      ? `Login unlocked for ${user.email}`
+      : `${user.email} had no failed logins to clear`,
+  });
+});
+
 // @desc    Get user statistics
 // @route   GET /api/users/stats
 // @access  Private/Admin
@@ -235,6 +270,7 @@ module.exports = {
   getUser,
   updateUser,
   deleteUser,
+  unlockUser,
   getUserStats,
   getAdminUsers,
 };
\ No newline at end of file
@@ -0,0 +1,322 @@
+const WaitlistEntry = require('../models/WaitlistEntry');
+const User = require('../models/User');
+const asyncHandler = require('../utils/asyncHandler');
+const { validateWaitlistEntry } = require('../utils/validation');
+const { isValidSlot, loadSchedule } = require('../utils/timeSlots');
+const { findClosure, describeClosure } = require('../utils/closures');
+const { isValidNewReservationTime, findAvailableTables } = require('../utils/reservationHelpers');
+const { offerFreedSeats, withdrawOffer, acceptOffer, reopenOffer } = require('../utils/waitlist');
+const {
+  getDepositRequirement,
+  buildDeposit,
+  loadDepositPolicy,
+  startDepositPayment,
+} = require('../utils/deposits');
+const { toCalendarDate, addDays } = require('../utils/timezone');
+const { publishReservationEvent, publishWaitlistEvent } = require('../utils/eventStream');
+
+// Load a waitlist entry of the current user, or answer 404/403
+const findOwnEntry = async (req, res) => {
+  const entry = await WaitlistEntry.findById(req.params.id);
+
+  if (!entry) {
+    res.status(404).json({
+      success: false,
+      message: 'Waitlist entry not found',
+    });
+    return null;
+  }
+
+  if (entry.userId.toString() !== req.user._id.toString()) {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to access this waitlist entry',
+    });
+    return null;
+  }
+
+  return entry;
+};
+
+// Number of entries ahead in the queue of the same date and slot, plus one
+const getQueuePosition = async (entry) => {
+  const ahead = await WaitlistEntry.countDocuments({
+    date: entry.date,
+    slot: entry.slot,
+    status: 'waiting',
+    createdAt: { $lt: entry.createdAt },
+  });
+  return ahead + 1;
+};
+
+// @desc    Join the waitlist of a fully booked slot
+// @route   POST /api/waitlist
+// @access  Private
+const joinWaitlist = asyncHandler(async (req, res) => {
+  const { error } = validateWaitlistEntry(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error.details[0].message,
+    });
+  }
+
+  const { slot, guests, specialRequest, contactPhone } = req.body;
+  const date = toCalendarDate(req.body.date);
+
+  const schedule = await loadSchedule();
+  if (!(await isValidSlot(slot, date, schedule))) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid slot number',
+    });
+  }
+
+  const closure = findClosure(date, slot, [], schedule);
+  if (closure) {
+    return res.status(400).json({
+      success: false,
+      message: describeClosure(closure),
+    });
+  }
+
+  const timeCheck = isValidNewReservationTime(date, slot, schedule);
+  if (!timeCheck.isValid) {
+    return res.status(400).json({
+      success: false,
+      message: timeCheck.message,
+    });
+  }
+
+  const { suggestion } = await findAvailableTables(date, slot, guests, { schedule });
+  if (suggestion) {
+    return res.status(400).json({
+      success: false,
+      message: 'Tables are available for this time, please book directly',
+      suggestion,
+    });
+  }
+
+  const existing = await WaitlistEntry.findOne({
+    userId: req.user._id,
+    date,
+    slot,
+    status: { $in: ['waiting', 'offered'] },
+  });
+  if (existing) {
+    return res.status(409).json({
+      success: false,
+      message: 'You are already on the waitlist for this time',
+      data: existing,
+    });
+  }
+
+  const entry = await WaitlistEntry.create({
+    userId: req.user._id,
+    userEmail: req.user.email,
+    userName: req.user.name,
+    date,
+    slot,
+    guests,
+    specialRequest,
+    contactPhone,
+  });
+
+  publishWaitlistEvent('waitlist.joined', entry);
+
+  res.status(201).json({
+    success: true,
+    message: 'Added to the waitlist',
+    data: entry,
+    position: await getQueuePosition(entry),
+  });
+});
+
+// @desc    Get current user's waitlist entries
+// @route   GET /api/waitlist
+// @access  Private
+const getMyWaitlist = asyncHandler(async (req, res) => {
+  const entries = await WaitlistEntry.find({ userId: req.user._id }).sort({ createdAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    count: entries.length,
+    data: entries,
+  });
+});
+
+// @desc    Accept a seat offer: the entry becomes a reservation on the held tables
+// @route   POST /api/waitlist/:id/accept
+// @access  Private
+const acceptWaitlistOffer = asyncHandler(async (req, res) => {
+  const entry = await findOwnEntry(req, res);
+  if (!entry) return;
+
+  if (entry.status !== 'offered') {
+    return res.status(400).json({
+      success: false,
+      message: 'There is no open offer for this waitlist entry',
+    });
+  }
+
+  // Waitlist bookings follow the deposit policy like direct ones
+  const policy = await loadDepositPolicy();
+  const requirement = getDepositRequirement(policy, {
+    guests: entry.guests,
+    date: entry.date,
+    noShowCount: req.user.noShowCount,
+  });
+  const deposit = requirement &&
+    buildDeposit(requirement, { date: entry.date, slot: entry.slot }, policy, await loadSchedule());
+
+  let result;
+  try {
+    result = await acceptOffer(entry, { deposit });
+  } catch (error) {
+    if (error.statusCode === 409) {
+      return res.status(409).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    throw error;
+  }
+
+  let payment = null;
+  if (deposit) {
+    try {
+      payment = await startDepositPayment(result.reservation, req.user);
+    } catch (error) {
+      console.error('Stripe deposit intent error:', error);
+
+      // The offer stays open on its held tables: the guest can accept again until the hold ends
+      await reopenOffer(result.entry, result.reservation);
+
+      return res.status(502).json({
+        success: false,
+        message: 'Failed to start the deposit payment',
+        error: error.message,
+      });
+    }
+  }
+
+  // Update user statistics
+  try {
+    await User.findByIdAndUpdate(req.user._id, {
+      $inc: {
+        totalReservations: 1,
+      },
+    });
+  } catch (error) {
+    console.error('Error updating user statistics:', error);
+  }
+
+  publishWaitlistEvent('waitlist.accepted', result.entry);
+  publishReservationEvent('reservation.created', result.reservation);
+
+  res.status(201).json({
+    success: true,
+    message: payment
+      ? 'Reservation pending: complete the deposit payment to confirm it'
+      : 'Reservation created from the waitlist',
+    data: result.reservation,
+    ...(payment && { payment }),
+  });
+});
+
+// @desc    Decline a seat offer: the seat passes to the next entry
+// @route   POST /api/waitlist/:id/decline
+// @access  Private
+const declineWaitlistOffer = asyncHandler(async (req, res) => {
+  const entry = await findOwnEntry(req, res);
+  if (!entry) return;
+
+  const schedule = await loadSchedule();
+  const declined = await withdrawOffer(entry, 'declined', { schedule });
+  if (!declined) {
+    return res.status(400).json({
+      success: false,
+      message: 'There is no open offer for this waitlist entry',
+    });
+  }
+
+  publishWaitlistEvent('waitlist.declined', declined);
+  await offerFreedSeats(declined.date, { schedule });
+
+  res.status(200).json({
+    success: true,
+    message: 'Offer declined',
+    data: declined,
+  });
+});
+
+// @desc    Leave the waitlist (releasing any held tables)
+// @route   DELETE /api/waitlist/:id
+// @access  Private
+const leaveWaitlist = asyncHandler(async (req, res) => {
+  const entry = await findOwnEntry(req, res);
+  if (!entry) return;
+
+  let cancelled = null;
+  if (entry.status === 'waiting') {
+    cancelled = await WaitlistEntry.findOneAndUpdate(
+      { _id: entry._id, status: 'waiting' },
+      { status: 'cancelled' },
+      { new: true }
+    );
+  } else if (entry.status === 'offered') {
+    const schedule = await loadSchedule();
+    cancelled = await withdrawOffer(entry, 'cancelled', { schedule });
+    if (cancelled) {
+      await offerFreedSeats(cancelled.date, { schedule });
+    }
+  }
+
+  if (!cancelled) {
+    return res.status(400).json({
+      success: false,
+      message: 'This waitlist entry is no longer active',
+    });
+  }
+
+  publishWaitlistEvent('waitlist.cancelled', cancelled);
+
+  res.status(200).json({
+    success: true,
+    message: 'Removed from the waitlist',
+    data: cancelled,
+  });
+});
+
+// @desc    Get the waitlist (Admin)
+// @route   GET /api/waitlist/admin?date=YYYY-MM-DD&status=waiting
+// @access  Private/Admin
+const getAdminWaitlist = asyncHandler(async (req, res) => {
+  const { date, status } = req.query;
+
+  const query = {};
+  if (status) query.status = status;
+  if (date) {
+    const day = toCalendarDate(date);
+    query.date = { $gte: day, $lt: addDays(day, 1) };
+  }
+
+  const entries = await WaitlistEntry.find(query)
+    .populate('userId', 'name email phone')
+    .sort({ date: 1, slot: 1, createdAt: 1 });
+
+  res.status(200).json({
+    success: true,
+    count: entries.length,
+    data: entries,
+  });
+});
+
+module.exports = {
+  joinWaitlist,
+  getMyWaitlist,
+  acceptWaitlistOffer,
+  declineWaitlistOffer,
+  leaveWaitlist,
+  getAdminWaitlist,
+};
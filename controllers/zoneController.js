@@ -0,0 +1,139 @@
+const Zone = require('../models/Zone');
+const Table = require('../models/Table');
+const asyncHandler = require('../utils/asyncHandler');
+const { validateZone } = require('../utils/validation');
+
+// Answer 409 if another zone already has this name; returns false if it did
+const checkNameAvailable = async (name, res, exceptId = null) => {
+  const existing = await Zone.findOne({
+    name: name.trim(),
+    ...(exceptId && { _id: { $ne: exceptId } }),
+  }).collation({ locale: 'en', strength: 2 });
+
+  if (existing) {
+    res.status(409).json({
+      success: false,
+      message: `A zone named ${existing.name} already exists`,
+    });
+    return false;
+  }
+  return true;
+};
+
+// @desc    Get the floor zones, with the number of tables in each
+// @route   GET /api/zones
+// @access  Private
+const getZones = asyncHandler(async (req, res) => {
+  const [zones, counts] = await Promise.all([
+    Zone.find().sort({ displayOrder: 1, name: 1 }).lean(),
+    Table.aggregate([
+      { $match: { isActive: true, zone: { $ne: null } } },
+      { $group: { _id: '$zone', tables: { $sum: 1 }, seats: { $sum: '$capacity' } } },
+    ]),
+  ]);
+
+  const byZone = new Map(counts.map(count => [count._id.toString(), count]));
+
+  res.status(200).json({
+    success: true,
+    count: zones.length,
+    data: zones.map(zone => {
+      const count = byZone.get(zone._id.toString());
+      return {
+        ...zone,
+        tables: count ? count.tables : 0,
+        seats: count ? count.seats : 0,
+      };
+    }),
+  });
+});
+
+// @desc    Create a floor zone
+// @route   POST /api/zones
+// @access  Private/Admin
+const createZone = asyncHandler(async (req, res) => {
+  const { error, value } = validateZone(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error.details[0].message,
+    });
+  }
+
+  if (!(await checkNameAvailable(value.name, res))) return;
+
+  const zone = await Zone.create(value);
+
+  res.status(201).json({
+    success: true,
+    message: 'Zone created successfully',
+    data: zone,
+  });
+});
+
+// @desc    Update a floor zone
+// @route   PUT /api/zones/:id
+// @access  Private/Admin
+const updateZone = asyncHandler(async (req, res) => {
+  const { error, value } = validateZone(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error.details[0].message,
+    });
+  }
+
+  if (!(await checkNameAvailable(value.name, res, req.params.id))) return;
+
+  const zone = await Zone.findByIdAndUpdate(req.params.id, value, { new: true, runValidators: true });
+
+  if (!zone) {
+    return res.status(404).json({
+      success: false,
+      message: 'Zone not found',
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Zone updated successfully',
+    data: zone,
+  });
+});
+
+// @desc    Delete a floor zone that no table belongs to
+// @route   DELETE /api/zones/:id
+// @access  Private/Admin
+const deleteZone = asyncHandler(async (req, res) => {
+  const zone = await Zone.findById(req.params.id);
+
+  if (!zone) {
+    return res.status(404).json({
+      success: false,
+      message: 'Zone not found',
+    });
+  }
+
+  const tables = await Table.find({ zone: zone._id }).distinct('tableNumber');
+  if (tables.length > 0) {
+    return res.status(409).json({
+      success: false,
+      message: `Move tables ${tables.join(', ')} to another zone before deleting ${zone.name}`,
+      tables,
+    });
+  }
+
+  await zone.deleteOne();
+
+  res.status(200).json({
+    success: true,
+    message: 'Zone deleted successfully',
+  });
+});
+
+module.exports = {
+  getZones,
+  createZone,
+  updateZone,
+  deleteZone,
+};
@@ -0,0 +1,12 @@
+const { registerJob, startJobs } = require('../utils/jobRunner');
+const { expireWaitlistOffers } = require('../utils/waitlist');
+const { markNoShows, completeSeatedReservations, expireUnpaidReservations } = require('./reservationSweeps');
+
+const MINUTE = 60 * 1000;
+
+registerJob('waitlist-expiry', MINUTE, expireWaitlistOffers);
+registerJob('reservation-no-shows', 5 * MINUTE, markNoShows);
+registerJob('reservation-completion', 5 * MINUTE, completeSeatedReservations);
+registerJob('deposit-expiry', MINUTE, expireUnpaidReservations);
+
+module.exports = { startJobs };
@@ -0,0 +1,173 @@
+const Reservation = require('../models/Reservation');
+const User = require('../models/User');
+const { runAtomically } = require('../utils/transactions');
+const { loadSchedule } = require('../utils/timeSlots');
+const { createReservationDateTime, releaseTables } = require('../utils/reservationHelpers');
+const { offerFreedSeats } = require('../utils/waitlist');
+const { chargeNoShowFee, settleCancelledDeposit } = require('../utils/deposits');
+const { today } = require('../utils/timezone');
+const { publishReservationEvent } = require('../utils/eventStream');
+
+/**
+ * Reservation sweeps.
+ * Confirmed reservations whose guests never arrived become no-shows once NO_SHOW_GRACE_MINUTES
+ * have passed since their slot; seated ones are completed once the seating duration is over.
+ * Both release the tables, so the rest of the seating can be offered to the waitlist.
+ * No-shows pay their fee (a kept deposit or a charge to the saved card), and pending reservations
+ * whose deposit was not paid in time are cancelled.
+ */
+
+const NO_SHOW_GRACE_MINUTES = parseInt(process.env.NO_SHOW_GRACE_MINUTES, 10) || 15;
+const MINUTE = 60 * 1000;
+
+// Reservations of today or earlier still in a status: later ones cannot be due yet
+const findDue = (status, now) => Reservation.find({ status, date: { $lte: today(now) } });
+
+// Start of the seating; a slot no longer in the schedule counts as over at the end of its day
+const hasStartedBefore = (reservation, schedule, moment) => {
+  const start = createReservationDateTime(reservation.date, reservation.slot, schedule);
+  return start ? start <= moment : reservation.date < today(moment);
+};
+
+/**
+ * Mark confirmed reservations as no-shows after the grace period and count it against the guest
+ * @param {Date} [now] - Current time
+ * @returns {Promise<object>} { noShows: number }
+ */
+const markNoShows = async (now = new Date()) => {
+  const schedule = await loadSchedule();
+  const deadline = new Date(now.getTime() - NO_SHOW_GRACE_MINUTES * MINUTE);
+  const freedDates = new Map();
+  let noShows = 0;
+
+  for (const reservation of await findDue('confirmed', now)) {
+    if (!hasStartedBefore(reservation, schedule, deadline)) continue;
+
+    const marked = await runAtomically(async ({ session, onRollback }) => {
+      const updated = await Reservation.findOneAndUpdate(
+        { _id: reservation._id, status: 'confirmed' },
+        { status: 'no-show' },
+        { new: true, session }
+      );
+      if (!updated) return null;
+      onRollback(() => Reservation.updateOne({ _id: reservation._id }, { status: 'confirmed' }));
+
+      if (updated.tableNumber.length > 0) {
+        await releaseTables(updated.tableNumber, updated.date, updated.slot, { session, onRollback, schedule });
+      }
+
+      if (updated.userId) {
+        await User.updateOne({ _id: updated.userId }, { $inc: { noShowCount: 1 } }, { session });
+        onRollback(() => User.updateOne({ _id: updated.userId }, { $inc: { noShowCount: -1 } }));
+      }
+
+      return updated;
+    });
+
+    if (marked) {
+      noShows++;
+      freedDates.set(marked.date.getTime(), marked.date);
+      await chargeNoShowFee(marked);
+      publishReservationEvent('reservation.updated', marked);
+    }
+  }
+
+  // The rest of tonight's seating may still suit someone on the waitlist
+  for (const date of freedDates.values()) {
+    await offerFreedSeats(date, { schedule, now });
+  }
+
+  return { noShows };
+};
+
+/**
+ * Complete seated reservations once the seating duration is over and release their tables
+ * @param {Date} [now] - Current time
+ * @returns {Promise<object>} { completed: number }
+ */
+const completeSeatedReservations = async (now = new Date()) => {
+  const schedule = await loadSchedule();
+  // Seatings that started before this moment are over
+  const end = new Date(now.getTime() - schedule.seatingDuration * MINUTE);
+  let completed = 0;
+
+  for (const reservation of await findDue('seated', now)) {
+    // Guests seated late keep their table for a full seating
+    if (!hasStartedBefore(reservation, schedule, end)) continue;
+    if (reservation.seatedAt && reservation.seatedAt > end) continue;
+
+    const done = await runAtomically(async ({ session, onRollback }) => {
+      const seated = await Reservation.findOne({ _id: reservation._id, status: 'seated' }).session(session);
+      if (!seated) return null;
+
+      await seated.complete({ session, now });
+      onRollback(() => Reservation.updateOne({ _id: seated._id }, { status: 'seated', completedAt: null }));
+
+      if (seated.tableNumber.length > 0) {
+        await releaseTables(seated.tableNumber, seated.date, seated.slot, { session, onRollback, schedule });
+      }
+      return seated;
+    });
+
+    if (done) {
+      completed++;
+      publishReservationEvent('reservation.updated', done);
+    }
+  }
+
+  return { completed };
+};
+
+/**
+ * Cancel pending reservations whose deposit was not paid in time and release their tables
+ * @param {Date} [now] - Current time
+ * @returns {Promise<object>} { expired: number }
+ */
+const expireUnpaidReservations = async (now = new Date()) => {
+  const schedule = await loadSchedule();
+  const freedDates = new Map();
+  let expired = 0;
+
+  const due = await Reservation.find({ status: 'pending', 'deposit.expiresAt': { $lte: now } });
+  for (const reservation of due) {
+    const cancelled = await runAtomically(async ({ session, onRollback }) => {
+      const updated = await Reservation.findOneAndUpdate(
+        { _id: reservation._id, status: 'pending' },
+        { status: 'cancelled' },
+        { new: true, session }
+      );
+      if (!updated) return null;
+      onRollback(() => Reservation.updateOne({ _id: reservation._id }, { status: 'pending' }));
+
+      if (updated.tableNumber.length > 0) {
+        await releaseTables(updated.tableNumber, updated.date, updated.slot, { session, onRollback, schedule });
+      }
+
+      await User.updateOne({ _id: updated.userId }, { $inc: { totalReservations: -1 } }, { session });
+      onRollback(() => User.updateOne({ _id: updated.userId }, { $inc: { totalReservations: 1 } }));
+
+      return updated;
+    });
+
+    if (cancelled) {
+      expired++;
+      freedDates.set(cancelled.date.getTime(), cancelled.date);
+      // A payment completed meanwhile is refunded when its webhook arrives (see confirmDeposit)
+      await settleCancelledDeposit(cancelled, { now });
+      publishReservationEvent('reservation.cancelled', cancelled);
+    }
+  }
+
+  for (const date of freedDates.values()) {
+    await offerFreedSeats(date, { schedule, now });
+  }
+
+  return { expired };
+};
+
+module.exports = {
+  NO_SHOW_GRACE_MINUTES,
+  markNoShows,
+  completeSeatedReservations,
+  expireUnpaidReservations,
+};
@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
 
 // Protect routes - verify JWT token
 const protect = async (req, res, next) => {
@@ -36,6 +37,27 @@ const protect = async (req, res, next) => {
       });
     }
 
+    if (!req.user.isActive) {
+      return res.status(403).json({
+        success: false,
+        code: 'ACCOUNT_DEACTIVATED',
+        message: 'This account has been deactivated',
+      });
+    }
+
+    // A password or role change bumps tokenVersion: tokens signed before it are refused.
+    // The login session must still be open too: logout and revocation end it before the token expires
+    const session = decoded.sid && await Session.findById(decoded.sid);
+    if ((decoded.tv || 0) !== req.user.tokenVersion ||
+      !session || !session.isActive() || session.userId.toString() !== decoded.id) {
+      return res.status(401).json({
+        success: false,
+        code: 'SESSION_REVOKED',
+        message: 'Session has expired or was revoked, please log in again',
+      });
+    }
+    req.authSession = session;
+
     next();
   } catch (error) {
     return res.status(401).json({
@@ -45,6 +67,9 @@ const protect = async (req, res, next) => {
   }
 };
 
+// Admin powers need an admin whose session was opened with the second factor (see utils/mfa.js)
+const hasAdminAccess = (req) => req.user.role === 'admin' && Boolean(req.authSession && req.authSession.mfaVerified);
+
 // Grant access to specific roles
 const authorize = (...roles) => {
   return (req, res, next) => {
@@ -54,8 +79,38 @@ const authorize = (...roles) => {
         message: `User role ${req.user.role} is not authorized to access this route`,
       });
     }
+
+    if (req.user.role === 'admin' && !hasAdminAccess(req)) {
+      return res.status(403).json({
+        success: false,
+        code: req.user.mfaEnabled ? 'MFA_REQUIRED' : 'MFA_SETUP_REQUIRED',
+        message: req.user.mfaEnabled
+          ? 'Log in again with your authentication code to access this route'
+          : 'Set up two-factor authentication to access this route',
+      });
+    }
+    next();
+  };
+};
+
+// Actions that need a verified email, from EMAIL_VERIFICATION_REQUIRED_FOR (e.g. 'orders,reservations')
+const verifiedEmailRequiredFor = () => (process.env.EMAIL_VERIFICATION_REQUIRED_FOR || '')
+  .split(',')
+  .map(action => action.trim())
+  .filter(Boolean);
+
+// Block users whose email is not verified from an action, when the policy requires it (admins are exempt)
+const requireVerifiedEmail = (action) => {
+  return (req, res, next) => {
+    if (req.user.role !== 'admin' && !req.user.isEmailVerified && verifiedEmailRequiredFor().includes(action)) {
+      return res.status(403).json({
+        success: false,
+        code: 'EMAIL_NOT_VERIFIED',
+        message: 'Please verify your email address first',
+      });
+    }
     next();
   };
 };
 
-module.exports = { protect, authorize };
\ No newline at end of file
+module.exports = { protect, authorize, hasAdminAccess, requireVerifiedEmail };
\ No newline at end of file
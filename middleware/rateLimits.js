@@ -0,0 +1,49 @@
+const rateLimit = require('express-rate-limit');
+const { createExpressStore } = require('../utils/rateLimitStore');
+
+const MINUTE = 60 * 1000;
+
+// Per-IP request limit for a group of routes, counted in the store picked by RATE_LIMIT_STORE
+const createLimiter = (name, { windowMs, max, message, skip }) => rateLimit({
+  windowMs,
+  max,
+  standardHeaders: true,
+  legacyHeaders: false,
+  store: createExpressStore(`limit:${name}`),
+  ...(skip && { skip }),
+  handler: (req, res, next, options) => {
+    res.status(options.statusCode).json({
+      success: false,
+      code: 'RATE_LIMITED',
+      message,
+    });
+  },
+});
+
+// /api/auth: login, registration, password reset and refresh
+const authLimiter = createLimiter('auth', {
+  windowMs: 15 * MINUTE,
+  max: parseInt(process.env.AUTH_RATE_LIMIT, 10) || 100,
+  message: 'Too many authentication requests from this IP, please try again later',
+});
+
+// Contact form submissions (the admin message routes are not limited)
+const contactLimiter = createLimiter('contact', {
+  windowMs: 60 * MINUTE,
+  max: parseInt(process.env.CONTACT_RATE_LIMIT, 10) || 5,
+  message: 'Too many messages from this IP, please try again later',
+});
+
+// /api/payments, except Stripe webhooks: Stripe sends them from a few IPs, in bursts
+const paymentLimiter = createLimiter('payments', {
+  windowMs: 15 * MINUTE,
+  max: parseInt(process.env.PAYMENT_RATE_LIMIT, 10) || 30,
+  message: 'Too many payment requests from this IP, please try again later',
+  skip: (req) => req.path.startsWith('/stripe/webhook'),
+});
+
+module.exports = {
+  authLimiter,
+  contactLimiter,
+  paymentLimiter,
+};
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+const CounterSchema = new mongoose.Schema({
+  // Counter key, e.g. 'ORD' or 'RES-20260315' for a per-day series
+  _id: {
+    type: String,
+    required: [true, 'Counter must have a key'],
+  },
+  seq: {
+    type: Number,
+    default: 0,
+    min: [0, 'Counter cannot be negative'],
+  },
+}, {
+  timestamps: true,
+  versionKey: false,
+});
+
+// Atomically increment a counter (creating it on first use) and return the new value
+CounterSchema.statics.increment = async function(key, { session } = {}) {
+  const options = { new: true, upsert: true, session };
+
+  try {
+    const counter = await this.findOneAndUpdate({ _id: key }, { $inc: { seq: 1 } }, options);
+    return counter.seq;
+  } catch (error) {
+    // Two first-time upserts can race on _id; the loser retries against the created document
+    if (error.code !== 11000) {
+      throw error;
+    }
+    const counter = await this.findOneAndUpdate({ _id: key }, { $inc: { seq: 1 } }, options);
+    return counter.seq;
+  }
+};
+
+// Raise a counter to at least `seq` without ever lowering it
+CounterSchema.statics.ensureAtLeast = async function(key, seq) {
+  const counter = await this.findOneAndUpdate(
+    { _id: key },
+    { $max: { seq } },
+    { new: true, upsert: true }
+  );
+  return counter.seq;
+};
+
+module.exports = mongoose.model('Counter', CounterSchema);
@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+
+// A rule applies when every condition it sets matches; the first matching rule wins
+const depositRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Deposit rule must have a name'],
+    trim: true,
+    maxlength: [50, 'Deposit rule name cannot exceed 50 characters'],
+  },
+  // Conditions (unset = any)
+  minGuests: {
+    type: Number,
+    default: null,
+    min: [1, 'Minimum guests must be at least 1'],
+  },
+  // 0 = Sunday ... 6 = Saturday of the reservation date
+  weekdays: {
+    type: [{
+      type: Number,
+      min: [0, 'Weekday must be between 0 and 6'],
+      max: [6, 'Weekday must be between 0 and 6'],
+    }],
+    default: [],
+  },
+  minNoShows: {
+    type: Number,
+    default: null,
+    min: [1, 'Minimum no-shows must be at least 1'],
+  },
+  // deposit: charged when booking, kept on a no-show or late cancellation
+  // card: card saved when booking, charged off-session only on a no-show
+  type: {
+    type: String,
+    enum: {
+      values: ['deposit', 'card'],
+      message: 'Deposit rule type must be deposit or card',
+    },
+    default: 'deposit',
+  },
+  // Amount to pay (deposit) or the no-show fee (card): amount + amountPerGuest x guests
+  amount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Amount cannot be negative'],
+  },
+  amountPerGuest: {
+    type: Number,
+    default: 0,
+    min: [0, 'Amount per guest cannot be negative'],
+  },
+}, {
+  _id: false,
+});
+
+const DepositPolicySchema = new mongoose.Schema({
+  // Only one policy is in use; the key keeps it a singleton
+  key: {
+    type: String,
+    default: 'default',
+    unique: true,
+  },
+  enabled: {
+    type: Boolean,
+    default: false,
+  },
+  currency: {
+    type: String,
+    lowercase: true,
+    default: 'usd',
+  },
+  rules: {
+    type: [depositRuleSchema],
+    default: [],
+  },
+  // A deposit is refunded when the guest cancels at least this long before the seating
+  refundWindowHours: {
+    type: Number,
+    default: 24,
+    min: [0, 'Refund window cannot be negative'],
+  },
+  updatedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+// Get the policy in use (null until an admin saves one)
+DepositPolicySchema.statics.getActive = function() {
+  return this.findOne({ key: 'default' }).lean();
+};
+
+module.exports = mongoose.model('DepositPolicy', DepositPolicySchema);
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { estimateOrderEta } = require('../utils/etaService');
+const { nextSequenceNumber } = require('../utils/sequenceNumbers');
 
 const OrderSchema = new mongoose.Schema({
   userId: {
@@ -39,12 +41,24 @@ const OrderSchema = new mongoose.Schema({
     },
     image: {
       type: String,
-      required: [true, 'Please add image URL']
+      default: null,
     },
     specialInstructions: {
       type: String,
       maxlength: [100, 'Special instructions cannot exceed 100 characters'],
     },
+    kitchenStatus: {
+      type: String,
+      enum: {
+        values: ['pending', 'done'],
+        message: 'Please select a valid kitchen status',
+      },
+      default: 'pending',
+    },
+    bumpedAt: {
+      type: Date,
+      default: null,
+    },
   }],
   totalPrice: {
     type: Number,
@@ -67,14 +81,97 @@ const OrderSchema = new mongoose.Schema({
     },
     default: 'pending',
   },
+  statusHistory: [{
+    status: {
+      type: String,
+      required: true,
+    },
+    from: {
+      type: String,
+      default: null,
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    changedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    actorRole: {
+      type: String,
+      enum: ['user', 'admin', 'system'],
+      default: 'system',
+    },
+    reason: {
+      type: String,
+      maxlength: [200, 'Reason cannot exceed 200 characters'],
+      default: null,
+    },
+  }],
   paymentStatus: {
     type: String,
     enum: {
-      values: ['pending', 'paid'],
+      values: ['pending', 'paid', 'failed', 'partially-refunded', 'refunded'],
       message: 'Please select a valid payment status',
     },
     default: 'pending',
   },
+  transactionId: {
+    type: String,
+    default: null,
+  },
+  paidAt: {
+    type: Date,
+    default: null,
+  },
+  refundedAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Refunded amount cannot be negative'],
+  },
+  refunds: [{
+    amount: {
+      type: Number,
+      required: [true, 'Please add refund amount'],
+      min: [0.01, 'Refund amount must be positive'],
+    },
+    method: {
+      type: String,
+      enum: ['stripe', 'cash'],
+      required: [true, 'Please specify refund method'],
+    },
+    items: [{
+      item: {
+        type: mongoose.Schema.ObjectId,
+        required: true,
+      },
+      quantity: {
+        type: Number,
+        required: true,
+        min: [1, 'Quantity must be at least 1'],
+      },
+    }],
+    stripeRefundId: {
+      type: String,
+      default: null,
+    },
+    reason: {
+      type: String,
+      maxlength: [200, 'Refund reason cannot exceed 200 characters'],
+      default: null,
+    },
+    createdBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  }],
   paymentMethod: {
     type: String,
     enum: ['cash', 'card'],
@@ -84,6 +181,10 @@ const OrderSchema = new mongoose.Schema({
     type: String,
     default: null,
   },
+  estimatedDeliveryTime: {
+    type: Date,
+    default: null,
+  },
   notes: {
     type: String,
     maxlength: [200, 'Notes cannot exceed 200 characters'],
@@ -93,48 +194,36 @@ const OrderSchema = new mongoose.Schema({
   timestamps: true,
 });
 
-// Generate order number before saving
-OrderSchema.pre('save', async function(next) {
-    try {
-      // Find the highest existing order number
-      const lastOrder = await this.constructor.findOne({
-        orderNumber: { $regex: /^ORD-\d{6}$/ }
-      }).sort({ orderNumber: -1 });
-
-      let nextNumber = 1;
-      if (lastOrder && lastOrder.orderNumber) {
-        // Extract number from ORD-XXXXXX format
-        const currentNumber = parseInt(lastOrder.orderNumber.replace('ORD-', ''));
-        nextNumber = currentNumber + 1;
-      }
+OrderSchema.index({ transactionId: 1 });
 
-      this.orderNumber = `ORD-${nextNumber.toString().padStart(6, '0')}`;
-    } catch (error) {
-      // Fallback to timestamp-based generation if database query fails
-      const timestamp = Date.now().toString();
-      const random = Math.floor(Math.random() * 1000).toString().padStart(3, '0');
-      this.orderNumber = `ORD-${timestamp.slice(-6)}${random}`;
-    }
-    next();
+// Record the initial status as the first timeline entry
+OrderSchema.pre('save', function(next) {
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({
+      status: this.status,
+      changedBy: this.userId,
+      actorRole: 'user',
+    });
+  }
+  next();
 });
 
-// Calculate estimated delivery time
-OrderSchema.methods.calculateEstimatedDeliveryTime = function() {
-  const baseTime = new Date();
-  let additionalMinutes = 30; // Base preparation time
-
-  // Add time based on order type
-  if (this.orderType === 'delivery') {
-    additionalMinutes += 20; // Additional delivery time
-  } else if (this.orderType === 'pickup') {
-    additionalMinutes += 10; // Additional packaging time
+// Recompute the ETA when the order is created and on every status transition
+OrderSchema.pre('save', async function(next) {
+  if (this.isNew || this.isModified('status')) {
+    this.estimatedDeliveryTime = await estimateOrderEta(this);
   }
+  next();
+});
 
-  // Add time based on number of items
-  additionalMinutes += this.items.length * 5;
+// Issue the next order number from the atomic counter (inside the caller's transaction, if any)
+OrderSchema.pre('save', async function(next) {
+  if (this.orderNumber) {
+    return next();
+  }
 
-  this.estimatedDeliveryTime = new Date(baseTime.getTime() + additionalMinutes * 60000);
-  return this.save();
-};
+  this.orderNumber = await nextSequenceNumber('order', { session: this.$session() });
+  next();
+});
 
 module.exports = mongoose.model('Order', OrderSchema);
\ No newline at end of file
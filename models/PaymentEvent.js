@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+const PaymentEventSchema = new mongoose.Schema({
+  eventId: {
+    type: String,
+    required: [true, 'Payment event must have an ID'],
+    unique: true,
+  },
+  provider: {
+    type: String,
+    enum: ['stripe'],
+    default: 'stripe',
+  },
+  type: {
+    type: String,
+    required: [true, 'Payment event must have a type'],
+  },
+  objectId: {
+    type: String,
+    default: null,
+  },
+  order: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Order',
+    default: null,
+  },
+  reservation: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Reservation',
+    default: null,
+  },
+  status: {
+    type: String,
+    enum: {
+      values: ['received', 'processed', 'ignored'],
+      message: 'Please select a valid event status',
+    },
+    default: 'received',
+  },
+  processedAt: {
+    type: Date,
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+module.exports = mongoose.model('PaymentEvent', PaymentEventSchema);
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// A rate limit or failed-login counter shared by every server instance (see utils/rateLimitStore.js)
+const RateLimitSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  hits: {
+    type: Number,
+    default: 0,
+  },
+  lockedUntil: {
+    type: Date,
+    default: null,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+// Counters past their window are removed by MongoDB
+RateLimitSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RateLimit', RateLimitSchema);
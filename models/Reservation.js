@@ -1,29 +1,138 @@
 const mongoose = require('mongoose');
+const { nextSequenceNumber } = require('../utils/sequenceNumbers');
+const { toCalendarDate, today } = require('../utils/timezone');
+
+// Deposit or card guarantee asked by the deposit policy (see utils/deposits.js)
+const depositSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['deposit', 'card'],
+    required: true,
+  },
+  // Deposit paid, or no-show fee charged to the saved card
+  amount: {
+    type: Number,
+    required: true,
+    min: [0, 'Deposit amount cannot be negative'],
+  },
+  currency: {
+    type: String,
+    default: 'usd',
+  },
+  // Name of the policy rule that asked for it
+  rule: {
+    type: String,
+    default: null,
+  },
+  status: {
+    type: String,
+    enum: {
+      values: ['pending', 'paid', 'card-saved', 'refunded', 'retained', 'charged', 'charge-failed', 'released', 'cancelled'],
+      message: 'Please select a valid deposit status',
+    },
+    default: 'pending',
+  },
+  // PaymentIntent (deposit) or SetupIntent (card) created when booking
+  intentId: {
+    type: String,
+    default: null,
+  },
+  customerId: {
+    type: String,
+    default: null,
+  },
+  paymentMethodId: {
+    type: String,
+    default: null,
+  },
+  // PaymentIntent of the no-show fee charged to a saved card
+  feeIntentId: {
+    type: String,
+    default: null,
+  },
+  refundId: {
+    type: String,
+    default: null,
+  },
+  // Unpaid reservations are cancelled after this time
+  expiresAt: {
+    type: Date,
+    default: null,
+  },
+  // A cancellation up to this time gets the deposit back
+  refundableUntil: {
+    type: Date,
+    default: null,
+  },
+  paidAt: {
+    type: Date,
+    default: null,
+  },
+  settledAt: {
+    type: Date,
+    default: null,
+  },
+  // Last Stripe error while settling, for staff to follow up
+  error: {
+    type: String,
+    default: null,
+  },
+}, {
+  _id: false,
+});
 
 const ReservationSchema = new mongoose.Schema({
+  // Phone and walk-in guests may have no account (linked when they verify their email, see linkGuestReservations)
   userId: {
     type: mongoose.Schema.ObjectId,
     ref: 'User',
-    required: [true, 'Reservation must belong to a user'],
+    required: [function() { return this.source === 'online'; }, 'Reservation must belong to a user'],
+    default: null,
   },
   userEmail: {
     type: String,
-    required: [true, 'User must have an email'],
+    lowercase: true,
+    required: [function() { return this.source === 'online'; }, 'User must have an email'],
+    default: null,
   },
   userName: {
     type: String,
     required: [true, 'User must have a name'],
   },
+  source: {
+    type: String,
+    enum: {
+      values: ['online', 'phone', 'walk-in'],
+      message: 'Reservation source must be online, phone or walk-in',
+    },
+    default: 'online',
+  },
+  // Recurring series this reservation is an occurrence of
+  series: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'ReservationSeries',
+    default: null,
+  },
+  // Staff member who took a phone or walk-in reservation
+  createdBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    default: null,
+  },
   reservationNumber: {
     type: String,
     unique: true,
   },
+  // Calendar day in the restaurant timezone, stored as UTC midnight
   date: {
     type: Date,
     required: [true, 'Please add a reservation date'],
+    set: toCalendarDate,
     validate: {
       validator: function(value) {
-        return value >= new Date().setHours(0, 0, 0, 0);
+        // Only a new date must not be past: past reservations can still be completed or marked no-show
+        if (this instanceof mongoose.Document && !this.isNew && !this.isModified('date')) return true;
+        return value >= today();
       },
       message: 'Reservation date cannot be in the past',
     },
@@ -41,7 +150,8 @@ const ReservationSchema = new mongoose.Schema({
   status: {
     type: String,
     enum: {
-      values: ['confirmed', 'seated', 'completed', 'cancelled', 'no-show'],
+      // pending: tables held while the deposit is being paid
+      values: ['pending', 'confirmed', 'seated', 'completed', 'cancelled', 'no-show'],
       message: 'Please select a valid status',
     },
     default: 'confirmed',
@@ -50,7 +160,6 @@ const ReservationSchema = new mongoose.Schema({
     type: Number,
     required: [true, 'Please select table(s)'],
     min: [1, 'Table number must be at least 1'],
-    max: [22, 'Table number cannot exceed 22'],
   }],
   specialRequest: {
     type: String,
@@ -67,28 +176,55 @@ const ReservationSchema = new mongoose.Schema({
     maxlength: [300, 'Notes cannot exceed 300 characters'],
     default: null,
   },
+  seatedAt: {
+    type: Date,
+    default: null,
+  },
+  completedAt: {
+    type: Date,
+    default: null,
+  },
+  deposit: {
+    type: depositSchema,
+    default: null,
+  },
 }, {
   timestamps: true,
 });
 
-// Create compound index for date and time to prevent double booking
-ReservationSchema.index({ date: 1, time: 1, tableNumber: 1 }, { unique: true, sparse: true });
+// Double booking is prevented on the tables themselves (see bookTables); this only speeds up lookups
+ReservationSchema.index({ date: 1, slot: 1 });
+ReservationSchema.index({ status: 1, 'deposit.expiresAt': 1 });
+ReservationSchema.index({ series: 1, date: 1 });
 
-// Generate reservation number before saving
-ReservationSchema.pre('save', function(next) {
+// Issue the next reservation number from the atomic counter (inside the caller's transaction, if any)
+ReservationSchema.pre('save', async function(next) {
   if (!this.reservationNumber) {
-    const timestamp = Date.now().toString();
-    const random = Math.floor(Math.random() * 1000).toString().padStart(3, '0');
-    this.reservationNumber = `RES-${timestamp.slice(-6)}${random}`;
+    this.reservationNumber = await nextSequenceNumber('reservation', { session: this.$session() });
   }
   next();
 });
 
+/**
+ * Attach the guest reservations made with a user's email to their account, once the email is verified.
+ * Phone numbers are never verified, so they are not enough to claim a booking.
+ * @param {object} user - User whose email was just verified
+ * @returns {Promise<number>} Number of reservations linked
+ */
+ReservationSchema.statics.linkGuestReservations = async function(user) {
+  const result = await this.updateMany(
+    { userId: null, source: { $ne: 'online' }, userEmail: user.email.toLowerCase() },
+    { userId: user._id }
+  );
+
+  return result.modifiedCount;
+};
+
 // Complete reservation
-ReservationSchema.methods.complete = function() {
+ReservationSchema.methods.complete = function({ session = null, now = new Date() } = {}) {
   this.status = 'completed';
-  this.completedAt = new Date();
-  return this.save();
+  this.completedAt = now;
+  return this.save({ session });
 };
 
 module.exports = mongoose.model('Reservation', ReservationSchema);
\ No newline at end of file
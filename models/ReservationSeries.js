@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+const { toCalendarDate } = require('../utils/timezone');
+
+// A recurring booking: its occurrences are ordinary reservations linked by `series`
+const ReservationSeriesSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'Series must belong to a user'],
+  },
+  userEmail: {
+    type: String,
+    lowercase: true,
+    required: [true, 'User must have an email'],
+  },
+  userName: {
+    type: String,
+    required: [true, 'User must have a name'],
+  },
+  // First occurrence (calendar day)
+  startDate: {
+    type: Date,
+    required: [true, 'Please add the first date of the series'],
+    set: toCalendarDate,
+  },
+  recurrence: {
+    frequency: {
+      type: String,
+      enum: {
+        values: ['weekly', 'monthly'],
+        message: 'Recurrence must be weekly or monthly',
+      },
+      required: [true, 'Please add a recurrence frequency'],
+    },
+    interval: {
+      type: Number,
+      default: 1,
+      min: [1, 'Recurrence interval must be at least 1'],
+    },
+    until: {
+      type: Date,
+      default: null,
+      set: toCalendarDate,
+    },
+    count: {
+      type: Number,
+      default: null,
+    },
+  },
+  slot: {
+    type: Number,
+    required: [true, 'Please add a reservation slot'],
+  },
+  guests: {
+    type: Number,
+    required: [true, 'Please add number of guests'],
+    min: [1, 'Number of guests must be at least 1'],
+    max: [20, 'Number of guests cannot exceed 20'],
+  },
+  // Tables requested for every occurrence (empty: assigned per occurrence)
+  tableNumber: {
+    type: [Number],
+    default: [],
+  },
+  contactPhone: {
+    type: String,
+    required: [true, 'Please add a contact phone number'],
+    match: [/^[0-9]{10}$/, 'Please add a valid phone number'],
+  },
+  specialRequest: {
+    type: String,
+    maxlength: [200, 'Special request cannot exceed 200 characters'],
+    default: null,
+  },
+  status: {
+    type: String,
+    enum: {
+      values: ['active', 'cancelled'],
+      message: 'Please select a valid series status',
+    },
+    default: 'active',
+  },
+}, {
+  timestamps: true,
+});
+
+ReservationSeriesSchema.index({ userId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ReservationSeries', ReservationSeriesSchema);
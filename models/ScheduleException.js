@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+const serviceSchema = require('./serviceSchema');
+const { toCalendarDate, today } = require('../utils/timezone');
+
+const ScheduleExceptionSchema = new mongoose.Schema({
+  // closure: nothing can be booked (or ordered); opening: replaces the weekday services on these dates
+  type: {
+    type: String,
+    enum: {
+      values: ['closure', 'opening'],
+      message: 'Exception type must be closure or opening',
+    },
+    required: [true, 'Please select an exception type'],
+  },
+  // Calendar days in the restaurant timezone (stored as UTC midnight), both inclusive
+  startDate: {
+    type: Date,
+    required: [true, 'Please add a start date'],
+    set: toCalendarDate,
+  },
+  endDate: {
+    type: Date,
+    required: [true, 'Please add an end date'],
+    set: toCalendarDate,
+    validate: {
+      validator: function(value) {
+        return value >= this.startDate;
+      },
+      message: 'End date cannot be before start date',
+    },
+  },
+  // Closures only: slots closed on each day (empty = all day)
+  slots: {
+    type: [Number],
+    default: [],
+  },
+  // Closures only: tables closed (empty = the whole restaurant)
+  tables: {
+    type: [Number],
+    default: [],
+  },
+  // Openings only: services offered on these days
+  services: {
+    type: [serviceSchema],
+    default: [],
+  },
+  reason: {
+    type: String,
+    required: [true, 'Please add a reason'],
+    trim: true,
+    maxlength: [200, 'Reason cannot exceed 200 characters'],
+  },
+  createdBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+ScheduleExceptionSchema.index({ endDate: 1, startDate: 1 });
+
+// Get the exceptions that still matter for bookings (ending today or later)
+ScheduleExceptionSchema.statics.findCurrent = function(now = new Date()) {
+  return this.find({ endDate: { $gte: today(now) } }).sort({ startDate: 1 }).lean();
+};
+
+module.exports = mongoose.model('ScheduleException', ScheduleExceptionSchema);
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+const serviceSchema = require('./serviceSchema');
+
+const weekdaySchema = new mongoose.Schema({
+  // 0 = Sunday ... 6 = Saturday, as returned by Date#getUTCDay on a calendar date
+  day: {
+    type: Number,
+    required: [true, 'Weekday is required'],
+    min: [0, 'Weekday must be between 0 and 6'],
+    max: [6, 'Weekday must be between 0 and 6'],
+  },
+  services: {
+    type: [serviceSchema],
+    default: [],
+  },
+}, {
+  _id: false,
+});
+
+const ServiceScheduleSchema = new mongoose.Schema({
+  // Only one schedule is in use; the key keeps it a singleton
+  key: {
+    type: String,
+    default: 'default',
+    unique: true,
+  },
+  slotLength: {
+    type: Number,
+    default: 30,
+    min: [5, 'Slot length must be at least 5 minutes'],
+    max: [240, 'Slot length cannot exceed 240 minutes'],
+  },
+  seatingDuration: {
+    type: Number,
+    default: 90,
+    min: [5, 'Seating duration must be at least 5 minutes'],
+    max: [600, 'Seating duration cannot exceed 600 minutes'],
+  },
+  weekdays: {
+    type: [weekdaySchema],
+    default: [],
+  },
+  updatedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+// Get the schedule in use (null until an admin saves one)
+ServiceScheduleSchema.statics.getActive = function() {
+  return this.findOne({ key: 'default' }).lean();
+};
+
+module.exports = mongoose.model('ServiceSchedule', ServiceScheduleSchema);
@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// A login on one device: its refresh tokens form one family, rotated on every refresh
+const SessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'Session must belong to a user'],
+  },
+  // Hash of the only refresh token of the family that is still valid
+  tokenHash: {
+    type: String,
+    required: true,
+    select: false,
+  },
+  device: {
+    type: String,
+    default: 'Unknown device',
+  },
+  userAgent: {
+    type: String,
+    default: null,
+  },
+  ip: {
+    type: String,
+    default: null,
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  // The refresh token family ends here, however often it is rotated
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  // Opened with the second factor: required for admin routes
+  mfaVerified: {
+    type: Boolean,
+    default: false,
+  },
+  revokedAt: {
+    type: Date,
+    default: null,
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'revoked', 'reuse-detected', 'password-change', 'role-change', 'deactivated', 'mfa-change', null],
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+SessionSchema.index({ userId: 1, revokedAt: 1 });
+// Expired sessions are removed by MongoDB
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+SessionSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Sessions that still accept their access and refresh tokens
+SessionSchema.statics.activeFilter = function(now = new Date()) {
+  return { revokedAt: null, expiresAt: { $gt: now } };
+};
+
+SessionSchema.methods.isActive = function(now = new Date()) {
+  return !this.revokedAt && this.expiresAt > now;
+};
+
+/**
+ * Revoke every active session of a user
+ * @param {ObjectId|string} userId - User
+ * @param {string} reason - Revocation reason
+ * @param {object} options - { except?: ObjectId } session to keep (the current one)
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+SessionSchema.statics.revokeAllForUser = async function(userId, reason, { except } = {}) {
+  const result = await this.updateMany(
+    { userId, ...this.activeFilter(), ...(except && { _id: { $ne: except } }) },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+  return result.modifiedCount;
+};
+
+module.exports = mongoose.model('Session', SessionSchema);
@@ -1,18 +1,20 @@
 const mongoose = require('mongoose');
+const { toCalendarDate } = require('../utils/timezone');
 
 const tableBookingSchema = new mongoose.Schema({
   date: {
     type: Date,
     required: true,
+    set: toCalendarDate,
   },
   bookedSlots: {
     type: [Number],
     default: [],
     validate: {
       validator: function(slots) {
-        return slots.every(slot => slot >= 1 && slot <= 9);
+        return slots.every(slot => Number.isInteger(slot) && slot >= 1);
       },
-      message: 'Invalid slot number. Slots must be between 1 and 9.'
+      message: 'Invalid slot number. Slots are positive integers.'
     }
   }
 }, {
@@ -24,8 +26,7 @@ const tableSchema = new mongoose.Schema({
     type: Number,
     required: [true, 'Table number is required'],
     unique: true,
-    min: [1, 'Table number must be at least 1'],
-    max: [22, 'Table number cannot exceed 22']
+    min: [1, 'Table number must be at least 1']
   },
   tableBookings: {
     type: [tableBookingSchema],
@@ -35,6 +36,11 @@ const tableSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Set when a party leaves the table, until the host marks it cleaned
+  needsCleaning: {
+    type: Boolean,
+    default: false
+  },
   capacity: {
     type: Number,
     default: 4,
@@ -44,6 +50,42 @@ const tableSchema = new mongoose.Schema({
   notes: {
     type: String,
     maxlength: [200, 'Notes cannot exceed 200 characters']
+  },
+  zone: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Zone',
+    default: null
+  },
+  shape: {
+    type: String,
+    enum: {
+      values: ['square', 'round', 'rectangle', 'booth', 'bar'],
+      message: 'Table shape must be square, round, rectangle, booth or bar'
+    },
+    default: 'square'
+  },
+  // Floor plan coordinates of the table centre, in the client's plan units
+  position: {
+    x: {
+      type: Number,
+      default: null
+    },
+    y: {
+      type: Number,
+      default: null
+    },
+    rotation: {
+      type: Number,
+      default: 0,
+      min: [0, 'Rotation must be between 0 and 359 degrees'],
+      max: [359, 'Rotation must be between 0 and 359 degrees']
+    }
+  },
+  // Tables this one can be pushed together with (either side may list the other).
+  // Left unset, tables with consecutive numbers are considered next to each other.
+  joinableWith: {
+    type: [Number],
+    default: undefined
   }
 }, {
   timestamps: true,
@@ -53,6 +95,7 @@ const tableSchema = new mongoose.Schema({
 
 tableSchema.index({ tableNumber: 1 });
 tableSchema.index({ 'tableBookings.date': 1 });
+tableSchema.index({ zone: 1 });
 
 tableSchema.statics.initializeTables = async function() {
   const existingCount = await this.countDocuments();
@@ -1,7 +1,14 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 
+// Lifetime of the single-use links sent by email
+const ACCOUNT_TOKEN_MINUTES = {
+  passwordReset: 60,
+  emailVerification: 48 * 60,
+};
+
 const UserSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -65,10 +72,78 @@ const UserSchema = new mongoose.Schema({
     type: Number,
     default: 0,
   },
+  // Reservations never honoured (see jobs/reservationSweeps.js); used to require a deposit
+  noShowCount: {
+    type: Number,
+    default: 0,
+  },
+  // Stripe customer holding the cards saved for no-show fees
+  stripeCustomerId: {
+    type: String,
+    default: null,
+  },
+  isEmailVerified: {
+    type: Boolean,
+    default: false,
+  },
+  emailVerifiedAt: {
+    type: Date,
+    default: null,
+  },
+  // Single-use tokens sent by email, stored hashed (see createAccountToken)
+  passwordResetToken: {
+    type: String,
+    select: false,
+  },
+  passwordResetExpire: {
+    type: Date,
+    select: false,
+  },
+  emailVerificationToken: {
+    type: String,
+    select: false,
+  },
+  emailVerificationExpire: {
+    type: Date,
+    select: false,
+  },
+  // Two-factor authentication with an authenticator app (see utils/mfa.js), mandatory for admins
+  mfaEnabled: {
+    type: Boolean,
+    default: false,
+  },
+  mfaEnabledAt: {
+    type: Date,
+    default: null,
+  },
+  mfaSecret: {
+    type: String,
+    select: false,
+  },
+  // Secret being set up, until the user confirms it with a first code
+  mfaPendingSecret: {
+    type: String,
+    select: false,
+  },
+  // Hashes of the unused recovery codes
+  mfaRecoveryCodes: {
+    type: [String],
+    select: false,
+  },
+  // Time step of the last code accepted, so a code cannot be used twice
+  mfaLastUsedStep: {
+    type: Number,
+    select: false,
+  },
   isActive: {
     type: Boolean,
     default: true,
   },
+  // Signed into access tokens; bumped to invalidate them all (see utils/sessions.invalidateUserTokens)
+  tokenVersion: {
+    type: Number,
+    default: 0,
+  },
   lastLogin: {
     type: Date,
     default: null,
@@ -87,11 +162,9 @@ UserSchema.pre('save', async function(next) {
   this.password = await bcrypt.hash(this.password, salt);
 });
 
-// Sign JWT and return
-UserSchema.methods.getSignedJwtToken = function() {
-  return jwt.sign({ id: this._id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE,
-  });
+// Sign the access token of a login session
+UserSchema.methods.getSignedJwtToken = function(sessionId, expiresIn) {
+  return jwt.sign({ id: this._id, sid: sessionId, tv: this.tokenVersion }, process.env.JWT_SECRET, { expiresIn });
 };
 
 // Match user entered password to hashed password in database
@@ -99,6 +172,42 @@ UserSchema.methods.matchPassword = async function(enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
+const hashAccountToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Issue a password reset or email verification token, replacing the previous one
+ * Only the hash is stored: save the user afterwards and send the returned token by email.
+ * @param {string} purpose - 'passwordReset' or 'emailVerification'
+ * @returns {string} The token
+ */
+UserSchema.methods.createAccountToken = function(purpose) {
+  const token = crypto.randomBytes(32).toString('hex');
+  this[`${purpose}Token`] = hashAccountToken(token);
+  this[`${purpose}Expire`] = new Date(Date.now() + ACCOUNT_TOKEN_MINUTES[purpose] * 60 * 1000);
+  return token;
+};
+
+UserSchema.methods.clearAccountToken = function(purpose) {
+  this[`${purpose}Token`] = undefined;
+  this[`${purpose}Expire`] = undefined;
+};
+
+/**
+ * Find the user a password reset or email verification token was sent to
+ * @param {string} purpose - 'passwordReset' or 'emailVerification'
+ * @param {string} token - Token from the email
+ * @returns {Promise<object|null>} The user, or null if the token is unknown, used or expired
+ */
+UserSchema.statics.findByAccountToken = function(purpose, token) {
+  if (typeof token !== 'string' || token.length === 0) {
+    return Promise.resolve(null);
+  }
+  return this.findOne({
+    [`${purpose}Token`]: hashAccountToken(token),
+    [`${purpose}Expire`]: { $gt: new Date() },
+  });
+};
+
 // Update last login
 UserSchema.methods.updateLastLogin = function() {
   this.lastLogin = new Date();
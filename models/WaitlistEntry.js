@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+const { toCalendarDate } = require('../utils/timezone');
+
+const WaitlistEntrySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'Waitlist entry must belong to a user'],
+  },
+  userEmail: {
+    type: String,
+    required: [true, 'User must have an email'],
+  },
+  userName: {
+    type: String,
+    required: [true, 'User must have a name'],
+  },
+  // Calendar day in the restaurant timezone, stored as UTC midnight
+  date: {
+    type: Date,
+    required: [true, 'Please add a date'],
+    set: toCalendarDate,
+  },
+  slot: {
+    type: Number,
+    required: [true, 'Please add a slot'],
+  },
+  guests: {
+    type: Number,
+    required: [true, 'Please add number of guests'],
+    min: [1, 'Number of guests must be at least 1'],
+    max: [20, 'Number of guests cannot exceed 20'],
+  },
+  contactPhone: {
+    type: String,
+    required: [true, 'Please add a contact phone number'],
+    match: [/^[0-9]{10}$/, 'Please add a valid phone number'],
+  },
+  specialRequest: {
+    type: String,
+    maxlength: [200, 'Special request cannot exceed 200 characters'],
+    default: null,
+  },
+  // waiting -> offered -> accepted; entries leave the queue as expired, declined or cancelled
+  status: {
+    type: String,
+    enum: {
+      values: ['waiting', 'offered', 'accepted', 'expired', 'declined', 'cancelled'],
+      message: 'Please select a valid waitlist status',
+    },
+    default: 'waiting',
+  },
+  // Tables held for the entry while the offer is open
+  offeredTables: {
+    type: [Number],
+    default: [],
+  },
+  offeredAt: {
+    type: Date,
+    default: null,
+  },
+  offerExpiresAt: {
+    type: Date,
+    default: null,
+  },
+  reservationId: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Reservation',
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+// Queue order for a date: first come, first offered
+WaitlistEntrySchema.index({ date: 1, status: 1, createdAt: 1 });
+WaitlistEntrySchema.index({ status: 1, offerExpiresAt: 1 });
+WaitlistEntrySchema.index({ userId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('WaitlistEntry', WaitlistEntrySchema);
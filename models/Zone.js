@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// An area of the floor (terrace, main room, bar); tables of different zones are never joined
+const zoneSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Zone name is required'],
+    unique: true,
+    trim: true,
+    maxlength: [50, 'Zone name cannot exceed 50 characters']
+  },
+  description: {
+    type: String,
+    maxlength: [200, 'Description cannot exceed 200 characters'],
+    default: null
+  },
+  // Order in which zones are listed and drawn
+  displayOrder: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Zone', zoneSchema);
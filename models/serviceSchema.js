@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// A service (e.g. lunch, dinner), shared by the weekly schedule and exceptional openings
+const serviceSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Service must have a name'],
+    trim: true,
+    maxlength: [30, 'Service name cannot exceed 30 characters'],
+  },
+  // First and last times a party can be seated (HH:mm); slots run between them every slotLength minutes
+  firstSeating: {
+    type: String,
+    required: [true, 'Service must have a first seating time'],
+    match: [TIME_PATTERN, 'First seating must be a HH:mm time'],
+  },
+  lastSeating: {
+    type: String,
+    required: [true, 'Service must have a last seating time'],
+    match: [TIME_PATTERN, 'Last seating must be a HH:mm time'],
+  },
+}, {
+  _id: false,
+});
+
+module.exports = serviceSchema;
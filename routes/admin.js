@@ -1,6 +1,7 @@
 const express = require('express');
 const {
   adminLogin,
+  adminVerifyMfa,
   getDashboardStats,
 } = require('../controllers/adminController');
 const { protect, authorize } = require('../middleware/auth');
@@ -9,6 +10,7 @@ const router = express.Router();
 
 // Public admin routes
 router.post('/login', adminLogin);
+router.post('/login/mfa', adminVerifyMfa);
 
 // Protected admin routes
 router.use(protect);
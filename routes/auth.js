@@ -5,8 +5,24 @@ const {
   getMe,
   updateProfileUser,
   changePassword,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
+  refreshToken,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
   logout,
 } = require('../controllers/authController');
+const {
+  getMfaStatus,
+  setupMfa,
+  enableMfa,
+  disableMfa,
+  regenerateRecoveryCodes,
+  verifyMfaLogin,
+} = require('../controllers/mfaController');
 const { protect } = require('../middleware/auth');
 
 const router = express.Router();
@@ -14,6 +30,11 @@ const router = express.Router();
 // Public routes
 router.post('/register', register);
 router.post('/login', login);
+router.post('/refresh', refreshToken);
+router.post('/forgot-password', forgotPassword);
+router.put('/reset-password/:token', resetPassword);
+router.post('/verify-email/:token', verifyEmail);
+router.post('/mfa/verify', verifyMfaLogin);
 
 // Protected routes
 router.use(protect); // All routes after this middleware are protected
@@ -21,6 +42,15 @@ router.use(protect); // All routes after this middleware are protected
 router.get('/me', getMe);
 router.put('/profile', updateProfileUser);
 router.put('/change-password', changePassword);
+router.post('/resend-verification', resendVerification);
+router.get('/sessions', getSessions);
+router.delete('/sessions', revokeOtherSessions);
+router.delete('/sessions/:id', revokeSession);
 router.post('/logout', logout);
+router.get('/mfa', getMfaStatus);
+router.post('/mfa/setup', setupMfa);
+router.post('/mfa/enable', enableMfa);
+router.post('/mfa/disable', disableMfa);
+router.post('/mfa/recovery-codes', regenerateRecoveryCodes);
 
 module.exports = router;
\ No newline at end of file
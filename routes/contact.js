@@ -6,11 +6,12 @@ const {
   deleteContactMessage,
 } = require('../controllers/contactController');
 const { protect, authorize } = require('../middleware/auth');
+const { contactLimiter } = require('../middleware/rateLimits');
 
 const router = express.Router();
 
 // Public route - anyone can submit contact form
-router.post('/', submitContactForm);
+router.post('/', contactLimiter, submitContactForm);
 
 // Admin routes - require authentication and admin role
 router.use(protect);
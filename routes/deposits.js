@@ -0,0 +1,20 @@
+const express = require('express');
+const {
+  getDepositPolicy,
+  updateDepositPolicy,
+  getDepositQuote,
+} = require('../controllers/depositController');
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Public route: the booking form shows the deposit rules before login
+router.get('/policy', getDepositPolicy);
+
+// The quote depends on the user's no-show history
+router.get('/quote', protect, getDepositQuote);
+
+// Admin only routes
+router.put('/policy', protect, authorize('admin'), updateDepositPolicy);
+
+module.exports = router;
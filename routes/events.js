@@ -0,0 +1,9 @@
+const express = require('express');
+const { streamEvents } = require('../controllers/eventController');
+const { protect } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.get('/', protect, streamEvents);
+
+module.exports = router;
@@ -0,0 +1,22 @@
+const express = require('express');
+const {
+  getFloorStatus,
+  seatReservation,
+  clearReservation,
+  transferReservation,
+  markTableCleaned,
+} = require('../controllers/floorController');
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// The host stand is run by staff only
+router.use(protect, authorize('admin'));
+
+router.get('/', getFloorStatus);
+router.post('/reservations/:id/seat', seatReservation);
+router.post('/reservations/:id/clear', clearReservation);
+router.post('/reservations/:id/transfer', transferReservation);
+router.post('/tables/:tableNumber/cleaned', markTableCleaned);
+
+module.exports = router;
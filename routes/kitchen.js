@@ -0,0 +1,17 @@
+const express = require('express');
+const {
+  getKitchenQueue,
+  bumpOrderItem,
+} = require('../controllers/kitchenController');
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Kitchen display is restricted to staff
+router.use(protect);
+router.use(authorize('admin'));
+
+router.get('/queue', getKitchenQueue);
+router.patch('/orders/:orderId/items/:itemId/bump', bumpOrderItem);
+
+module.exports = router;
@@ -9,7 +9,7 @@ const {
   getAdminOrders,
   getOrderStats,
 } = require('../controllers/orderController');
-const { protect, authorize } = require('../middleware/auth');
+const { protect, authorize, requireVerifiedEmail } = require('../middleware/auth');
 
 const router = express.Router();
 
@@ -21,7 +21,7 @@ router.get('/admin', authorize('admin'), getAdminOrders);
 router.get('/stats', authorize('admin'), getOrderStats);
 
 // User routes
-router.post('/', createOrder);
+router.post('/', requireVerifiedEmail('orders'), createOrder);
 router.get('/', getUserOrders);
 router.get('/:id', getOrder);
 router.patch('/:id/status', authorize('admin'), updateOrderStatus);
@@ -2,13 +2,18 @@ const express = require('express');
 const {
   createStripePaymentIntent,
   confirmStripePayment,
+  handleStripeWebhook,
+  refundOrder,
   getPaymentMethods,
 } = require('../controllers/paymentController');
-const { protect } = require('../middleware/auth');
+const { protect, authorize } = require('../middleware/auth');
 
 const router = express.Router();
 
-// All payment routes require authentication
+// Stripe calls the webhook directly: it is authenticated by its signature
+router.post('/stripe/webhook', handleStripeWebhook);
+
+// All other payment routes require authentication
 router.use(protect);
 
 // Payment methods
@@ -18,4 +23,7 @@ router.get('/methods', getPaymentMethods);
 router.post('/stripe/create-intent', createStripePaymentIntent);
 router.post('/stripe/confirm', confirmStripePayment);
 
+// Admin routes
+router.post('/orders/:id/refund', authorize('admin'), refundOrder);
+
 module.exports = router;
\ No newline at end of file
@@ -1,6 +1,11 @@
 const express = require('express');
 const {
   createReservation,
+  createGuestReservation,
+  createReservationSeries,
+  getReservationSeries,
+  updateReservationSeries,
+  cancelReservationSeries,
   getUserReservations,
   getAdminReservations,
   updateAdminReservation,
@@ -8,7 +13,7 @@ const {
   cancelUserReservation,
   getReservationStats,
 } = require('../controllers/reservationController');
-const { protect, authorize } = require('../middleware/auth');
+const { protect, authorize, requireVerifiedEmail } = require('../middleware/auth');
 
 const router = express.Router();
 
@@ -16,13 +21,18 @@ const router = express.Router();
 router.use(protect);
 
 // User routes
-router.post('/', createReservation);
+router.post('/', requireVerifiedEmail('reservations'), createReservation);
 router.get('/', getUserReservations);
+router.post('/series', requireVerifiedEmail('reservations'), createReservationSeries);
+router.get('/series/:id', getReservationSeries);
+router.put('/series/:id', updateReservationSeries);
+router.delete('/series/:id', cancelReservationSeries);
 router.put('/:id', updateUserReservation);
 router.delete('/:id', cancelUserReservation);
 
 // Admin routes
 router.get('/admin', authorize('admin'), getAdminReservations);
+router.post('/admin', authorize('admin'), createGuestReservation);
 router.get('/admin/stats', authorize('admin'), getReservationStats);
 router.put('/admin/:id', authorize('admin'), updateAdminReservation);
 
@@ -0,0 +1,24 @@
+const express = require('express');
+const {
+  getSchedule,
+  updateSchedule,
+  getScheduleSlots,
+  getScheduleExceptions,
+  createScheduleException,
+  deleteScheduleException,
+} = require('../controllers/scheduleController');
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Public routes: the booking form needs the opening hours before login
+router.get('/', getSchedule);
+router.get('/slots', getScheduleSlots);
+router.get('/exceptions', getScheduleExceptions);
+
+// Admin only routes
+router.put('/', protect, authorize('admin'), updateSchedule);
+router.post('/exceptions', protect, authorize('admin'), createScheduleException);
+router.delete('/exceptions/:id', protect, authorize('admin'), deleteScheduleException);
+
+module.exports = router;
@@ -4,7 +4,9 @@ const {
   getTableAvailabilityForDate,
   getAvailableTables,
   getTable,
+  createTable,
   updateTable,
+  deleteTable,
   addBookingToTable,
   removeBookingFromTable,
   initializeTables
@@ -22,8 +24,10 @@ router.get('/available', getAvailableTables);
 
 // Admin only routes
 router.get('/', authorize('admin'), getTables);
+router.post('/', authorize('admin'), createTable);
 router.get('/:id', authorize('admin'), getTable);
 router.put('/:id', authorize('admin'), updateTable);
+router.delete('/:id', authorize('admin'), deleteTable);
 // router.post('/:id/bookings', authorize('admin'), addBookingToTable);
 // router.delete('/:id/bookings', authorize('admin'), removeBookingFromTable);
 router.post('/initialize', authorize('admin'), initializeTables);
@@ -4,6 +4,7 @@ const {
   getUser,
   updateUser,
   deleteUser,
+  unlockUser,
   getUserStats,
   getAdminUsers,
 } = require('../controllers/userController');
@@ -24,5 +25,6 @@ router.get('/stats', getUserStats);
 router.get('/:id', getUser);
 router.put('/:id', updateUser);
 router.delete('/:id', deleteUser);
+router.post('/:id/unlock', unlockUser);
 
 module.exports = router;
\ No newline at end of file
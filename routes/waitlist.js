@@ -0,0 +1,27 @@
+const express = require('express');
+const {
+  joinWaitlist,
+  getMyWaitlist,
+  acceptWaitlistOffer,
+  declineWaitlistOffer,
+  leaveWaitlist,
+  getAdminWaitlist,
+} = require('../controllers/waitlistController');
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// All routes are protected
+router.use(protect);
+
+// User routes
+router.post('/', joinWaitlist);
+router.get('/', getMyWaitlist);
+router.post('/:id/accept', acceptWaitlistOffer);
+router.post('/:id/decline', declineWaitlistOffer);
+router.delete('/:id', leaveWaitlist);
+
+// Admin routes
+router.get('/admin', authorize('admin'), getAdminWaitlist);
+
+module.exports = router;
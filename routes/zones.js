@@ -0,0 +1,23 @@
+const express = require('express');
+const {
+  getZones,
+  createZone,
+  updateZone,
+  deleteZone,
+} = require('../controllers/zoneController');
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+// Authenticated users: zones can be asked for when booking
+router.get('/', getZones);
+
+// Admin only routes
+router.post('/', authorize('admin'), createZone);
+router.put('/:id', authorize('admin'), updateZone);
+router.delete('/:id', authorize('admin'), deleteZone);
+
+module.exports = router;
@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+const Reservation = require('../models/Reservation');
+const Table = require('../models/Table');
+const ScheduleException = require('../models/ScheduleException');
+const { RESTAURANT_TIMEZONE, toCalendarDate } = require('../utils/timezone');
+
+const isNormalized = (date) => date.getTime() === toCalendarDate(date).getTime();
+
+/**
+ * Rewrite reservation days stored as server-local midnights as calendar dates (UTC midnight).
+ * Old values are read in the restaurant timezone, so RESTAURANT_TIMEZONE must be the zone the
+ * server used when they were written. Safe to run repeatedly: normalized dates are left alone.
+ */
+const normalizeCalendarDates = async () => {
+  const report = { reservations: 0, tables: 0, exceptions: 0 };
+
+  for await (const reservation of Reservation.find().select('date').lean().cursor()) {
+    if (!isNormalized(reservation.date)) {
+      await Reservation.updateOne({ _id: reservation._id }, { $set: { date: toCalendarDate(reservation.date) } });
+      report.reservations++;
+    }
+  }
+
+  for await (const table of Table.find().select('tableBookings').lean().cursor()) {
+    if (table.tableBookings.every(booking => isNormalized(booking.date))) continue;
+
+    // Two entries may now fall on the same day: merge their slots
+    const byDay = new Map();
+    table.tableBookings.forEach(booking => {
+      const day = toCalendarDate(booking.date).getTime();
+      byDay.set(day, [...new Set([...(byDay.get(day) || []), ...booking.bookedSlots])]);
+    });
+
+    const tableBookings = [...byDay.entries()].map(([day, slots]) => ({
+      date: new Date(day),
+      bookedSlots: slots.sort((a, b) => a - b),
+    }));
+
+    await Table.updateOne({ _id: table._id }, { $set: { tableBookings } });
+    report.tables++;
+  }
+
+  for await (const exception of ScheduleException.find().select('startDate endDate').lean().cursor()) {
+    if (!isNormalized(exception.startDate) || !isNormalized(exception.endDate)) {
+      await ScheduleException.updateOne({ _id: exception._id }, {
+        $set: {
+          startDate: toCalendarDate(exception.startDate),
+          endDate: toCalendarDate(exception.endDate),
+        },
+      });
+      report.exceptions++;
+    }
+  }
+
+  return report;
+};
+
+const run = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('📦 Connected to MongoDB');
+    console.log(`🕒 Restaurant timezone: ${RESTAURANT_TIMEZONE}`);
+
+    const report = await normalizeCalendarDates();
+
+    console.log(`\n📅 ${report.reservations} reservation date(s) normalized`);
+    console.log(`📅 ${report.tables} table(s) with booking days normalized`);
+    console.log(`📅 ${report.exceptions} closure/opening date range(s) normalized`);
+
+    await mongoose.connection.close();
+    console.log('\n🔒 Database connection closed');
+  } catch (error) {
+    console.error('❌ Error normalizing dates:', error);
+    process.exit(1);
+  }
+};
+
+if (require.main === module) {
+  run();
+}
+
+module.exports = { normalizeCalendarDates };
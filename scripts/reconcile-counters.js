@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+const Counter = require('../models/Counter');
+const Order = require('../models/Order');
+const Reservation = require('../models/Reservation');
+const { SERIES, parseSequenceNumber } = require('../utils/sequenceNumbers');
+
+// Numbers issued by the old timestamp fallback (6 timestamp digits + 3 random digits)
+const LEGACY_NUMBER = /^(ORD|RES)-\d{9}$/;
+
+/**
+ * Compute the highest sequence already used for every counter key of a series
+ * @param {object} Model - Order or Reservation model
+ * @param {string} field - Number field ('orderNumber' or 'reservationNumber')
+ * @param {string} prefix - Series prefix
+ * @returns {Promise<object>} { maxByKey: { [key]: number }, legacy: number, scanned: number }
+ */
+const collectSequences = async (Model, field, prefix) => {
+  const maxByKey = {};
+  let legacy = 0;
+  let scanned = 0;
+
+  const cursor = Model.find({ [field]: { $regex: `^${prefix}-` } }).select(field).lean().cursor();
+
+  for await (const doc of cursor) {
+    scanned++;
+    const value = doc[field];
+
+    if (LEGACY_NUMBER.test(value)) {
+      legacy++;
+      continue;
+    }
+
+    const parsed = parseSequenceNumber(prefix, value);
+    if (parsed) {
+      maxByKey[parsed.key] = Math.max(maxByKey[parsed.key] || 0, parsed.seq);
+    }
+  }
+
+  return { maxByKey, legacy, scanned };
+};
+
+/**
+ * Raise every counter to the highest number already issued, so new numbers never collide.
+ * Safe to run repeatedly and while the API is live: counters are only ever raised.
+ */
+const reconcileCounters = async () => {
+  const targets = [
+    { Model: Order, field: 'orderNumber', prefix: SERIES.order.prefix },
+    { Model: Reservation, field: 'reservationNumber', prefix: SERIES.reservation.prefix },
+  ];
+
+  const report = {};
+
+  for (const { Model, field, prefix } of targets) {
+    const { maxByKey, legacy, scanned } = await collectSequences(Model, field, prefix);
+    const counters = {};
+
+    for (const [key, max] of Object.entries(maxByKey)) {
+      counters[key] = await Counter.ensureAtLeast(key, max);
+    }
+
+    report[prefix] = { scanned, legacy, counters };
+  }
+
+  return report;
+};
+
+const run = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('📦 Connected to MongoDB');
+
+    const report = await reconcileCounters();
+
+    Object.entries(report).forEach(([prefix, { scanned, legacy, counters }]) => {
+      console.log(`\n🔢 ${prefix}: ${scanned} numbers scanned`);
+      Object.entries(counters).forEach(([key, seq]) => {
+        console.log(`   ${key} -> ${seq}`);
+      });
+      if (legacy > 0) {
+        console.log(`   ⚠️  ${legacy} legacy timestamp-based numbers left unchanged`);
+      }
+    });
+
+    await mongoose.connection.close();
+    console.log('\n🔒 Database connection closed');
+  } catch (error) {
+    console.error('❌ Error reconciling counters:', error);
+    process.exit(1);
+  }
+};
+
+if (require.main === module) {
+  run();
+}
+
+module.exports = { reconcileCounters, collectSequences };
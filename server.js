@@ -2,7 +2,6 @@ const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const morgan = require('morgan');
-const rateLimit = require('express-rate-limit');
 const cookieParser = require('cookie-parser');
 const dotenv = require('dotenv');
 const connectDB = require('./config/database');
@@ -11,11 +10,19 @@ const errorHandler = require('./middleware/errorHandler');
 // Load environment variables
 dotenv.config();
 
+// Read their limits from the environment when loaded
+const { authLimiter, paymentLimiter } = require('./middleware/rateLimits');
+
 // Connect to MongoDB
 connectDB();
 
 const app = express();
 
+// Behind a reverse proxy, per-IP limits need the client IP from X-Forwarded-For (number of proxies)
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+}
+
 // Security middleware with relaxed img-src for development
 app.use(helmet({
   crossOriginResourcePolicy: { policy: "cross-origin" },
@@ -27,13 +34,7 @@ app.use(helmet({
   },
 }));
 
-// Rate limiting - Disabled for development
-// const limiter = rateLimit({
-//   windowMs: 15 * 60 * 1000, // 15 minutes
-//   max: 100, // limit each IP to 100 requests per windowMs
-//   message: 'Too many requests from this IP, please try again later.',
-// });
-// app.use('/api/', limiter);
+// Rate limiting: per route group (auth, contact, payments), see middleware/rateLimits.js
 
 // CORS configuration - Allow multiple frontend URLs
 const allowedOrigins = [
@@ -77,6 +78,9 @@ const corsOptions = process.env.NODE_ENV === 'development'
 
 app.use(cors(corsOptions));
 
+// Stripe webhooks are verified against the raw body, so it must not be JSON-parsed first
+app.use('/api/payments/stripe/webhook', express.raw({ type: 'application/json' }));
+
 // Body parsing middleware
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
@@ -119,15 +123,22 @@ app.get('/api/cors-test', (req, res) => {
 });
 
 // API Routes
-app.use('/api/auth', require('./routes/auth'));
+app.use('/api/auth', authLimiter, require('./routes/auth'));
 app.use('/api/menu', require('./routes/menu'));
 app.use('/api/orders', require('./routes/orders'));
 app.use('/api/reservations', require('./routes/reservations'));
+app.use('/api/waitlist', require('./routes/waitlist'));
 app.use('/api/tables', require('./routes/tables'));
+app.use('/api/zones', require('./routes/zones'));
+app.use('/api/floor', require('./routes/floor'));
+app.use('/api/schedule', require('./routes/schedule'));
+app.use('/api/deposits', require('./routes/deposits'));
 app.use('/api/users', require('./routes/users'));
 app.use('/api/admin', require('./routes/admin'));
-app.use('/api/payments', require('./routes/payments'));
+app.use('/api/payments', paymentLimiter, require('./routes/payments'));
 app.use('/api/contact', require('./routes/contact'));
+app.use('/api/events', require('./routes/events'));
+app.use('/api/kitchen', require('./routes/kitchen'));
 
 // Handle undefined routes
 app.all('*', (req, res) => {
@@ -146,6 +157,9 @@ const server = app.listen(PORT, () => {
   console.log(`🚀 Server running in ${process.env.NODE_ENV} mode on port ${PORT}`);
 });
 
+// Scheduled maintenance: waitlist holds, no-shows, completed seatings
+require('./jobs').startJobs();
+
 // Handle unhandled promise rejections
 process.on('unhandledRejection', (err) => {
   console.log(`Error: ${err.message}`);
@@ -0,0 +1,345 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+process.env.MAIL_TRANSPORT = 'file';
+process.env.MAIL_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'restoh-mail-'));
+
+const Session = require('../../models/Session');
+const User = require('../../models/User');
+const {
+  register,
+  login,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  changePassword,
+  refreshToken,
+  getSessions,
+  revokeOtherSessions,
+  logout,
+} = require('../../controllers/authController');
+const { updateUser, unlockUser } = require('../../controllers/userController');
+const { setupMfa, enableMfa, verifyMfaLogin } = require('../../controllers/mfaController');
+const { adminLogin, adminVerifyMfa } = require('../../controllers/adminController');
+const { streamEvents } = require('../../controllers/eventController');
+const { protect, authorize, requireVerifiedEmail } = require('../../middleware/auth');
+const { publishEvent } = require('../../utils/eventStream');
+const { generateCode } = require('../../utils/totp');
+const { unlockAccount } = require('../../utils/loginThrottle');
+
+const {
+  createTestUser,
+  createTestAdmin,
+  mockRequest,
+  mockResponse,
+  mockNext,
+} = require('../helpers/testHelpers');
+
+describe('Auth Controller sessions', () => {
+  const chrome = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 Chrome/120.0 Safari/537.36';
+
+  const call = async (handler, overrides = {}) => {
+    const res = mockResponse();
+    await handler(mockRequest({ cookies: {}, ...overrides }), res, mockNext());
+    return res;
+  };
+
+  // Last value the handler set for a cookie
+  const cookie = (res, name) => res.cookie.mock.calls.filter(([cookieName]) => cookieName === name).pop()[1];
+
+  const logIn = async () => {
+    const res = await call(login, {
+      body: { email: 'test@example.com', password: 'password123' },
+      headers: { 'user-agent': chrome },
+    });
+    return { token: cookie(res, 'token'), refresh: cookie(res, 'refreshToken'), sessionId: res.data.sessionId };
+  };
+
+  // Run protect with an access token; returns the request when it let the call through
+  const authenticate = async (token) => {
+    const req = mockRequest({ cookies: { token } });
+    const res = mockResponse();
+    const next = mockNext();
+    await protect(req, res, next);
+    return next.mock.calls.length > 0 ? req : null;
+  };
+
+  beforeEach(async () => {
+    await createTestUser();
+  });
+
+  it('should open a session with the device on login', async () => {
+    const { token, sessionId } = await logIn();
+
+    const session = await Session.findById(sessionId);
+    expect(session.device).toBe('Chrome on Windows');
+    expect((await authenticate(token)).authSession._id.toString()).toBe(sessionId.toString());
+  });
+
+  it('should rotate the refresh token and revoke the whole session when an old one is reused', async () => {
+    const { token, refresh } = await logIn();
+
+    const rotated = await call(refreshToken, { cookies: { refreshToken: refresh } });
+    expect(rotated.status).toHaveBeenCalledWith(200);
+    const newRefresh = cookie(rotated, 'refreshToken');
+    expect(newRefresh).not.toBe(refresh);
+
+    const reused = await call(refreshToken, { cookies: { refreshToken: refresh } });
+    expect(reused.status).toHaveBeenCalledWith(401);
+
+    // The thief and the legitimate client are both logged out
+    expect((await call(refreshToken, { cookies: { refreshToken: newRefresh } })).status).toHaveBeenCalledWith(401);
+    expect(await authenticate(token)).toBeNull();
+    expect(await authenticate(rotated.data.token)).toBeNull();
+  });
+
+  it('should end the session server-side on logout', async () => {
+    const { token, refresh } = await logIn();
+    const req = await authenticate(token);
+
+    const res = mockResponse();
+    await logout(req, res, mockNext());
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(await authenticate(token)).toBeNull();
+    expect((await call(refreshToken, { cookies: { refreshToken: refresh } })).status).toHaveBeenCalledWith(401);
+  });
+
+  it('should list the open sessions and revoke all but the current one', async () => {
+    const other = await logIn();
+    const current = await logIn();
+    const req = await authenticate(current.token);
+
+    const list = mockResponse();
+    await getSessions(req, list, mockNext());
+    expect(list.data.count).toBe(2);
+    expect(list.data.data.find(session => session.current)._id.toString()).toBe(current.sessionId.toString());
+    expect(list.data.data[0].tokenHash).toBeUndefined();
+
+    await revokeOtherSessions(req, mockResponse(), mockNext());
+
+    expect(await authenticate(other.token)).toBeNull();
+    expect(await authenticate(current.token)).not.toBeNull();
+  });
+
+  describe('account emails', () => {
+    // Token of the last link emailed to an address
+    const lastLinkToken = (email) => {
+      const mails = fs.readdirSync(process.env.MAIL_DIR).sort()
+        .map(file => JSON.parse(fs.readFileSync(path.join(process.env.MAIL_DIR, file), 'utf8')))
+        .filter(mail => mail.to === email);
+      return mails.length > 0 ? mails[mails.length - 1].text.match(/token=([a-f0-9]+)/)[1] : null;
+    };
+
+    it('should reset the password once with the emailed link and end the other sessions', async () => {
+      const { token } = await logIn();
+
+      await call(forgotPassword, { body: { email: 'test@example.com' } });
+      const resetToken = lastLinkToken('test@example.com');
+
+      const res = await call(resetPassword, { params: { token: resetToken }, body: { password: 'newpassword' } });
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(await (await User.findOne({ email: 'test@example.com' }).select('+password')).matchPassword('newpassword'))
+        .toBe(true);
+      expect(await authenticate(token)).toBeNull();
+
+      const reused = await call(resetPassword, { params: { token: resetToken }, body: { password: 'otherpassword' } });
+      expect(reused.status).toHaveBeenCalledWith(400);
+    });
+
+    it('should answer the same for an unknown address', async () => {
+      const res = await call(forgotPassword, { body: { email: 'nobody@example.com' } });
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(lastLinkToken('nobody@example.com')).toBeNull();
+    });
+
+    it('should verify the email of a new account, and block it from ordering until then when required', async () => {
+      process.env.EMAIL_VERIFICATION_REQUIRED_FOR = 'orders';
+      try {
+        await call(register, { body: { name: 'Ada', email: 'ada@example.com', password: 'password123' } });
+        const user = await User.findOne({ email: 'ada@example.com' });
+        expect(user.isEmailVerified).toBe(false);
+
+        const blocked = mockResponse();
+        const next = mockNext();
+        requireVerifiedEmail('orders')(mockRequest({ user }), blocked, next);
+        expect(blocked.status).toHaveBeenCalledWith(403);
+        expect(next).not.toHaveBeenCalled();
+
+        const res = await call(verifyEmail, { params: { token: lastLinkToken('ada@example.com') } });
+        expect(res.status).toHaveBeenCalledWith(200);
+
+        const verified = await User.findById(user._id);
+        expect(verified.isEmailVerified).toBe(true);
+        requireVerifiedEmail('orders')(mockRequest({ user: verified }), mockResponse(), next);
+        expect(next).toHaveBeenCalled();
+      } finally {
+        delete process.env.EMAIL_VERIFICATION_REQUIRED_FOR;
+      }
+    });
+  });
+
+  describe('token invalidation', () => {
+    it('should keep only the current session, with a new token, after a password change', async () => {
+      const other = await logIn();
+      const current = await logIn();
+      const req = await authenticate(current.token);
+
+      const res = mockResponse();
+      await changePassword({ ...req, body: { currentPassword: 'password123', newPassword: 'newpassword' } }, res, mockNext());
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(await authenticate(current.token)).toBeNull();
+      expect(await authenticate(other.token)).toBeNull();
+      expect(await authenticate(res.data.token)).not.toBeNull();
+    });
+
+    it('should refuse a deactivated account with its own code, on every token and on login', async () => {
+      const { token, refresh } = await logIn();
+      const user = await User.findOne({ email: 'test@example.com' });
+
+      await call(updateUser, { user: await createTestAdmin(), params: { id: user._id }, body: { isActive: false } });
+
+      const res = mockResponse();
+      await protect(mockRequest({ cookies: { token } }), res, mockNext());
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.data.code).toBe('ACCOUNT_DEACTIVATED');
+      expect((await call(refreshToken, { cookies: { refreshToken: refresh } })).status).toHaveBeenCalledWith(401);
+
+      const loginRes = await call(login, { body: { email: 'test@example.com', password: 'password123' } });
+      expect(loginRes.status).toHaveBeenCalledWith(403);
+      expect(loginRes.data.code).toBe('ACCOUNT_DEACTIVATED');
+    });
+
+    it('should end the tokens issued before a role change', async () => {
+      const { token } = await logIn();
+      const user = await User.findOne({ email: 'test@example.com' });
+
+      await call(updateUser, { user: await createTestAdmin(), params: { id: user._id }, body: { role: 'admin' } });
+
+      const res = mockResponse();
+      await protect(mockRequest({ cookies: { token } }), res, mockNext());
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.data.code).toBe('SESSION_REVOKED');
+    });
+  });
+
+  describe('login lockout', () => {
+    const attempt = (password) => call(login, { body: { email: 'test@example.com', password }, ip: '10.0.0.1' });
+
+    it('should lock the account after repeated failures, even for the right password, until an admin unlocks it', async () => {
+      for (let i = 0; i < 5; i++) {
+        expect((await attempt('wrong-password')).status).toHaveBeenCalledWith(401);
+      }
+      const locked = await attempt('wrong-password');
+      expect(locked.status).toHaveBeenCalledWith(429);
+      expect(locked.data).toEqual(expect.objectContaining({ code: 'LOGIN_LOCKED', retryAfter: 30 }));
+      expect(locked.set).toHaveBeenCalledWith('Retry-After', '30');
+
+      expect((await attempt('password123')).status).toHaveBeenCalledWith(429);
+
+      const user = await User.findOne({ email: 'test@example.com' });
+      await call(unlockUser, { user: await createTestAdmin(), params: { id: user._id } });
+      expect((await attempt('password123')).status).toHaveBeenCalledWith(200);
+    });
+  });
+
+  describe('two-factor authentication', () => {
+    // Codes of the next time step: the current one is used up by the enrolment
+    const nextCode = (secret) => generateCode(secret, new Date(Date.now() + 30 * 1000));
+
+    // Enrol the logged-in user; returns the secret and recovery codes
+    const enrol = async (req) => {
+      const setup = await call(setupMfa, req);
+      const { secret } = setup.data.data;
+      const enabled = await call(enableMfa, { ...req, body: { code: generateCode(secret) } });
+      expect(enabled.status).toHaveBeenCalledWith(200);
+      return { secret, recoveryCodes: enabled.data.data.recoveryCodes };
+    };
+
+    const isAdminAllowed = async (token) => {
+      const req = await authenticate(token);
+      const next = mockNext();
+      const res = mockResponse();
+      authorize('admin')(req, res, next);
+      return next.mock.calls.length > 0 ? true : res.data.code;
+    };
+
+    it('should ask for a code after the password once enrolled, and accept each code once', async () => {
+      const { secret, recoveryCodes } = await enrol(await authenticate((await logIn()).token));
+      expect(recoveryCodes).toHaveLength(10);
+
+      const first = await call(login, { body: { email: 'test@example.com', password: 'password123' } });
+      expect(first.data).toEqual(expect.objectContaining({ mfaRequired: true, mfaToken: expect.any(String) }));
+      expect(first.cookie).not.toHaveBeenCalled();
+      // The pending token is not an access token
+      expect(await authenticate(first.data.mfaToken)).toBeNull();
+
+      const code = nextCode(secret);
+      const verified = await call(verifyMfaLogin, { body: { mfaToken: first.data.mfaToken, code } });
+      expect(verified.status).toHaveBeenCalledWith(200);
+      expect(await Session.findById(verified.data.sessionId)).toEqual(expect.objectContaining({ mfaVerified: true }));
+
+      const replayed = await call(verifyMfaLogin, { body: { mfaToken: first.data.mfaToken, code } });
+      expect(replayed.status).toHaveBeenCalledWith(401);
+      expect(replayed.data.code).toBe('MFA_CODE_INVALID');
+
+      const recovery = { mfaToken: first.data.mfaToken, recoveryCode: recoveryCodes[0].toUpperCase() };
+      expect((await call(verifyMfaLogin, { body: recovery })).status).toHaveBeenCalledWith(200);
+      expect((await call(verifyMfaLogin, { body: recovery })).status).toHaveBeenCalledWith(401);
+    });
+
+    it('should lock the account after wrong codes, even with password logins in between', async () => {
+      const { secret } = await enrol(await authenticate((await logIn()).token));
+      const valid = [-30, 0, 30].map(offset => generateCode(secret, new Date(Date.now() + offset * 1000)));
+      const wrongCode = ['111111', '222222', '333333', '444444'].find(code => !valid.includes(code));
+      const credentials = { email: 'test@example.com', password: 'password123' };
+
+      for (let i = 0; i < 6; i++) {
+        const first = await call(login, { body: credentials });
+        expect(first.data.mfaRequired).toBe(true);
+        const verified = await call(verifyMfaLogin, { body: { mfaToken: first.data.mfaToken, code: wrongCode } });
+        expect(verified.data.code).toBe('MFA_CODE_INVALID');
+      }
+
+      const locked = await call(login, { body: credentials });
+      expect(locked.status).toHaveBeenCalledWith(429);
+      expect(locked.data.code).toBe('LOGIN_LOCKED');
+
+      await unlockAccount('test@example.com');
+    });
+
+    it('should keep admins out of admin routes until their session passed the second factor', async () => {
+      await createTestAdmin();
+      const credentials = { email: 'admin@example.com', password: 'password123' };
+
+      const unenrolled = await call(adminLogin, { body: credentials });
+      expect(unenrolled.data.mfaSetupRequired).toBe(true);
+      expect(await isAdminAllowed(unenrolled.data.token)).toBe('MFA_SETUP_REQUIRED');
+
+      // Nor the events of other users
+      const streamReq = await authenticate(unenrolled.data.token);
+      streamReq.on = jest.fn();
+      const stream = { set: jest.fn(), flushHeaders: jest.fn(), write: jest.fn(() => true) };
+      streamEvents(streamReq, stream);
+      publishEvent('order.updated', { status: 'ready' }, { userId: 'someone-else' });
+      expect(stream.write).not.toHaveBeenCalledWith(expect.stringContaining('"status":"ready"'));
+      streamReq.on.mock.calls[0][1]();
+
+      // Enrolling verifies the session it is done from
+      const { secret } = await enrol(await authenticate(unenrolled.data.token));
+      expect(await isAdminAllowed(unenrolled.data.token)).toBe(true);
+
+      const challenge = await call(adminLogin, { body: credentials });
+      expect(challenge.data.mfaRequired).toBe(true);
+      expect(challenge.data.token).toBeUndefined();
+
+      const verified = await call(adminVerifyMfa, { body: { mfaToken: challenge.data.mfaToken, code: nextCode(secret) } });
+      expect(verified.status).toHaveBeenCalledWith(200);
+      expect(await isAdminAllowed(verified.data.token)).toBe(true);
+    });
+  });
+});
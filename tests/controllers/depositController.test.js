@@ -0,0 +1,242 @@
+const Reservation = require('../../models/Reservation');
+const Table = require('../../models/Table');
+const DepositPolicy = require('../../models/DepositPolicy');
+const stripe = require('../../config/stripe');
+const {
+  createReservation,
+  createReservationSeries,
+  updateReservationSeries,
+  updateUserReservation,
+  cancelUserReservation,
+} = require('../../controllers/reservationController');
+const { getDepositQuote } = require('../../controllers/depositController');
+const { joinWaitlist, acceptWaitlistOffer } = require('../../controllers/waitlistController');
+const { confirmDeposit } = require('../../utils/deposits');
+const { markNoShows, expireUnpaidReservations } = require('../../jobs/reservationSweeps');
+const { DEFAULT_SCHEDULE } = require('../../utils/timeSlots');
+const { createReservationDateTime } = require('../../utils/reservationHelpers');
+const { addDays, today } = require('../../utils/timezone');
+
+const {
+  createTestUser,
+  mockRequest,
+  mockResponse,
+  mockNext,
+} = require('../helpers/testHelpers');
+
+jest.mock('../../config/stripe', () => ({
+  customers: { create: jest.fn() },
+  paymentIntents: { create: jest.fn(), cancel: jest.fn() },
+  setupIntents: { create: jest.fn(), cancel: jest.fn() },
+  refunds: { create: jest.fn() },
+}));
+
+describe('Deposits', () => {
+  const HOUR = 60 * 60 * 1000;
+  const date = addDays(today(), 3);
+  const slot = 2;
+  let next;
+
+  const body = (overrides = {}) => ({
+    date: date.toISOString(),
+    slot,
+    guests: 8,
+    tableNumber: [1],
+    contactPhone: '0123456789',
+    ...overrides,
+  });
+
+  const call = async (handler, user, overrides = {}) => {
+    const res = mockResponse();
+    await handler(mockRequest({ user, ...overrides }), res, next);
+    return res;
+  };
+
+  const book = async (user, overrides) => {
+    const res = await call(createReservation, user, { body: body(overrides) });
+    expect(res.status).toHaveBeenCalledWith(201);
+    return res.data;
+  };
+
+  // Confirm the payment the way the Stripe webhook would
+  const pay = async ({ data, payment }) => {
+    await confirmDeposit({
+      id: payment.intentId,
+      amount_received: Math.round(payment.amount * 100),
+      payment_method: 'pm_test_123',
+      metadata: { reservationId: data._id.toString() },
+    });
+    return Reservation.findById(data._id);
+  };
+
+  const bookAndPay = async (user, overrides) => pay(await book(user, overrides));
+
+  const bookedSlots = async () => {
+    const table = await Table.findOne({ tableNumber: 1 });
+    return table.tableBookings.flatMap(booking => booking.bookedSlots);
+  };
+
+  beforeEach(async () => {
+    next = mockNext();
+    stripe.customers.create.mockResolvedValue({ id: 'cus_test_123' });
+    stripe.paymentIntents.create.mockResolvedValue({ id: 'pi_test_123', client_secret: 'pi_test_123_secret' });
+    stripe.setupIntents.create.mockResolvedValue({ id: 'seti_test_123', client_secret: 'seti_test_123_secret' });
+    stripe.refunds.create.mockResolvedValue({ id: 're_test_123' });
+
+    await Table.create({ tableNumber: 1, capacity: 8 });
+    await DepositPolicy.create({
+      enabled: true,
+      refundWindowHours: 24,
+      rules: [
+        { name: 'Repeat no-shows', minNoShows: 1, type: 'card', amount: 25 },
+        { name: 'Large parties', minGuests: 6, amountPerGuest: 10 },
+      ],
+    });
+  });
+
+  it('should quote the deposit of a booking', async () => {
+    const user = await createTestUser();
+
+    const res = await call(getDepositQuote, user, { query: { date: date.toISOString(), guests: '8' } });
+
+    expect(res.data.data).toEqual(expect.objectContaining({ required: true, type: 'deposit', amount: 80 }));
+  });
+
+  it('should hold the tables as pending until the deposit is paid', async () => {
+    const user = await createTestUser();
+
+    const booking = await book(user);
+
+    expect(booking.data.status).toBe('pending');
+    expect(booking.payment).toEqual(expect.objectContaining({ amount: 80, clientSecret: 'pi_test_123_secret' }));
+    expect(stripe.paymentIntents.create).toHaveBeenCalledWith(expect.objectContaining({ amount: 8000 }));
+    expect(await bookedSlots()).toEqual([2, 3, 4]);
+
+    const paid = await pay(booking);
+    expect(paid.status).toBe('confirmed');
+    expect(paid.deposit.status).toBe('paid');
+  });
+
+  it('should book small parties without a deposit', async () => {
+    const user = await createTestUser();
+
+    const { data, payment } = await book(user, { guests: 2 });
+
+    expect(data.status).toBe('confirmed');
+    expect(payment).toBeUndefined();
+  });
+
+  it('should refund a deposit cancelled before the refund deadline', async () => {
+    const user = await createTestUser();
+    const reservation = await bookAndPay(user);
+
+    const res = await call(cancelUserReservation, user, { params: { id: reservation._id.toString() } });
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(stripe.refunds.create).toHaveBeenCalledWith(expect.objectContaining({ payment_intent: 'pi_test_123' }));
+    expect((await Reservation.findById(reservation._id)).deposit.status).toBe('refunded');
+  });
+
+  it('should keep a deposit cancelled after the refund deadline', async () => {
+    const user = await createTestUser();
+    const reservation = await bookAndPay(user);
+    await Reservation.updateOne({ _id: reservation._id }, { 'deposit.refundableUntil': new Date(Date.now() - HOUR) });
+
+    await call(cancelUserReservation, user, { params: { id: reservation._id.toString() } });
+
+    expect(stripe.refunds.create).not.toHaveBeenCalled();
+    expect((await Reservation.findById(reservation._id)).deposit.status).toBe('retained');
+  });
+
+  it('should charge the saved card of a repeat no-show', async () => {
+    const user = await createTestUser({ noShowCount: 1 });
+    stripe.paymentIntents.create.mockResolvedValue({ id: 'pi_fee_123', status: 'succeeded' });
+
+    const reservation = await bookAndPay(user, { guests: 2, date: addDays(today(), 1).toISOString() });
+    expect(reservation.deposit.status).toBe('card-saved');
+
+    const seating = createReservationDateTime(reservation.date, reservation.slot, DEFAULT_SCHEDULE);
+    await markNoShows(new Date(seating.getTime() + 2 * HOUR));
+
+    const noShow = await Reservation.findById(reservation._id);
+    expect(noShow.status).toBe('no-show');
+    expect(noShow.deposit.status).toBe('charged');
+    expect(stripe.paymentIntents.create).toHaveBeenCalledWith(expect.objectContaining({
+      amount: 2500,
+      customer: 'cus_test_123',
+      payment_method: 'pm_test_123',
+      off_session: true,
+    }));
+  });
+
+  it('should refuse to grow a reservation past the deposit threshold without a deposit', async () => {
+    const user = await createTestUser();
+    const { data } = await book(user, { guests: 2 });
+
+    const res = await call(updateUserReservation, user, { params: { id: data._id.toString() }, body: { guests: 8 } });
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.data.message).toBe('This change requires a deposit of 80.00, please make a new reservation for it');
+    expect((await Reservation.findById(data._id)).guests).toBe(2);
+  });
+
+  it('should move the refund deadline along with a paid reservation', async () => {
+    const user = await createTestUser();
+    const reservation = await bookAndPay(user);
+    const earlier = addDays(today(), 2);
+
+    const res = await call(updateUserReservation, user, {
+      params: { id: reservation._id.toString() },
+      body: { date: earlier.toISOString() },
+    });
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    const seating = createReservationDateTime(earlier, slot, DEFAULT_SCHEDULE);
+    const moved = await Reservation.findById(reservation._id);
+    expect(moved.deposit.refundableUntil).toEqual(new Date(seating.getTime() - 24 * HOUR));
+  });
+
+  it('should refuse to grow a series past the deposit threshold', async () => {
+    const user = await createTestUser();
+    const created = await call(createReservationSeries, user, {
+      body: body({ guests: 2, recurrence: { frequency: 'weekly', count: 2 } }),
+    });
+    expect(created.status).toHaveBeenCalledWith(201);
+    const seriesId = created.data.data.series._id;
+
+    const res = await call(updateReservationSeries, user, { params: { id: seriesId.toString() }, body: { guests: 8 } });
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(await Reservation.countDocuments({ series: seriesId, guests: 2 })).toBe(2);
+  });
+
+  it('should cancel an unpaid reservation and free its tables', async () => {
+    const user = await createTestUser();
+    const { data } = await book(user);
+
+    expect(await expireUnpaidReservations(new Date(Date.now() + HOUR))).toEqual({ expired: 1 });
+
+    const expired = await Reservation.findById(data._id);
+    expect(expired.status).toBe('cancelled');
+    expect(expired.deposit.status).toBe('cancelled');
+    expect(stripe.paymentIntents.cancel).toHaveBeenCalledWith('pi_test_123');
+    expect(await bookedSlots()).toEqual([]);
+  });
+
+  it('should ask a deposit of a large party accepting a waitlist offer', async () => {
+    const owner = await createTestUser({ email: 'owner@example.com' });
+    const waiting = await createTestUser({ email: 'waiting@example.com' });
+    const { data } = await book(owner, { guests: 2 });
+
+    const { tableNumber, ...entry } = body();
+    const joined = await call(joinWaitlist, waiting, { body: entry });
+    expect(joined.status).toHaveBeenCalledWith(201);
+    await call(cancelUserReservation, owner, { params: { id: data._id.toString() } });
+
+    const res = await call(acceptWaitlistOffer, waiting, { params: { id: joined.data.data._id.toString() } });
+
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(res.data.data.status).toBe('pending');
+    expect(res.data.payment).toEqual(expect.objectContaining({ amount: 80, clientSecret: 'pi_test_123_secret' }));
+  });
+});
@@ -0,0 +1,108 @@
+const Reservation = require('../../models/Reservation');
+const Table = require('../../models/Table');
+const {
+  getFloorStatus,
+  seatReservation,
+  clearReservation,
+  transferReservation,
+  markTableCleaned,
+} = require('../../controllers/floorController');
+const { bookTables } = require('../../utils/reservationHelpers');
+const { DEFAULT_SCHEDULE } = require('../../utils/timeSlots');
+const { today } = require('../../utils/timezone');
+
+const {
+  createTestAdmin,
+  mockRequest,
+  mockResponse,
+  mockNext,
+} = require('../helpers/testHelpers');
+
+describe('Floor Controller', () => {
+  const slot = 2;
+  let admin, next;
+
+  const call = async (handler, overrides = {}) => {
+    const res = mockResponse();
+    await handler(mockRequest({ user: admin, ...overrides }), res, next);
+    return res;
+  };
+
+  const bookedSlots = async (tableNumber) => {
+    const table = await Table.findOne({ tableNumber });
+    return table.tableBookings.flatMap(booking => booking.bookedSlots);
+  };
+
+  const createTonight = async (overrides = {}) => {
+    await bookTables([1], today(), slot, { schedule: DEFAULT_SCHEDULE });
+    return Reservation.create({
+      source: 'phone',
+      userName: 'Ada',
+      date: today(),
+      slot,
+      guests: 2,
+      tableNumber: [1],
+      contactPhone: '0123456789',
+      ...overrides,
+    });
+  };
+
+  beforeEach(async () => {
+    next = mockNext();
+    admin = await createTestAdmin();
+    await Table.create([
+      { tableNumber: 1, capacity: 4 },
+      { tableNumber: 2, capacity: 4 },
+    ]);
+  });
+
+  it('should seat a party and show it on the floor', async () => {
+    const reservation = await createTonight();
+
+    const res = await call(seatReservation, { params: { id: reservation._id } });
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.data.data.status).toBe('seated');
+
+    const floor = await call(getFloorStatus);
+    const [first, second] = floor.data.data.tables;
+    expect(first).toEqual(expect.objectContaining({ tableNumber: 1, state: 'seated' }));
+    expect(first.party.name).toBe('Ada');
+    expect(second.state).toBe('free');
+  });
+
+  it('should complete a cleared party, free its table and flag it for cleaning', async () => {
+    const reservation = await createTonight({ status: 'seated', seatedAt: new Date() });
+
+    const res = await call(clearReservation, { params: { id: reservation._id } });
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect((await Reservation.findById(reservation._id)).status).toBe('completed');
+    expect(await bookedSlots(1)).toEqual([]);
+    expect((await Table.findOne({ tableNumber: 1 })).needsCleaning).toBe(true);
+
+    await call(markTableCleaned, { params: { tableNumber: '1' } });
+    expect((await Table.findOne({ tableNumber: 1 })).needsCleaning).toBe(false);
+  });
+
+  it('should move a seated party and its bookings to another table', async () => {
+    const reservation = await createTonight({ status: 'seated', seatedAt: new Date() });
+
+    const res = await call(transferReservation, { params: { id: reservation._id }, body: { tableNumber: [2] } });
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect((await Reservation.findById(reservation._id)).tableNumber).toEqual([2]);
+    expect(await bookedSlots(1)).toEqual([]);
+    expect(await bookedSlots(2)).toEqual([2, 3, 4]);
+    expect((await Table.findOne({ tableNumber: 1 })).needsCleaning).toBe(true);
+  });
+
+  it('should refuse to move a party to a booked table', async () => {
+    const reservation = await createTonight();
+    await bookTables([2], today(), slot, { schedule: DEFAULT_SCHEDULE });
+
+    const res = await call(transferReservation, { params: { id: reservation._id }, body: { tableNumber: [2] } });
+
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(await bookedSlots(1)).toEqual([2, 3, 4]);
+  });
+});
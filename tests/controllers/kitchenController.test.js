@@ -0,0 +1,123 @@
+const Order = require('../../models/Order');
+const {
+  getKitchenQueue,
+  bumpOrderItem,
+} = require('../../controllers/kitchenController');
+
+const {
+  createTestUser,
+  createTestAdmin,
+  createTestMenuItem,
+  createTestOrder,
+  mockRequest,
+  mockResponse,
+  mockNext,
+} = require('../helpers/testHelpers');
+
+describe('Kitchen Controller', () => {
+  let req, res, next;
+
+  beforeEach(() => {
+    req = mockRequest();
+    res = mockResponse();
+    next = mockNext();
+  });
+
+  const createKitchenOrder = async (user, status = 'confirmed') => {
+    const steak = await createTestMenuItem({ name: 'Steak', category: 'main', preparationTime: 30 });
+    const cake = await createTestMenuItem({ name: 'Cake', category: 'dessert', preparationTime: 5 });
+
+    return createTestOrder({
+      userId: user._id,
+      status,
+      items: [
+        { menuItem: steak._id, name: 'Steak', quantity: 2, price: 20, image: 'steak.jpg' },
+        { menuItem: cake._id, name: 'Cake', quantity: 1, price: 6, image: 'cake.jpg' },
+      ],
+      totalPrice: 46,
+    });
+  };
+
+  describe('getKitchenQueue', () => {
+    it('should sequence desserts after mains and group items by station', async () => {
+      const user = await createTestUser();
+      await createKitchenOrder(user);
+      await createTestOrder({ userId: user._id, status: 'pending' });
+
+      await getKitchenQueue(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.data.count).toBe(1);
+
+      const [order] = res.data.data.orders;
+      const steak = order.items.find(item => item.name === 'Steak');
+      const cake = order.items.find(item => item.name === 'Cake');
+
+      expect(steak.station).toBe('hot');
+      expect(cake.station).toBe('pastry');
+      // The cake is quicker than the steak but only goes out once the mains are ready
+      expect(cake.fireAt.getTime() - steak.fireAt.getTime()).toBe(30 * 60 * 1000);
+      expect(order.readyAt.getTime() - steak.fireAt.getTime()).toBe(35 * 60 * 1000);
+
+      expect(res.data.data.stations.hot).toEqual([
+        expect.objectContaining({ name: 'Steak', totalQuantity: 2 }),
+      ]);
+    });
+  });
+
+  describe('bumpOrderItem', () => {
+    it('should move the order to preparing on the first bump and ready on the last', async () => {
+      const admin = await createTestAdmin();
+      const user = await createTestUser();
+      const order = await createKitchenOrder(user);
+
+      req.user = admin;
+      req.params = { orderId: order._id.toString(), itemId: order.items[0]._id.toString() };
+      await bumpOrderItem(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect((await Order.findById(order._id)).status).toBe('preparing');
+
+      res = mockResponse();
+      req.params = { orderId: order._id.toString(), itemId: order.items[1]._id.toString() };
+      await bumpOrderItem(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.data.message).toBe('Order is ready');
+
+      const updatedOrder = await Order.findById(order._id);
+      expect(updatedOrder.status).toBe('ready');
+      expect(updatedOrder.statusHistory.map(entry => entry.status)).toEqual(['confirmed', 'preparing', 'ready']);
+    });
+
+    it('should refuse to bump the same item twice', async () => {
+      const admin = await createTestAdmin();
+      const user = await createTestUser();
+      const order = await createKitchenOrder(user, 'preparing');
+      order.items[0].kitchenStatus = 'done';
+      await order.save();
+
+      req.user = admin;
+      req.params = { orderId: order._id.toString(), itemId: order.items[0]._id.toString() };
+      await bumpOrderItem(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(409);
+    });
+
+    it('should refuse to bump items of orders outside the kitchen queue', async () => {
+      const admin = await createTestAdmin();
+      const user = await createTestUser();
+      const order = await createKitchenOrder(user, 'pending');
+
+      req.user = admin;
+      req.params = { orderId: order._id.toString(), itemId: order.items[0]._id.toString() };
+      await bumpOrderItem(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(res.json).toHaveBeenCalledWith({
+        success: false,
+        message: 'Cannot bump items of an order that is pending',
+      });
+    });
+  });
+});
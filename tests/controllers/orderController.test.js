@@ -1,11 +1,16 @@
 const Order = require('../../models/Order');
 const User = require('../../models/User');
 const {
+  createOrder,
+  getOrder,
+  updateOrderStatus,
   cancelOrder,
 } = require('../../controllers/orderController');
 
 const {
   createTestUser,
+  createTestAdmin,
+  createTestMenuItem,
   createTestOrder,
   mockRequest,
   mockResponse,
@@ -21,6 +26,197 @@ describe('Order Controller', () => {
     next = mockNext();
   });
 
+  describe('createOrder', () => {
+    it('should price items from the menu and ignore client-supplied prices', async () => {
+      const user = await createTestUser();
+      const pizza = await createTestMenuItem({ name: 'Pizza', price: 15.9, image: 'pizza.jpg' });
+      const soda = await createTestMenuItem({ name: 'Soda', price: 2.5, category: 'beverage' });
+
+      req.user = user;
+      req.body = {
+        items: [
+          { menuItem: pizza._id.toString(), quantity: 2, price: 0.01, name: 'Free pizza', image: 'fake.jpg' },
+          { menuItem: soda._id.toString(), quantity: 1, price: 0.01 },
+        ],
+        totalPrice: 0.02,
+        orderType: 'pickup',
+        paymentMethod: 'cash',
+      };
+
+      await createOrder(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(201);
+      const order = await Order.findById(res.data.data._id);
+      expect(order.totalPrice).toBe(34.3);
+      expect(order.items[0]).toEqual(expect.objectContaining({
+        name: 'Pizza',
+        price: 15.9,
+        image: 'pizza.jpg',
+        quantity: 2,
+      }));
+      expect(order.items[1].price).toBe(2.5);
+    });
+
+    it('should persist and return an estimated pickup time', async () => {
+      const user = await createTestUser();
+      const steak = await createTestMenuItem({ name: 'Steak', preparationTime: 30 });
+
+      req.user = user;
+      req.body = {
+        items: [{ menuItem: steak._id.toString(), quantity: 1 }],
+        orderType: 'pickup',
+        paymentMethod: 'cash',
+      };
+
+      const before = Date.now();
+      await createOrder(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(201);
+      const eta = new Date(res.data.data.estimatedDeliveryTime).getTime();
+      expect(eta).toBeGreaterThanOrEqual(before + 35 * 60 * 1000);
+
+      const order = await Order.findById(res.data.data._id);
+      expect(order.estimatedDeliveryTime.getTime()).toBe(eta);
+    });
+
+    it('should return per-item errors for unavailable or deleted items', async () => {
+      const user = await createTestUser();
+      const available = await createTestMenuItem({ name: 'Available' });
+      const unavailable = await createTestMenuItem({ name: 'Sold Out', isAvailable: false });
+
+      req.user = user;
+      req.body = {
+        items: [
+          { menuItem: available._id.toString(), quantity: 1 },
+          { menuItem: unavailable._id.toString(), quantity: 1 },
+          { menuItem: '507f1f77bcf86cd799439011', quantity: 1 },
+          { menuItem: 'not-an-id', quantity: 1 },
+        ],
+        orderType: 'pickup',
+        paymentMethod: 'cash',
+      };
+
+      await createOrder(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        success: false,
+        message: 'Some items in your cart cannot be ordered',
+        errors: [
+          expect.objectContaining({ index: 1, message: 'Sold Out is currently unavailable' }),
+          expect.objectContaining({ index: 2, message: 'Menu item no longer exists' }),
+          expect.objectContaining({ index: 3, message: 'Invalid menu item reference' }),
+        ],
+      });
+      expect(await Order.countDocuments()).toBe(0);
+    });
+
+    it('should reject invalid quantities', async () => {
+      const user = await createTestUser();
+      const menuItem = await createTestMenuItem();
+
+      req.user = user;
+      req.body = {
+        items: [{ menuItem: menuItem._id.toString(), quantity: 0 }],
+        orderType: 'pickup',
+        paymentMethod: 'cash',
+      };
+
+      await createOrder(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.data.errors).toEqual([
+        expect.objectContaining({ index: 0, message: 'Quantity must be a whole number of at least 1' }),
+      ]);
+    });
+  });
+
+  describe('updateOrderStatus', () => {
+    it('should move an order along the pickup flow and record history', async () => {
+      const admin = await createTestAdmin();
+      const user = await createTestUser();
+      const order = await createTestOrder({ userId: user._id, status: 'pending' });
+
+      req.params = { id: order._id.toString() };
+      req.user = admin;
+      req.body = { status: 'confirmed', reason: 'Kitchen accepted' };
+
+      await updateOrderStatus(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      const updatedOrder = await Order.findById(order._id);
+      expect(updatedOrder.status).toBe('confirmed');
+      expect(updatedOrder.statusHistory).toHaveLength(2);
+      expect(updatedOrder.statusHistory[1]).toEqual(expect.objectContaining({
+        status: 'confirmed',
+        from: 'pending',
+        actorRole: 'admin',
+        reason: 'Kitchen accepted',
+      }));
+    });
+
+    it('should reject illegal transitions with 409', async () => {
+      const admin = await createTestAdmin();
+      const user = await createTestUser();
+      const order = await createTestOrder({ userId: user._id, status: 'delivered' });
+
+      req.params = { id: order._id.toString() };
+      req.user = admin;
+      req.body = { status: 'pending' };
+
+      await updateOrderStatus(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(res.json).toHaveBeenCalledWith({
+        success: false,
+        message: 'Cannot change pickup order status from delivered to pending',
+        allowedTransitions: [],
+      });
+    });
+
+    it('should only allow out-for-delivery on delivery orders', async () => {
+      const admin = await createTestAdmin();
+      const user = await createTestUser();
+      const pickupOrder = await createTestOrder({ userId: user._id, status: 'ready' });
+      const deliveryOrder = await createTestOrder({
+        userId: user._id,
+        status: 'ready',
+        orderType: 'delivery',
+        deliveryAddress: '1 Main Street',
+      });
+
+      req.user = admin;
+      req.body = { status: 'out-for-delivery' };
+
+      req.params = { id: pickupOrder._id.toString() };
+      await updateOrderStatus(req, res);
+      expect(res.status).toHaveBeenCalledWith(409);
+
+      res = mockResponse();
+      req.params = { id: deliveryOrder._id.toString() };
+      await updateOrderStatus(req, res);
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.data.data.status).toBe('out-for-delivery');
+    });
+  });
+
+  describe('getOrder', () => {
+    it('should expose the status history as a timeline', async () => {
+      const user = await createTestUser();
+      const order = await createTestOrder({ userId: user._id });
+
+      req.params = { id: order._id.toString() };
+      req.user = user;
+
+      await getOrder(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.data.timeline).toEqual([
+        expect.objectContaining({ status: 'pending', by: 'user' }),
+      ]);
+    });
+  });
+
   describe('cancelOrder', () => {
     it('should allow cancellation for pending order with pending payment', async () => {
       const user = await createTestUser();
@@ -117,10 +313,10 @@ describe('Order Controller', () => {
 
       await cancelOrder(req, res);
 
-      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.status).toHaveBeenCalledWith(409);
       expect(res.json).toHaveBeenCalledWith({
         success: false,
-        message: 'Cannot cancel order that is already delivered or cancelled',
+        message: 'Cannot cancel order that is already delivered',
       });
     });
 
@@ -137,10 +333,10 @@ describe('Order Controller', () => {
 
       await cancelOrder(req, res);
 
-      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.status).toHaveBeenCalledWith(409);
       expect(res.json).toHaveBeenCalledWith({
         success: false,
-        message: 'Cannot cancel order that is already delivered or cancelled',
+        message: 'Cannot cancel order that is already cancelled',
       });
     });
 
@@ -0,0 +1,219 @@
+const Order = require('../../models/Order');
+const User = require('../../models/User');
+const stripe = require('../../config/stripe');
+const {
+  refundOrder,
+} = require('../../controllers/paymentController');
+
+const {
+  createTestUser,
+  createTestAdmin,
+  createTestOrder,
+  mockRequest,
+  mockResponse,
+  mockNext,
+} = require('../helpers/testHelpers');
+
+jest.mock('../../config/stripe', () => ({
+  refunds: {
+    create: jest.fn(),
+  },
+}));
+
+describe('Payment Controller', () => {
+  let req, res, next;
+
+  beforeEach(() => {
+    req = mockRequest();
+    res = mockResponse();
+    next = mockNext();
+    stripe.refunds.create.mockResolvedValue({ id: 're_test_123' });
+  });
+
+  describe('refundOrder', () => {
+    const createPaidOrder = async (user, overrides = {}) => {
+      await User.findByIdAndUpdate(user._id, { totalOrders: 1, totalSpent: 30 });
+
+      return createTestOrder({
+        userId: user._id,
+        items: [
+          { menuItem: '507f1f77bcf86cd799439011', name: 'Pizza', quantity: 2, price: 10, image: 'pizza.jpg' },
+          { menuItem: '507f1f77bcf86cd799439012', name: 'Tiramisu', quantity: 1, price: 10, image: 'tiramisu.jpg' },
+        ],
+        totalPrice: 30,
+        paymentMethod: 'card',
+        paymentStatus: 'paid',
+        transactionId: 'pi_test_123',
+        ...overrides,
+      });
+    };
+
+    it('should issue a full Stripe refund and reverse user statistics', async () => {
+      const admin = await createTestAdmin();
+      const user = await createTestUser();
+      const order = await createPaidOrder(user);
+
+      req.params = { id: order._id.toString() };
+      req.user = admin;
+      req.body = { amount: 30, reason: 'Order never arrived' };
+
+      await refundOrder(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(stripe.refunds.create).toHaveBeenCalledWith(expect.objectContaining({
+        payment_intent: 'pi_test_123',
+        amount: 3000,
+      }));
+
+      const updatedOrder = await Order.findById(order._id);
+      expect(updatedOrder.paymentStatus).toBe('refunded');
+      expect(updatedOrder.refundedAmount).toBe(30);
+      expect(updatedOrder.refunds[0].stripeRefundId).toBe('re_test_123');
+
+      const updatedUser = await User.findById(user._id);
+      expect(updatedUser.totalSpent).toBe(0);
+      expect(updatedUser.totalOrders).toBe(0);
+    });
+
+    it('should refund individual line items', async () => {
+      const admin = await createTestAdmin();
+      const user = await createTestUser();
+      const order = await createPaidOrder(user);
+
+      req.params = { id: order._id.toString() };
+      req.user = admin;
+      req.body = { items: [{ itemId: order.items[0]._id.toString(), quantity: 1 }] };
+
+      await refundOrder(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+
+      const updatedOrder = await Order.findById(order._id);
+      expect(updatedOrder.paymentStatus).toBe('partially-refunded');
+      expect(updatedOrder.refundedAmount).toBe(10);
+
+      const updatedUser = await User.findById(user._id);
+      expect(updatedUser.totalSpent).toBe(20);
+      expect(updatedUser.totalOrders).toBe(1);
+    });
+
+    it('should not refund more units than were ordered', async () => {
+      const admin = await createTestAdmin();
+      const user = await createTestUser();
+      const order = await createPaidOrder(user);
+
+      req.params = { id: order._id.toString() };
+      req.user = admin;
+      req.body = { items: [{ itemId: order.items[1]._id.toString(), quantity: 2 }] };
+
+      await refundOrder(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        success: false,
+        message: 'Only 1 of Tiramisu can still be refunded',
+      });
+    });
+
+    it('should not refund more than the remaining amount', async () => {
+      const admin = await createTestAdmin();
+      const user = await createTestUser();
+      const order = await createPaidOrder(user, { refundedAmount: 25, paymentStatus: 'partially-refunded' });
+
+      req.params = { id: order._id.toString() };
+      req.user = admin;
+      req.body = { amount: 10 };
+
+      await refundOrder(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        success: false,
+        message: 'Refund amount cannot exceed the remaining 5.00',
+      });
+    });
+
+    it('should record a cash refund without calling Stripe', async () => {
+      const admin = await createTestAdmin();
+      const user = await createTestUser();
+      const order = await createTestOrder({
+        userId: user._id,
+        paymentMethod: 'cash',
+        status: 'delivered',
+        totalPrice: 10.99,
+      });
+
+      req.params = { id: order._id.toString() };
+      req.user = admin;
+      req.body = { amount: 5 };
+
+      await refundOrder(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(stripe.refunds.create).not.toHaveBeenCalled();
+
+      const updatedOrder = await Order.findById(order._id);
+      expect(updatedOrder.refunds[0].method).toBe('cash');
+      expect(updatedOrder.paymentStatus).toBe('partially-refunded');
+    });
+
+    it('should roll back the refund when Stripe fails', async () => {
+      const admin = await createTestAdmin();
+      const user = await createTestUser();
+      const order = await createPaidOrder(user);
+      stripe.refunds.create.mockRejectedValue(new Error('Stripe is down'));
+
+      req.params = { id: order._id.toString() };
+      req.user = admin;
+      req.body = { amount: 10 };
+
+      await refundOrder(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(502);
+
+      const updatedOrder = await Order.findById(order._id);
+      expect(updatedOrder.paymentStatus).toBe('paid');
+      expect(updatedOrder.refundedAmount).toBe(0);
+      expect(updatedOrder.refunds).toHaveLength(0);
+    });
+
+    it('should not let concurrent refunds exceed the order total', async () => {
+      const admin = await createTestAdmin();
+      const user = await createTestUser();
+      const order = await createPaidOrder(user);
+      const responses = [mockResponse(), mockResponse()];
+
+      await Promise.all(responses.map(response => refundOrder(
+        mockRequest({ user: admin, params: { id: order._id.toString() }, body: { amount: 20 } }),
+        response
+      )));
+
+      const statuses = responses.map(response => response.statusCode).sort();
+      expect(statuses).toEqual([200, 409]);
+      expect(stripe.refunds.create).toHaveBeenCalledTimes(1);
+
+      const updatedOrder = await Order.findById(order._id);
+      expect(updatedOrder.refundedAmount).toBe(20);
+      expect(updatedOrder.refunds).toHaveLength(1);
+      expect(updatedOrder.paymentStatus).toBe('partially-refunded');
+    });
+
+    it('should refuse to refund unpaid orders', async () => {
+      const admin = await createTestAdmin();
+      const user = await createTestUser();
+      const order = await createTestOrder({ userId: user._id, paymentMethod: 'card' });
+
+      req.params = { id: order._id.toString() };
+      req.user = admin;
+      req.body = { amount: 5 };
+
+      await refundOrder(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        success: false,
+        message: 'Order with payment status pending cannot be refunded',
+      });
+    });
+  });
+});
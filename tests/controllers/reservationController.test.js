@@ -0,0 +1,459 @@
+const Reservation = require('../../models/Reservation');
+const Table = require('../../models/Table');
+const {
+  createReservation,
+  createGuestReservation,
+  createReservationSeries,
+  updateReservationSeries,
+  cancelReservationSeries,
+  updateUserReservation,
+  cancelUserReservation,
+  updateAdminReservation,
+} = require('../../controllers/reservationController');
+
+const {
+  createTestUser,
+  createTestAdmin,
+  mockRequest,
+  mockResponse,
+  mockNext,
+} = require('../helpers/testHelpers');
+const { today, addDays, formatCalendarDate } = require('../../utils/timezone');
+
+describe('Reservation Controller', () => {
+  let req, res, next;
+
+  const tomorrow = () => {
+    const date = new Date();
+    date.setDate(date.getDate() + 1);
+    date.setHours(0, 0, 0, 0);
+    return date;
+  };
+
+  const bookedSlots = async (tableNumber) => {
+    const table = await Table.findOne({ tableNumber });
+    return table.tableBookings.flatMap(booking => booking.bookedSlots);
+  };
+
+  beforeEach(async () => {
+    req = mockRequest();
+    res = mockResponse();
+    next = mockNext();
+
+    await Table.create([
+      { tableNumber: 1, capacity: 4 },
+      { tableNumber: 2, capacity: 4 },
+      { tableNumber: 3, capacity: 4 },
+    ]);
+  });
+
+  const reservationBody = (overrides = {}) => ({
+    date: tomorrow().toISOString(),
+    slot: 2,
+    guests: 4,
+    tableNumber: [1],
+    contactPhone: '0123456789',
+    ...overrides,
+  });
+
+  describe('createReservation', () => {
+    it('should book every requested table', async () => {
+      req.user = await createTestUser();
+      req.body = reservationBody({ guests: 8, tableNumber: [1, 2] });
+
+      await createReservation(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(await bookedSlots(1)).toEqual([2, 3, 4]);
+      expect(await bookedSlots(2)).toEqual([2, 3, 4]);
+    });
+
+    it('should reject requested tables that seat fewer guests than the party', async () => {
+      req.user = await createTestUser();
+      req.body = reservationBody({ guests: 6, tableNumber: [1] });
+
+      await createReservation(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.data.message).toBe('The selected tables seat 4 guests, the party has 6');
+      expect(await bookedSlots(1)).toEqual([]);
+    });
+
+    it('should reject an overlapping booking with 409 and leave nothing half-written', async () => {
+      const user = await createTestUser();
+      req.user = user;
+      req.body = reservationBody({ tableNumber: [2], slot: 3 });
+      await createReservation(req, res, next);
+      expect(res.status).toHaveBeenCalledWith(201);
+
+      res = mockResponse();
+      req.body = reservationBody({ guests: 8, tableNumber: [1, 2] });
+      await createReservation(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(res.data.conflicts).toEqual([
+        expect.objectContaining({ tableNumber: 2, reason: 'already-booked' }),
+      ]);
+      expect(await bookedSlots(1)).toEqual([]);
+      expect(await bookedSlots(2)).toEqual([3, 4, 5]);
+      expect(await Reservation.countDocuments()).toBe(1);
+    });
+
+    it('should let only one of two concurrent bookings of the same table through', async () => {
+      const user = await createTestUser();
+      const responses = [mockResponse(), mockResponse()];
+
+      await Promise.all(responses.map(response => createReservation(
+        mockRequest({ user, body: reservationBody({ tableNumber: [3] }) }),
+        response,
+        next
+      )));
+
+      const statuses = responses.map(response => response.statusCode).sort();
+      expect(statuses).toEqual([201, 409]);
+      expect(await bookedSlots(3)).toEqual([2, 3, 4]);
+      expect(await Reservation.countDocuments()).toBe(1);
+    });
+
+    it('should report unknown tables as conflicts', async () => {
+      req.user = await createTestUser();
+      req.body = reservationBody({ tableNumber: [1, 99] });
+
+      await createReservation(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(res.data.conflicts).toEqual([
+        expect.objectContaining({ tableNumber: 99, reason: 'not-found' }),
+      ]);
+      expect(await bookedSlots(1)).toEqual([]);
+    });
+  });
+
+  describe('createReservation without tables', () => {
+    it('should assign the tables that waste the fewest seats', async () => {
+      await Table.create({ tableNumber: 4, capacity: 2 });
+      req.user = await createTestUser();
+      req.body = reservationBody({ guests: 2, tableNumber: undefined });
+
+      await createReservation(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(res.data.data.tableNumber).toEqual([4]);
+      expect(await bookedSlots(4)).toEqual([2, 3, 4]);
+    });
+
+    it('should combine adjacent tables for a large party', async () => {
+      req.user = await createTestUser();
+      req.body = reservationBody({ guests: 7, tableNumber: [] });
+
+      await createReservation(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(res.data.data.tableNumber).toEqual([1, 2]);
+    });
+
+    it('should return 409 when the party cannot be seated', async () => {
+      req.user = await createTestUser();
+      req.body = reservationBody({ guests: 20, tableNumber: undefined });
+
+      await createReservation(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(res.data.message).toBe('No table is available for 20 guests at this time');
+      expect(await Reservation.countDocuments()).toBe(0);
+    });
+  });
+
+  describe('updateUserReservation', () => {
+    it('should keep the original booking when the new slot is taken', async () => {
+      const user = await createTestUser();
+      req.user = user;
+      req.body = reservationBody({ tableNumber: [1], slot: 1 });
+      await createReservation(req, res, next);
+      const reservationId = res.data.data._id;
+
+      res = mockResponse();
+      req.body = reservationBody({ tableNumber: [1], slot: 5 });
+      await createReservation(req, res, next);
+
+      res = mockResponse();
+      req.params = { id: reservationId.toString() };
+      req.body = { slot: 4 };
+      await updateUserReservation(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(await bookedSlots(1)).toEqual([1, 2, 3, 5, 6, 7]);
+      expect((await Reservation.findById(reservationId)).slot).toBe(1);
+    });
+
+    it('should move a party that outgrows its table to tables that seat it', async () => {
+      req.user = await createTestUser();
+      req.body = reservationBody({ guests: 2, tableNumber: [1] });
+      await createReservation(req, res, next);
+      const reservationId = res.data.data._id;
+
+      res = mockResponse();
+      req.params = { id: reservationId.toString() };
+      req.body = { guests: 6 };
+      await updateUserReservation(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.data.data.guests).toBe(6);
+      expect(res.data.data.tableNumber).toHaveLength(2);
+    });
+  });
+
+  describe('cancelUserReservation', () => {
+    it('should free the tables of a cancelled reservation', async () => {
+      req.user = await createTestUser();
+      req.body = reservationBody({ guests: 8, tableNumber: [1, 2] });
+      await createReservation(req, res, next);
+      const reservationId = res.data.data._id;
+
+      res = mockResponse();
+      req.params = { id: reservationId.toString() };
+      await cancelUserReservation(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(await bookedSlots(1)).toEqual([]);
+      expect(await bookedSlots(2)).toEqual([]);
+    });
+  });
+
+  describe('updateAdminReservation', () => {
+    // Book on table 1 and cancel; returns the reservation id
+    const cancelledReservation = async () => {
+      req.user = await createTestUser();
+      req.body = reservationBody({ tableNumber: [1] });
+      await createReservation(req, res, next);
+      const reservationId = res.data.data._id.toString();
+      req.params = { id: reservationId };
+      await cancelUserReservation(req, mockResponse(), next);
+      return reservationId;
+    };
+
+    let admin;
+    const adminUpdate = async (id, body) => {
+      admin = admin || await createTestAdmin();
+      res = mockResponse();
+      await updateAdminReservation(mockRequest({ user: admin, params: { id }, body }), res, next);
+      return res;
+    };
+
+    beforeEach(() => {
+      admin = null;
+    });
+
+    it('should not book tables assigned to a cancelled reservation', async () => {
+      const reservationId = await cancelledReservation();
+
+      expect((await adminUpdate(reservationId, { tableNumber: [2] })).status).toHaveBeenCalledWith(200);
+      expect(await bookedSlots(2)).toEqual([]);
+    });
+
+    it('should book the tables again when a reservation leaves a released status, unless they were taken', async () => {
+      const reservationId = await cancelledReservation();
+
+      res = mockResponse();
+      req.body = reservationBody({ tableNumber: [1] });
+      await createReservation(req, res, next);
+      const otherId = res.data.data._id.toString();
+
+      expect((await adminUpdate(reservationId, { status: 'confirmed' })).status).toHaveBeenCalledWith(409);
+      expect((await Reservation.findById(reservationId)).status).toBe('cancelled');
+
+      req.params = { id: otherId };
+      await cancelUserReservation(req, mockResponse(), next);
+      expect((await adminUpdate(reservationId, { status: 'confirmed' })).status).toHaveBeenCalledWith(200);
+      expect(await bookedSlots(1)).toEqual([2, 3, 4]);
+    });
+  });
+
+  describe('reservation series', () => {
+    const seriesBody = (overrides = {}) => ({
+      ...reservationBody(),
+      recurrence: { frequency: 'weekly', count: 3 },
+      ...overrides,
+    });
+
+    it('should book every weekly occurrence as a linked reservation', async () => {
+      req.user = await createTestUser();
+      req.body = seriesBody();
+
+      await createReservationSeries(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(201);
+      const { series, reservations } = res.data.data;
+      expect(reservations).toHaveLength(3);
+      expect(reservations.every(reservation => reservation.series.toString() === series._id.toString())).toBe(true);
+      const table = await Table.findOne({ tableNumber: 1 });
+      expect(table.tableBookings).toHaveLength(3);
+    });
+
+    it('should report the conflicting dates and book nothing unless asked to skip them', async () => {
+      req.user = await createTestUser();
+      const conflictDate = addDays(today(), 8);
+      req.body = reservationBody({ date: conflictDate.toISOString() });
+      await createReservation(req, res, next);
+
+      res = mockResponse();
+      req.body = seriesBody();
+      await createReservationSeries(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(res.data.conflicts).toEqual([
+        expect.objectContaining({ date: formatCalendarDate(conflictDate), reason: 'already-booked' }),
+      ]);
+      expect(await Reservation.countDocuments({ series: { $ne: null } })).toBe(0);
+
+      res = mockResponse();
+      req.body = seriesBody({ skipConflicts: true });
+      await createReservationSeries(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(res.data.data.reservations).toHaveLength(2);
+      expect(res.data.skipped).toHaveLength(1);
+    });
+
+    it('should move every occurrence to a new slot, or none of them', async () => {
+      req.user = await createTestUser();
+      req.body = seriesBody();
+      await createReservationSeries(req, res, next);
+      const seriesId = res.data.data.series._id;
+
+      res = mockResponse();
+      req.body = reservationBody({ date: addDays(today(), 15).toISOString(), slot: 5 });
+      await createReservation(req, res, next);
+
+      res = mockResponse();
+      req.params = { id: seriesId.toString() };
+      req.body = { slot: 4 };
+      await updateReservationSeries(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(await Reservation.countDocuments({ series: seriesId, slot: 2 })).toBe(3);
+
+      res = mockResponse();
+      req.body = { slot: 1 };
+      await updateReservationSeries(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(await Reservation.countDocuments({ series: seriesId, slot: 1 })).toBe(3);
+    });
+
+    it('should give a larger party new tables on every date, or report the dates without any', async () => {
+      req.user = await createTestUser();
+      req.body = seriesBody();
+      await createReservationSeries(req, res, next);
+      const seriesId = res.data.data.series._id;
+
+      const busyDate = addDays(today(), 8);
+      const blockers = [];
+      for (const tableNumber of [2, 3]) {
+        res = mockResponse();
+        req.body = reservationBody({ date: busyDate.toISOString(), tableNumber: [tableNumber] });
+        await createReservation(req, res, next);
+        blockers.push(res.data.data._id.toString());
+      }
+
+      res = mockResponse();
+      req.params = { id: seriesId.toString() };
+      req.body = { guests: 6 };
+      await updateReservationSeries(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(res.data.conflicts).toEqual([
+        expect.objectContaining({
+          date: formatCalendarDate(busyDate),
+          message: 'No table is available for 6 guests at this time',
+        }),
+      ]);
+      expect(await Reservation.countDocuments({ series: seriesId, guests: 4, tableNumber: [1] })).toBe(3);
+
+      req.params = { id: blockers[0] };
+      await cancelUserReservation(req, mockResponse(), next);
+
+      res = mockResponse();
+      req.params = { id: seriesId.toString() };
+      await updateReservationSeries(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      const reservations = await Reservation.find({ series: seriesId });
+      expect(reservations.every(reservation => reservation.guests === 6 && reservation.tableNumber.length === 2)).toBe(true);
+    });
+
+    it('should cancel the whole series and free its tables', async () => {
+      req.user = await createTestUser();
+      req.body = seriesBody();
+      await createReservationSeries(req, res, next);
+      const seriesId = res.data.data.series._id;
+
+      res = mockResponse();
+      req.params = { id: seriesId.toString() };
+      await cancelReservationSeries(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.data.data.series.status).toBe('cancelled');
+      expect(await Reservation.countDocuments({ series: seriesId, status: 'cancelled' })).toBe(3);
+      expect(await bookedSlots(1)).toEqual([]);
+    });
+  });
+
+  describe('createGuestReservation', () => {
+    const guestBody = (overrides = {}) => ({
+      source: 'phone',
+      date: tomorrow().toISOString(),
+      slot: 2,
+      guests: 2,
+      name: 'Phone Guest',
+      contactPhone: '0612345678',
+      ...overrides,
+    });
+
+    it('should book a phone guest without an account', async () => {
+      const admin = await createTestAdmin();
+      req.user = admin;
+      req.body = guestBody({ email: 'Guest@Example.com' });
+
+      await createGuestReservation(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(201);
+      const reservation = await Reservation.findById(res.data.data._id);
+      expect(reservation.userId).toBeNull();
+      expect(reservation.userEmail).toBe('guest@example.com');
+      expect(reservation.source).toBe('phone');
+      expect(reservation.createdBy.toString()).toBe(admin._id.toString());
+      expect(await bookedSlots(1)).toEqual([2, 3, 4]);
+    });
+
+    it('should seat a walk-in on the chosen slot straight away', async () => {
+      req.user = await createTestAdmin();
+      req.body = guestBody({ source: 'walk-in', seatNow: true, date: undefined, tableNumber: [3] });
+
+      await createGuestReservation(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(res.data.data.status).toBe('seated');
+      expect(res.data.data.date.toISOString()).toBe(today().toISOString());
+      expect(await bookedSlots(3)).toEqual([2, 3, 4]);
+    });
+
+    it('should link guest reservations to an account by its verified email only, not by phone', async () => {
+      req.user = await createTestAdmin();
+      req.body = guestBody({ email: 'guest@example.com' });
+      await createGuestReservation(req, res, next);
+      res = mockResponse();
+      req.body = guestBody({ slot: 6 });
+      await createGuestReservation(req, res, next);
+
+      const user = await createTestUser({ email: 'guest@example.com', phone: '0612345678' });
+      expect(await Reservation.countDocuments({ userId: user._id })).toBe(0);
+
+      expect(await Reservation.linkGuestReservations(user)).toBe(1);
+      const linked = await Reservation.find({ userId: user._id });
+      expect(linked).toHaveLength(1);
+      expect(linked[0].userEmail).toBe('guest@example.com');
+      expect(await Reservation.countDocuments({ userId: null, contactPhone: '0612345678' })).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,115 @@
+const ServiceSchedule = require('../../models/ServiceSchedule');
+const Reservation = require('../../models/Reservation');
+const {
+  updateSchedule,
+  getScheduleSlots,
+} = require('../../controllers/scheduleController');
+
+const {
+  createTestUser,
+  createTestAdmin,
+  mockRequest,
+  mockResponse,
+} = require('../helpers/testHelpers');
+
+describe('Schedule Controller', () => {
+  let req, res;
+
+  beforeEach(() => {
+    req = mockRequest();
+    res = mockResponse();
+  });
+
+  const everyDay = (services) => [0, 1, 2, 3, 4, 5, 6].map(day => ({ day, services }));
+
+  const lunchAndDinner = {
+    slotLength: 30,
+    seatingDuration: 90,
+    weekdays: everyDay([
+      { name: 'lunch', firstSeating: '12:00', lastSeating: '13:30' },
+      { name: 'dinner', firstSeating: '19:00', lastSeating: '21:30' },
+    ]),
+  };
+
+  describe('getScheduleSlots', () => {
+    it('should return the default dinner slots until a schedule is saved', async () => {
+      req.query = { date: '2026-03-16' };
+
+      await getScheduleSlots(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.data.data.slots).toHaveLength(9);
+      expect(res.data.data.slots[0].label).toBe('18:00');
+    });
+
+    it('should reject a missing date', async () => {
+      await getScheduleSlots(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+    });
+  });
+
+  describe('updateSchedule', () => {
+    it('should save the schedule and serve its slots', async () => {
+      req.user = await createTestAdmin();
+      req.body = lunchAndDinner;
+
+      await updateSchedule(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(await ServiceSchedule.countDocuments()).toBe(1);
+
+      res = mockResponse();
+      req.query = { date: '2026-03-16' };
+      await getScheduleSlots(req, res);
+
+      expect(res.data.data.slots.map(s => s.service)).toEqual([
+        'lunch', 'lunch', 'lunch', 'lunch',
+        'dinner', 'dinner', 'dinner', 'dinner', 'dinner', 'dinner',
+      ]);
+    });
+
+    it('should reject overlapping services', async () => {
+      req.user = await createTestAdmin();
+      req.body = {
+        ...lunchAndDinner,
+        weekdays: everyDay([
+          { name: 'lunch', firstSeating: '12:00', lastSeating: '19:00' },
+          { name: 'dinner', firstSeating: '19:00', lastSeating: '21:30' },
+        ]),
+      };
+
+      await updateSchedule(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(await ServiceSchedule.countDocuments()).toBe(0);
+    });
+
+    it('should refuse a schedule that would move upcoming reservations', async () => {
+      const user = await createTestUser();
+      const date = new Date();
+      date.setDate(date.getDate() + 2);
+      date.setHours(0, 0, 0, 0);
+
+      await Reservation.create({
+        userId: user._id,
+        userEmail: user.email,
+        userName: user.name,
+        date,
+        slot: 1,
+        guests: 2,
+        tableNumber: [1],
+        contactPhone: '0123456789',
+      });
+
+      req.user = await createTestAdmin();
+      req.body = lunchAndDinner;
+
+      await updateSchedule(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(res.data.affectedReservations).toHaveLength(1);
+      expect(await ServiceSchedule.countDocuments()).toBe(0);
+    });
+  });
+});
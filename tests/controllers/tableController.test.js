@@ -0,0 +1,112 @@
+const Table = require('../../models/Table');
+const Zone = require('../../models/Zone');
+const {
+  getAvailableTables,
+  createTable,
+  updateTable,
+  deleteTable,
+} = require('../../controllers/tableController');
+const { bookTables } = require('../../utils/reservationHelpers');
+const { DEFAULT_SCHEDULE } = require('../../utils/timeSlots');
+const { addDays, today, formatCalendarDate } = require('../../utils/timezone');
+
+const {
+  createTestAdmin,
+  mockRequest,
+  mockResponse,
+  mockNext,
+} = require('../helpers/testHelpers');
+
+describe('Table Controller', () => {
+  const date = addDays(today(), 1);
+  let admin, next, terrace, main;
+
+  const call = async (handler, overrides = {}) => {
+    const res = mockResponse();
+    await handler(mockRequest({ user: admin, ...overrides }), res, next);
+    return res;
+  };
+
+  beforeEach(async () => {
+    next = mockNext();
+    admin = await createTestAdmin();
+    [terrace, main] = await Zone.create([{ name: 'Terrace' }, { name: 'Main room' }]);
+  });
+
+  describe('createTable', () => {
+    it('should create a table beyond the initial 22 with its layout', async () => {
+      const res = await call(createTable, {
+        body: {
+          tableNumber: 30,
+          capacity: 2,
+          zone: terrace._id.toString(),
+          shape: 'round',
+          position: { x: 120, y: 40 },
+        },
+      });
+
+      expect(res.status).toHaveBeenCalledWith(201);
+      const table = await Table.findOne({ tableNumber: 30 });
+      expect(table.zone.toString()).toBe(terrace._id.toString());
+      expect(table.shape).toBe('round');
+      expect(table.position.x).toBe(120);
+    });
+
+    it('should refuse to join a table with tables that do not exist', async () => {
+      const res = await call(createTable, { body: { tableNumber: 1, joinableWith: [2] } });
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(await Table.countDocuments()).toBe(0);
+    });
+  });
+
+  describe('updateTable', () => {
+    it('should move a table without resetting its rotation', async () => {
+      const table = await Table.create({ tableNumber: 1, position: { x: 0, y: 0, rotation: 90 } });
+
+      const res = await call(updateTable, { params: { id: table._id }, body: { position: { x: 50 } } });
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect((await Table.findById(table._id).lean()).position).toEqual({ x: 50, y: 0, rotation: 90 });
+    });
+  });
+
+  describe('deleteTable', () => {
+    it('should refuse to delete a table booked on an upcoming day', async () => {
+      const table = await Table.create({ tableNumber: 1 });
+      await bookTables([1], date, 2, { schedule: DEFAULT_SCHEDULE });
+
+      const res = await call(deleteTable, { params: { id: table._id } });
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(await Table.exists({ tableNumber: 1 })).toBeTruthy();
+    });
+
+    it('should delete a free table and unlink it from the tables it joined', async () => {
+      await Table.create({ tableNumber: 1, joinableWith: [2] });
+      const table = await Table.create({ tableNumber: 2 });
+
+      const res = await call(deleteTable, { params: { id: table._id } });
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect((await Table.findOne({ tableNumber: 1 }).lean()).joinableWith).toEqual([]);
+    });
+  });
+
+  describe('getAvailableTables', () => {
+    it('should suggest tables in the preferred zone when they can seat the party', async () => {
+      await Table.create([
+        { tableNumber: 1, capacity: 4, zone: main._id },
+        { tableNumber: 2, capacity: 6, zone: terrace._id },
+      ]);
+
+      const query = { date: formatCalendarDate(date), slot: '2', guests: '4' };
+      const anywhere = await call(getAvailableTables, { query });
+      const onTerrace = await call(getAvailableTables, { query: { ...query, zone: terrace._id.toString() } });
+
+      expect(anywhere.data.data.suggestion.tableNumbers).toEqual([1]);
+      expect(onTerrace.data.data.suggestion.tableNumbers).toEqual([2]);
+      expect(onTerrace.data.data.suggestion.zone.toString()).toBe(terrace._id.toString());
+    });
+  });
+});
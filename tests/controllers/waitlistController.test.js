@@ -0,0 +1,147 @@
+const Reservation = require('../../models/Reservation');
+const Table = require('../../models/Table');
+const WaitlistEntry = require('../../models/WaitlistEntry');
+const {
+  createReservation,
+  cancelUserReservation,
+} = require('../../controllers/reservationController');
+const {
+  joinWaitlist,
+  acceptWaitlistOffer,
+  declineWaitlistOffer,
+} = require('../../controllers/waitlistController');
+const { HOLD_MINUTES, expireWaitlistOffers } = require('../../utils/waitlist');
+
+const {
+  createTestUser,
+  mockRequest,
+  mockResponse,
+  mockNext,
+} = require('../helpers/testHelpers');
+
+describe('Waitlist Controller', () => {
+  let next;
+
+  const tomorrow = () => {
+    const date = new Date();
+    date.setDate(date.getDate() + 1);
+    date.setHours(0, 0, 0, 0);
+    return date;
+  };
+
+  const body = (overrides = {}) => ({
+    date: tomorrow().toISOString(),
+    slot: 2,
+    guests: 4,
+    contactPhone: '0123456789',
+    ...overrides,
+  });
+
+  const call = async (handler, user, overrides = {}) => {
+    const res = mockResponse();
+    await handler(mockRequest({ user, ...overrides }), res, next);
+    return res;
+  };
+
+  // Books the only table, then queues two guests behind it
+  const fillAndQueue = async () => {
+    const owner = await createTestUser({ email: 'owner@example.com' });
+    const first = await createTestUser({ email: 'first@example.com' });
+    const second = await createTestUser({ email: 'second@example.com' });
+
+    const booking = await call(createReservation, owner, { body: { ...body(), tableNumber: [1] } });
+    expect(booking.status).toHaveBeenCalledWith(201);
+
+    const firstJoin = await call(joinWaitlist, first, { body: body() });
+    const secondJoin = await call(joinWaitlist, second, { body: body({ guests: 2 }) });
+
+    return {
+      owner,
+      first,
+      second,
+      reservationId: booking.data.data._id,
+      firstEntry: firstJoin.data.data,
+      secondEntry: secondJoin.data.data,
+    };
+  };
+
+  beforeEach(async () => {
+    next = mockNext();
+    await Table.create({ tableNumber: 1, capacity: 4 });
+  });
+
+  describe('joinWaitlist', () => {
+    it('should refuse to queue when a table is free', async () => {
+      const user = await createTestUser();
+
+      const res = await call(joinWaitlist, user, { body: body() });
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.data.suggestion).toEqual(expect.objectContaining({ tableNumbers: [1] }));
+      expect(await WaitlistEntry.countDocuments()).toBe(0);
+    });
+
+    it('should queue guests in order once the slot is full', async () => {
+      const { firstEntry, secondEntry } = await fillAndQueue();
+
+      expect(firstEntry.status).toBe('waiting');
+      expect(secondEntry.status).toBe('waiting');
+      expect(await WaitlistEntry.countDocuments()).toBe(2);
+    });
+  });
+
+  describe('offers', () => {
+    it('should hold the freed table for the first entry when a reservation is cancelled', async () => {
+      const { owner, reservationId, firstEntry } = await fillAndQueue();
+
+      const res = await call(cancelUserReservation, owner, { params: { id: reservationId } });
+      expect(res.status).toHaveBeenCalledWith(200);
+
+      const offered = await WaitlistEntry.findById(firstEntry._id);
+      expect(offered.status).toBe('offered');
+      expect(offered.offeredTables).toEqual([1]);
+
+      const table = await Table.findOne({ tableNumber: 1 });
+      expect(table.tableBookings[0].bookedSlots).toEqual([2, 3, 4]);
+    });
+
+    it('should turn an accepted offer into a reservation on the held table', async () => {
+      const { owner, first, reservationId, firstEntry } = await fillAndQueue();
+      await call(cancelUserReservation, owner, { params: { id: reservationId } });
+
+      const res = await call(acceptWaitlistOffer, first, { params: { id: firstEntry._id } });
+
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(res.data.data.tableNumber).toEqual([1]);
+      const entry = await WaitlistEntry.findById(firstEntry._id);
+      expect(entry.status).toBe('accepted');
+      expect(entry.reservationId.toString()).toBe(res.data.data._id.toString());
+      expect(await Reservation.countDocuments({ status: 'confirmed' })).toBe(1);
+    });
+
+    it('should pass the seat to the next entry when an offer is declined', async () => {
+      const { owner, first, reservationId, firstEntry, secondEntry } = await fillAndQueue();
+      await call(cancelUserReservation, owner, { params: { id: reservationId } });
+
+      const res = await call(declineWaitlistOffer, first, { params: { id: firstEntry._id } });
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect((await WaitlistEntry.findById(firstEntry._id)).status).toBe('declined');
+      expect((await WaitlistEntry.findById(secondEntry._id)).status).toBe('offered');
+    });
+
+    it('should expire a hold and offer the seat to the next entry', async () => {
+      const { owner, first, reservationId, firstEntry, secondEntry } = await fillAndQueue();
+      await call(cancelUserReservation, owner, { params: { id: reservationId } });
+
+      const later = new Date(Date.now() + (HOLD_MINUTES + 1) * 60 * 1000);
+      expect(await expireWaitlistOffers(later)).toBe(1);
+
+      expect((await WaitlistEntry.findById(firstEntry._id)).status).toBe('expired');
+      expect((await WaitlistEntry.findById(secondEntry._id)).status).toBe('offered');
+
+      const res = await call(acceptWaitlistOffer, first, { params: { id: firstEntry._id } });
+      expect(res.status).toHaveBeenCalledWith(400);
+    });
+  });
+});
@@ -1,6 +1,8 @@
 const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const User = require('../../models/User');
 const MenuItem = require('../../models/MenuItem');
+const Order = require('../../models/Order');
 
 const createTestUser = async (userData = {}) => {
   const defaultUser = {
@@ -41,9 +43,32 @@ const createTestMenuItem = async (itemData = {}) => {
   return menuItem;
 };
 
-const generateAuthToken = (userId) => {
-  return jwt.sign({ id: userId }, process.env.JWT_SECRET || 'test-secret', {
-    expiresIn: process.env.JWT_EXPIRE || '30d',
+const createTestOrder = async (orderData = {}) => {
+  const defaultOrder = {
+    userId: orderData.userId,
+    userEmail: 'test@example.com',
+    userName: 'Test User',
+    items: [{
+      menuItem: orderData.menuItemId || new mongoose.Types.ObjectId(),
+      name: 'Test Item',
+      quantity: 1,
+      price: 10.99,
+      image: 'test-image.jpg',
+    }],
+    totalPrice: 10.99,
+    orderType: 'pickup',
+    paymentMethod: 'cash',
+  };
+
+  const { menuItemId, ...overrides } = orderData;
+  const order = await Order.create({ ...defaultOrder, ...overrides });
+  return order;
+};
+
+// Access tokens are only accepted with the id of an open session (see createSession)
+const generateAuthToken = (userId, sessionId) => {
+  return jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_SECRET || 'test-secret', {
+    expiresIn: '15m',
   });
 };
 
@@ -95,6 +120,7 @@ module.exports = {
   createTestUser,
   createTestAdmin,
   createTestMenuItem,
+  createTestOrder,
   generateAuthToken,
   mockRequest,
   mockResponse,
@@ -0,0 +1,177 @@
+process.env.STRIPE_WEBHOOK_SECRET = 'whsec_test_secret';
+
+const request = require('supertest');
+const express = require('express');
+const stripe = require('../../config/stripe');
+const paymentRoutes = require('../../routes/payments');
+const Order = require('../../models/Order');
+const User = require('../../models/User');
+const PaymentEvent = require('../../models/PaymentEvent');
+const { createTestUser, createTestOrder } = require('../helpers/testHelpers');
+
+jest.mock('../../middleware/auth', () => ({
+  protect: jest.fn((req, res, next) => next()),
+  authorize: jest.fn(() => (req, res, next) => next()),
+}));
+
+const app = express();
+app.use('/api/payments/stripe/webhook', express.raw({ type: 'application/json' }));
+app.use(express.json());
+app.use('/api/payments', paymentRoutes);
+
+const sendEvent = (event, secret = process.env.STRIPE_WEBHOOK_SECRET) => {
+  const payload = JSON.stringify(event);
+  const signature = stripe.webhooks.generateTestHeaderString({ payload, secret });
+
+  return request(app)
+    .post('/api/payments/stripe/webhook')
+    .set('Content-Type', 'application/json')
+    .set('Stripe-Signature', signature)
+    .send(payload);
+};
+
+const paymentIntentEvent = (id, type, order, overrides = {}) => ({
+  id,
+  type,
+  data: {
+    object: {
+      id: 'pi_test_123',
+      object: 'payment_intent',
+      amount_received: Math.round(order.totalPrice * 100),
+      metadata: { orderId: order._id.toString() },
+      ...overrides,
+    },
+  },
+});
+
+describe('Stripe Webhook Integration Tests', () => {
+  it('should reject events with an invalid signature', async () => {
+    const user = await createTestUser();
+    const order = await createTestOrder({ userId: user._id });
+
+    const res = await sendEvent(
+      paymentIntentEvent('evt_bad', 'payment_intent.succeeded', order),
+      'whsec_wrong_secret'
+    ).expect(400);
+
+    expect(res.body.success).toBe(false);
+    expect(await PaymentEvent.countDocuments()).toBe(0);
+  });
+
+  it('should mark the order as paid on payment_intent.succeeded', async () => {
+    const user = await createTestUser();
+    const order = await createTestOrder({ userId: user._id, paymentMethod: 'card' });
+
+    await sendEvent(paymentIntentEvent('evt_paid', 'payment_intent.succeeded', order)).expect(200);
+
+    const updatedOrder = await Order.findById(order._id);
+    expect(updatedOrder.paymentStatus).toBe('paid');
+    expect(updatedOrder.transactionId).toBe('pi_test_123');
+
+    const updatedUser = await User.findById(user._id);
+    expect(updatedUser.totalOrders).toBe(1);
+    expect(updatedUser.totalSpent).toBe(order.totalPrice);
+  });
+
+  it('should ignore replayed events', async () => {
+    const user = await createTestUser();
+    const order = await createTestOrder({ userId: user._id, paymentMethod: 'card' });
+    const event = paymentIntentEvent('evt_replay', 'payment_intent.succeeded', order);
+
+    await sendEvent(event).expect(200);
+    const res = await sendEvent(event).expect(200);
+
+    expect(res.body.duplicate).toBe(true);
+    expect(await PaymentEvent.countDocuments({ eventId: 'evt_replay' })).toBe(1);
+
+    const updatedUser = await User.findById(user._id);
+    expect(updatedUser.totalOrders).toBe(1);
+  });
+
+  it('should not mark the order as paid when the amount is short', async () => {
+    const user = await createTestUser();
+    const order = await createTestOrder({ userId: user._id, paymentMethod: 'card' });
+
+    await sendEvent(
+      paymentIntentEvent('evt_short', 'payment_intent.succeeded', order, { amount_received: 1 })
+    ).expect(200);
+
+    const updatedOrder = await Order.findById(order._id);
+    expect(updatedOrder.paymentStatus).toBe('pending');
+    expect((await PaymentEvent.findOne({ eventId: 'evt_short' })).status).toBe('ignored');
+  });
+
+  it('should mark the order as failed on payment_intent.payment_failed', async () => {
+    const user = await createTestUser();
+    const order = await createTestOrder({ userId: user._id, paymentMethod: 'card' });
+
+    await sendEvent(paymentIntentEvent('evt_failed', 'payment_intent.payment_failed', order)).expect(200);
+
+    const updatedOrder = await Order.findById(order._id);
+    expect(updatedOrder.paymentStatus).toBe('failed');
+  });
+
+  it('should mark the order as refunded on charge.refunded', async () => {
+    const user = await createTestUser();
+    const order = await createTestOrder({
+      userId: user._id,
+      paymentMethod: 'card',
+      paymentStatus: 'paid',
+      transactionId: 'pi_test_123',
+    });
+
+    await sendEvent({
+      id: 'evt_refund',
+      type: 'charge.refunded',
+      data: {
+        object: {
+          id: 'ch_test_123',
+          object: 'charge',
+          payment_intent: 'pi_test_123',
+          amount: Math.round(order.totalPrice * 100),
+          amount_refunded: Math.round(order.totalPrice * 100),
+          refunded: true,
+          metadata: {},
+        },
+      },
+    }).expect(200);
+
+    const updatedOrder = await Order.findById(order._id);
+    expect(updatedOrder.paymentStatus).toBe('refunded');
+  });
+
+  it('should record only the part of a charge.refunded that the order does not track yet', async () => {
+    const user = await createTestUser();
+    const order = await createTestOrder({
+      userId: user._id,
+      paymentMethod: 'card',
+      paymentStatus: 'partially-refunded',
+      transactionId: 'pi_test_123',
+      refundedAmount: 4,
+      refunds: [{ amount: 4, method: 'stripe', stripeRefundId: 're_api_123' }],
+    });
+
+    await sendEvent({
+      id: 'evt_partial_refund',
+      type: 'charge.refunded',
+      data: {
+        object: {
+          id: 'ch_test_123',
+          object: 'charge',
+          payment_intent: 'pi_test_123',
+          amount: Math.round(order.totalPrice * 100),
+          amount_refunded: 600,
+          refunded: false,
+          refunds: { data: [{ id: 're_dashboard_123' }] },
+          metadata: {},
+        },
+      },
+    }).expect(200);
+
+    const updatedOrder = await Order.findById(order._id);
+    expect(updatedOrder.refundedAmount).toBe(6);
+    expect(updatedOrder.refunds.map(refund => refund.amount)).toEqual([4, 2]);
+    expect(updatedOrder.refunds[1].stripeRefundId).toBe('re_dashboard_123');
+    expect(updatedOrder.paymentStatus).toBe('partially-refunded');
+  });
+});
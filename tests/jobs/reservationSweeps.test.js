@@ -0,0 +1,100 @@
+const Reservation = require('../../models/Reservation');
+const Table = require('../../models/Table');
+const User = require('../../models/User');
+const {
+  NO_SHOW_GRACE_MINUTES,
+  markNoShows,
+  completeSeatedReservations,
+} = require('../../jobs/reservationSweeps');
+const { DEFAULT_SCHEDULE } = require('../../utils/timeSlots');
+const { createReservationDateTime, bookTables } = require('../../utils/reservationHelpers');
+const { addDays, today } = require('../../utils/timezone');
+const { createTestUser } = require('../helpers/testHelpers');
+
+describe('Reservation Sweeps', () => {
+  const MINUTE = 60 * 1000;
+  const date = addDays(today(), 1);
+  const slot = 2;
+  const seatingStart = createReservationDateTime(date, slot, DEFAULT_SCHEDULE);
+  const minutesAfterStart = (minutes) => new Date(seatingStart.getTime() + minutes * MINUTE);
+
+  let user;
+
+  const bookedSlots = async () => {
+    const table = await Table.findOne({ tableNumber: 1 });
+    return table.tableBookings.flatMap(booking => booking.bookedSlots);
+  };
+
+  const createBooked = async (overrides = {}) => {
+    await bookTables([1], date, slot, { schedule: DEFAULT_SCHEDULE });
+    return Reservation.create({
+      userId: user._id,
+      userEmail: user.email,
+      userName: user.name,
+      date,
+      slot,
+      guests: 2,
+      tableNumber: [1],
+      contactPhone: '0123456789',
+      ...overrides,
+    });
+  };
+
+  beforeEach(async () => {
+    user = await createTestUser();
+    await Table.create({ tableNumber: 1, capacity: 4 });
+  });
+
+  describe('markNoShows', () => {
+    it('should leave reservations alone during the grace period', async () => {
+      const reservation = await createBooked();
+
+      expect(await markNoShows(minutesAfterStart(NO_SHOW_GRACE_MINUTES - 1))).toEqual({ noShows: 0 });
+
+      expect((await Reservation.findById(reservation._id)).status).toBe('confirmed');
+      expect(await bookedSlots()).toEqual([2, 3, 4]);
+    });
+
+    it('should mark a reservation never seated as no-show, free its table and count it', async () => {
+      const reservation = await createBooked();
+
+      expect(await markNoShows(minutesAfterStart(NO_SHOW_GRACE_MINUTES + 1))).toEqual({ noShows: 1 });
+
+      expect((await Reservation.findById(reservation._id)).status).toBe('no-show');
+      expect(await bookedSlots()).toEqual([]);
+      expect((await User.findById(user._id)).noShowCount).toBe(1);
+    });
+
+    it('should not touch seated reservations', async () => {
+      const reservation = await createBooked({ status: 'seated', seatedAt: seatingStart });
+
+      await markNoShows(minutesAfterStart(NO_SHOW_GRACE_MINUTES + 1));
+
+      expect((await Reservation.findById(reservation._id)).status).toBe('seated');
+    });
+  });
+
+  describe('completeSeatedReservations', () => {
+    it('should complete a seating once its duration is over and free the table', async () => {
+      const reservation = await createBooked({ status: 'seated', seatedAt: seatingStart });
+
+      expect(await completeSeatedReservations(minutesAfterStart(DEFAULT_SCHEDULE.seatingDuration - 1)))
+        .toEqual({ completed: 0 });
+      expect(await completeSeatedReservations(minutesAfterStart(DEFAULT_SCHEDULE.seatingDuration)))
+        .toEqual({ completed: 1 });
+
+      const completed = await Reservation.findById(reservation._id);
+      expect(completed.status).toBe('completed');
+      expect(completed.completedAt).toEqual(minutesAfterStart(DEFAULT_SCHEDULE.seatingDuration));
+      expect(await bookedSlots()).toEqual([]);
+    });
+
+    it('should give guests seated late a full seating', async () => {
+      const reservation = await createBooked({ status: 'seated', seatedAt: minutesAfterStart(30) });
+
+      await completeSeatedReservations(minutesAfterStart(DEFAULT_SCHEDULE.seatingDuration));
+
+      expect((await Reservation.findById(reservation._id)).status).toBe('seated');
+    });
+  });
+});
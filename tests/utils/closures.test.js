@@ -0,0 +1,96 @@
+const { DEFAULT_SCHEDULE } = require('../../utils/timeSlots');
+const {
+  getClosuresForDate,
+  findClosure,
+  findOrderingClosure,
+  describeClosure,
+} = require('../../utils/closures');
+
+describe('Closures', () => {
+  const christmas = new Date(2026, 11, 25);
+  const boxingDay = new Date(2026, 11, 26);
+
+  const closure = (overrides) => ({
+    type: 'closure',
+    startDate: christmas,
+    endDate: christmas,
+    slots: [],
+    tables: [],
+    reason: 'Christmas Day',
+    ...overrides,
+  });
+
+  const withExceptions = (...exceptions) => ({ ...DEFAULT_SCHEDULE, exceptions });
+
+  describe('getClosuresForDate', () => {
+    it('should only return closures covering the date', () => {
+      const schedule = withExceptions(
+        closure(),
+        { type: 'opening', startDate: christmas, endDate: christmas, services: [], reason: 'Brunch' }
+      );
+
+      expect(getClosuresForDate(christmas, schedule)).toHaveLength(1);
+      expect(getClosuresForDate(boxingDay, schedule)).toEqual([]);
+    });
+  });
+
+  describe('findClosure', () => {
+    it('should close every slot and table for a whole-day closure', () => {
+      const schedule = withExceptions(closure());
+
+      expect(findClosure(christmas, 1, [], schedule)).toMatchObject({ reason: 'Christmas Day' });
+      expect(findClosure(christmas, 9, [4], schedule)).not.toBeNull();
+      expect(findClosure(boxingDay, 1, [], schedule)).toBeNull();
+    });
+
+    it('should refuse a seating that runs into a closed slot', () => {
+      // Default schedule: slots every 30 minutes from 18:00, seatings block 3 slots
+      const schedule = withExceptions(closure({ slots: [5, 6] }));
+
+      expect(findClosure(christmas, 1, [], schedule)).toBeNull();
+      expect(findClosure(christmas, 3, [], schedule)).not.toBeNull();
+      expect(findClosure(christmas, 7, [], schedule)).toBeNull();
+    });
+
+    it('should only close the listed tables', () => {
+      const schedule = withExceptions(closure({ tables: [3, 4], reason: 'Terrace repairs' }));
+
+      expect(findClosure(christmas, 1, [], schedule)).toBeNull();
+      expect(findClosure(christmas, 1, [1, 2], schedule)).toBeNull();
+      expect(findClosure(christmas, 1, [2, 3], schedule)).toMatchObject({ reason: 'Terrace repairs' });
+    });
+  });
+
+  describe('findOrderingClosure', () => {
+    it('should stop orders during a whole-day closure only', () => {
+      const schedule = withExceptions(closure());
+
+      expect(findOrderingClosure(new Date(2026, 11, 25, 12, 0), schedule)).not.toBeNull();
+      expect(findOrderingClosure(new Date(2026, 11, 26, 12, 0), schedule)).toBeNull();
+    });
+
+    it('should stop orders from the first closed slot until the end of the last one', () => {
+      // Slots 3-4 are 19:00 and 19:30
+      const schedule = withExceptions(closure({ slots: [3, 4] }));
+
+      expect(findOrderingClosure(new Date(2026, 11, 25, 18, 59), schedule)).toBeNull();
+      expect(findOrderingClosure(new Date(2026, 11, 25, 19, 0), schedule)).not.toBeNull();
+      expect(findOrderingClosure(new Date(2026, 11, 25, 19, 59), schedule)).not.toBeNull();
+      expect(findOrderingClosure(new Date(2026, 11, 25, 20, 0), schedule)).toBeNull();
+    });
+
+    it('should ignore closures limited to some tables', () => {
+      const schedule = withExceptions(closure({ tables: [1] }));
+
+      expect(findOrderingClosure(new Date(2026, 11, 25, 19, 0), schedule)).toBeNull();
+    });
+  });
+
+  describe('describeClosure', () => {
+    it('should name the closed tables or the restaurant', () => {
+      expect(describeClosure(closure())).toBe('The restaurant is closed at this time (Christmas Day)');
+      expect(describeClosure(closure({ tables: [2] }))).toBe('Table 2 is closed at this time (Christmas Day)');
+      expect(describeClosure(closure({ tables: [2, 3] }))).toBe('Tables 2, 3 are closed at this time (Christmas Day)');
+    });
+  });
+});
@@ -0,0 +1,140 @@
+const {
+  matchesRule,
+  getDepositRequirement,
+  buildDeposit,
+  coversRequirement,
+  moveRefundDeadline,
+  getCancellationOutcome,
+} = require('../../utils/deposits');
+const { DEFAULT_SCHEDULE, getSlotsForDate } = require('../../utils/timeSlots');
+const { createReservationDateTime } = require('../../utils/reservationHelpers');
+
+describe('Deposit Utils', () => {
+  const HOUR = 60 * 60 * 1000;
+  // 2030-03-15 is a Friday
+  const friday = '2030-03-15';
+  const monday = '2030-03-18';
+
+  const policy = (overrides = {}) => ({
+    enabled: true,
+    currency: 'eur',
+    refundWindowHours: 24,
+    rules: [
+      { name: 'Repeat no-shows', minNoShows: 2, type: 'card', amount: 30 },
+      { name: 'Large parties', minGuests: 8, amountPerGuest: 10 },
+      { name: 'Friday nights', weekdays: [5], minGuests: 4, amount: 20 },
+    ],
+    ...overrides,
+  });
+
+  describe('matchesRule', () => {
+    it('should match a rule with no conditions', () => {
+      expect(matchesRule({ name: 'All' }, { guests: 1, date: monday })).toBe(true);
+    });
+
+    it('should require every condition set on the rule', () => {
+      const rule = { weekdays: [5], minGuests: 4 };
+
+      expect(matchesRule(rule, { guests: 4, date: friday })).toBe(true);
+      expect(matchesRule(rule, { guests: 3, date: friday })).toBe(false);
+      expect(matchesRule(rule, { guests: 4, date: monday })).toBe(false);
+    });
+  });
+
+  describe('getDepositRequirement', () => {
+    it('should ask nothing without an enabled policy', () => {
+      expect(getDepositRequirement(null, { guests: 10, date: friday })).toBeNull();
+      expect(getDepositRequirement(policy({ enabled: false }), { guests: 10, date: friday })).toBeNull();
+    });
+
+    it('should apply the first matching rule', () => {
+      expect(getDepositRequirement(policy(), { guests: 10, date: friday, noShowCount: 2 })).toEqual({
+        type: 'card',
+        amount: 30,
+        currency: 'eur',
+        rule: 'Repeat no-shows',
+      });
+      expect(getDepositRequirement(policy(), { guests: 10, date: friday })).toEqual({
+        type: 'deposit',
+        amount: 100,
+        currency: 'eur',
+        rule: 'Large parties',
+      });
+      expect(getDepositRequirement(policy(), { guests: 4, date: friday }).rule).toBe('Friday nights');
+    });
+
+    it('should ask nothing when no rule matches', () => {
+      expect(getDepositRequirement(policy(), { guests: 4, date: monday })).toBeNull();
+    });
+  });
+
+  describe('buildDeposit', () => {
+    it('should set the payment deadline and the refund deadline before the seating', () => {
+      const now = new Date('2030-03-01T10:00:00Z');
+      const { slot } = getSlotsForDate(friday, DEFAULT_SCHEDULE)[0];
+      const requirement = getDepositRequirement(policy(), { guests: 4, date: friday });
+
+      const deposit = buildDeposit(requirement, { date: friday, slot }, policy(), DEFAULT_SCHEDULE, now);
+
+      expect(deposit.status).toBe('pending');
+      expect(deposit.expiresAt.getTime()).toBeGreaterThan(now.getTime());
+      expect(deposit.refundableUntil).toEqual(
+        new Date(createReservationDateTime(friday, slot, DEFAULT_SCHEDULE).getTime() - 24 * HOUR)
+      );
+    });
+  });
+
+  describe('coversRequirement', () => {
+    const requirement = { type: 'deposit', amount: 80 };
+
+    it('should accept a paid deposit of at least the amount due', () => {
+      expect(coversRequirement(null, null)).toBe(true);
+      expect(coversRequirement({ type: 'deposit', status: 'paid', amount: 80 }, requirement)).toBe(true);
+    });
+
+    it('should refuse a missing, unpaid or smaller deposit', () => {
+      expect(coversRequirement(null, requirement)).toBe(false);
+      expect(coversRequirement({ type: 'deposit', status: 'pending', amount: 80 }, requirement)).toBe(false);
+      expect(coversRequirement({ type: 'deposit', status: 'paid', amount: 60 }, requirement)).toBe(false);
+      expect(coversRequirement({ type: 'card', status: 'card-saved', amount: 80 }, requirement)).toBe(false);
+    });
+  });
+
+  describe('moveRefundDeadline', () => {
+    it('should keep the same notice before the new seating', () => {
+      const { slot } = getSlotsForDate(friday, DEFAULT_SCHEDULE)[0];
+      const seating = (date) => createReservationDateTime(date, slot, DEFAULT_SCHEDULE).getTime();
+      const deposit = { refundableUntil: new Date(seating(monday) - 24 * HOUR) };
+
+      const refundableUntil = moveRefundDeadline(deposit, { date: monday, slot }, { date: friday, slot }, DEFAULT_SCHEDULE);
+
+      expect(refundableUntil).toEqual(new Date(seating(friday) - 24 * HOUR));
+    });
+  });
+
+  describe('getCancellationOutcome', () => {
+    const refundableUntil = new Date('2030-03-14T19:00:00Z');
+    const paid = { type: 'deposit', status: 'paid', refundableUntil };
+
+    it('should refund a deposit cancelled before the refund deadline', () => {
+      expect(getCancellationOutcome(paid, { now: new Date('2030-03-14T18:00:00Z') })).toBe('refund');
+    });
+
+    it('should keep a deposit cancelled late, unless the restaurant cancels', () => {
+      const now = new Date('2030-03-15T10:00:00Z');
+
+      expect(getCancellationOutcome(paid, { now })).toBe('keep');
+      expect(getCancellationOutcome(paid, { now, byRestaurant: true })).toBe('refund');
+    });
+
+    it('should void an unpaid deposit and release a saved card', () => {
+      expect(getCancellationOutcome({ type: 'deposit', status: 'pending' })).toBe('void');
+      expect(getCancellationOutcome({ type: 'card', status: 'card-saved' })).toBe('release');
+    });
+
+    it('should do nothing without a deposit or once it is settled', () => {
+      expect(getCancellationOutcome(null)).toBeNull();
+      expect(getCancellationOutcome({ type: 'deposit', status: 'refunded' })).toBeNull();
+    });
+  });
+});
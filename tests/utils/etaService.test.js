@@ -0,0 +1,65 @@
+const { ETA_SETTINGS, computeEta } = require('../../utils/etaService');
+
+const MINUTE = 60 * 1000;
+
+describe('ETA Service', () => {
+  const now = new Date('2026-03-10T12:00:00Z');
+  const minutesFromNow = (eta) => (eta.getTime() - now.getTime()) / MINUTE;
+
+  describe('computeEta', () => {
+    it('should use the slowest dish plus extra items and packaging for a new pickup order', () => {
+      const eta = computeEta({
+        preparationTimes: [20, 10, 10],
+        orderType: 'pickup',
+        status: 'pending',
+        now,
+      });
+
+      expect(minutesFromNow(eta)).toBe(20 + 2 * ETA_SETTINGS.minutesPerExtraItem + ETA_SETTINGS.pickupMinutes);
+    });
+
+    it('should add travel time for delivery orders', () => {
+      const pickup = computeEta({ preparationTimes: [15], orderType: 'pickup', status: 'confirmed', now });
+      const delivery = computeEta({ preparationTimes: [15], orderType: 'delivery', status: 'confirmed', now });
+
+      expect(minutesFromNow(delivery) - minutesFromNow(pickup))
+        .toBe(ETA_SETTINGS.deliveryMinutes - ETA_SETTINGS.pickupMinutes);
+    });
+
+    it('should account for the orders already being prepared', () => {
+      const quiet = computeEta({ preparationTimes: [15], orderType: 'pickup', status: 'confirmed', preparingOrders: 0, now });
+      const busy = computeEta({ preparationTimes: [15], orderType: 'pickup', status: 'confirmed', preparingOrders: 4, now });
+
+      expect(minutesFromNow(busy) - minutesFromNow(quiet)).toBe(4 * ETA_SETTINGS.minutesPerPreparingOrder);
+    });
+
+    it('should count preparation from when the kitchen started', () => {
+      const eta = computeEta({
+        preparationTimes: [30],
+        orderType: 'pickup',
+        status: 'preparing',
+        statusChangedAt: new Date(now.getTime() - 10 * MINUTE),
+        now,
+      });
+
+      expect(minutesFromNow(eta)).toBe(20 + ETA_SETTINGS.pickupMinutes);
+    });
+
+    it('should never estimate a time in the past', () => {
+      const eta = computeEta({
+        preparationTimes: [10],
+        orderType: 'delivery',
+        status: 'out-for-delivery',
+        statusChangedAt: new Date(now.getTime() - 60 * MINUTE),
+        now,
+      });
+
+      expect(eta).toEqual(now);
+    });
+
+    it('should return null for closed orders', () => {
+      expect(computeEta({ preparationTimes: [10], orderType: 'pickup', status: 'delivered', now })).toBeNull();
+      expect(computeEta({ preparationTimes: [10], orderType: 'pickup', status: 'cancelled', now })).toBeNull();
+    });
+  });
+});
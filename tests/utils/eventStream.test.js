@@ -0,0 +1,80 @@
+const {
+  ADMIN_CHANNEL,
+  userChannel,
+  publishEvent,
+  subscribe,
+} = require('../../utils/eventStream');
+
+const mockStream = () => {
+  const res = { chunks: [] };
+  res.write = jest.fn((chunk) => {
+    res.chunks.push(chunk);
+    return true;
+  });
+  res.events = () => res.chunks
+    .filter(chunk => chunk.startsWith('id: '))
+    .map(chunk => {
+      const [, id, type, data] = chunk.match(/^id: (\d+)\nevent: (.+)\ndata: (.+)\n\n$/);
+      return { id: parseInt(id, 10), type, data: JSON.parse(data) };
+    });
+  return res;
+};
+
+describe('Event Stream', () => {
+  const unsubscribers = [];
+
+  afterEach(() => {
+    unsubscribers.splice(0).forEach(unsubscribe => unsubscribe());
+  });
+
+  it('should deliver user events only to that user and admins', () => {
+    const owner = mockStream();
+    const otherUser = mockStream();
+    const admin = mockStream();
+
+    unsubscribers.push(subscribe(owner, [userChannel('user-1')]));
+    unsubscribers.push(subscribe(otherUser, [userChannel('user-2')]));
+    unsubscribers.push(subscribe(admin, [userChannel('admin-1'), ADMIN_CHANNEL]));
+
+    publishEvent('order.updated', { status: 'preparing' }, { userId: 'user-1' });
+
+    expect(owner.events()).toEqual([
+      expect.objectContaining({ type: 'order.updated', data: { status: 'preparing' } }),
+    ]);
+    expect(otherUser.events()).toEqual([]);
+    expect(admin.events()).toHaveLength(1);
+  });
+
+  it('should replay missed events after Last-Event-ID on reconnect', () => {
+    const first = publishEvent('order.updated', { status: 'confirmed' }, { userId: 'user-3' });
+    publishEvent('order.updated', { status: 'preparing' }, { userId: 'user-3' });
+    publishEvent('order.updated', { status: 'ready' }, { userId: 'someone-else' });
+    publishEvent('order.updated', { status: 'ready' }, { userId: 'user-3' });
+
+    const reconnected = mockStream();
+    unsubscribers.push(subscribe(reconnected, [userChannel('user-3')], String(first.id)));
+
+    expect(reconnected.events().map(event => event.data.status)).toEqual(['preparing', 'ready']);
+  });
+
+  it('should ask the client to resync when the history does not reach back far enough', () => {
+    publishEvent('order.updated', { status: 'ready' }, { userId: 'user-4' });
+
+    const stale = mockStream();
+    unsubscribers.push(subscribe(stale, [userChannel('user-4')], '1'));
+
+    expect(stale.events()).toEqual([
+      expect.objectContaining({ type: 'resync' }),
+    ]);
+  });
+
+  it('should stop delivering events after unsubscribe', () => {
+    const client = mockStream();
+    const unsubscribe = subscribe(client, [userChannel('user-5')]);
+
+    unsubscribe();
+    publishEvent('reservation.cancelled', { status: 'cancelled' }, { userId: 'user-5' });
+
+    expect(client.events()).toEqual([]);
+  });
+});
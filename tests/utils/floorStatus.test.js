@@ -0,0 +1,69 @@
+const { RESERVED_SOON_MINUTES, getTableState, buildFloorStatus } = require('../../utils/floorStatus');
+const { DEFAULT_SCHEDULE } = require('../../utils/timeSlots');
+const { createReservationDateTime } = require('../../utils/reservationHelpers');
+
+describe('Floor Status', () => {
+  const MINUTE = 60 * 1000;
+  const date = new Date('2030-03-15T00:00:00Z');
+  const slot = 3;
+  const start = createReservationDateTime(date, slot, DEFAULT_SCHEDULE);
+  const at = (minutes) => new Date(start.getTime() + minutes * MINUTE);
+
+  const reservation = (overrides = {}) => ({
+    _id: 'r1',
+    reservationNumber: 'RES-000001',
+    userName: 'Ada',
+    guests: 2,
+    date,
+    slot,
+    tableNumber: [1],
+    status: 'confirmed',
+    ...overrides,
+  });
+
+  const table = (overrides = {}) => ({ tableNumber: 1, capacity: 4, ...overrides });
+
+  it('should show a table with no party due soon as free, with its next reservation', () => {
+    const state = getTableState(table(), [reservation()], DEFAULT_SCHEDULE, at(-RESERVED_SOON_MINUTES - 10));
+
+    expect(state.state).toBe('free');
+    expect(state.nextReservation).toEqual(expect.objectContaining({ reservationNumber: 'RES-000001', start }));
+  });
+
+  it('should show a table as reserved soon before the party is due, and while it is late', () => {
+    expect(getTableState(table(), [reservation()], DEFAULT_SCHEDULE, at(-10))).toEqual(
+      expect.objectContaining({ state: 'reserved-soon', minutesUntil: 10 })
+    );
+    expect(getTableState(table(), [reservation()], DEFAULT_SCHEDULE, at(5))).toEqual(
+      expect.objectContaining({ state: 'reserved-soon', minutesUntil: -5 })
+    );
+  });
+
+  it('should show the seated party with the time elapsed since it sat down', () => {
+    const seated = reservation({ status: 'seated', seatedAt: at(10) });
+
+    const state = getTableState(table(), [seated], DEFAULT_SCHEDULE, at(40));
+
+    expect(state).toEqual(expect.objectContaining({ state: 'seated', elapsedMinutes: 30, overdue: false }));
+    expect(state.party.name).toBe('Ada');
+    expect(getTableState(table(), [seated], DEFAULT_SCHEDULE, at(10 + DEFAULT_SCHEDULE.seatingDuration + 1)).overdue)
+      .toBe(true);
+  });
+
+  it('should show a cleared table as needing cleaning until it is reset', () => {
+    expect(getTableState(table({ needsCleaning: true }), [reservation()], DEFAULT_SCHEDULE, at(-10)).state)
+      .toBe('needs-cleaning');
+  });
+
+  it('should count the tables in each state', () => {
+    const { tables, counts } = buildFloorStatus(
+      [table(), table({ tableNumber: 2 }), table({ tableNumber: 3, needsCleaning: true })],
+      [reservation({ tableNumber: [1, 2], status: 'seated', seatedAt: at(0) })],
+      DEFAULT_SCHEDULE,
+      at(20)
+    );
+
+    expect(tables.map(entry => entry.state)).toEqual(['seated', 'seated', 'needs-cleaning']);
+    expect(counts).toEqual({ 'free': 0, 'reserved-soon': 0, 'seated': 2, 'needs-cleaning': 1 });
+  });
+});
@@ -0,0 +1,50 @@
+const { registerJob, runJob, getJobStatus } = require('../../utils/jobRunner');
+
+describe('Job Runner', () => {
+  const statusOf = (name) => getJobStatus().find(job => job.name === name);
+
+  it('should refuse to register a job twice', () => {
+    registerJob('duplicate', 1000, async () => {});
+
+    expect(() => registerJob('duplicate', 1000, async () => {})).toThrow('already registered');
+  });
+
+  it('should pass the current time to the job and return its summary', async () => {
+    const now = new Date('2026-12-24T20:00:00.000Z');
+    const run = jest.fn(async () => ({ swept: 2 }));
+    registerJob('summary', 1000, run);
+
+    expect(await runJob('summary', now)).toEqual({ swept: 2 });
+    expect(run).toHaveBeenCalledWith(now);
+    expect(statusOf('summary').lastRunAt).toBe(now);
+  });
+
+  it('should skip a run while the previous one is still going', async () => {
+    let finish;
+    const run = jest.fn(() => new Promise(resolve => { finish = resolve; }));
+    registerJob('slow', 1000, run);
+
+    const first = runJob('slow');
+    expect(await runJob('slow')).toBeNull();
+    expect(statusOf('slow').running).toBe(true);
+
+    finish('done');
+    expect(await first).toBe('done');
+    expect(run).toHaveBeenCalledTimes(1);
+  });
+
+  it('should record a failure and keep the job usable', async () => {
+    const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const run = jest.fn()
+      .mockRejectedValueOnce(new Error('database unavailable'))
+      .mockResolvedValueOnce('recovered');
+    registerJob('flaky', 1000, run);
+
+    expect(await runJob('flaky')).toBeNull();
+    expect(statusOf('flaky').lastError).toBe('database unavailable');
+
+    expect(await runJob('flaky')).toBe('recovered');
+    expect(statusOf('flaky').lastError).toBeNull();
+    consoleSpy.mockRestore();
+  });
+});
@@ -0,0 +1,50 @@
+const { scheduleOrder } = require('../../utils/kitchen');
+
+describe('Kitchen', () => {
+  const MINUTE = 60 * 1000;
+  const createdAt = new Date('2030-03-15T19:00:00Z');
+  const at = (minutes) => new Date(createdAt.getTime() + minutes * MINUTE);
+
+  const line = (name, category, preparationTime) => ({
+    _id: name,
+    name,
+    quantity: 1,
+    menuItem: { _id: `${name}-item`, category, preparationTime },
+    kitchenStatus: 'pending',
+  });
+
+  describe('scheduleOrder', () => {
+    it('should fire each course once the previous one is ready, even when it is quicker', () => {
+      const order = {
+        createdAt,
+        items: [
+          line('Salad', 'appetizer', 10),
+          line('Steak', 'main', 25),
+          line('Fish', 'main', 20),
+          line('Sorbet', 'dessert', 10),
+        ],
+      };
+
+      const { readyAt, items } = scheduleOrder(order, createdAt);
+      const fireAt = Object.fromEntries(items.map(item => [item.name, item.fireAt]));
+
+      expect(fireAt).toEqual({
+        Salad: at(0),
+        Steak: at(10),
+        Fish: at(15),
+        Sorbet: at(35),
+      });
+      expect(readyAt).toEqual(at(45));
+    });
+
+    it('should start from the confirmation time', () => {
+      const order = {
+        createdAt,
+        statusHistory: [{ status: 'confirmed', changedAt: at(5) }],
+        items: [line('Steak', 'main', 25)],
+      };
+
+      expect(scheduleOrder(order, createdAt).readyAt).toEqual(at(30));
+    });
+  });
+});
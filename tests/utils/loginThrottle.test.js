@@ -0,0 +1,67 @@
+const {
+  getLockoutSeconds,
+  checkLogin,
+  recordLoginFailure,
+  recordLoginSuccess,
+  unlockAccount,
+} = require('../../utils/loginThrottle');
+const { createMemoryStore } = require('../../utils/rateLimitStore');
+
+describe('Login Throttle', () => {
+  const start = new Date('2030-03-15T12:00:00Z');
+  const at = (seconds) => new Date(start.getTime() + seconds * 1000);
+  let store;
+
+  const fail = (times, { email = 'ada@example.com', ip = '10.0.0.1', now = start } = {}) => {
+    let result;
+    return (async () => {
+      for (let i = 0; i < times; i++) {
+        result = await recordLoginFailure(email, ip, { store, now });
+      }
+      return result;
+    })();
+  };
+
+  beforeEach(() => {
+    store = createMemoryStore();
+  });
+
+  it('should double the lock after each failure past the free attempts, up to the maximum', () => {
+    expect(getLockoutSeconds(5, 5)).toBe(0);
+    expect(getLockoutSeconds(6, 5)).toBe(30);
+    expect(getLockoutSeconds(7, 5)).toBe(60);
+    expect(getLockoutSeconds(9, 5)).toBe(240);
+    expect(getLockoutSeconds(20, 5)).toBe(15 * 60);
+  });
+
+  it('should lock an account after its free attempts, whatever the IP', async () => {
+    expect(await fail(5)).toEqual({ locked: false });
+    expect(await fail(1, { ip: '10.0.0.2' })).toEqual({ locked: true, retryAfter: 30 });
+
+    expect(await checkLogin('ADA@example.com', '10.0.0.3', { store, now: at(10) })).toEqual({ locked: true, retryAfter: 20 });
+    expect(await checkLogin('ada@example.com', '10.0.0.3', { store, now: at(31) })).toEqual({ locked: false });
+
+    // The next failure after the lock doubles it
+    expect(await fail(1, { now: at(31) })).toEqual({ locked: true, retryAfter: 60 });
+  });
+
+  it('should lock an IP trying many accounts', async () => {
+    for (let i = 0; i < 20; i++) {
+      await fail(1, { email: `user${i}@example.com` });
+    }
+    expect((await fail(1, { email: 'other@example.com' })).locked).toBe(true);
+    expect((await checkLogin('new@example.com', '10.0.0.1', { store, now: at(1) })).locked).toBe(true);
+    expect((await checkLogin('new@example.com', '10.0.0.9', { store, now: at(1) })).locked).toBe(false);
+  });
+
+  it('should clear the failures of an account on success or admin unlock', async () => {
+    await fail(5);
+    await recordLoginSuccess('ada@example.com', { store });
+    expect(await fail(1)).toEqual({ locked: false });
+
+    await fail(5);
+    expect((await checkLogin('ada@example.com', null, { store, now: at(1) })).locked).toBe(true);
+    expect(await unlockAccount('ada@example.com', { store, now: at(1) })).toBe(true);
+    expect((await checkLogin('ada@example.com', null, { store, now: at(1) })).locked).toBe(false);
+  });
+});
@@ -0,0 +1,45 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getTransport, resetTransport, sendMail } = require('../../utils/mailer');
+
+describe('Mailer', () => {
+  const env = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...env };
+    resetTransport();
+  });
+
+  it('should write each message to its own file with the file transport', async () => {
+    process.env.MAIL_TRANSPORT = 'file';
+    process.env.MAIL_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'restoh-mail-'));
+    process.env.EMAIL_FROM = 'RestOh <hello@restoh.test>';
+
+    await sendMail({ to: 'ada@example.com', subject: 'First', text: 'Hello' });
+    await sendMail({ to: 'ada@example.com', subject: 'Second', text: 'Again' });
+
+    const files = fs.readdirSync(process.env.MAIL_DIR).sort();
+    expect(files).toHaveLength(2);
+    const mail = JSON.parse(fs.readFileSync(path.join(process.env.MAIL_DIR, files[0]), 'utf8'));
+    expect(mail).toEqual(expect.objectContaining({
+      from: 'RestOh <hello@restoh.test>',
+      to: 'ada@example.com',
+      subject: 'First',
+      text: 'Hello',
+    }));
+  });
+
+  it('should log messages by default outside production', () => {
+    delete process.env.MAIL_TRANSPORT;
+    process.env.NODE_ENV = 'development';
+
+    expect(getTransport().name).toBe('console');
+  });
+
+  it('should reject an unknown transport', () => {
+    process.env.MAIL_TRANSPORT = 'pigeon';
+
+    expect(() => getTransport()).toThrow(/Unknown MAIL_TRANSPORT/);
+  });
+});
@@ -0,0 +1,40 @@
+const { createMemoryStore, createExpressStore } = require('../../utils/rateLimitStore');
+
+describe('Rate Limit Store', () => {
+  const start = new Date('2030-03-15T12:00:00Z');
+  const at = (seconds) => new Date(start.getTime() + seconds * 1000);
+  const MINUTE = 60 * 1000;
+
+  it('should count hits in a window started by the first one', async () => {
+    const store = createMemoryStore();
+
+    await store.hit('key', MINUTE, start);
+    const second = await store.hit('key', MINUTE, at(30));
+    expect(second).toEqual({ hits: 2, lockedUntil: null, expiresAt: at(60) });
+
+    expect((await store.hit('key', MINUTE, at(61))).hits).toBe(1);
+  });
+
+  it('should keep a locked counter until asked, and forget it when reset', async () => {
+    const store = createMemoryStore();
+    await store.hit('key', MINUTE, start);
+
+    await store.lock('key', at(120), at(180));
+    expect(await store.get('key', at(150))).toEqual(expect.objectContaining({ hits: 1, lockedUntil: at(120) }));
+
+    await store.reset('key');
+    expect(await store.get('key', at(150))).toBeNull();
+  });
+
+  it('should serve express-rate-limit with namespaced keys', async () => {
+    const limiter = createExpressStore('limit:test');
+    limiter.init({ windowMs: MINUTE });
+
+    await limiter.increment('10.0.0.1');
+    const { totalHits } = await limiter.increment('10.0.0.1');
+    expect(totalHits).toBe(2);
+
+    await limiter.resetKey('10.0.0.1');
+    expect((await limiter.increment('10.0.0.1')).totalHits).toBe(1);
+  });
+});
@@ -0,0 +1,36 @@
+const { MAX_OCCURRENCES, expandRecurrence, findRecurrenceProblem } = require('../../utils/recurrence');
+const { formatCalendarDate } = require('../../utils/timezone');
+
+describe('Recurrence', () => {
+  const expand = (startDate, rule) => expandRecurrence(startDate, rule).map(formatCalendarDate);
+
+  it('should repeat every week or every other week for a number of occurrences', () => {
+    expect(expand('2030-03-15', { frequency: 'weekly', count: 3 }))
+      .toEqual(['2030-03-15', '2030-03-22', '2030-03-29']);
+    expect(expand('2030-03-15', { frequency: 'weekly', interval: 2, count: 3 }))
+      .toEqual(['2030-03-15', '2030-03-29', '2030-04-12']);
+  });
+
+  it('should repeat until a date, that date included', () => {
+    expect(expand('2030-03-15', { frequency: 'weekly', until: '2030-03-29' }))
+      .toEqual(['2030-03-15', '2030-03-22', '2030-03-29']);
+    expect(expand('2030-01-10', { frequency: 'monthly', until: '2030-03-09' }))
+      .toEqual(['2030-01-10', '2030-02-10']);
+  });
+
+  it('should skip the months that do not have the day of a monthly series', () => {
+    expect(expand('2030-01-31', { frequency: 'monthly', count: 3 }))
+      .toEqual(['2030-01-31', '2030-03-31', '2030-05-31']);
+  });
+
+  it('should never list more than the maximum number of occurrences', () => {
+    expect(expandRecurrence('2030-01-01', { frequency: 'weekly', until: '2030-12-31' })).toHaveLength(MAX_OCCURRENCES);
+  });
+
+  it('should reject series that are too long, end before they start or have a single date', () => {
+    expect(findRecurrenceProblem('2030-01-01', { frequency: 'weekly', until: '2031-06-01' })).toMatch(/more than a year/);
+    expect(findRecurrenceProblem('2030-01-10', { frequency: 'weekly', until: '2030-01-01' })).toMatch(/end after/);
+    expect(findRecurrenceProblem('2030-01-10', { frequency: 'monthly', until: '2030-02-01' })).toMatch(/two occurrences/);
+    expect(findRecurrenceProblem('2030-01-10', { frequency: 'monthly', count: 6 })).toBeNull();
+  });
+});
@@ -0,0 +1,70 @@
+const Counter = require('../../models/Counter');
+const Order = require('../../models/Order');
+const {
+  getCounterKey,
+  formatSequenceNumber,
+  parseSequenceNumber,
+  nextSequenceNumber,
+} = require('../../utils/sequenceNumbers');
+const { reconcileCounters } = require('../../scripts/reconcile-counters');
+
+const { createTestUser, createTestOrder } = require('../helpers/testHelpers');
+
+describe('Sequence Numbers', () => {
+  const date = new Date(2026, 2, 15, 12, 0, 0);
+
+  describe('formatting', () => {
+    it('should include the period in the number when the series resets', () => {
+      expect(formatSequenceNumber(getCounterKey('ORD', 'never', date), 'never', 42)).toBe('ORD-000042');
+      expect(formatSequenceNumber(getCounterKey('ORD', 'yearly', date), 'yearly', 42)).toBe('ORD-2026-000042');
+      expect(formatSequenceNumber(getCounterKey('RES', 'daily', date), 'daily', 7)).toBe('RES-20260315-0007');
+    });
+
+    it('should keep growing past the padding instead of wrapping', () => {
+      const number = formatSequenceNumber('ORD', 'never', 1234567);
+
+      expect(number).toBe('ORD-1234567');
+      expect(parseSequenceNumber('ORD', number)).toEqual({ key: 'ORD', seq: 1234567 });
+    });
+
+    it('should parse numbers from every period', () => {
+      expect(parseSequenceNumber('RES', 'RES-20260315-0007')).toEqual({ key: 'RES-20260315', seq: 7 });
+      expect(parseSequenceNumber('ORD', 'ORD-2026-000042')).toEqual({ key: 'ORD-2026', seq: 42 });
+      expect(parseSequenceNumber('ORD', 'RES-000001')).toBeNull();
+    });
+
+    it('should reject unknown reset periods', () => {
+      expect(() => getCounterKey('ORD', 'weekly', date)).toThrow('Invalid number reset period');
+    });
+  });
+
+  describe('issuing', () => {
+    it('should give concurrent orders distinct consecutive numbers', async () => {
+      const user = await createTestUser();
+
+      const orders = await Promise.all(
+        Array.from({ length: 10 }, () => createTestOrder({ userId: user._id }))
+      );
+
+      const numbers = orders.map(order => order.orderNumber).sort();
+      expect(new Set(numbers).size).toBe(10);
+      expect(numbers[0]).toBe('ORD-000001');
+      expect(numbers[9]).toBe('ORD-000010');
+    });
+
+    it('should continue after existing numbers once counters are reconciled', async () => {
+      const user = await createTestUser();
+      await Order.collection.insertOne({ userId: user._id, orderNumber: 'ORD-000120' });
+      await Order.collection.insertOne({ userId: user._id, orderNumber: 'ORD-123456789' });
+
+      const report = await reconcileCounters();
+
+      expect(report.ORD).toEqual(expect.objectContaining({ legacy: 1, counters: { ORD: 120 } }));
+      expect(await nextSequenceNumber('order')).toBe('ORD-000121');
+
+      // Re-running never lowers a counter
+      await reconcileCounters();
+      expect((await Counter.findById('ORD')).seq).toBe(121);
+    });
+  });
+});
@@ -0,0 +1,24 @@
+const { describeDevice, parseRefreshToken } = require('../../utils/sessions');
+
+describe('Sessions', () => {
+  it('should name the browser and system of a user agent', () => {
+    expect(describeDevice(
+      'Mozilla/5.0 (Macintosh; Intel Mac OS X 14_1) AppleWebKit/605.1.15 Version/17.1 Safari/605.1.15'
+    )).toBe('Safari on macOS');
+    expect(describeDevice(
+      'Mozilla/5.0 (Linux; Android 14) AppleWebKit/537.36 Chrome/120.0 Mobile Safari/537.36'
+    )).toBe('Chrome on Android');
+    expect(describeDevice('curl/8.4.0')).toBe('Unknown device');
+    expect(describeDevice(undefined)).toBe('Unknown device');
+  });
+
+  it('should split a refresh token into its session id and secret', () => {
+    expect(parseRefreshToken('65a1b2c3d4e5f60718293a4b.abc123')).toEqual({
+      sessionId: '65a1b2c3d4e5f60718293a4b',
+      secret: 'abc123',
+    });
+    expect(parseRefreshToken('not-an-id.abc123')).toBeNull();
+    expect(parseRefreshToken('65a1b2c3d4e5f60718293a4b')).toBeNull();
+    expect(parseRefreshToken(undefined)).toBeNull();
+  });
+});
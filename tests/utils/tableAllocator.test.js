@@ -0,0 +1,77 @@
+const { listTableGroups, suggestAllocation } = require('../../utils/tableAllocator');
+
+describe('Table Allocator', () => {
+  const tables = [
+    { tableNumber: 1, capacity: 2 },
+    { tableNumber: 2, capacity: 4 },
+    { tableNumber: 3, capacity: 4 },
+    { tableNumber: 5, capacity: 6 },
+    { tableNumber: 6, capacity: 2 },
+  ];
+
+  describe('listTableGroups', () => {
+    it('should only group tables that stand next to each other', () => {
+      const groups = listTableGroups(tables, 2).map(group => group.map(table => table.tableNumber));
+
+      expect(groups).toContainEqual([2, 3]);
+      expect(groups).toContainEqual([5, 6]);
+      expect(groups).not.toContainEqual([3, 5]);
+    });
+
+    it('should follow the tables each table can be joined with, in either direction', () => {
+      const floor = [
+        { tableNumber: 1, capacity: 2, joinableWith: [4] },
+        { tableNumber: 2, capacity: 2, joinableWith: [] },
+        { tableNumber: 4, capacity: 2, joinableWith: [] },
+        { tableNumber: 9, capacity: 2, joinableWith: [1] },
+      ];
+
+      const groups = listTableGroups(floor, 3).map(group => group.map(table => table.tableNumber));
+
+      expect(groups).toContainEqual([1, 4]);
+      expect(groups).toContainEqual([1, 9]);
+      expect(groups).toContainEqual([1, 4, 9]);
+      expect(groups).not.toContainEqual([1, 2]);
+      expect(groups).not.toContainEqual([4, 9]);
+    });
+
+    it('should never join tables of different zones', () => {
+      const floor = [
+        { tableNumber: 1, capacity: 2, zone: 'terrace' },
+        { tableNumber: 2, capacity: 2, zone: 'bar' },
+      ];
+
+      expect(suggestAllocation(floor, 4)).toBeNull();
+    });
+  });
+
+  describe('suggestAllocation', () => {
+    it('should pick the single table that wastes the fewest seats', () => {
+      expect(suggestAllocation(tables, 2)).toEqual({ tableNumbers: [1], capacity: 2, wastedSeats: 0 });
+      expect(suggestAllocation(tables, 5)).toEqual({ tableNumbers: [5], capacity: 6, wastedSeats: 1 });
+    });
+
+    it('should combine adjacent tables when no single table is big enough', () => {
+      expect(suggestAllocation(tables, 8)).toEqual({ tableNumbers: [2, 3], capacity: 8, wastedSeats: 0 });
+    });
+
+    it('should prefer a combination over a single table that wastes more seats', () => {
+      const floor = [
+        { tableNumber: 1, capacity: 2 },
+        { tableNumber: 2, capacity: 2 },
+        { tableNumber: 3, capacity: 6 },
+      ];
+
+      expect(suggestAllocation(floor, 4).tableNumbers).toEqual([1, 2]);
+    });
+
+    it('should prefer fewer tables when the waste is equal', () => {
+      expect(suggestAllocation(tables, 6).tableNumbers).toEqual([5]);
+    });
+
+    it('should return null when the party cannot be seated', () => {
+      expect(suggestAllocation(tables, 15)).toBeNull();
+      expect(suggestAllocation([], 2)).toBeNull();
+    });
+  });
+});
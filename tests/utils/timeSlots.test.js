@@ -0,0 +1,96 @@
+const {
+  DEFAULT_SCHEDULE,
+  getSlotsForDate,
+  getBlockedSlots,
+  getTimeFromSlot,
+  findScheduleProblem,
+} = require('../../utils/timeSlots');
+
+describe('Time Slots', () => {
+  // 2026-03-16 is a Monday, 2026-03-15 a Sunday
+  const monday = new Date(2026, 2, 16);
+  const sunday = new Date(2026, 2, 15);
+
+  const schedule = {
+    slotLength: 30,
+    seatingDuration: 120,
+    weekdays: [
+      {
+        day: 1,
+        services: [
+          { name: 'dinner', firstSeating: '19:00', lastSeating: '21:00' },
+          { name: 'lunch', firstSeating: '12:00', lastSeating: '13:30' },
+        ],
+      },
+    ],
+  };
+
+  describe('getSlotsForDate', () => {
+    it('should reproduce the historical 18:00-22:00 slots by default', () => {
+      const slots = getSlotsForDate(monday, DEFAULT_SCHEDULE);
+
+      expect(slots).toHaveLength(9);
+      expect(slots[0]).toEqual({ slot: 1, label: '18:00', service: 'dinner' });
+      expect(slots[8]).toEqual({ slot: 9, label: '22:00', service: 'dinner' });
+    });
+
+    it('should number slots chronologically across services', () => {
+      const slots = getSlotsForDate(monday, schedule);
+
+      expect(slots.map(s => s.label)).toEqual([
+        '12:00', '12:30', '13:00', '13:30',
+        '19:00', '19:30', '20:00', '20:30', '21:00',
+      ]);
+      expect(slots[4]).toEqual({ slot: 5, label: '19:00', service: 'dinner' });
+    });
+
+    it('should have no slots on a closed day', () => {
+      expect(getSlotsForDate(sunday, schedule)).toEqual([]);
+      expect(getTimeFromSlot(1, sunday, schedule)).toBeNull();
+    });
+  });
+
+  describe('getBlockedSlots', () => {
+    it('should block three slots with the default 90 minute seating', () => {
+      expect(getBlockedSlots(2, monday, DEFAULT_SCHEDULE)).toEqual([2, 3, 4]);
+      expect(getBlockedSlots(9, monday, DEFAULT_SCHEDULE)).toEqual([9]);
+    });
+
+    it('should follow the seating duration and stop at the end of the service', () => {
+      expect(getBlockedSlots(1, monday, schedule)).toEqual([1, 2, 3, 4]);
+      expect(getBlockedSlots(3, monday, schedule)).toEqual([3, 4]);
+    });
+
+    it('should block nothing for a slot that does not exist', () => {
+      expect(getBlockedSlots(10, monday, schedule)).toEqual([]);
+    });
+  });
+
+  describe('findScheduleProblem', () => {
+    it('should accept the default schedule', () => {
+      expect(findScheduleProblem(DEFAULT_SCHEDULE)).toBeNull();
+      expect(findScheduleProblem(schedule)).toBeNull();
+    });
+
+    it('should reject overlapping services', () => {
+      const overlapping = {
+        ...schedule,
+        weekdays: [{
+          day: 1,
+          services: [
+            { name: 'lunch', firstSeating: '12:00', lastSeating: '15:00' },
+            { name: 'dinner', firstSeating: '14:30', lastSeating: '21:00' },
+          ],
+        }],
+      };
+
+      expect(findScheduleProblem(overlapping)).toBe('Services lunch and dinner overlap on weekday 1');
+    });
+
+    it('should reject a day listed twice', () => {
+      const duplicated = { ...schedule, weekdays: [schedule.weekdays[0], schedule.weekdays[0]] };
+
+      expect(findScheduleProblem(duplicated)).toBe('Weekday 1 is listed more than once');
+    });
+  });
+});
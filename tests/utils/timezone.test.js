@@ -0,0 +1,106 @@
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+process.env.RESTAURANT_TIMEZONE = 'Europe/Paris';
+const {
+  toCalendarDate,
+  today,
+  addDays,
+  formatCalendarDate,
+  zonedTime,
+  minutesOfDay,
+} = require('../../utils/timezone');
+
+// Runs the reservation helpers in a separate Node process, with the server in another timezone
+const runWithServerTimezone = (tz) => {
+  const script = `
+    const { DEFAULT_SCHEDULE, getServicesForDate } = require('./utils/timeSlots');
+    const helpers = require('./utils/reservationHelpers');
+    const Reservation = require('./models/Reservation');
+
+    const table = { tableNumber: 1, tableBookings: [{ date: new Date('2026-12-24T00:00:00.000Z'), bookedSlots: [1] }] };
+    const weekdays = DEFAULT_SCHEDULE.weekdays.filter(w => w.day === 4);
+
+    console.log(JSON.stringify({
+      seating: helpers.createReservationDateTime('2026-12-24', 1, DEFAULT_SCHEDULE).toISOString(),
+      cancelEarly: helpers.canCancelReservation('2026-12-24', 1, DEFAULT_SCHEDULE, new Date('2026-12-24T14:30:00.000Z')).canCancel,
+      cancelLate: helpers.canCancelReservation('2026-12-24', 1, DEFAULT_SCHEDULE, new Date('2026-12-24T15:30:00.000Z')).canCancel,
+      bookingFromString: Boolean(helpers.getTableBookingsForDate(table, '2026-12-24')),
+      bookingNextDay: Boolean(helpers.getTableBookingsForDate(table, '2026-12-25')),
+      storedDate: new Reservation({ date: '2026-12-24' }).date.toISOString(),
+      thursdayOpen: getServicesForDate('2026-12-24', { ...DEFAULT_SCHEDULE, weekdays }).length,
+    }));
+  `;
+
+  const output = execFileSync(process.execPath, ['-e', script], {
+    cwd: path.join(__dirname, '../..'),
+    env: { ...process.env, TZ: tz, RESTAURANT_TIMEZONE: 'Europe/Paris' },
+    encoding: 'utf8',
+  });
+  return JSON.parse(output.trim().split('\n').pop());
+};
+
+describe('Timezone', () => {
+  describe('toCalendarDate', () => {
+    it('should keep date-only strings and calendar dates on their day', () => {
+      expect(toCalendarDate('2026-12-24').toISOString()).toBe('2026-12-24T00:00:00.000Z');
+      expect(toCalendarDate(new Date('2026-12-24T00:00:00.000Z')).toISOString()).toBe('2026-12-24T00:00:00.000Z');
+    });
+
+    it('should take the day of any other moment in the restaurant timezone', () => {
+      // 23:30 UTC on the 24th is 00:30 on the 25th in Paris
+      expect(formatCalendarDate(new Date('2026-12-24T23:30:00.000Z'))).toBe('2026-12-25');
+      expect(formatCalendarDate(today(new Date('2026-12-24T22:59:00.000Z')))).toBe('2026-12-24');
+    });
+
+    it('should leave missing values alone', () => {
+      expect(toCalendarDate(undefined)).toBeUndefined();
+      expect(toCalendarDate(null)).toBeNull();
+    });
+  });
+
+  describe('zonedTime', () => {
+    it('should place wall-clock times in the restaurant timezone across DST changes', () => {
+      expect(zonedTime('2026-12-24', 18, 0).toISOString()).toBe('2026-12-24T17:00:00.000Z');
+      expect(zonedTime('2026-07-14', 18, 0).toISOString()).toBe('2026-07-14T16:00:00.000Z');
+      // Clocks go forward at 02:00 on 29 March 2026
+      expect(zonedTime('2026-03-29', 12, 0).toISOString()).toBe('2026-03-29T10:00:00.000Z');
+    });
+
+    it('should give the minutes since local midnight', () => {
+      expect(minutesOfDay(new Date('2026-12-24T17:00:00.000Z'))).toBe(18 * 60);
+    });
+  });
+
+  it('should add days to calendar dates', () => {
+    expect(formatCalendarDate(addDays('2026-12-31', 1))).toBe('2027-01-01');
+    expect(formatCalendarDate(addDays('2026-03-29', -1))).toBe('2026-03-28');
+  });
+
+  describe.each(['UTC', 'America/New_York', 'Asia/Tokyo', 'Pacific/Kiritimati'])(
+    'reservation helpers with the server in %s',
+    (tz) => {
+      let result;
+
+      beforeAll(() => {
+        result = runWithServerTimezone(tz);
+      });
+
+      it('should start the seating at the restaurant time', () => {
+        expect(result.seating).toBe('2026-12-24T17:00:00.000Z');
+      });
+
+      it('should apply the 2-hour cancellation rule against the restaurant time', () => {
+        expect(result.cancelEarly).toBe(true);
+        expect(result.cancelLate).toBe(false);
+      });
+
+      it('should keep bookings and reservations on their calendar day', () => {
+        expect(result.bookingFromString).toBe(true);
+        expect(result.bookingNextDay).toBe(false);
+        expect(result.storedDate).toBe('2026-12-24T00:00:00.000Z');
+        expect(result.thursdayOpen).toBe(1);
+      });
+    }
+  );
+});
@@ -0,0 +1,43 @@
+const {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateCode,
+  verifyCode,
+  buildOtpauthUri,
+} = require('../../utils/totp');
+
+describe('TOTP', () => {
+  // RFC 6238 test secret ('12345678901234567890'), 6-digit codes
+  const secret = base32Encode(Buffer.from('12345678901234567890'));
+  const at = (seconds) => new Date(seconds * 1000);
+
+  it('should encode secrets in base32 and back', () => {
+    expect(secret).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    expect(base32Decode('gezd gnbv-gy3tqojq gezdgnbvgy3tqojq').toString()).toBe('12345678901234567890');
+    expect(generateSecret()).toMatch(/^[A-Z2-7]{32}$/);
+  });
+
+  it('should generate the RFC 6238 codes', () => {
+    expect(generateCode(secret, at(59))).toBe('287082');
+    expect(generateCode(secret, at(1111111109))).toBe('081804');
+    expect(generateCode(secret, at(1234567890))).toBe('005924');
+  });
+
+  it('should accept a code one step off for clock drift, and return its step', () => {
+    const now = at(1234567890);
+    const step = Math.floor(1234567890 / 30);
+
+    expect(verifyCode(secret, '005924', { now })).toBe(step);
+    expect(verifyCode(secret, generateCode(secret, at(1234567890 - 30)), { now })).toBe(step - 1);
+    expect(verifyCode(secret, generateCode(secret, at(1234567890 + 30)), { now })).toBe(step + 1);
+    expect(verifyCode(secret, generateCode(secret, at(1234567890 + 90)), { now })).toBeNull();
+    expect(verifyCode(secret, '00592', { now })).toBeNull();
+  });
+
+  it('should build the otpauth URI shown as a QR code', () => {
+    const uri = buildOtpauthUri({ secret, account: 'ada@example.com', issuer: 'RestOh' });
+
+    expect(uri).toBe(`otpauth://totp/RestOh%3Aada%40example.com?secret=${secret}&issuer=RestOh&algorithm=SHA1&digits=6&period=30`);
+  });
+});
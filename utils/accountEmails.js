@@ -0,0 +1,40 @@
+const { sendMail } = require('./mailer');
+
+const clientUrl = (route, token) => `${process.env.CLIENT_URL || 'http://localhost:3000'}/${route}?token=${token}`;
+
+/**
+ * Email the link confirming that the user owns their address
+ * @param {object} user - User (name, email)
+ * @param {string} token - Email verification token
+ * @returns {Promise<void>}
+ */
+const sendVerificationEmail = (user, token) => {
+  const link = clientUrl('verify-email', token);
+  return sendMail({
+    to: user.email,
+    subject: 'Confirm your email address',
+    text: `Hello ${user.name},\n\nPlease confirm your email address by opening this link within 48 hours:\n${link}\n\n` +
+      'If you did not create a RestOh account, you can ignore this email.',
+  });
+};
+
+/**
+ * Email a password reset link
+ * @param {object} user - User (name, email)
+ * @param {string} token - Password reset token
+ * @returns {Promise<void>}
+ */
+const sendPasswordResetEmail = (user, token) => {
+  const link = clientUrl('reset-password', token);
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: `Hello ${user.name},\n\nYou can choose a new password by opening this link within an hour:\n${link}\n\n` +
+      'The link works once. If you did not ask to reset your password, you can ignore this email.',
+  });
+};
+
+module.exports = {
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+};
@@ -1,52 +1,66 @@
-const sendTokenResponse = (user, statusCode, res, message = 'Success') => {
-  // Generate token
-  const token = typeof user.getSignedJwtToken === 'function'
-    ? user.getSignedJwtToken()
-    : generateJwtToken(user.id || user._id);
-
-  const options = {
-    expires: new Date(
-      Date.now() + (process.env.JWT_COOKIE_EXPIRE || 30) * 24 * 60 * 60 * 1000
-    ),
-    httpOnly: true,
-    secure: process.env.NODE_ENV === 'production',
-    sameSite: 'strict',
-  };
+const { ACCESS_TOKEN_MINUTES, REFRESH_TOKEN_DAYS, createSession } = require('./sessions');
+
+// The refresh token is only sent to the auth endpoints
+const REFRESH_COOKIE_PATH = '/api/auth';
+
+const cookieOptions = (extra) => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: 'strict',
+  ...extra,
+});
+
+const setAccessCookie = (res, accessToken) => {
+  res.cookie('token', accessToken, cookieOptions({
+    expires: new Date(Date.now() + ACCESS_TOKEN_MINUTES * 60 * 1000),
+  }));
+};
+
+// Set the access token and refresh token cookies of a session
+const setAuthCookies = (res, accessToken, refreshToken) => {
+  setAccessCookie(res, accessToken);
+  res.cookie('refreshToken', refreshToken, cookieOptions({
+    expires: new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000),
+    path: REFRESH_COOKIE_PATH,
+  }));
+};
+
+// Open a session for the user and answer with its cookies (sessionOptions: see createSession)
+const sendTokenResponse = async (user, statusCode, req, res, message = 'Success', sessionOptions = {}) => {
+  const { session, accessToken, refreshToken } = await createSession(user, req, sessionOptions);
+  setAuthCookies(res, accessToken, refreshToken);
 
   res
     .status(statusCode)
-    .cookie('token', token, options)
     .json({
       success: true,
       message,
+      sessionId: session._id,
       user: {
         id: user._id || user.id,
         name: user.name,
         email: user.email,
         role: user.role,
+        isEmailVerified: user.isEmailVerified,
+        mfaEnabled: user.mfaEnabled,
         lastLogin: user.lastLogin,
       },
     });
 };
 
-const generateJwtToken = (userId) => {
-  const jwt = require('jsonwebtoken');
-  return jwt.sign({ id: userId }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || '30d',
-  });
-};
-
 const clearTokenCookie = (res) => {
-  res.cookie('token', 'none', {
+  res.cookie('token', 'none', cookieOptions({
     expires: new Date(Date.now() + 10 * 1000),
-    httpOnly: true,
-    secure: process.env.NODE_ENV === 'production',
-    sameSite: 'strict',
-  });
+  }));
+  res.cookie('refreshToken', 'none', cookieOptions({
+    expires: new Date(Date.now() + 10 * 1000),
+    path: REFRESH_COOKIE_PATH,
+  }));
 };
 
 module.exports = {
   sendTokenResponse,
+  setAccessCookie,
+  setAuthCookies,
   clearTokenCookie,
-  generateJwtToken,
-};
\ No newline at end of file
+};
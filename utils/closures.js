@@ -0,0 +1,92 @@
+const {
+  toMinutes,
+  exceptionCoversDate,
+  getSlotsForDate,
+  getBlockedSlots,
+} = require('./timeSlots');
+const { today, minutesOfDay } = require('./timezone');
+
+/**
+ * Closure checks for bookings and orders.
+ * A closure covers a range of days and either every slot or only some of them, for the whole
+ * restaurant or only some tables. A reservation is refused if any slot of its seating is closed.
+ */
+
+/**
+ * Get the closures that apply to a date
+ * @param {Date|string} date - Target date
+ * @param {object} schedule - Service schedule loaded with its exceptions
+ * @returns {Array} Closures covering the date
+ */
+const getClosuresForDate = (date, schedule) => {
+  return (schedule.exceptions || []).filter(exception =>
+    exception.type === 'closure' && exceptionCoversDate(exception, date)
+  );
+};
+
+/**
+ * Find a closure preventing a seating
+ * @param {Date|string} date - Reservation date
+ * @param {number} slot - Starting slot number
+ * @param {Array<number>} tableNumbers - Tables to check; empty to only check whole-restaurant closures
+ * @param {object} schedule - Service schedule loaded with its exceptions
+ * @returns {object|null} The first matching closure, or null
+ */
+const findClosure = (date, slot, tableNumbers, schedule) => {
+  const blockedSlots = getBlockedSlots(slot, date, schedule);
+
+  return getClosuresForDate(date, schedule).find(closure => {
+    const slotClosed = closure.slots.length === 0 ||
+      blockedSlots.some(blocked => closure.slots.includes(blocked));
+    const tableClosed = closure.tables.length === 0 ||
+      tableNumbers.some(tableNumber => closure.tables.includes(Number(tableNumber)));
+
+    return slotClosed && tableClosed;
+  }) || null;
+};
+
+/**
+ * Find a whole-restaurant closure in effect at a given moment (used for pickup/delivery orders)
+ * A closure limited to some slots closes ordering from the start of its first closed slot
+ * until the end of its last one.
+ * @param {Date} now - Moment of the order
+ * @param {object} schedule - Service schedule loaded with its exceptions
+ * @returns {object|null} The closure in effect, or null
+ */
+const findOrderingClosure = (now, schedule) => {
+  const day = today(now);
+  const minutesNow = minutesOfDay(now);
+  const slots = getSlotsForDate(day, schedule);
+
+  return getClosuresForDate(day, schedule).find(closure => {
+    if (closure.tables.length > 0) return false;
+    if (closure.slots.length === 0) return true;
+
+    const closedStarts = slots
+      .filter(s => closure.slots.includes(s.slot))
+      .map(s => toMinutes(s.label));
+    if (closedStarts.length === 0) return false;
+
+    return minutesNow >= Math.min(...closedStarts) &&
+      minutesNow < Math.max(...closedStarts) + schedule.slotLength;
+  }) || null;
+};
+
+/**
+ * Describe a closure for an error message
+ * @param {object} closure - Schedule exception
+ * @returns {string} e.g. 'The restaurant is closed at this time (Christmas Day)'
+ */
+const describeClosure = (closure) => {
+  const subject = closure.tables.length > 0
+    ? `Table${closure.tables.length > 1 ? 's' : ''} ${closure.tables.join(', ')} ${closure.tables.length > 1 ? 'are' : 'is'}`
+    : 'The restaurant is';
+  return `${subject} closed at this time (${closure.reason})`;
+};
+
+module.exports = {
+  getClosuresForDate,
+  findClosure,
+  findOrderingClosure,
+  describeClosure,
+};
@@ -0,0 +1,386 @@
+const Reservation = require('../models/Reservation');
+const User = require('../models/User');
+const DepositPolicy = require('../models/DepositPolicy');
+const stripe = require('../config/stripe');
+const { roundPrice } = require('./orderPricing');
+const { createReservationDateTime } = require('./reservationHelpers');
+const { toCalendarDate } = require('./timezone');
+const { publishReservationEvent } = require('./eventStream');
+
+/**
+ * Reservation deposits and no-show fees.
+ * The deposit policy is a list of rules (guest count, weekday, no-show history); the first rule
+ * matching a booking decides what it costs. A "deposit" rule charges a PaymentIntent when booking
+ * and keeps it on a no-show or a late cancellation; a "card" rule only saves the card through a
+ * SetupIntent and charges the no-show fee off-session. Either way the reservation stays pending,
+ * holding its tables, until Stripe confirms the payment (see confirmDeposit), and is cancelled if
+ * that takes longer than DEPOSIT_PAYMENT_MINUTES.
+ */
+
+const PAYMENT_MINUTES = parseInt(process.env.DEPOSIT_PAYMENT_MINUTES, 10) || 15;
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// Stripe expects amounts in cents
+const toStripeAmount = (amount) => Math.round(amount * 100);
+
+/**
+ * Check whether a deposit rule applies to a booking
+ * @param {object} rule - Deposit rule
+ * @param {object} booking - { guests: number, date: Date|string, noShowCount?: number }
+ * @returns {boolean} True if every condition set on the rule matches
+ */
+const matchesRule = (rule, { guests, date, noShowCount = 0 }) => {
+  if (rule.minGuests && guests < rule.minGuests) return false;
+  if (rule.minNoShows && noShowCount < rule.minNoShows) return false;
+  if (rule.weekdays && rule.weekdays.length > 0 &&
+    !rule.weekdays.includes(toCalendarDate(date).getUTCDay())) return false;
+  return true;
+};
+
+/**
+ * Work out what a booking must pay under the deposit policy
+ * @param {object|null} policy - Deposit policy (null when none was saved)
+ * @param {object} booking - { guests: number, date: Date|string, noShowCount?: number }
+ * @returns {object|null} { type, amount, currency, rule } or null if nothing is due
+ */
+const getDepositRequirement = (policy, booking) => {
+  if (!policy || !policy.enabled) return null;
+
+  const rule = (policy.rules || []).find(candidate => matchesRule(candidate, booking));
+  if (!rule) return null;
+
+  const amount = roundPrice((rule.amount || 0) + (rule.amountPerGuest || 0) * booking.guests);
+  if (amount <= 0) return null;
+
+  return {
+    type: rule.type || 'deposit',
+    amount,
+    currency: policy.currency || 'usd',
+    rule: rule.name,
+  };
+};
+
+/**
+ * Build the deposit of a new reservation
+ * @param {object} requirement - Result of getDepositRequirement
+ * @param {object} booking - { date, slot }
+ * @param {object} policy - Deposit policy
+ * @param {object} schedule - Service schedule
+ * @param {Date} [now] - Current time
+ * @returns {object} Deposit fields, payment pending
+ */
+const buildDeposit = (requirement, { date, slot }, policy, schedule, now = new Date()) => {
+  const seating = createReservationDateTime(date, slot, schedule);
+
+  return {
+    ...requirement,
+    status: 'pending',
+    expiresAt: new Date(now.getTime() + PAYMENT_MINUTES * MINUTE),
+    refundableUntil: seating ? new Date(seating.getTime() - policy.refundWindowHours * HOUR) : null,
+  };
+};
+
+/**
+ * Check whether the deposit a reservation holds covers what the booking requires now
+ * @param {object|null} deposit - Reservation deposit
+ * @param {object|null} requirement - Result of getDepositRequirement
+ * @returns {boolean} True if nothing is due, or a paid deposit (or saved card) of that amount is held
+ */
+const coversRequirement = (deposit, requirement) => {
+  if (!requirement) return true;
+  if (!deposit || !['paid', 'card-saved'].includes(deposit.status)) return false;
+  return deposit.type === requirement.type && deposit.amount >= requirement.amount;
+};
+
+/**
+ * Refund deadline of a deposit whose reservation moves: as long before the new seating
+ * as it was before the old one
+ * @param {object} deposit - Reservation deposit
+ * @param {object} from - { date, slot } booked so far
+ * @param {object} to - { date, slot } after the move
+ * @param {object} schedule - Service schedule
+ * @returns {Date|null} New refundableUntil
+ */
+const moveRefundDeadline = (deposit, from, to, schedule) => {
+  if (!deposit.refundableUntil) return null;
+
+  const previousSeating = createReservationDateTime(from.date, from.slot, schedule);
+  const seating = createReservationDateTime(to.date, to.slot, schedule);
+  if (!previousSeating || !seating) return deposit.refundableUntil;
+
+  return new Date(seating.getTime() - (previousSeating.getTime() - deposit.refundableUntil.getTime()));
+};
+
+/**
+ * Decide what happens to a deposit when its reservation is cancelled
+ * @param {object|null} deposit - Reservation deposit
+ * @param {object} [options] - { now?: Date, byRestaurant?: boolean }
+ * @returns {string|null} 'void' (payment not made yet), 'refund', 'keep', 'release' (saved card) or null
+ */
+const getCancellationOutcome = (deposit, { now = new Date(), byRestaurant = false } = {}) => {
+  if (!deposit) return null;
+
+  switch (deposit.status) {
+    case 'pending':
+      return 'void';
+    case 'card-saved':
+      return 'release';
+    case 'paid':
+      // Guests cancelling late lose the deposit; a cancellation by the restaurant never costs them
+      if (byRestaurant || !deposit.refundableUntil || now <= deposit.refundableUntil) return 'refund';
+      return 'keep';
+    default:
+      return null;
+  }
+};
+
+/**
+ * Load the deposit policy in use
+ * @returns {Promise<object|null>} Saved policy, or null if none
+ */
+const loadDepositPolicy = () => DepositPolicy.getActive();
+
+// Stripe customer of a user, created on first use so their card can be charged later
+const ensureStripeCustomer = async (user) => {
+  if (user.stripeCustomerId) return user.stripeCustomerId;
+
+  const customer = await stripe.customers.create({
+    email: user.email,
+    name: user.name,
+    metadata: { userId: user._id.toString() },
+  });
+  await User.updateOne({ _id: user._id }, { stripeCustomerId: customer.id });
+  return customer.id;
+};
+
+/**
+ * Create the Stripe intent the guest completes to confirm a pending reservation
+ * @param {object} reservation - Saved reservation with a pending deposit
+ * @param {object} user - Booking user
+ * @returns {Promise<object>} { type, amount, currency, clientSecret, intentId, expiresAt }
+ */
+const startDepositPayment = async (reservation, user) => {
+  const { deposit } = reservation;
+  const metadata = {
+    reservationId: reservation._id.toString(),
+    reservationNumber: reservation.reservationNumber,
+  };
+
+  let intent;
+  if (deposit.type === 'card') {
+    deposit.customerId = await ensureStripeCustomer(user);
+    intent = await stripe.setupIntents.create({
+      customer: deposit.customerId,
+      usage: 'off_session',
+      automatic_payment_methods: { enabled: true },
+      metadata,
+    });
+  } else {
+    intent = await stripe.paymentIntents.create({
+      amount: toStripeAmount(deposit.amount),
+      currency: deposit.currency,
+      automatic_payment_methods: { enabled: true },
+      metadata,
+    });
+  }
+
+  deposit.intentId = intent.id;
+  await reservation.save();
+
+  return {
+    type: deposit.type,
+    amount: deposit.amount,
+    currency: deposit.currency,
+    clientSecret: intent.client_secret,
+    intentId: intent.id,
+    expiresAt: deposit.expiresAt,
+  };
+};
+
+// Refund a deposit PaymentIntent (in full)
+const refundDeposit = async (reservation) => {
+  const refund = await stripe.refunds.create({
+    payment_intent: reservation.deposit.intentId,
+    metadata: { reservationId: reservation._id.toString() },
+  });
+  reservation.deposit.refundId = refund.id;
+  reservation.deposit.status = 'refunded';
+};
+
+// Cancel the intent of a deposit that was never paid
+const voidDeposit = async (reservation) => {
+  const { deposit } = reservation;
+  if (deposit.intentId) {
+    if (deposit.type === 'card') {
+      await stripe.setupIntents.cancel(deposit.intentId);
+    } else {
+      await stripe.paymentIntents.cancel(deposit.intentId);
+    }
+  }
+  deposit.status = 'cancelled';
+};
+
+// Apply a Stripe step to a deposit and save it; failures are recorded for staff instead of thrown
+const settle = async (reservation, step) => {
+  const { deposit } = reservation;
+  try {
+    await step();
+    deposit.error = null;
+  } catch (error) {
+    console.error(`Error settling deposit of reservation ${reservation.reservationNumber}:`, error);
+    deposit.error = error.message;
+  }
+  deposit.settledAt = new Date();
+  await reservation.save();
+  return reservation;
+};
+
+/**
+ * Refund, keep or release the deposit of a cancelled reservation
+ * @param {object} reservation - Reservation already saved as cancelled
+ * @param {object} [options] - { now?: Date, byRestaurant?: boolean }
+ * @returns {Promise<string|null>} Outcome applied (see getCancellationOutcome)
+ */
+const settleCancelledDeposit = async (reservation, options = {}) => {
+  const outcome = getCancellationOutcome(reservation.deposit, options);
+  if (!outcome) return null;
+
+  await settle(reservation, async () => {
+    if (outcome === 'void') {
+      await voidDeposit(reservation);
+    } else if (outcome === 'refund') {
+      await refundDeposit(reservation);
+    } else if (outcome === 'keep') {
+      reservation.deposit.status = 'retained';
+    } else {
+      reservation.deposit.status = 'released';
+    }
+  });
+
+  return outcome;
+};
+
+/**
+ * Collect the no-show fee: keep a paid deposit, or charge the saved card off-session
+ * @param {object} reservation - Reservation already saved as no-show
+ * @returns {Promise<string|null>} New deposit status, or null if nothing was due
+ */
+const chargeNoShowFee = async (reservation) => {
+  const { deposit } = reservation;
+  if (!deposit || !['paid', 'card-saved'].includes(deposit.status)) return null;
+
+  await settle(reservation, async () => {
+    if (deposit.status === 'paid') {
+      deposit.status = 'retained';
+      return;
+    }
+
+    try {
+      const intent = await stripe.paymentIntents.create({
+        amount: toStripeAmount(deposit.amount),
+        currency: deposit.currency,
+        customer: deposit.customerId,
+        payment_method: deposit.paymentMethodId,
+        off_session: true,
+        confirm: true,
+        metadata: {
+          reservationId: reservation._id.toString(),
+          reservationNumber: reservation.reservationNumber,
+          purpose: 'no-show-fee',
+        },
+      });
+      deposit.feeIntentId = intent.id;
+      deposit.status = 'charged';
+    } catch (error) {
+      deposit.status = 'charge-failed';
+      throw error;
+    }
+  });
+
+  return deposit.status;
+};
+
+/**
+ * Confirm the reservation of a succeeded deposit PaymentIntent or card SetupIntent (webhook)
+ * @param {object} intent - Stripe PaymentIntent or SetupIntent with reservationId metadata
+ * @returns {Promise<object|null>} The reservation, or null if the intent is not its deposit
+ */
+const confirmDeposit = async (intent) => {
+  const reservation = await Reservation.findById(intent.metadata.reservationId);
+  if (!reservation || !reservation.deposit || reservation.deposit.intentId !== intent.id) return null;
+
+  const { deposit } = reservation;
+  if (deposit.status !== 'pending') return reservation;
+
+  const isCard = deposit.type === 'card';
+  if (!isCard && intent.amount_received < toStripeAmount(deposit.amount)) {
+    console.warn(`PaymentIntent ${intent.id} received ${intent.amount_received} but reservation ${reservation.reservationNumber} expects ${toStripeAmount(deposit.amount)}`);
+    return null;
+  }
+
+  // Only a reservation still holding its tables is confirmed
+  const confirmed = await Reservation.findOneAndUpdate(
+    { _id: reservation._id, status: 'pending', 'deposit.status': 'pending' },
+    {
+      status: 'confirmed',
+      'deposit.status': isCard ? 'card-saved' : 'paid',
+      'deposit.paidAt': new Date(),
+      ...(isCard && { 'deposit.paymentMethodId': intent.payment_method }),
+    },
+    { new: true }
+  );
+  if (confirmed) {
+    publishReservationEvent('reservation.updated', confirmed);
+    return confirmed;
+  }
+
+  // Paid after the reservation expired or was cancelled: give the money back
+  const late = await Reservation.findById(reservation._id);
+  if (late.deposit.status !== 'pending') return late;
+  return settle(late, async () => {
+    if (isCard) {
+      late.deposit.status = 'released';
+    } else {
+      await refundDeposit(late);
+    }
+  });
+};
+
+/**
+ * Record a deposit refunded from the Stripe dashboard (webhook)
+ * @param {object} charge - Stripe charge with reservationId metadata
+ * @returns {Promise<object|null>} The reservation, or null if the charge is not its deposit
+ */
+const recordDepositRefund = async (charge) => {
+  const reservation = await Reservation.findById(charge.metadata.reservationId);
+  if (!reservation || !reservation.deposit || reservation.deposit.intentId !== charge.payment_intent) return null;
+
+  const { deposit } = reservation;
+  if (['paid', 'retained'].includes(deposit.status) && charge.amount_refunded >= toStripeAmount(deposit.amount)) {
+    deposit.status = 'refunded';
+    deposit.refundId = charge.refunds && charge.refunds.data && charge.refunds.data[0]
+      ? charge.refunds.data[0].id
+      : null;
+    deposit.settledAt = new Date();
+    await reservation.save();
+  }
+
+  return reservation;
+};
+
+module.exports = {
+  PAYMENT_MINUTES,
+  matchesRule,
+  getDepositRequirement,
+  buildDeposit,
+  coversRequirement,
+  moveRefundDeadline,
+  getCancellationOutcome,
+  loadDepositPolicy,
+  startDepositPayment,
+  settleCancelledDeposit,
+  chargeNoShowFee,
+  confirmDeposit,
+  recordDepositRefund,
+};
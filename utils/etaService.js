@@ -0,0 +1,117 @@
+const MenuItem = require('../models/MenuItem');
+const { DEFAULT_PREPARATION_TIME } = require('./kitchen');
+
+/**
+ * Order ETA estimation.
+ * The kitchen cooks the items of an order in parallel, so preparation takes as long as
+ * the slowest dish plus a little per extra unit. Every order already in 'preparing'
+ * delays the start, and the order type adds packaging (pickup) or travel (delivery).
+ */
+
+const ETA_SETTINGS = {
+  minutesPerExtraItem: parseInt(process.env.ETA_MINUTES_PER_EXTRA_ITEM, 10) || 1,
+  minutesPerPreparingOrder: parseInt(process.env.ETA_MINUTES_PER_PREPARING_ORDER, 10) || 3,
+  pickupMinutes: parseInt(process.env.ETA_PICKUP_MINUTES, 10) || 5,
+  deliveryMinutes: parseInt(process.env.ETA_DELIVERY_MINUTES, 10) || 20,
+};
+
+const MINUTE = 60 * 1000;
+
+const addMinutes = (date, minutes) => new Date(date.getTime() + minutes * MINUTE);
+
+/**
+ * Compute an ETA from already-resolved inputs
+ * @param {object} params - Estimation inputs
+ * @param {Array<number>} params.preparationTimes - Preparation time (minutes) of each unit ordered
+ * @param {string} params.orderType - 'pickup' or 'delivery'
+ * @param {string} params.status - Current order status
+ * @param {number} params.preparingOrders - Number of other orders currently in 'preparing'
+ * @param {Date} params.statusChangedAt - When the order entered its current status
+ * @param {Date} params.now - Current time (for testing purposes)
+ * @returns {Date|null} Estimated pickup/delivery time, or null once the order is closed
+ */
+const computeEta = ({
+  preparationTimes,
+  orderType,
+  status,
+  preparingOrders = 0,
+  statusChangedAt,
+  now = new Date(),
+}) => {
+  const handoffMinutes = orderType === 'delivery'
+    ? ETA_SETTINGS.deliveryMinutes
+    : ETA_SETTINGS.pickupMinutes;
+
+  const slowest = preparationTimes.length > 0 ? Math.max(...preparationTimes) : DEFAULT_PREPARATION_TIME;
+  const kitchenMinutes = slowest + Math.max(preparationTimes.length - 1, 0) * ETA_SETTINGS.minutesPerExtraItem;
+  const changedAt = statusChangedAt || now;
+
+  const notBeforeNow = (date) => (date < now ? now : date);
+
+  switch (status) {
+    case 'pending':
+    case 'confirmed': {
+      const queueMinutes = preparingOrders * ETA_SETTINGS.minutesPerPreparingOrder;
+      return addMinutes(now, queueMinutes + kitchenMinutes + handoffMinutes);
+    }
+    case 'preparing': {
+      const kitchenDone = notBeforeNow(addMinutes(changedAt, kitchenMinutes));
+      return addMinutes(kitchenDone, handoffMinutes);
+    }
+    case 'ready':
+      return orderType === 'delivery' ? addMinutes(now, ETA_SETTINGS.deliveryMinutes) : now;
+    case 'out-for-delivery':
+      return notBeforeNow(addMinutes(changedAt, ETA_SETTINGS.deliveryMinutes));
+    default:
+      return null;
+  }
+};
+
+/**
+ * Estimate the pickup/delivery time of an order from the menu and the current kitchen load
+ * @param {object} order - Order document
+ * @param {Date} now - Current time (for testing purposes)
+ * @returns {Promise<Date|null>} Estimated time, or null once the order is closed
+ */
+const estimateOrderEta = async (order, now = new Date()) => {
+  if (order.status === 'delivered' || order.status === 'cancelled') {
+    return null;
+  }
+
+  const menuItemIds = order.items.map(item => (item.menuItem && item.menuItem._id) || item.menuItem);
+  const menuItems = await MenuItem.find({ _id: { $in: menuItemIds } }).select('preparationTime');
+  const preparationTimeById = new Map(
+    menuItems.map(menuItem => [menuItem._id.toString(), menuItem.preparationTime])
+  );
+
+  const preparationTimes = [];
+  order.items.forEach((item, index) => {
+    const time = preparationTimeById.get(String(menuItemIds[index])) || DEFAULT_PREPARATION_TIME;
+    for (let i = 0; i < item.quantity; i++) {
+      preparationTimes.push(time);
+    }
+  });
+
+  const preparingOrders = order.status === 'preparing'
+    ? 0
+    : await order.constructor.countDocuments({ status: 'preparing', _id: { $ne: order._id } });
+
+  const lastChange = order.statusHistory && order.statusHistory.length > 0
+    ? order.statusHistory[order.statusHistory.length - 1].changedAt
+    : now;
+
+  return computeEta({
+    preparationTimes,
+    orderType: order.orderType,
+    status: order.status,
+    preparingOrders,
+    statusChangedAt: lastChange,
+    now,
+  });
+};
+
+module.exports = {
+  ETA_SETTINGS,
+  computeEta,
+  estimateOrderEta,
+};
@@ -0,0 +1,189 @@
+/**
+ * In-process Server-Sent Events hub.
+ * Every connected client listens on its own user channel; admins also listen on the admin channel.
+ * Recent events are kept in memory so a reconnecting client can resume from Last-Event-ID.
+ */
+
+const ADMIN_CHANNEL = 'admin';
+const HISTORY_SIZE = 500;
+const HEARTBEAT_INTERVAL = 25 * 1000; // Keep proxies from closing idle connections
+const RETRY_INTERVAL = 5 * 1000;
+
+// Seeded from the clock so ids keep increasing across restarts
+let lastEventId = Date.now();
+const history = [];
+const clients = new Set();
+
+/**
+ * Get the channel name for a user
+ * @param {string|object} userId - User ID
+ * @returns {string} Channel name
+ */
+const userChannel = (userId) => `user:${userId}`;
+
+const writeEvent = (res, event) => {
+  res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+};
+
+const matchesChannels = (event, channels) => {
+  return event.channels.some(channel => channels.includes(channel));
+};
+
+/**
+ * Publish an event to a user's channel and/or the admin channel
+ * @param {string} type - Event type (e.g. 'order.updated')
+ * @param {object} data - JSON-serialisable payload
+ * @param {object} options - { userId?: string, admin?: boolean }
+ * @returns {object} The published event
+ */
+const publishEvent = (type, data, { userId = null, admin = true } = {}) => {
+  const channels = [];
+  if (userId) channels.push(userChannel(userId));
+  if (admin) channels.push(ADMIN_CHANNEL);
+
+  const event = {
+    id: ++lastEventId,
+    type,
+    data,
+    channels,
+  };
+
+  history.push(event);
+  if (history.length > HISTORY_SIZE) {
+    history.shift();
+  }
+
+  clients.forEach(client => {
+    if (matchesChannels(event, client.channels)) {
+      writeEvent(client.res, event);
+    }
+  });
+
+  return event;
+};
+
+/**
+ * Get buffered events newer than a given id for a set of channels
+ * @param {Array<string>} channels - Channels to match
+ * @param {number} sinceId - Last event id received by the client
+ * @returns {Array|null} Missed events, or null if the buffer no longer reaches back that far
+ */
+const getEventsSince = (channels, sinceId) => {
+  if (history.length === 0 || sinceId < history[0].id - 1) {
+    return sinceId >= lastEventId ? [] : null;
+  }
+
+  return history.filter(event => event.id > sinceId && matchesChannels(event, channels));
+};
+
+/**
+ * Attach an SSE response to the hub, replaying missed events first
+ * @param {object} res - Express response (headers already sent)
+ * @param {Array<string>} channels - Channels the client listens on
+ * @param {string|number} [resumeFromId] - Last-Event-ID sent by the client
+ * @returns {Function} Unsubscribe function
+ */
+const subscribe = (res, channels, resumeFromId) => {
+  res.write(`retry: ${RETRY_INTERVAL}\n\n`);
+
+  const sinceId = parseInt(resumeFromId, 10);
+  if (!Number.isNaN(sinceId)) {
+    const missed = getEventsSince(channels, sinceId);
+
+    if (missed === null) {
+      // Too far behind (or the server restarted): the client has to refetch its state
+      writeEvent(res, { id: lastEventId, type: 'resync', data: { reason: 'history-unavailable' } });
+    } else {
+      missed.forEach(event => writeEvent(res, event));
+    }
+  }
+
+  const client = { res, channels };
+  clients.add(client);
+
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL);
+  if (heartbeat.unref) heartbeat.unref();
+
+  return () => {
+    clearInterval(heartbeat);
+    clients.delete(client);
+  };
+};
+
+/**
+ * Publish an order change to its owner and the admin dashboard
+ * @param {string} type - Event type
+ * @param {object} order - Order document
+ * @returns {object} The published event
+ */
+const publishOrderEvent = (type, order) => {
+  return publishEvent(type, {
+    orderId: order._id,
+    orderNumber: order.orderNumber,
+    status: order.status,
+    paymentStatus: order.paymentStatus,
+    orderType: order.orderType,
+    estimatedDeliveryTime: order.estimatedDeliveryTime,
+    updatedAt: order.updatedAt,
+  }, { userId: order.userId });
+};
+
+/**
+ * Publish a reservation change to its owner and the admin dashboard
+ * @param {string} type - Event type
+ * @param {object} reservation - Reservation document
+ * @returns {object} The published event
+ */
+const publishReservationEvent = (type, reservation) => {
+  const userId = reservation.userId && reservation.userId._id
+    ? reservation.userId._id
+    : reservation.userId;
+
+  return publishEvent(type, {
+    reservationId: reservation._id,
+    reservationNumber: reservation.reservationNumber,
+    status: reservation.status,
+    date: reservation.date,
+    slot: reservation.slot,
+    guests: reservation.guests,
+    tableNumber: reservation.tableNumber,
+    updatedAt: reservation.updatedAt,
+  }, { userId });
+};
+
+/**
+ * Publish a waitlist change (e.g. a seat offer) to its owner and the admin dashboard
+ * @param {string} type - Event type
+ * @param {object} entry - Waitlist entry document
+ * @returns {object} The published event
+ */
+const publishWaitlistEvent = (type, entry) => {
+  return publishEvent(type, {
+    waitlistEntryId: entry._id,
+    status: entry.status,
+    date: entry.date,
+    slot: entry.slot,
+    guests: entry.guests,
+    offeredTables: entry.offeredTables,
+    offerExpiresAt: entry.offerExpiresAt,
+    reservationId: entry.reservationId,
+  }, { userId: entry.userId });
+};
+
+/**
+ * Number of currently connected clients
+ * @returns {number} Client count
+ */
+const getClientCount = () => clients.size;
+
+module.exports = {
+  ADMIN_CHANNEL,
+  userChannel,
+  publishEvent,
+  getEventsSince,
+  subscribe,
+  publishOrderEvent,
+  publishReservationEvent,
+  publishWaitlistEvent,
+  getClientCount,
+};
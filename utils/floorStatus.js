@@ -0,0 +1,118 @@
+const { createReservationDateTime } = require('./reservationHelpers');
+
+/**
+ * Live floor status for the host stand.
+ * Each active table is, in order of precedence: seated (a party is at it), needs-cleaning
+ * (cleared but not yet reset), reserved-soon (a party is due within RESERVED_SOON_MINUTES, or
+ * is late and not yet marked as no-show) or free.
+ */
+
+const RESERVED_SOON_MINUTES = parseInt(process.env.FLOOR_RESERVED_SOON_MINUTES, 10) || 30;
+const MINUTE = 60 * 1000;
+
+const FLOOR_STATES = ['free', 'reserved-soon', 'seated', 'needs-cleaning'];
+
+const minutesBetween = (from, to) => Math.floor((to.getTime() - from.getTime()) / MINUTE);
+
+const summarizeParty = (reservation, start) => ({
+  reservationId: reservation._id,
+  reservationNumber: reservation.reservationNumber,
+  name: reservation.userName,
+  guests: reservation.guests,
+  slot: reservation.slot,
+  start,
+  tableNumber: reservation.tableNumber,
+  status: reservation.status,
+  specialRequest: reservation.specialRequest || null,
+});
+
+/**
+ * Describe the current state of a table
+ * @param {object} table - Table ({ tableNumber, capacity, needsCleaning, ... })
+ * @param {Array} reservations - Today's active reservations (pending, confirmed or seated)
+ * @param {object} schedule - Service schedule
+ * @param {Date} [now] - Current time
+ * @returns {object} { state, party, seatedAt, elapsedMinutes, overdue, minutesUntil, nextReservation }
+ */
+const getTableState = (table, reservations, schedule, now = new Date()) => {
+  const own = reservations.filter(reservation => reservation.tableNumber.includes(table.tableNumber));
+
+  // Parties still expected at this table, earliest first
+  const expected = own
+    .filter(reservation => reservation.status === 'confirmed' || reservation.status === 'pending')
+    .map(reservation => ({
+      reservation,
+      start: createReservationDateTime(reservation.date, reservation.slot, schedule),
+    }))
+    .filter(({ start }) => start)
+    .sort((a, b) => a.start - b.start);
+  const next = expected[0] || null;
+  const nextReservation = next ? summarizeParty(next.reservation, next.start) : null;
+
+  const seated = own.find(reservation => reservation.status === 'seated');
+  if (seated) {
+    const start = createReservationDateTime(seated.date, seated.slot, schedule);
+    const seatedAt = seated.seatedAt || start;
+    const expectedEnd = seatedAt && new Date(seatedAt.getTime() + schedule.seatingDuration * MINUTE);
+
+    return {
+      state: 'seated',
+      party: summarizeParty(seated, start),
+      seatedAt,
+      elapsedMinutes: seatedAt ? minutesBetween(seatedAt, now) : null,
+      overdue: Boolean(expectedEnd) && now > expectedEnd,
+      nextReservation,
+    };
+  }
+
+  if (table.needsCleaning) {
+    return { state: 'needs-cleaning', party: null, nextReservation };
+  }
+
+  if (next && minutesBetween(now, next.start) <= RESERVED_SOON_MINUTES) {
+    return {
+      state: 'reserved-soon',
+      party: nextReservation,
+      // Negative once the party is late
+      minutesUntil: minutesBetween(now, next.start),
+      nextReservation,
+    };
+  }
+
+  return { state: 'free', party: null, nextReservation };
+};
+
+/**
+ * Build the live floor: the state of every table and a count per state
+ * @param {Array} tables - Active tables
+ * @param {Array} reservations - Today's active reservations (pending, confirmed or seated)
+ * @param {object} schedule - Service schedule
+ * @param {Date} [now] - Current time
+ * @returns {object} { tables: Array, counts: object }
+ */
+const buildFloorStatus = (tables, reservations, schedule, now = new Date()) => {
+  const counts = Object.fromEntries(FLOOR_STATES.map(state => [state, 0]));
+
+  const floor = tables.map(table => {
+    const tableState = getTableState(table, reservations, schedule, now);
+    counts[tableState.state]++;
+
+    return {
+      tableNumber: table.tableNumber,
+      capacity: table.capacity,
+      zone: table.zone || null,
+      shape: table.shape,
+      position: table.position,
+      ...tableState,
+    };
+  });
+
+  return { tables: floor, counts };
+};
+
+module.exports = {
+  RESERVED_SOON_MINUTES,
+  FLOOR_STATES,
+  getTableState,
+  buildFloorStatus,
+};
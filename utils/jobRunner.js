@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+
+/**
+ * In-process scheduler for recurring maintenance jobs (sweeps, expirations).
+ * Each job runs on its own interval while the database is connected; a run is skipped if the
+ * previous one of the same job has not finished, and errors are logged without stopping the job.
+ */
+
+const jobs = new Map();
+
+/**
+ * Register a recurring job
+ * @param {string} name - Unique job name
+ * @param {number} interval - Milliseconds between runs
+ * @param {Function} run - async (now: Date) => summary
+ */
+const registerJob = (name, interval, run) => {
+  if (jobs.has(name)) {
+    throw new Error(`Job "${name}" is already registered`);
+  }
+  jobs.set(name, { name, interval, run, running: false, timer: null, lastRunAt: null, lastError: null });
+};
+
+/**
+ * Run a registered job once, unless it is already running
+ * @param {string} name - Job name
+ * @param {Date} [now] - Current time passed to the job
+ * @returns {Promise<*>} The job's summary, or null if skipped or failed
+ */
+const runJob = async (name, now = new Date()) => {
+  const job = jobs.get(name);
+  if (!job) {
+    throw new Error(`Unknown job "${name}"`);
+  }
+  if (job.running) return null;
+
+  job.running = true;
+  try {
+    const summary = await job.run(now);
+    job.lastError = null;
+    return summary;
+  } catch (error) {
+    job.lastError = error.message;
+    console.error(`Error running job ${name}:`, error);
+    return null;
+  } finally {
+    job.running = false;
+    job.lastRunAt = now;
+  }
+};
+
+/**
+ * Start every registered job on its interval (timers do not keep the process alive)
+ */
+const startJobs = () => {
+  jobs.forEach(job => {
+    if (job.timer) return;
+
+    job.timer = setInterval(() => {
+      if (mongoose.connection.readyState !== 1) return;
+      runJob(job.name);
+    }, job.interval);
+    job.timer.unref();
+  });
+};
+
+/**
+ * Stop every running job timer
+ */
+const stopJobs = () => {
+  jobs.forEach(job => {
+    clearInterval(job.timer);
+    job.timer = null;
+  });
+};
+
+/**
+ * Describe the registered jobs
+ * @returns {Array} { name, interval, running, lastRunAt, lastError }
+ */
+const getJobStatus = () => [...jobs.values()].map(({ name, interval, running, lastRunAt, lastError }) => ({
+  name,
+  interval,
+  running,
+  lastRunAt,
+  lastError,
+}));
+
+module.exports = {
+  registerJob,
+  runJob,
+  startJobs,
+  stopJobs,
+  getJobStatus,
+};
@@ -0,0 +1,149 @@
+/**
+ * Kitchen display helpers: station routing and fire-time sequencing.
+ * Courses are sequenced (appetizers, then mains, then desserts and drinks): a course is
+ * fired once the previous one is ready, and every item of a course is fired so that the
+ * whole course finishes together.
+ */
+
+const STATIONS = {
+  appetizer: 'cold',
+  main: 'hot',
+  dessert: 'pastry',
+  beverage: 'bar',
+};
+
+const COURSE_ORDER = ['appetizer', 'main', 'dessert', 'beverage'];
+
+const DEFAULT_CATEGORY = 'main';
+const DEFAULT_PREPARATION_TIME = 15; // minutes, matches the MenuItem default
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Get the moment the kitchen accepted an order
+ * @param {object} order - Order document
+ * @returns {Date} Time the order was confirmed, or created if never confirmed
+ */
+const getKitchenStartTime = (order) => {
+  const confirmed = (order.statusHistory || []).find(entry => entry.status === 'confirmed');
+  return confirmed ? confirmed.changedAt : order.createdAt;
+};
+
+/**
+ * Describe an order line for the kitchen, using the populated MenuItem when available
+ * @param {object} item - Order line (items.menuItem populated with category and preparationTime)
+ * @returns {object} { category, station, preparationTime, course }
+ */
+const describeKitchenItem = (item) => {
+  const menuItem = item.menuItem && item.menuItem.category ? item.menuItem : null;
+  const category = menuItem ? menuItem.category : DEFAULT_CATEGORY;
+  const course = COURSE_ORDER.indexOf(category);
+
+  return {
+    category,
+    station: STATIONS[category] || STATIONS[DEFAULT_CATEGORY],
+    preparationTime: (menuItem && menuItem.preparationTime) || DEFAULT_PREPARATION_TIME,
+    course: course === -1 ? COURSE_ORDER.indexOf(DEFAULT_CATEGORY) : course,
+  };
+};
+
+/**
+ * Compute fire times for every line of an order
+ * @param {object} order - Order document with items.menuItem populated
+ * @param {Date} now - Current time (for testing purposes)
+ * @returns {object} { readyAt: Date, items: Array }
+ */
+const scheduleOrder = (order, now = new Date()) => {
+  const startTime = new Date(getKitchenStartTime(order));
+  const items = order.items.map(item => ({ item, ...describeKitchenItem(item) }));
+
+  // A course takes as long as its slowest dish, counted from when the previous course is ready
+  let courseReadyAt = startTime.getTime();
+  const scheduled = [];
+
+  [...new Set(items.map(entry => entry.course))].sort((a, b) => a - b).forEach(course => {
+    const courseItems = items.filter(entry => entry.course === course);
+    const slowest = courseItems.reduce((max, entry) => Math.max(max, entry.preparationTime), 0);
+    courseReadyAt += slowest * MINUTE;
+
+    courseItems.forEach(entry => {
+      scheduled.push({ ...entry, fireAt: new Date(courseReadyAt - entry.preparationTime * MINUTE) });
+    });
+  });
+
+  const readyAt = new Date(courseReadyAt);
+
+  return {
+    readyAt,
+    items: scheduled
+      .sort((a, b) => a.fireAt - b.fireAt || a.course - b.course)
+      .map(({ item, category, station, preparationTime, fireAt }) => ({
+        itemId: item._id,
+        menuItem: item.menuItem && item.menuItem._id ? item.menuItem._id : item.menuItem,
+        name: item.name,
+        quantity: item.quantity,
+        specialInstructions: item.specialInstructions,
+        category,
+        station,
+        preparationTime,
+        fireAt,
+        kitchenStatus: item.kitchenStatus,
+        bumpedAt: item.bumpedAt,
+        overdue: item.kitchenStatus !== 'done' && fireAt.getTime() + preparationTime * MINUTE < now.getTime(),
+      })),
+  };
+};
+
+/**
+ * Aggregate the pending lines of scheduled orders by station and menu item
+ * @param {Array} scheduledOrders - Orders as returned by scheduleOrder (with orderId/orderNumber)
+ * @returns {object} { [station]: [{ menuItem, name, totalQuantity, nextFireAt, orders }] }
+ */
+const aggregateByStation = (scheduledOrders) => {
+  const stations = {};
+
+  scheduledOrders.forEach(order => {
+    order.items
+      .filter(item => item.kitchenStatus !== 'done')
+      .forEach(item => {
+        if (!stations[item.station]) stations[item.station] = {};
+        const key = item.menuItem ? item.menuItem.toString() : item.name;
+
+        if (!stations[item.station][key]) {
+          stations[item.station][key] = {
+            menuItem: item.menuItem,
+            name: item.name,
+            totalQuantity: 0,
+            nextFireAt: item.fireAt,
+            orders: [],
+          };
+        }
+
+        const line = stations[item.station][key];
+        line.totalQuantity += item.quantity;
+        if (item.fireAt < line.nextFireAt) line.nextFireAt = item.fireAt;
+        line.orders.push({
+          orderId: order.orderId,
+          orderNumber: order.orderNumber,
+          itemId: item.itemId,
+          quantity: item.quantity,
+          fireAt: item.fireAt,
+        });
+      });
+  });
+
+  return Object.keys(stations).reduce((result, station) => {
+    result[station] = Object.values(stations[station]).sort((a, b) => a.nextFireAt - b.nextFireAt);
+    return result;
+  }, {});
+};
+
+module.exports = {
+  STATIONS,
+  COURSE_ORDER,
+  DEFAULT_PREPARATION_TIME,
+  getKitchenStartTime,
+  describeKitchenItem,
+  scheduleOrder,
+  aggregateByStation,
+};
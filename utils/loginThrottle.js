@@ -0,0 +1,115 @@
+const { getStore } = require('./rateLimitStore');
+
+/**
+ * Failed login tracking, per account (email) and per IP.
+ * The first failures of a window are free; every further one locks the account or IP for twice as
+ * long as the previous lock, up to LOGIN_MAX_LOCKOUT_MINUTES. Locked logins are refused without
+ * checking the password. A successful login clears the account's failures, not the IP's.
+ */
+
+const ACCOUNT_FREE_ATTEMPTS = parseInt(process.env.LOGIN_FREE_ATTEMPTS, 10) || 5;
+// Many users can share an IP (offices, mobile carriers)
+const IP_FREE_ATTEMPTS = parseInt(process.env.LOGIN_IP_FREE_ATTEMPTS, 10) || 20;
+const BACKOFF_SECONDS = parseInt(process.env.LOGIN_BACKOFF_SECONDS, 10) || 30;
+const MAX_LOCKOUT_MINUTES = parseInt(process.env.LOGIN_MAX_LOCKOUT_MINUTES, 10) || 15;
+// Failures are forgotten this long after the first one, or after the last lock ends
+const FAILURE_WINDOW_MINUTES = parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES, 10) || 60;
+
+const accountKey = (email) => `login:account:${String(email).trim().toLowerCase()}`;
+const ipKey = (ip) => `login:ip:${ip}`;
+
+/**
+ * Lock duration after a failed login
+ * @param {number} failures - Failures in the window, this one included
+ * @param {number} freeAttempts - Failures allowed before locking
+ * @returns {number} Seconds to lock for (0: not locked)
+ */
+const getLockoutSeconds = (failures, freeAttempts) => {
+  if (failures <= freeAttempts) return 0;
+  return Math.min(BACKOFF_SECONDS * 2 ** (failures - freeAttempts - 1), MAX_LOCKOUT_MINUTES * 60);
+};
+
+const secondsUntil = (date, now) => Math.max(1, Math.ceil((new Date(date).getTime() - now.getTime()) / 1000));
+
+/**
+ * Check whether a login may be attempted
+ * @param {string} email - Account the login is for
+ * @param {string} ip - Client IP
+ * @param {object} options - { store?, now? }
+ * @returns {Promise<object>} { locked: boolean, retryAfter?: seconds }
+ */
+const checkLogin = async (email, ip, { store = getStore(), now = new Date() } = {}) => {
+  const records = await Promise.all([store.get(accountKey(email), now), ip && store.get(ipKey(ip), now)]);
+  const lockedUntil = records
+    .filter(record => record && record.lockedUntil && new Date(record.lockedUntil) > now)
+    .map(record => new Date(record.lockedUntil))
+    .sort((a, b) => b - a)[0];
+
+  return lockedUntil ? { locked: true, retryAfter: secondsUntil(lockedUntil, now) } : { locked: false };
+};
+
+/**
+ * Count a failed login against the account and the IP, locking them when past their free attempts
+ * @param {string} email - Account the login was for
+ * @param {string} ip - Client IP
+ * @param {object} options - { store?, now? }
+ * @returns {Promise<object>} { locked: boolean, retryAfter?: seconds } after this failure
+ */
+const recordLoginFailure = async (email, ip, { store = getStore(), now = new Date() } = {}) => {
+  const windowMs = FAILURE_WINDOW_MINUTES * 60 * 1000;
+  const counters = [[accountKey(email), ACCOUNT_FREE_ATTEMPTS]];
+  if (ip) counters.push([ipKey(ip), IP_FREE_ATTEMPTS]);
+
+  let lockedUntil = null;
+  for (const [key, freeAttempts] of counters) {
+    const { hits } = await store.hit(key, windowMs, now);
+    const seconds = getLockoutSeconds(hits, freeAttempts);
+    if (seconds > 0) {
+      const until = new Date(now.getTime() + seconds * 1000);
+      await store.lock(key, until, new Date(until.getTime() + windowMs));
+      if (!lockedUntil || until > lockedUntil) lockedUntil = until;
+    }
+  }
+
+  return lockedUntil ? { locked: true, retryAfter: secondsUntil(lockedUntil, now) } : { locked: false };
+};
+
+/**
+ * Clear the failures of an account after a successful login
+ * @param {string} email - Account
+ * @param {object} options - { store? }
+ * @returns {Promise<void>}
+ */
+const recordLoginSuccess = (email, { store = getStore() } = {}) => store.reset(accountKey(email));
+
+/**
+ * Lift the lock and failures of an account (admin unlock)
+ * @param {string} email - Account
+ * @param {object} options - { store?, now? }
+ * @returns {Promise<boolean>} True if the account had failed logins on record
+ */
+const unlockAccount = async (email, { store = getStore(), now = new Date() } = {}) => {
+  const record = await store.get(accountKey(email), now);
+  await store.reset(accountKey(email));
+  return Boolean(record);
+};
+
+// Answer a login refused because of a lock
+const sendLoginLocked = (res, retryAfter) => {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    success: false,
+    code: 'LOGIN_LOCKED',
+    message: `Too many failed login attempts, please try again in ${retryAfter} seconds`,
+    retryAfter,
+  });
+};
+
+module.exports = {
+  getLockoutSeconds,
+  checkLogin,
+  recordLoginFailure,
+  recordLoginSuccess,
+  unlockAccount,
+  sendLoginLocked,
+};
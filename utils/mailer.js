@@ -0,0 +1,101 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * Outgoing email.
+ * MAIL_TRANSPORT picks how messages leave: `smtp` (EMAIL_HOST, EMAIL_PORT, EMAIL_USER, EMAIL_PASS),
+ * `console` (logged, the default outside production) or `file` (one JSON file per message in
+ * MAIL_DIR, for tests and local development).
+ */
+
+const DEFAULT_MAIL_DIR = path.join(__dirname, '..', 'tmp', 'mail');
+
+const smtpTransport = () => {
+  const nodemailer = require('nodemailer');
+  const port = parseInt(process.env.EMAIL_PORT, 10) || 587;
+  const transporter = nodemailer.createTransport({
+    host: process.env.EMAIL_HOST,
+    port,
+    secure: port === 465,
+    ...(process.env.EMAIL_USER && {
+      auth: { user: process.env.EMAIL_USER, pass: process.env.EMAIL_PASS },
+    }),
+  });
+
+  return {
+    name: 'smtp',
+    send: (message) => transporter.sendMail(message),
+  };
+};
+
+const consoleTransport = () => ({
+  name: 'console',
+  send: async (message) => {
+    console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+  },
+});
+
+const fileTransport = () => {
+  const directory = process.env.MAIL_DIR || DEFAULT_MAIL_DIR;
+  let sequence = 0;
+
+  return {
+    name: 'file',
+    directory,
+    send: async (message) => {
+      await fs.mkdir(directory, { recursive: true });
+      sequence += 1;
+      const file = path.join(directory, `${Date.now()}-${process.pid}-${sequence}.json`);
+      await fs.writeFile(file, JSON.stringify({ ...message, sentAt: new Date() }, null, 2));
+    },
+  };
+};
+
+const TRANSPORTS = {
+  smtp: smtpTransport,
+  console: consoleTransport,
+  file: fileTransport,
+};
+
+let transport = null;
+
+/**
+ * Get the configured transport, created on first use
+ * @returns {object} { name, send(message) }
+ */
+const getTransport = () => {
+  if (!transport) {
+    const name = process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === 'production' ? 'smtp' : 'console');
+    if (!TRANSPORTS[name]) {
+      throw new Error(`Unknown MAIL_TRANSPORT "${name}" (expected smtp, console or file)`);
+    }
+    transport = TRANSPORTS[name]();
+  }
+  return transport;
+};
+
+// Forget the transport so the next message reads the environment again (tests)
+const resetTransport = () => {
+  transport = null;
+};
+
+/**
+ * Send an email through the configured transport
+ * @param {object} message - { to, subject, text, html? }
+ * @returns {Promise<void>}
+ */
+const sendMail = async ({ to, subject, text, html }) => {
+  await getTransport().send({
+    from: process.env.EMAIL_FROM || process.env.EMAIL_USER || 'RestOh <no-reply@restoh.local>',
+    to,
+    subject,
+    text,
+    ...(html && { html }),
+  });
+};
+
+module.exports = {
+  getTransport,
+  resetTransport,
+  sendMail,
+};
@@ -0,0 +1,171 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const ErrorResponse = require('./errorResponse');
+const { verifyCode, buildOtpauthUri } = require('./totp');
+const { checkLogin, recordLoginFailure, recordLoginSuccess, sendLoginLocked } = require('./loginThrottle');
+
+/**
+ * Two-factor authentication (MFA) with an authenticator app.
+ * Users may enrol; admins must, as admin routes only accept sessions opened with the second factor.
+ * With MFA on, the password alone only earns a short-lived "mfa pending" token, exchanged for a
+ * session with a code from the app or one of the single-use recovery codes given at enrolment.
+ */
+
+const MFA_PENDING_MINUTES = parseInt(process.env.MFA_PENDING_MINUTES, 10) || 5;
+const MFA_ISSUER = process.env.MFA_ISSUER || 'RestOh';
+const RECOVERY_CODE_COUNT = 10;
+const PENDING_PURPOSE = 'mfa-pending';
+
+const mfaError = (message, statusCode, code) => {
+  const error = new ErrorResponse(message, statusCode);
+  error.code = code;
+  return error;
+};
+
+// Recovery codes are typed by hand: case, spaces and dashes do not matter
+const hashRecoveryCode = (code) => crypto
+  .createHash('sha256')
+  .update(String(code).toLowerCase().replace(/[^a-z0-9]/g, ''))
+  .digest('hex');
+
+/**
+ * Generate a new set of recovery codes
+ * @returns {object} { codes: shown to the user once, hashes: stored on the user }
+ */
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+/**
+ * Enrolment URI of a secret for a user, to show as a QR code
+ * @param {object} user - User
+ * @param {string} secret - Base32 secret
+ * @returns {string} otpauth:// URI
+ */
+const getOtpauthUri = (user, secret) => buildOtpauthUri({ secret, account: user.email, issuer: MFA_ISSUER });
+
+/**
+ * Check a code from the authenticator app, or use up a recovery code.
+ * Each works once: a code already accepted, or an older one, is refused.
+ * @param {object} user - User document, loaded with +mfaSecret
+ * @param {object} factor - { code } or { recoveryCode }
+ * @param {Date} now - Current time (for testing purposes)
+ * @returns {Promise<string|null>} 'totp' or 'recovery-code', or null if refused
+ */
+const verifySecondFactor = async (user, { code, recoveryCode }, now = new Date()) => {
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    const result = await User.updateOne({ _id: user._id, mfaRecoveryCodes: hash }, { $pull: { mfaRecoveryCodes: hash } });
+    return result.modifiedCount === 1 ? 'recovery-code' : null;
+  }
+
+  const step = user.mfaSecret ? verifyCode(user.mfaSecret, code, { now }) : null;
+  if (step === null) return null;
+
+  // Compare-and-set on the last step used: of two logins with the same code, only one passes
+  const result = await User.updateOne(
+    { _id: user._id, $or: [{ mfaLastUsedStep: null }, { mfaLastUsedStep: { $lt: step } }] },
+    { mfaLastUsedStep: step }
+  );
+  return result.modifiedCount === 1 ? 'totp' : null;
+};
+
+/**
+ * Sign the token of a login waiting for its second factor.
+ * It has no session id, so protect refuses it as an access token.
+ * @param {object} user - User document
+ * @returns {string} JWT
+ */
+const signMfaPendingToken = (user) => jwt.sign(
+  { id: user._id, purpose: PENDING_PURPOSE, tv: user.tokenVersion },
+  process.env.JWT_SECRET,
+  { expiresIn: `${MFA_PENDING_MINUTES}m` }
+);
+
+/**
+ * Second step of a login with MFA on
+ * @param {string} mfaToken - Token from the first step
+ * @param {object} factor - { code } or { recoveryCode }
+ * @param {object} req - Express request (client IP, for the login lockout)
+ * @returns {Promise<object>} { user, method: 'totp' | 'recovery-code' }
+ * @throws {ErrorResponse} 401 (MFA_TOKEN_INVALID, MFA_CODE_INVALID), 403 (ACCOUNT_DEACTIVATED)
+ *   or 429 (LOGIN_LOCKED, with retryAfter) after repeated failures
+ */
+const completeMfaLogin = async (mfaToken, factor, req) => {
+  let decoded = null;
+  try {
+    decoded = jwt.verify(mfaToken, process.env.JWT_SECRET);
+  } catch (error) {
+    decoded = null;
+  }
+
+  const user = decoded && decoded.purpose === PENDING_PURPOSE
+    ? await User.findById(decoded.id).select('+mfaSecret')
+    : null;
+  // A password change since the first step ends the pending login too
+  if (!user || !user.mfaEnabled || (decoded.tv || 0) !== user.tokenVersion) {
+    throw mfaError('Login has expired, please log in again', 401, 'MFA_TOKEN_INVALID');
+  }
+  if (!user.isActive) {
+    throw mfaError('This account has been deactivated', 403, 'ACCOUNT_DEACTIVATED');
+  }
+
+  // Codes count as failed logins: the account locks like it does for passwords
+  const throttle = await checkLogin(user.email, req.ip);
+  if (throttle.locked) {
+    const error = mfaError('Too many failed login attempts', 429, 'LOGIN_LOCKED');
+    error.retryAfter = throttle.retryAfter;
+    throw error;
+  }
+
+  const method = await verifySecondFactor(user, factor);
+  if (!method) {
+    await recordLoginFailure(user.email, req.ip);
+    throw mfaError('Invalid authentication code', 401, 'MFA_CODE_INVALID');
+  }
+
+  await recordLoginSuccess(user.email);
+  return { user, method };
+};
+
+// Answer the first step of a login with MFA on: no session yet, a token for the second step
+const sendMfaChallenge = (res, user, message = 'Enter the code from your authenticator app') => {
+  return res.status(200).json({
+    success: true,
+    message,
+    mfaRequired: true,
+    mfaToken: signMfaPendingToken(user),
+    expiresIn: MFA_PENDING_MINUTES * 60,
+  });
+};
+
+// Answer a second step refused by completeMfaLogin; other errors are rethrown
+const sendMfaError = (res, error) => {
+  if (error.code === 'LOGIN_LOCKED') {
+    return sendLoginLocked(res, error.retryAfter);
+  }
+  if (!(error instanceof ErrorResponse)) throw error;
+
+  return res.status(error.statusCode).json({
+    success: false,
+    code: error.code,
+    message: error.message,
+  });
+};
+
+module.exports = {
+  RECOVERY_CODE_COUNT,
+  hashRecoveryCode,
+  generateRecoveryCodes,
+  getOtpauthUri,
+  verifySecondFactor,
+  signMfaPendingToken,
+  completeMfaLogin,
+  sendMfaChallenge,
+  sendMfaError,
+};
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+const MenuItem = require('../models/MenuItem');
+
+/**
+ * Round a monetary amount to 2 decimal places
+ * @param {number} amount - Amount to round
+ * @returns {number} Rounded amount
+ */
+const roundPrice = (amount) => {
+  return Math.round(amount * 100) / 100;
+};
+
+/**
+ * Resolve cart items against the MenuItem collection and price them server-side.
+ * Only the menu item reference, quantity and special instructions are taken from
+ * the client; name, price and image are snapshotted from the canonical record.
+ * @param {Array} items - Cart items as sent by the client
+ * @returns {Promise<object>} { orderItems: Array, totalPrice: number, errors: Array }
+ */
+const priceOrderItems = async (items) => {
+  const errors = [];
+
+  const requestedIds = items
+    .map(item => item && (item.menuItem || item._id))
+    .filter(id => id && mongoose.Types.ObjectId.isValid(id));
+
+  const menuItems = await MenuItem.find({ _id: { $in: requestedIds } });
+  const menuItemsById = new Map(menuItems.map(menuItem => [menuItem._id.toString(), menuItem]));
+
+  const orderItems = [];
+
+  items.forEach((item, index) => {
+    const menuItemId = item && (item.menuItem || item._id);
+
+    if (!menuItemId || !mongoose.Types.ObjectId.isValid(menuItemId)) {
+      errors.push({ index, menuItem: menuItemId || null, message: 'Invalid menu item reference' });
+      return;
+    }
+
+    const quantity = Number(item.quantity);
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      errors.push({ index, menuItem: menuItemId, message: 'Quantity must be a whole number of at least 1' });
+      return;
+    }
+
+    const menuItem = menuItemsById.get(menuItemId.toString());
+    if (!menuItem) {
+      errors.push({ index, menuItem: menuItemId, message: 'Menu item no longer exists' });
+      return;
+    }
+
+    if (!menuItem.isAvailable) {
+      errors.push({ index, menuItem: menuItemId, name: menuItem.name, message: `${menuItem.name} is currently unavailable` });
+      return;
+    }
+
+    orderItems.push({
+      menuItem: menuItem._id,
+      name: menuItem.name,
+      price: menuItem.price,
+      image: menuItem.image,
+      quantity,
+      ...(item.specialInstructions && { specialInstructions: item.specialInstructions }),
+    });
+  });
+
+  const totalPrice = roundPrice(
+    orderItems.reduce((total, item) => total + item.price * item.quantity, 0)
+  );
+
+  return {
+    orderItems,
+    totalPrice,
+    errors,
+  };
+};
+
+module.exports = {
+  roundPrice,
+  priceOrderItems,
+};
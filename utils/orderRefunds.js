@@ -0,0 +1,185 @@
+const Order = require('../models/Order');
+const User = require('../models/User');
+const { roundPrice } = require('./orderPricing');
+
+/**
+ * Check whether an order has collected money that can be refunded.
+ * Card orders are refundable once paid; cash orders once delivered.
+ * @param {object} order - Order document
+ * @returns {boolean} True if the order can be refunded
+ */
+const isOrderRefundable = (order) => {
+  if (order.paymentStatus === 'paid' || order.paymentStatus === 'partially-refunded') {
+    return true;
+  }
+
+  return order.paymentMethod === 'cash' &&
+    order.status === 'delivered' &&
+    order.paymentStatus !== 'refunded';
+};
+
+/**
+ * Get the amount that has not been refunded yet
+ * @param {object} order - Order document
+ * @returns {number} Remaining refundable amount
+ */
+const getRefundableAmount = (order) => {
+  return roundPrice(order.totalPrice - (order.refundedAmount || 0));
+};
+
+/**
+ * Get how many units of an order line have already been refunded
+ * @param {object} order - Order document
+ * @param {string} itemId - Order line _id
+ * @returns {number} Refunded quantity
+ */
+const getRefundedQuantity = (order, itemId) => {
+  return (order.refunds || []).reduce((total, refund) => {
+    const line = refund.items.find(entry => entry.item.toString() === itemId.toString());
+    return total + (line ? line.quantity : 0);
+  }, 0);
+};
+
+/**
+ * Work out the refund amount for a request, either by amount or by line items
+ * @param {object} order - Order document
+ * @param {object} request - { amount?: number, items?: [{ itemId, quantity }] }
+ * @returns {object} { amount: number, items: Array, error?: string }
+ */
+const calculateRefund = (order, { amount, items }) => {
+  const remaining = getRefundableAmount(order);
+  let refundAmount;
+  let refundItems = [];
+
+  if (items && items.length > 0) {
+    for (const { itemId, quantity } of items) {
+      const line = order.items.id(itemId);
+      if (!line) {
+        return { error: `Order item ${itemId} not found` };
+      }
+
+      const refundableQuantity = line.quantity - getRefundedQuantity(order, line._id);
+      if (quantity > refundableQuantity) {
+        return { error: `Only ${refundableQuantity} of ${line.name} can still be refunded` };
+      }
+
+      refundItems.push({ item: line._id, quantity });
+    }
+
+    refundAmount = roundPrice(refundItems.reduce((total, entry) => {
+      return total + order.items.id(entry.item).price * entry.quantity;
+    }, 0));
+  } else {
+    refundAmount = roundPrice(amount);
+  }
+
+  if (!refundAmount || refundAmount <= 0) {
+    return { error: 'Refund amount must be positive' };
+  }
+
+  if (refundAmount > remaining) {
+    return { error: `Refund amount cannot exceed the remaining ${remaining.toFixed(2)}` };
+  }
+
+  return {
+    amount: refundAmount,
+    items: refundItems,
+  };
+};
+
+// Amounts are summed with $inc: allow for floating point drift when comparing them to the total
+const AMOUNT_TOLERANCE = 0.005;
+
+// Round refundedAmount and derive the payment status from it, in one update; returns the order
+const syncRefundStatus = (orderId, unrefundedStatus) => {
+  return Order.findByIdAndUpdate(orderId, [
+    { $set: { refundedAmount: { $round: ['$refundedAmount', 2] } } },
+    {
+      $set: {
+        paymentStatus: {
+          $switch: {
+            branches: [
+              { case: { $gte: [{ $add: ['$refundedAmount', AMOUNT_TOLERANCE] }, '$totalPrice'] }, then: 'refunded' },
+              { case: { $gt: ['$refundedAmount', 0] }, then: 'partially-refunded' },
+            ],
+            default: unrefundedStatus,
+          },
+        },
+      },
+    },
+  ], { new: true });
+};
+
+/**
+ * Record a refund on an order before it is issued, if the order still has that amount left.
+ * The check and the write are a single update, so concurrent refunds cannot exceed the total.
+ * @param {object} order - Order document the refund was calculated on
+ * @param {object} refund - { amount, method, items?, stripeRefundId?, reason?, createdBy? }
+ * @param {object} [options] - { refundedUpTo?: ceiling for the order's refunded total, e.g. what Stripe has refunded }
+ * @returns {Promise<object|null>} { order, refund } once saved, or null if another refund took the amount
+ */
+const reserveRefund = async (order, refund, { refundedUpTo = null } = {}) => {
+  const entry = order.refunds.create(refund);
+  const refundedAfter = { $add: ['$refundedAmount', refund.amount] };
+  const ceilings = [{ $lte: [refundedAfter, { $add: ['$totalPrice', AMOUNT_TOLERANCE] }] }];
+  if (refundedUpTo !== null) {
+    ceilings.push({ $lte: [refundedAfter, refundedUpTo + AMOUNT_TOLERANCE] });
+  }
+
+  const reserved = await Order.findOneAndUpdate(
+    { _id: order._id, $expr: { $and: ceilings } },
+    {
+      $inc: { refundedAmount: refund.amount },
+      $push: { refunds: entry },
+    }
+  );
+  if (!reserved) return null;
+
+  const updated = await syncRefundStatus(order._id, order.paymentStatus);
+  return { order: updated, refund: updated.refunds.id(entry._id) };
+};
+
+/**
+ * Undo a refund that could not be completed with the payment provider
+ * @param {object} order - Order document
+ * @param {object} refund - Refund subdocument returned by reserveRefund
+ * @param {string} previousPaymentStatus - Payment status before the refund was reserved
+ * @returns {Promise<object>} The updated order
+ */
+const revertRefund = async (order, refund, previousPaymentStatus) => {
+  await Order.updateOne(
+    { _id: order._id, 'refunds._id': refund._id },
+    {
+      $inc: { refundedAmount: -refund.amount },
+      $pull: { refunds: { _id: refund._id } },
+    }
+  );
+
+  // Back to the previous status only if no other refund went through meanwhile
+  return syncRefundStatus(order._id, previousPaymentStatus);
+};
+
+/**
+ * Reverse the totalSpent/totalOrders increments made when the order was settled
+ * @param {object} order - Order document with the refund recorded
+ * @param {number} amount - Amount refunded
+ * @returns {Promise} Update operation promise
+ */
+const reverseUserStatistics = (order, amount) => {
+  return User.findByIdAndUpdate(order.userId, {
+    $inc: {
+      totalSpent: -amount,
+      ...(order.paymentStatus === 'refunded' && { totalOrders: -1 }),
+    },
+  });
+};
+
+module.exports = {
+  isOrderRefundable,
+  getRefundableAmount,
+  getRefundedQuantity,
+  calculateRefund,
+  reserveRefund,
+  revertRefund,
+  reverseUserStatistics,
+};
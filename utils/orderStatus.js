@@ -0,0 +1,102 @@
+/**
+ * Order status state machine.
+ * Pickup and delivery orders share the kitchen steps but diverge once the food is ready:
+ * pickup orders are handed over directly, delivery orders go out with a driver first.
+ */
+
+const ORDER_STATUSES = ['pending', 'confirmed', 'preparing', 'ready', 'out-for-delivery', 'delivered', 'cancelled'];
+
+const ORDER_TRANSITIONS = {
+  pickup: {
+    pending: ['confirmed', 'cancelled'],
+    confirmed: ['preparing', 'cancelled'],
+    preparing: ['ready', 'cancelled'],
+    ready: ['delivered'],
+    delivered: [],
+    cancelled: [],
+  },
+  delivery: {
+    pending: ['confirmed', 'cancelled'],
+    confirmed: ['preparing', 'cancelled'],
+    preparing: ['ready', 'cancelled'],
+    ready: ['out-for-delivery'],
+    'out-for-delivery': ['delivered'],
+    delivered: [],
+    cancelled: [],
+  },
+};
+
+/**
+ * Get the statuses an order can move to from its current status
+ * @param {string} orderType - 'pickup' or 'delivery'
+ * @param {string} status - Current status
+ * @returns {Array<string>} Allowed next statuses
+ */
+const getAllowedTransitions = (orderType, status) => {
+  const transitions = ORDER_TRANSITIONS[orderType];
+  if (!transitions || !transitions[status]) return [];
+
+  return [...transitions[status]];
+};
+
+/**
+ * Check if an order can move to a new status
+ * @param {object} order - Order document
+ * @param {string} toStatus - Target status
+ * @returns {boolean} True if the transition is allowed
+ */
+const canTransition = (order, toStatus) => {
+  return getAllowedTransitions(order.orderType, order.status).includes(toStatus);
+};
+
+/**
+ * Move an order to a new status and record it in statusHistory (does not save)
+ * @param {object} order - Order document
+ * @param {string} toStatus - Target status
+ * @param {object} options - { actor?: User document, reason?: string }
+ * @returns {object} { success: boolean, message?: string, allowedTransitions?: Array<string> }
+ */
+const transitionOrder = (order, toStatus, { actor = null, reason = null } = {}) => {
+  if (!canTransition(order, toStatus)) {
+    return {
+      success: false,
+      message: `Cannot change ${order.orderType} order status from ${order.status} to ${toStatus}`,
+      allowedTransitions: getAllowedTransitions(order.orderType, order.status),
+    };
+  }
+
+  order.statusHistory.push({
+    status: toStatus,
+    from: order.status,
+    changedAt: new Date(),
+    changedBy: actor ? actor._id : null,
+    actorRole: actor ? actor.role || 'user' : 'system',
+    reason: reason || null,
+  });
+  order.status = toStatus;
+
+  return { success: true };
+};
+
+/**
+ * Build the customer-facing timeline of an order from its status history
+ * @param {object} order - Order document
+ * @returns {Array} Array of { status, at, by, reason }
+ */
+const buildOrderTimeline = (order) => {
+  return (order.statusHistory || []).map(entry => ({
+    status: entry.status,
+    at: entry.changedAt,
+    by: entry.actorRole,
+    reason: entry.reason,
+  }));
+};
+
+module.exports = {
+  ORDER_STATUSES,
+  ORDER_TRANSITIONS,
+  getAllowedTransitions,
+  canTransition,
+  transitionOrder,
+  buildOrderTimeline,
+};
@@ -0,0 +1,153 @@
+const RateLimit = require('../models/RateLimit');
+
+/**
+ * Counters for rate limits and failed logins.
+ * A counter counts hits in a fixed window started by its first hit, and can be locked until a
+ * date. RATE_LIMIT_STORE picks where counters live: `memory` (default, one server instance) or
+ * `mongo` (shared by every instance). Both stores expose the same async methods:
+ *   hit(key, windowMs, now) -> { hits, lockedUntil, expiresAt }
+ *   get(key, now) -> record or null
+ *   decrement(key, now)
+ *   lock(key, lockedUntil, keepUntil) - the counter is kept at least until keepUntil
+ *   reset(key)
+ */
+
+// Above this many counters, the memory store drops the expired ones
+const MEMORY_PRUNE_SIZE = 10000;
+
+const createMemoryStore = () => {
+  const records = new Map();
+
+  const read = (key, now) => {
+    const record = records.get(key);
+    if (record && record.expiresAt <= now) {
+      records.delete(key);
+      return null;
+    }
+    return record || null;
+  };
+
+  const prune = (now) => {
+    if (records.size <= MEMORY_PRUNE_SIZE) return;
+    records.forEach((record, key) => {
+      if (record.expiresAt <= now) records.delete(key);
+    });
+  };
+
+  return {
+    name: 'memory',
+    get: async (key, now = new Date()) => {
+      const record = read(key, now);
+      return record && { ...record };
+    },
+    hit: async (key, windowMs, now = new Date()) => {
+      const record = read(key, now) || { hits: 0, lockedUntil: null, expiresAt: new Date(now.getTime() + windowMs) };
+      record.hits += 1;
+      records.set(key, record);
+      prune(now);
+      return { ...record };
+    },
+    decrement: async (key, now = new Date()) => {
+      const record = read(key, now);
+      if (record && record.hits > 0) record.hits -= 1;
+    },
+    lock: async (key, lockedUntil, keepUntil) => {
+      const record = records.get(key);
+      if (!record) return;
+      record.lockedUntil = lockedUntil;
+      if (record.expiresAt < keepUntil) record.expiresAt = keepUntil;
+    },
+    reset: async (key) => {
+      records.delete(key);
+    },
+  };
+};
+
+const createMongoStore = () => {
+  const hit = async (key, windowMs, now = new Date()) => {
+    const current = { $gt: ['$expiresAt', now] };
+    try {
+      // One atomic update: an expired counter starts a new window
+      return await RateLimit.findOneAndUpdate(
+        { key },
+        [{
+          $set: {
+            hits: { $cond: [current, { $add: ['$hits', 1] }, 1] },
+            lockedUntil: { $cond: [current, '$lockedUntil', null] },
+            expiresAt: { $cond: [current, '$expiresAt', new Date(now.getTime() + windowMs)] },
+          },
+        }],
+        { upsert: true, new: true }
+      ).lean();
+    } catch (error) {
+      // Two first hits raced to create the counter: the other one did, count this one on it
+      if (error.code === 11000) return hit(key, windowMs, now);
+      throw error;
+    }
+  };
+
+  return {
+    name: 'mongo',
+    get: (key, now = new Date()) => RateLimit.findOne({ key, expiresAt: { $gt: now } }).lean(),
+    hit,
+    decrement: async (key, now = new Date()) => {
+      await RateLimit.updateOne({ key, hits: { $gt: 0 }, expiresAt: { $gt: now } }, { $inc: { hits: -1 } });
+    },
+    lock: async (key, lockedUntil, keepUntil) => {
+      await RateLimit.updateOne({ key }, [{ $set: { lockedUntil, expiresAt: { $max: ['$expiresAt', keepUntil] } } }]);
+    },
+    reset: async (key) => {
+      await RateLimit.deleteOne({ key });
+    },
+  };
+};
+
+const STORES = {
+  memory: createMemoryStore,
+  mongo: createMongoStore,
+};
+
+let store = null;
+
+/**
+ * Get the configured counter store, created on first use
+ * @returns {object} Store
+ */
+const getStore = () => {
+  if (!store) {
+    const name = process.env.RATE_LIMIT_STORE || 'memory';
+    if (!STORES[name]) {
+      throw new Error(`Unknown RATE_LIMIT_STORE "${name}" (expected memory or mongo)`);
+    }
+    store = STORES[name]();
+  }
+  return store;
+};
+
+/**
+ * Adapt the counter store to the express-rate-limit store interface
+ * @param {string} prefix - Namespace of the limiter's keys
+ * @returns {object} express-rate-limit store
+ */
+const createExpressStore = (prefix) => ({
+  init(options) {
+    this.windowMs = options.windowMs;
+  },
+  async increment(key) {
+    const record = await getStore().hit(`${prefix}:${key}`, this.windowMs);
+    return { totalHits: record.hits, resetTime: record.expiresAt };
+  },
+  async decrement(key) {
+    await getStore().decrement(`${prefix}:${key}`);
+  },
+  async resetKey(key) {
+    await getStore().reset(`${prefix}:${key}`);
+  },
+});
+
+module.exports = {
+  createMemoryStore,
+  createMongoStore,
+  getStore,
+  createExpressStore,
+};
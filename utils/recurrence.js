@@ -0,0 +1,67 @@
+const { toCalendarDate, addDays } = require('./timezone');
+
+/**
+ * Recurrence rules for reservation series.
+ * A rule repeats every `interval` weeks or months from the first date, until a date (inclusive)
+ * or for `count` occurrences. Monthly series keep the day of the month and skip the months
+ * that do not have it (a series on the 31st has no occurrence in April).
+ */
+
+const MAX_OCCURRENCES = 52;
+// Longest a series may run, from its first date
+const MAX_SERIES_DAYS = 366;
+
+/**
+ * List the dates of a recurrence
+ * @param {Date|string} startDate - First occurrence
+ * @param {object} rule - { frequency: 'weekly'|'monthly', interval?: number, until?: Date|string, count?: number }
+ * @returns {Array<Date>} Calendar dates (UTC midnight), first one included, at most MAX_OCCURRENCES
+ */
+const expandRecurrence = (startDate, { frequency, interval = 1, until, count }) => {
+  const start = toCalendarDate(startDate);
+  const last = until ? toCalendarDate(until) : addDays(start, MAX_SERIES_DAYS);
+  const limit = Math.min(count || MAX_OCCURRENCES, MAX_OCCURRENCES);
+  const dates = [];
+
+  for (let step = 0; dates.length < limit; step++) {
+    let date;
+    if (frequency === 'weekly') {
+      date = addDays(start, step * 7 * interval);
+    } else {
+      date = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + step * interval, start.getUTCDate()));
+      // The month is too short for this day: Date.UTC rolled over into the next month
+      if (date.getUTCDate() !== start.getUTCDate()) continue;
+    }
+
+    if (date > last) break;
+    dates.push(date);
+  }
+
+  return dates;
+};
+
+/**
+ * Check a recurrence rule for a series starting on a date
+ * @param {Date|string} startDate - First occurrence
+ * @param {object} rule - Recurrence rule
+ * @returns {string|null} A description of the problem, or null if the rule is valid
+ */
+const findRecurrenceProblem = (startDate, rule) => {
+  if (rule.until && toCalendarDate(rule.until) > addDays(toCalendarDate(startDate), MAX_SERIES_DAYS)) {
+    return 'A series cannot run for more than a year';
+  }
+  if (rule.until && toCalendarDate(rule.until) < toCalendarDate(startDate)) {
+    return 'The series must end after its first date';
+  }
+  if (expandRecurrence(startDate, rule).length < 2) {
+    return 'A series needs at least two occurrences';
+  }
+  return null;
+};
+
+module.exports = {
+  MAX_OCCURRENCES,
+  MAX_SERIES_DAYS,
+  expandRecurrence,
+  findRecurrenceProblem,
+};
@@ -1,20 +1,22 @@
-const { getTimeFromSlot } = require('./timeSlots');
+const { getTimeFromSlot, getBlockedSlots, getSlotsForDate, loadSchedule } = require('./timeSlots');
 const Table = require('../models/Table');
+const ErrorResponse = require('./errorResponse');
+const { suggestAllocation } = require('./tableAllocator');
+const { findClosure } = require('./closures');
+const { toCalendarDate, zonedTime, formatCalendarDate } = require('./timezone');
 
 /**
  * Create a Date object from reservation date and slot number
  * @param {Date|string} date - Reservation date
  * @param {number} slotNumber - Slot number
- * @returns {Date|null} Complete datetime or null if invalid slot
+ * @param {object} schedule - Service schedule
+ * @returns {Date|null} Moment the seating starts in the restaurant timezone, or null if invalid slot
  */
-const createReservationDateTime = (date, slotNumber) => {
-  const timeComponents = getTimeFromSlot(slotNumber);
+const createReservationDateTime = (date, slotNumber, schedule) => {
+  const timeComponents = getTimeFromSlot(slotNumber, date, schedule);
   if (!timeComponents) return null;
 
-  const reservationDate = new Date(date);
-  reservationDate.setHours(timeComponents.hours, timeComponents.minutes, 0, 0);
-
-  return reservationDate;
+  return zonedTime(date, timeComponents.hours, timeComponents.minutes);
 };
 
 /**
@@ -31,11 +33,12 @@ const getHoursDifference = (laterDate, earlierDate) => {
  * Check if reservation can be modified (1 hour before original time rule)
  * @param {Date|string} originalDate - Original reservation date
  * @param {number} originalSlot - Original slot number
+ * @param {object} schedule - Service schedule
  * @param {Date} now - Current time (for testing purposes)
  * @returns {object} { canModify: boolean, hoursUntil: number, message?: string }
  */
-const canModifyReservation = (originalDate, originalSlot, now = new Date()) => {
-  const originalDateTime = createReservationDateTime(originalDate, originalSlot);
+const canModifyReservation = (originalDate, originalSlot, schedule, now = new Date()) => {
+  const originalDateTime = createReservationDateTime(originalDate, originalSlot, schedule);
 
   if (!originalDateTime) {
     return {
@@ -65,11 +68,12 @@ const canModifyReservation = (originalDate, originalSlot, now = new Date()) => {
  * Check if new reservation time is valid (1 hour from now rule)
  * @param {Date|string} newDate - New reservation date
  * @param {number} newSlot - New slot number
+ * @param {object} schedule - Service schedule
  * @param {Date} now - Current time (for testing purposes)
  * @returns {object} { isValid: boolean, hoursUntil: number, message?: string }
  */
-const isValidNewReservationTime = (newDate, newSlot, now = new Date()) => {
-  const newDateTime = createReservationDateTime(newDate, newSlot);
+const isValidNewReservationTime = (newDate, newSlot, schedule, now = new Date()) => {
+  const newDateTime = createReservationDateTime(newDate, newSlot, schedule);
 
   if (!newDateTime) {
     return {
@@ -99,11 +103,12 @@ const isValidNewReservationTime = (newDate, newSlot, now = new Date()) => {
  * Check if reservation can be cancelled (2 hours before rule)
  * @param {Date|string} reservationDate - Reservation date
  * @param {number} slotNumber - Slot number
+ * @param {object} schedule - Service schedule
  * @param {Date} now - Current time (for testing purposes)
  * @returns {object} { canCancel: boolean, hoursUntil: number, message?: string }
  */
-const canCancelReservation = (reservationDate, slotNumber, now = new Date()) => {
-  const reservationDateTime = createReservationDateTime(reservationDate, slotNumber);
+const canCancelReservation = (reservationDate, slotNumber, schedule, now = new Date()) => {
+  const reservationDateTime = createReservationDateTime(reservationDate, slotNumber, schedule);
 
   if (!reservationDateTime) {
     return {
@@ -133,14 +138,15 @@ const canCancelReservation = (reservationDate, slotNumber, now = new Date()) =>
  * Validate reservation update request
  * @param {object} reservation - Current reservation object
  * @param {object} updateData - Data to update { date?, slot?, ... }
+ * @param {object} schedule - Service schedule
  * @param {Date} now - Current time (for testing purposes)
  * @returns {object} { isValid: boolean, errors: string[] }
  */
-const validateReservationUpdate = (reservation, updateData, now = new Date()) => {
+const validateReservationUpdate = (reservation, updateData, schedule, now = new Date()) => {
   const errors = [];
 
   // Check if we can modify the original reservation
-  const modifyCheck = canModifyReservation(reservation.date, reservation.slot, now);
+  const modifyCheck = canModifyReservation(reservation.date, reservation.slot, schedule, now);
   if (!modifyCheck.canModify) {
     errors.push(modifyCheck.message);
   }
@@ -150,7 +156,7 @@ const validateReservationUpdate = (reservation, updateData, now = new Date()) =>
     const newDate = updateData.date || reservation.date;
     const newSlot = updateData.slot || reservation.slot;
 
-    const newTimeCheck = isValidNewReservationTime(newDate, newSlot, now);
+    const newTimeCheck = isValidNewReservationTime(newDate, newSlot, schedule, now);
     if (!newTimeCheck.isValid) {
       errors.push(newTimeCheck.message);
     }
@@ -171,14 +177,9 @@ const validateReservationUpdate = (reservation, updateData, now = new Date()) =>
  * @returns {object|null} Booking object or null if not found
  */
 const getTableBookingsForDate = (table, date) => {
-  const targetDate = new Date(date);
-  targetDate.setHours(0, 0, 0, 0);
+  const targetDate = toCalendarDate(date).getTime();
 
-  return table.tableBookings.find(booking => {
-    const bookingDate = new Date(booking.date);
-    bookingDate.setHours(0, 0, 0, 0);
-    return bookingDate.getTime() === targetDate.getTime();
-  });
+  return table.tableBookings.find(booking => toCalendarDate(booking.date).getTime() === targetDate);
 };
 
 /**
@@ -186,116 +187,217 @@ const getTableBookingsForDate = (table, date) => {
  * @param {object} table - Table document
  * @param {Date|string} date - Target date
  * @param {number} slot - Slot number
+ * @param {object} schedule - Service schedule
  * @returns {boolean} True if slot is available
  */
-const isTableSlotAvailable = (table, date, slot) => {
+const isTableSlotAvailable = (table, date, slot, schedule) => {
+  const blockedSlots = getBlockedSlots(slot, date, schedule);
+  if (blockedSlots.length === 0) return false;
+  if (findClosure(date, slot, [table.tableNumber], schedule)) return false;
+
   const booking = getTableBookingsForDate(table, date);
   if (!booking) return true;
 
-  // Check if any of the 3 consecutive slots are already booked
-  return !booking.bookedSlots.includes(slot) &&
-         !booking.bookedSlots.includes(slot + 1) &&
-         !booking.bookedSlots.includes(slot + 2);
+  // The table must be free for every slot of the seating
+  return !blockedSlots.some(blocked => booking.bookedSlots.includes(blocked));
 };
 
 /**
- * Add booking for a specific date and slot to a table
- * @param {object} table - Table document
- * @param {Date|string} date - Target date
- * @param {number} slot - Slot number
- * @returns {Promise} Save operation promise
+ * Explain why a table could not be booked
+ * @param {number} tableNumber - Table number
+ * @param {object} session - Mongoose session (or null)
+ * @returns {Promise<object>} { tableNumber, reason, message }
  */
-const addTableBooking = async (table, date, slot) => {
-  const targetDate = new Date(date);
-  targetDate.setHours(0, 0, 0, 0);
+const describeTableConflict = async (tableNumber, session) => {
+  const table = await Table.findOne({ tableNumber }).session(session);
 
-  let booking = getTableBookingsForDate(table, targetDate);
+  if (!table) {
+    return { tableNumber, reason: 'not-found', message: `Table ${tableNumber} not found` };
+  }
+  if (!table.isActive) {
+    return { tableNumber, reason: 'inactive', message: `Table ${tableNumber} is not in service` };
+  }
+  return { tableNumber, reason: 'already-booked', message: `Table ${tableNumber} is already booked for this time` };
+};
 
-  let slots = [slot, slot + 1, slot + 2];
+const releaseTableSlots = async (tableNumber, day, slots, session) => {
+  await Table.updateOne(
+    { tableNumber, 'tableBookings.date': day },
+    { $pullAll: { 'tableBookings.$.bookedSlots': slots } },
+    { session }
+  );
+  await Table.updateOne(
+    { tableNumber },
+    { $pull: { tableBookings: { date: day, bookedSlots: { $size: 0 } } } },
+    { session }
+  );
+};
 
-  if (!booking) {
-    booking = {
-      date: targetDate,
-      bookedSlots: slots
-    };
-    table.tableBookings.push(booking);
-  } else {
-    if (!booking.bookedSlots.includes(slot) && !booking.bookedSlots.includes(slot + 1) && !booking.bookedSlots.includes(slot + 2)) {
-      booking.bookedSlots.push(...slots);
-      booking.bookedSlots.sort();
+/**
+ * Atomically book a slot on one table (compare-and-set on tableBookings)
+ * @returns {Promise<boolean>} False if the table is missing, inactive or already booked
+ */
+const claimTableSlots = async (tableNumber, day, slots, session) => {
+  // Make sure the day has a booking entry, without ever creating a second one
+  await Table.updateOne(
+    { tableNumber, isActive: true, 'tableBookings.date': { $ne: day } },
+    { $push: { tableBookings: { date: day, bookedSlots: [] } } },
+    { session }
+  );
+
+  // Only succeeds if none of the slots were taken in the meantime
+  const result = await Table.updateOne(
+    {
+      tableNumber,
+      isActive: true,
+      tableBookings: { $elemMatch: { date: day, bookedSlots: { $nin: slots } } },
+    },
+    { $push: { 'tableBookings.$.bookedSlots': { $each: slots, $sort: 1 } } },
+    { session }
+  );
+
+  return result.modifiedCount === 1;
+};
+
+/**
+ * Book a date/slot on several tables, all or nothing
+ * @param {Array<number>} tableNumbers - Tables to book
+ * @param {Date|string} date - Reservation date
+ * @param {number} slot - Slot number
+ * @param {object} options - { session, onRollback } from runAtomically, optional schedule
+ * @returns {Promise<void>}
+ * @throws {ErrorResponse} 409 with a `conflicts` array if any table cannot be booked
+ */
+const bookTables = async (tableNumbers, date, slot, { session = null, onRollback = () => {}, schedule } = {}) => {
+  const activeSchedule = schedule || await loadSchedule();
+  const day = toCalendarDate(date);
+  const slots = getBlockedSlots(slot, date, activeSchedule);
+  if (slots.length === 0) {
+    throw new ErrorResponse('Invalid slot number', 400);
+  }
+  const conflicts = [];
+
+  for (const tableNumber of [...new Set(tableNumbers.map(Number))]) {
+    const closure = findClosure(date, slot, [tableNumber], activeSchedule);
+    if (closure) {
+      conflicts.push({
+        tableNumber,
+        reason: 'closed',
+        message: `Table ${tableNumber} is closed at this time (${closure.reason})`,
+      });
+    } else if (await claimTableSlots(tableNumber, day, slots, session)) {
+      onRollback(() => releaseTableSlots(tableNumber, day, slots, null));
+    } else {
+      conflicts.push(await describeTableConflict(tableNumber, session));
     }
   }
 
-  return table.save();
+  if (conflicts.length > 0) {
+    const message = conflicts.length === 1
+      ? conflicts[0].message
+      : 'Some of the selected tables are not available for this time';
+    const error = new ErrorResponse(message, 409);
+    error.conflicts = conflicts;
+    throw error;
+  }
 };
 
 /**
- * Remove booking for a specific date and slot from a table
- * @param {object} table - Table document
- * @param {Date|string} date - Target date
+ * Release a date/slot on several tables
+ * @param {Array<number>} tableNumbers - Tables to release
+ * @param {Date|string} date - Reservation date
  * @param {number} slot - Slot number
- * @returns {Promise} Save operation promise
+ * @param {object} options - { session, onRollback } from runAtomically, optional schedule
+ * @returns {Promise<void>}
  */
-const removeTableBooking = async (table, date, slot) => {
-  const targetDate = new Date(date);
-  targetDate.setHours(0, 0, 0, 0);
-
-  const booking = getTableBookingsForDate(table, targetDate);
-
-  if (booking) {
-    booking.bookedSlots = booking.bookedSlots.filter(s => s !== slot && s !== slot + 1 && s !== slot + 2);
-
-    if (booking.bookedSlots.length === 0) {
-      table.tableBookings = table.tableBookings.filter(b =>
-        new Date(b.date).getTime() !== targetDate.getTime()
-      );
-    }
+const releaseTables = async (tableNumbers, date, slot, { session = null, onRollback = () => {}, schedule } = {}) => {
+  const day = toCalendarDate(date);
+  const slots = getBlockedSlots(slot, date, schedule || await loadSchedule());
+
+  for (const tableNumber of [...new Set(tableNumbers.map(Number))]) {
+    await releaseTableSlots(tableNumber, day, slots, session);
+    onRollback(async () => {
+      if (!(await claimTableSlots(tableNumber, day, slots, null))) {
+        console.error(`Could not restore booking of table ${tableNumber} on ${formatCalendarDate(day)} slot ${slot}`);
+      }
+    });
   }
+};
 
-  return table.save();
+/**
+ * Check that tables seat a party
+ * @param {Array<number>} tableNumbers - Tables
+ * @param {number} guests - Party size
+ * @param {object} [options] - { session?: ClientSession }
+ * @returns {Promise<string|null>} Why they cannot, or null if they can (unknown tables are left to bookTables)
+ */
+const findCapacityProblem = async (tableNumbers, guests, { session = null } = {}) => {
+  const targets = [...new Set(tableNumbers.map(Number))];
+  const tables = await Table.find({ tableNumber: { $in: targets } }).select('capacity').session(session);
+  if (tables.length < targets.length) return null;
+
+  const capacity = tables.reduce((sum, table) => sum + table.capacity, 0);
+  return capacity < guests ? `The selected tables seat ${capacity} guests, the party has ${guests}` : null;
 };
 
+const inZone = (table, zone) => Boolean(table.zone) && table.zone.toString() === zone.toString();
+
 /**
- * Find available tables for a specific date and slot
+ * Find available tables for a specific date and slot, with a suggested allocation for the party
  * @param {Date|string} date - Target date
  * @param {number} slot - Slot number
- * @param {number} requiredCapacity - Minimum table capacity required
- * @returns {Promise<Array>} Array of available table documents
+ * @param {number} guests - Party size used for the suggestion
+ * @param {object} options - { session?: ClientSession, schedule?: object, zone?: ObjectId|string }
+ * @returns {Promise<object>} { availableTables, occupiedTables, suggestion }; with a preferred
+ *   zone, the suggestion seats the party there when it can, and elsewhere otherwise
  */
-const findAvailableTables = async (date, slot, requiredCapacity = 1) => {
-  const tables = await Table.find({
-    isActive: true,
-    // TODO add business logic, for now we do noy care about capacity
-    capacity: { $gte: 1 }
-  });
+const findAvailableTables = async (date, slot, guests = 1, { session = null, schedule, zone } = {}) => {
+  const activeSchedule = schedule || await loadSchedule();
+  const tables = await Table.find({ isActive: true })
+    .sort({ tableNumber: 1 })
+    .session(session);
+
+  const freeTables = tables.filter(table => isTableSlotAvailable(table, date, slot, activeSchedule));
+  const suggestion = (zone && suggestAllocation(freeTables.filter(table => inZone(table, zone)), guests)) ||
+    suggestAllocation(freeTables, guests);
 
-  const availableTables = tables.filter(table => isTableSlotAvailable(table, date, slot)).map(table => table.tableNumber);
-  const allTables = Array(12).fill().map((_, index) => index + 1);
-  const occupiedTables = allTables.filter(x => !availableTables.includes(x));
   return {
-    availableTables,
-    occupiedTables
-  }
+    availableTables: freeTables.map(table => table.tableNumber),
+    occupiedTables: tables
+      .filter(table => !freeTables.includes(table))
+      .map(table => table.tableNumber),
+    suggestion: suggestion && {
+      ...suggestion,
+      zone: tables.find(table => table.tableNumber === suggestion.tableNumbers[0]).zone,
+    },
+  };
 };
 
 /**
  * Get table availability for a specific date
  * @param {Date|string} date - Target date
+ * @param {object} [schedule] - Service schedule (loaded if omitted)
+ * @param {object} [options] - { zone?: ObjectId|string } to list the tables of one zone only
  * @returns {Promise<Array>} Array of availability information for all active tables
  */
-const getTableAvailability = async (date) => {
-  const tables = await Table.find({ isActive: true }).sort({ tableNumber: 1 });
+const getTableAvailability = async (date, schedule, { zone } = {}) => {
+  const activeSchedule = schedule || await loadSchedule();
+  const slots = getSlotsForDate(date, activeSchedule).map(s => s.slot);
+  const tables = await Table.find({ isActive: true, ...(zone && { zone }) }).sort({ tableNumber: 1 });
 
   return tables.map(table => {
     const booking = getTableBookingsForDate(table, date);
     const bookedSlots = booking ? booking.bookedSlots : [];
-    const availableSlots = [1, 2, 3, 4, 5, 6, 7, 8, 9].filter(slot =>
-      isTableSlotAvailable(table, date, slot)
+    const availableSlots = slots.filter(slot =>
+      isTableSlotAvailable(table, date, slot, activeSchedule)
     );
 
     return {
       tableNumber: table.tableNumber,
       capacity: table.capacity,
+      zone: table.zone,
+      shape: table.shape,
+      position: table.position,
       bookedSlots,
       availableSlots,
       isFullyBooked: availableSlots.length === 0
@@ -312,8 +414,9 @@ module.exports = {
   validateReservationUpdate,
   getTableBookingsForDate,
   isTableSlotAvailable,
-  addTableBooking,
-  removeTableBooking,
+  bookTables,
+  releaseTables,
+  findCapacityProblem,
   findAvailableTables,
   getTableAvailability
 };
\ No newline at end of file
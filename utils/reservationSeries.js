@@ -0,0 +1,124 @@
+const Reservation = require('../models/Reservation');
+const ReservationSeries = require('../models/ReservationSeries');
+const ErrorResponse = require('./errorResponse');
+const { isValidSlot } = require('./timeSlots');
+const { findClosure, describeClosure } = require('./closures');
+const { isValidNewReservationTime, bookTables, findAvailableTables } = require('./reservationHelpers');
+const { runAtomically } = require('./transactions');
+const { formatCalendarDate } = require('./timezone');
+
+/**
+ * Check whether one occurrence of a series can be booked
+ * @param {Date} date - Occurrence date
+ * @param {object} booking - { slot, guests, tableNumber? }
+ * @param {object} schedule - Service schedule
+ * @param {Date} now - Current time (for testing purposes)
+ * @returns {Promise<object>} { date, available, tableNumbers } or { date, available: false, reason, message }
+ */
+const checkOccurrence = async (date, { slot, guests, tableNumber = [] }, schedule, now = new Date()) => {
+  const entry = { date: formatCalendarDate(date) };
+  const refuse = (reason, message) => ({ ...entry, available: false, reason, message });
+
+  if (!(await isValidSlot(slot, date, schedule))) {
+    return refuse('invalid-slot', 'The restaurant does not serve this slot on that day');
+  }
+
+  const closure = findClosure(date, slot, tableNumber, schedule);
+  if (closure) {
+    return refuse('closed', describeClosure(closure));
+  }
+
+  const timeCheck = isValidNewReservationTime(date, slot, schedule, now);
+  if (!timeCheck.isValid) {
+    return refuse('too-late', timeCheck.message);
+  }
+
+  const { availableTables, suggestion } = await findAvailableTables(date, slot, guests, { schedule });
+  if (tableNumber.length > 0) {
+    const taken = tableNumber.filter(number => !availableTables.includes(number));
+    if (taken.length > 0) {
+      return refuse('already-booked', `Table ${taken.join(', ')} is already booked for this time`);
+    }
+    return { ...entry, available: true, tableNumbers: tableNumber };
+  }
+
+  if (!suggestion) {
+    return refuse('fully-booked', `No table is available for ${guests} guests at this time`);
+  }
+  return { ...entry, available: true, tableNumbers: suggestion.tableNumbers };
+};
+
+/**
+ * Check every occurrence of a series, reporting the dates that cannot be booked
+ * @param {Array<Date>} dates - Occurrence dates
+ * @param {object} booking - { slot, guests, tableNumber? }
+ * @param {object} schedule - Service schedule
+ * @param {Date} now - Current time (for testing purposes)
+ * @returns {Promise<Array<object>>} One checkOccurrence entry per date, in order
+ */
+const checkOccurrences = async (dates, booking, schedule, now = new Date()) => {
+  const report = [];
+  for (const date of dates) {
+    report.push(await checkOccurrence(date, booking, schedule, now));
+  }
+  return report;
+};
+
+/**
+ * Create a series and book all its occurrences together: a conflict on any date leaves nothing behind
+ * @param {object} seriesData - ReservationSeries fields
+ * @param {Array<Date>} dates - Occurrence dates to book
+ * @param {object} reservationData - Fields shared by every occurrence (user, slot, guests, ...)
+ * @param {object} schedule - Service schedule
+ * @returns {Promise<object>} { series, reservations }
+ * @throws {ErrorResponse} 409 with a `conflicts` array listing every date that could not be booked
+ */
+const bookSeries = async (seriesData, dates, reservationData, schedule) => {
+  const { slot, guests, tableNumber = [] } = reservationData;
+
+  return runAtomically(async ({ session, onRollback }) => {
+    const series = new ReservationSeries(seriesData);
+    await series.save({ session });
+    onRollback(() => ReservationSeries.deleteOne({ _id: series._id }));
+
+    const reservations = [];
+    const conflicts = [];
+    for (const date of dates) {
+      try {
+        let tables = tableNumber;
+        if (tables.length === 0) {
+          const { suggestion } = await findAvailableTables(date, slot, guests, { session, schedule });
+          if (!suggestion) {
+            throw new ErrorResponse(`No table is available for ${guests} guests at this time`, 409);
+          }
+          tables = suggestion.tableNumbers;
+        }
+
+        await bookTables(tables, date, slot, { session, onRollback, schedule });
+
+        const reservation = new Reservation({ ...reservationData, date, tableNumber: tables, series: series._id });
+        await reservation.save({ session });
+        onRollback(() => Reservation.deleteOne({ _id: reservation._id }));
+        reservations.push(reservation);
+      } catch (error) {
+        if (!(error.conflicts || error.statusCode === 409)) throw error;
+        // Keep going to report every date; the throw below undoes the dates already booked
+        conflicts.push({ date: formatCalendarDate(date), reason: 'already-booked', message: error.message });
+      }
+    }
+
+    if (conflicts.length > 0) {
+      const error = new ErrorResponse('Some dates of the series were booked meanwhile', 409);
+      error.conflicts = conflicts;
+      throw error;
+    }
+
+    return { series, reservations };
+  });
+};
+
+module.exports = {
+  checkOccurrence,
+  checkOccurrences,
+  bookSeries,
+};
@@ -0,0 +1,98 @@
+const Counter = require('../models/Counter');
+const { getZonedParts } = require('./timezone');
+
+/**
+ * Human-readable sequential numbers (ORD-000042, RES-20260315-0007) backed by atomic counters.
+ * Each series can restart every day or every year; the period is then part of the number
+ * and of the counter key, so numbers stay unique across periods.
+ */
+
+const RESET_PERIODS = ['never', 'daily', 'yearly'];
+
+const SERIES = {
+  order: {
+    prefix: 'ORD',
+    reset: process.env.ORDER_NUMBER_RESET || 'never',
+  },
+  reservation: {
+    prefix: 'RES',
+    reset: process.env.RESERVATION_NUMBER_RESET || 'never',
+  },
+};
+
+// Minimum digits of the sequence part; numbers grow past this instead of wrapping
+const SEQUENCE_DIGITS = {
+  never: 6,
+  yearly: 6,
+  daily: 4,
+};
+
+const pad = (value, length) => value.toString().padStart(length, '0');
+
+/**
+ * Get the counter key (and number prefix) for a series at a given moment
+ * @param {string} prefix - Series prefix ('ORD' or 'RES')
+ * @param {string} reset - 'never', 'daily' or 'yearly'
+ * @param {Date} date - Moment the number is issued
+ * @returns {string} e.g. 'ORD', 'ORD-2026' or 'ORD-20260315'
+ */
+const getCounterKey = (prefix, reset, date = new Date()) => {
+  if (!RESET_PERIODS.includes(reset)) {
+    throw new Error(`Invalid number reset period "${reset}" (expected ${RESET_PERIODS.join(', ')})`);
+  }
+
+  // Periods follow the restaurant's calendar, not the server's
+  const { year, month, day } = getZonedParts(date);
+  if (reset === 'yearly') {
+    return `${prefix}-${year}`;
+  }
+  if (reset === 'daily') {
+    return `${prefix}-${year}${pad(month, 2)}${pad(day, 2)}`;
+  }
+  return prefix;
+};
+
+/**
+ * Format a sequence value as a public number
+ * @param {string} key - Counter key from getCounterKey
+ * @param {string} reset - Reset period of the series
+ * @param {number} seq - Sequence value
+ * @returns {string} e.g. 'ORD-000042'
+ */
+const formatSequenceNumber = (key, reset, seq) => `${key}-${pad(seq, SEQUENCE_DIGITS[reset])}`;
+
+/**
+ * Parse a number issued by any period of a series
+ * @param {string} prefix - Series prefix
+ * @param {string} value - Number to parse
+ * @returns {object|null} { key, seq }, or null if the number is not sequential
+ */
+const parseSequenceNumber = (prefix, value) => {
+  const match = new RegExp(`^(${prefix}(?:-\\d{4}|-\\d{8})?)-(\\d+)$`).exec(value || '');
+  if (!match) {
+    return null;
+  }
+  return { key: match[1], seq: parseInt(match[2], 10) };
+};
+
+/**
+ * Issue the next number of a series
+ * @param {string} series - 'order' or 'reservation'
+ * @param {object} options - { session?: ClientSession, date?: Date }
+ * @returns {Promise<string>} The new number
+ */
+const nextSequenceNumber = async (series, { session, date = new Date() } = {}) => {
+  const { prefix, reset } = SERIES[series];
+  const key = getCounterKey(prefix, reset, date);
+  const seq = await Counter.increment(key, { session });
+  return formatSequenceNumber(key, reset, seq);
+};
+
+module.exports = {
+  RESET_PERIODS,
+  SERIES,
+  getCounterKey,
+  formatSequenceNumber,
+  parseSequenceNumber,
+  nextSequenceNumber,
+};
@@ -0,0 +1,180 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const ErrorResponse = require('./errorResponse');
+
+/**
+ * Login sessions.
+ * A login gets a short-lived access token (JWT carrying the session id as `sid`) and a refresh
+ * token `<sessionId>.<secret>`. Every refresh replaces the secret; presenting a secret that was
+ * already replaced means the token was copied, so the whole session (the token family) is revoked.
+ */
+
+const ACCESS_TOKEN_MINUTES = parseInt(process.env.ACCESS_TOKEN_MINUTES, 10) || 15;
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS, 10) || 30;
+
+const BROWSERS = [
+  ['Edge', /Edg\//],
+  ['Opera', /OPR\//],
+  ['Chrome', /Chrome\//],
+  ['Firefox', /Firefox\//],
+  ['Safari', /Safari\//],
+];
+const SYSTEMS = [
+  ['Android', /Android/],
+  ['iOS', /iPhone|iPad|iPod/],
+  ['Windows', /Windows/],
+  ['macOS', /Mac OS X|Macintosh/],
+  ['Linux', /Linux/],
+];
+
+/**
+ * Describe the device of a session from its user agent
+ * @param {string} [userAgent] - User-Agent header
+ * @returns {string} e.g. 'Chrome on Windows', or 'Unknown device'
+ */
+const describeDevice = (userAgent) => {
+  if (!userAgent) return 'Unknown device';
+
+  const browser = BROWSERS.find(([, pattern]) => pattern.test(userAgent));
+  const system = SYSTEMS.find(([, pattern]) => pattern.test(userAgent));
+  if (!browser && !system) return 'Unknown device';
+  if (!system) return browser[0];
+  if (!browser) return system[0];
+  return `${browser[0]} on ${system[0]}`;
+};
+
+const clientInfo = (req) => {
+  const userAgent = (req.headers && req.headers['user-agent']) || null;
+  return { userAgent, ip: req.ip || null, device: describeDevice(userAgent) };
+};
+
+const newSecret = () => crypto.randomBytes(32).toString('hex');
+
+/**
+ * Split a refresh token into its session id and secret
+ * @param {string} token - Refresh token
+ * @returns {object|null} { sessionId, secret }, or null if malformed
+ */
+const parseRefreshToken = (token) => {
+  const [sessionId, secret, extra] = typeof token === 'string' ? token.split('.') : [];
+  if (!secret || extra !== undefined || !mongoose.Types.ObjectId.isValid(sessionId)) {
+    return null;
+  }
+  return { sessionId, secret };
+};
+
+/**
+ * Sign the access token of a session
+ * @param {object} user - User document
+ * @param {object} session - Session document
+ * @returns {string} JWT
+ */
+const signAccessToken = (user, session) => user.getSignedJwtToken(session._id, `${ACCESS_TOKEN_MINUTES}m`);
+
+/**
+ * Open a session for a user who just logged in
+ * @param {object} user - User document
+ * @param {object} req - Express request (user agent and IP)
+ * @param {object} options - { mfaVerified?: the second factor was checked, now?: current time (for testing purposes) }
+ * @returns {Promise<object>} { session, accessToken, refreshToken }
+ */
+const createSession = async (user, req, { mfaVerified = false, now = new Date() } = {}) => {
+  const secret = newSecret();
+  const session = await Session.create({
+    userId: user._id,
+    tokenHash: Session.hashToken(secret),
+    ...clientInfo(req),
+    mfaVerified,
+    lastUsedAt: now,
+    expiresAt: new Date(now.getTime() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000),
+  });
+
+  return {
+    session,
+    accessToken: signAccessToken(user, session),
+    refreshToken: `${session._id}.${secret}`,
+  };
+};
+
+/**
+ * Exchange a refresh token for a new access token and refresh token
+ * @param {string} refreshToken - Refresh token presented by the client
+ * @param {object} req - Express request (user agent and IP)
+ * @param {Date} now - Current time (for testing purposes)
+ * @returns {Promise<object>} { user, session, accessToken, refreshToken }
+ * @throws {ErrorResponse} 401 if the token is unknown, expired, revoked or reused (the session is then revoked),
+ *   403 with code ACCOUNT_DEACTIVATED if the account was deactivated
+ */
+const rotateSession = async (refreshToken, req, now = new Date()) => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) {
+    throw new ErrorResponse('Invalid refresh token', 401);
+  }
+
+  const session = await Session.findById(parsed.sessionId).select('+tokenHash');
+  if (!session || !session.isActive(now)) {
+    throw new ErrorResponse('Session has expired or was revoked, please log in again', 401);
+  }
+
+  const presentedHash = Session.hashToken(parsed.secret);
+  const secret = newSecret();
+  // Compare-and-set: of two refreshes with the same token, only one can rotate it
+  const rotated = presentedHash === session.tokenHash && await Session.findOneAndUpdate(
+    { _id: session._id, tokenHash: presentedHash, revokedAt: null },
+    { tokenHash: Session.hashToken(secret), lastUsedAt: now, ...clientInfo(req) },
+    { new: true }
+  );
+
+  if (!rotated) {
+    await Session.updateOne({ _id: session._id, revokedAt: null }, { revokedAt: now, revokedReason: 'reuse-detected' });
+    console.warn(`Refresh token reuse detected, session ${session._id} of user ${session.userId} revoked`);
+    throw new ErrorResponse('Refresh token was already used, please log in again', 401);
+  }
+
+  const user = await User.findById(rotated.userId);
+  if (!user) {
+    await Session.updateOne({ _id: rotated._id }, { revokedAt: now, revokedReason: 'revoked' });
+    throw new ErrorResponse('User not found', 401);
+  }
+  if (!user.isActive) {
+    await Session.updateOne({ _id: rotated._id }, { revokedAt: now, revokedReason: 'deactivated' });
+    const error = new ErrorResponse('This account has been deactivated', 403);
+    error.code = 'ACCOUNT_DEACTIVATED';
+    throw error;
+  }
+
+  return {
+    user,
+    session: rotated,
+    accessToken: signAccessToken(user, rotated),
+    refreshToken: `${rotated._id}.${secret}`,
+  };
+};
+
+/**
+ * Invalidate every token issued to a user: access tokens are refused by protect and sessions are revoked
+ * @param {object} user - User document; its tokenVersion is updated so it can sign new tokens
+ * @param {string} reason - Revocation reason of the sessions
+ * @param {object} options - { except?: ObjectId } session to keep open (it needs a new access token)
+ * @returns {Promise<void>}
+ */
+const invalidateUserTokens = async (user, reason, { except } = {}) => {
+  const updated = await User.findByIdAndUpdate(user._id, { $inc: { tokenVersion: 1 } }, { new: true });
+  if (updated) {
+    user.tokenVersion = updated.tokenVersion;
+  }
+  await Session.revokeAllForUser(user._id, reason, { except });
+};
+
+module.exports = {
+  ACCESS_TOKEN_MINUTES,
+  REFRESH_TOKEN_DAYS,
+  describeDevice,
+  parseRefreshToken,
+  signAccessToken,
+  createSession,
+  rotateSession,
+  invalidateUserTokens,
+};
@@ -0,0 +1,94 @@
+/**
+ * Table allocation: choose the table, or group of adjacent tables, that seats a party
+ * with the fewest empty seats. Ties go to fewer tables, then to the lowest table numbers.
+ */
+
+const MAX_COMBINED_TABLES = parseInt(process.env.MAX_COMBINED_TABLES, 10) || 3;
+
+const hasLayout = (table) => Array.isArray(table.joinableWith);
+
+const sameZone = (a, b) => !a.zone || !b.zone || a.zone.toString() === b.zone.toString();
+
+/**
+ * Check whether two tables can be pushed together
+ * Tables of different zones never can. Otherwise the floor plan decides when either table lists
+ * the tables it can be joined with; without a plan, tables are numbered along the floor, so
+ * consecutive numbers stand next to each other.
+ * @param {object} a - Table ({ tableNumber, zone?, joinableWith? })
+ * @param {object} b - Table ({ tableNumber, zone?, joinableWith? })
+ * @returns {boolean} True if the tables are adjacent
+ */
+const areAdjacent = (a, b) => {
+  if (a.tableNumber === b.tableNumber || !sameZone(a, b)) return false;
+
+  if (hasLayout(a) || hasLayout(b)) {
+    return (hasLayout(a) && a.joinableWith.includes(b.tableNumber)) ||
+      (hasLayout(b) && b.joinableWith.includes(a.tableNumber));
+  }
+
+  return Math.abs(a.tableNumber - b.tableNumber) === 1;
+};
+
+/**
+ * List every group of up to `maxTables` free tables that stand next to each other
+ * (each table of a group is adjacent to at least one other table of it)
+ * @param {Array} tables - Free tables ({ tableNumber, capacity, zone?, joinableWith? })
+ * @param {number} maxTables - Maximum group size
+ * @returns {Array<Array>} Groups of tables, sorted by table number
+ */
+const listTableGroups = (tables, maxTables = MAX_COMBINED_TABLES) => {
+  const sorted = [...tables].sort((a, b) => a.tableNumber - b.tableNumber);
+  const seen = new Set();
+  const groups = [];
+
+  const extend = (group) => {
+    const key = group.map(table => table.tableNumber).join();
+    if (seen.has(key)) return;
+    seen.add(key);
+    groups.push(group);
+    if (group.length === maxTables) return;
+
+    sorted
+      .filter(table => !group.includes(table) && group.some(member => areAdjacent(member, table)))
+      .forEach(table => extend([...group, table].sort((a, b) => a.tableNumber - b.tableNumber)));
+  };
+
+  sorted.forEach(table => extend([table]));
+  return groups;
+};
+
+const compareAllocations = (a, b) => {
+  return a.wastedSeats - b.wastedSeats ||
+    a.tableNumbers.length - b.tableNumbers.length ||
+    a.tableNumbers[0] - b.tableNumbers[0];
+};
+
+/**
+ * Suggest the best allocation for a party
+ * @param {Array} tables - Free tables ({ tableNumber, capacity })
+ * @param {number} guests - Party size
+ * @param {object} options - { maxTables?: number }
+ * @returns {object|null} { tableNumbers, capacity, wastedSeats }, or null if the party cannot be seated
+ */
+const suggestAllocation = (tables, guests, { maxTables = MAX_COMBINED_TABLES } = {}) => {
+  const candidates = listTableGroups(tables, maxTables)
+    .map(group => {
+      const capacity = group.reduce((sum, table) => sum + table.capacity, 0);
+      return {
+        tableNumbers: group.map(table => table.tableNumber),
+        capacity,
+        wastedSeats: capacity - guests,
+      };
+    })
+    .filter(candidate => candidate.wastedSeats >= 0)
+    .sort(compareAllocations);
+
+  return candidates[0] || null;
+};
+
+module.exports = {
+  MAX_COMBINED_TABLES,
+  areAdjacent,
+  listTableGroups,
+  suggestAllocation,
+};
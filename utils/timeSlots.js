@@ -1,78 +1,266 @@
+const ServiceSchedule = require('../models/ServiceSchedule');
+const ScheduleException = require('../models/ScheduleException');
+const { toCalendarDate, today, minutesOfDay } = require('./timezone');
+
 /**
- * Time slots configuration for reservations
- * Format: { slot: number, label: string }
- * The slot number is sent to/from the frontend
+ * Time slots for reservations, generated from the service schedule
+ * Format: { slot: number, label: string, service: string }
+ * Slots are numbered from 1 for each date, in chronological order across the day's services.
+ * An exceptional opening replaces the weekday services of its dates; closures never remove
+ * slots (see utils/closures.js), so slot numbers stay stable when a closure is added.
+ * Dates are calendar days and slot labels wall-clock times in the restaurant timezone
+ * (see utils/timezone.js).
+ * The slot number is sent to/from the frontend.
  */
 
-const TIME_SLOTS = [
-  { slot: 1, label: '18:00' },
-  { slot: 2, label: '18:30' },
-  { slot: 3, label: '19:00' },
-  { slot: 4, label: '19:30' },
-  { slot: 5, label: '20:00' },
-  { slot: 6, label: '20:30' },
-  { slot: 7, label: '21:00' },
-  { slot: 8, label: '21:30' },
-  { slot: 9, label: '22:00' }
-];
+// Used until an admin saves a schedule: dinner every day, 18:00 to 22:00 every 30 minutes
+const DEFAULT_SCHEDULE = {
+  slotLength: 30,
+  seatingDuration: 90,
+  weekdays: [0, 1, 2, 3, 4, 5, 6].map(day => ({
+    day,
+    services: [{ name: 'dinner', firstSeating: '18:00', lastSeating: '22:00' }],
+  })),
+};
+
+const pad = (value) => value.toString().padStart(2, '0');
 
 /**
- * Get time label from slot number
- * @param {number} slotNumber - Slot number
- * @returns {string} Time label or 'N/A' if not found
+ * Convert a HH:mm label to minutes since midnight
+ * @param {string} label - Time label
+ * @returns {number} Minutes since midnight
  */
-const getLabelFromSlot = (slotNumber) => {
-  const slot = TIME_SLOTS.find(s => s.slot === slotNumber);
-  return slot ? slot.label : 'N/A';
+const toMinutes = (label) => {
+  const [hours, minutes] = label.split(':').map(Number);
+  return hours * 60 + minutes;
 };
 
 /**
- * Get full slot object from slot number
- * @param {number} slotNumber - Slot number
- * @returns {object|null} Slot object or null if not found
+ * Convert minutes since midnight to a HH:mm label
+ * @param {number} minutes - Minutes since midnight
+ * @returns {string} Time label
+ */
+const toLabel = (minutes) => `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+
+/**
+ * Check whether a schedule exception applies to a date
+ * @param {object} exception - Schedule exception
+ * @param {Date|string} date - Target date
+ * @returns {boolean} True if the date is within the exception's days
  */
-const getSlotByNumber = (slotNumber) => {
-  return TIME_SLOTS.find(s => s.slot === slotNumber) || null;
+const exceptionCoversDate = (exception, date) => {
+  const day = toCalendarDate(date).getTime();
+  return toCalendarDate(exception.startDate).getTime() <= day && day <= toCalendarDate(exception.endDate).getTime();
 };
 
 /**
- * Validate if slot number exists
- * @param {number} slotNumber - Slot number to validate
- * @returns {boolean} True if valid slot
+ * Load the schedule in use, with its current closures and openings
+ * @returns {Promise<object>} Saved schedule (or the default one) plus `exceptions`
  */
-const isValidSlot = (slotNumber) => {
-  return TIME_SLOTS.some(s => s.slot === slotNumber);
+const loadSchedule = async () => {
+  const [saved, exceptions] = await Promise.all([
+    ServiceSchedule.getActive(),
+    ScheduleException.findCurrent(),
+  ]);
+
+  return { ...(saved || DEFAULT_SCHEDULE), exceptions };
 };
 
 /**
- * Get all available time slots
- * @returns {Array} Array of all time slots
+ * Get the services open on a date
+ * @param {Date|string} date - Target date
+ * @param {object} schedule - Service schedule
+ * @returns {Array} Services sorted by first seating
  */
-const getAllTimeSlots = () => {
-  return [...TIME_SLOTS];
+const getServicesForDate = (date, schedule) => {
+  const opening = (schedule.exceptions || []).find(exception =>
+    exception.type === 'opening' && exceptionCoversDate(exception, date)
+  );
+
+  let services = [];
+  if (opening) {
+    services = opening.services;
+  } else {
+    const weekday = toCalendarDate(date).getUTCDay();
+    const entry = schedule.weekdays.find(w => w.day === weekday);
+    services = entry ? entry.services : [];
+  }
+
+  return [...services].sort((a, b) => toMinutes(a.firstSeating) - toMinutes(b.firstSeating));
+};
+
+/**
+ * Generate the slots of a date
+ * @param {Date|string} date - Target date
+ * @param {object} schedule - Service schedule
+ * @returns {Array} Array of { slot, label, service }
+ */
+const getSlotsForDate = (date, schedule) => {
+  const slots = [];
+
+  getServicesForDate(date, schedule).forEach(service => {
+    const last = toMinutes(service.lastSeating);
+    for (let minutes = toMinutes(service.firstSeating); minutes <= last; minutes += schedule.slotLength) {
+      slots.push({ slot: slots.length + 1, label: toLabel(minutes), service: service.name });
+    }
+  });
+
+  return slots;
+};
+
+/**
+ * Get the slots a reservation keeps its tables for (every slot starting during the seating)
+ * @param {number} slotNumber - Starting slot number
+ * @param {Date|string} date - Reservation date
+ * @param {object} schedule - Service schedule
+ * @returns {Array<number>} Blocked slot numbers (empty if the slot does not exist)
+ */
+const getBlockedSlots = (slotNumber, date, schedule) => {
+  const slots = getSlotsForDate(date, schedule);
+  const start = slots.find(s => s.slot === slotNumber);
+  if (!start) return [];
+
+  const from = toMinutes(start.label);
+  return slots
+    .filter(s => toMinutes(s.label) >= from && toMinutes(s.label) < from + schedule.seatingDuration)
+    .map(s => s.slot);
 };
 
 /**
  * Convert slot number to time components (hours, minutes)
  * @param {number} slotNumber - Slot number
+ * @param {Date|string} date - Reservation date
+ * @param {object} schedule - Service schedule
  * @returns {object|null} Object with hours and minutes, or null if invalid
  */
-const getTimeFromSlot = (slotNumber) => {
-  const slot = getSlotByNumber(slotNumber);
+const getTimeFromSlot = (slotNumber, date, schedule) => {
+  const slot = getSlotsForDate(date, schedule).find(s => s.slot === slotNumber);
   if (!slot) return null;
 
-  const [hours, minutes] = slot.label.split(':');
+  const minutes = toMinutes(slot.label);
   return {
-    hours: parseInt(hours, 10),
-    minutes: parseInt(minutes, 10)
+    hours: Math.floor(minutes / 60),
+    minutes: minutes % 60
   };
 };
 
+/**
+ * Get the slot in progress at a moment (used to seat walk-ins)
+ * @param {Date} now - Moment
+ * @param {object} schedule - Service schedule
+ * @returns {object|null} { date, slot, label, service } or null outside service hours
+ */
+const getCurrentSlot = (now, schedule) => {
+  const date = today(now);
+  const minutes = minutesOfDay(now);
+  const slot = getSlotsForDate(date, schedule).find(s =>
+    toMinutes(s.label) <= minutes && minutes < toMinutes(s.label) + schedule.slotLength
+  );
+
+  return slot ? { date, ...slot } : null;
+};
+
+/**
+ * Get full slot object from slot number
+ * @param {number} slotNumber - Slot number
+ * @param {Date|string} date - Reservation date
+ * @param {object} [schedule] - Service schedule (loaded if omitted)
+ * @returns {Promise<object|null>} Slot object or null if not found
+ */
+const getSlotByNumber = async (slotNumber, date, schedule) => {
+  const slots = getSlotsForDate(date, schedule || await loadSchedule());
+  return slots.find(s => s.slot === slotNumber) || null;
+};
+
+/**
+ * Get time label from slot number
+ * @param {number} slotNumber - Slot number
+ * @param {Date|string} date - Reservation date
+ * @param {object} [schedule] - Service schedule (loaded if omitted)
+ * @returns {Promise<string>} Time label or 'N/A' if not found
+ */
+const getLabelFromSlot = async (slotNumber, date, schedule) => {
+  const slot = await getSlotByNumber(slotNumber, date, schedule);
+  return slot ? slot.label : 'N/A';
+};
+
+/**
+ * Validate if slot number exists on a date
+ * @param {number} slotNumber - Slot number to validate
+ * @param {Date|string} date - Reservation date
+ * @param {object} [schedule] - Service schedule (loaded if omitted)
+ * @returns {Promise<boolean>} True if valid slot
+ */
+const isValidSlot = async (slotNumber, date, schedule) => {
+  return (await getSlotByNumber(slotNumber, date, schedule)) !== null;
+};
+
+/**
+ * Get all time slots of a date
+ * @param {Date|string} date - Target date
+ * @param {object} [schedule] - Service schedule (loaded if omitted)
+ * @returns {Promise<Array>} Array of all time slots
+ */
+const getAllTimeSlots = async (date, schedule) => {
+  return getSlotsForDate(date, schedule || await loadSchedule());
+};
+
+/**
+ * Check a day's services for inverted or overlapping services
+ * @param {Array} serviceList - Services of one day
+ * @param {string} where - Day description used in messages
+ * @returns {string|null} Description of the first problem found, or null if valid
+ */
+const findServicesProblem = (serviceList, where) => {
+  const services = [...serviceList].sort((a, b) => toMinutes(a.firstSeating) - toMinutes(b.firstSeating));
+
+  for (let i = 0; i < services.length; i++) {
+    if (toMinutes(services[i].lastSeating) < toMinutes(services[i].firstSeating)) {
+      return `Service ${services[i].name} ${where} ends before it starts`;
+    }
+    if (i > 0 && toMinutes(services[i].firstSeating) <= toMinutes(services[i - 1].lastSeating)) {
+      return `Services ${services[i - 1].name} and ${services[i].name} overlap ${where}`;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Check a schedule for services that are inverted or overlap on the same day
+ * @param {object} schedule - Service schedule
+ * @returns {string|null} Description of the first problem found, or null if valid
+ */
+const findScheduleProblem = (schedule) => {
+  const seenDays = new Set();
+
+  for (const weekday of schedule.weekdays) {
+    if (seenDays.has(weekday.day)) {
+      return `Weekday ${weekday.day} is listed more than once`;
+    }
+    seenDays.add(weekday.day);
+
+    const problem = findServicesProblem(weekday.services, `on weekday ${weekday.day}`);
+    if (problem) return problem;
+  }
+
+  return null;
+};
+
 module.exports = {
-  TIME_SLOTS,
-  getLabelFromSlot,
+  DEFAULT_SCHEDULE,
+  toMinutes,
+  exceptionCoversDate,
+  loadSchedule,
+  getServicesForDate,
+  getSlotsForDate,
+  getBlockedSlots,
+  getTimeFromSlot,
+  getCurrentSlot,
   getSlotByNumber,
+  getLabelFromSlot,
   isValidSlot,
   getAllTimeSlots,
-  getTimeFromSlot
-};
\ No newline at end of file
+  findServicesProblem,
+  findScheduleProblem
+};
@@ -0,0 +1,142 @@
+/**
+ * Restaurant timezone helpers.
+ * Reservation days (reservation dates, table bookings, closures) are calendar dates stored as
+ * UTC midnight, so "2026-12-24" is the 24th whatever the server timezone. Times of day (slots,
+ * cancellation deadlines, ordering hours) are wall-clock times in the restaurant timezone.
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// Defaults to the server timezone; set it when the server does not run in the restaurant's zone
+const RESTAURANT_TIMEZONE = process.env.RESTAURANT_TIMEZONE ||
+  Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+let formatter;
+try {
+  formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone: RESTAURANT_TIMEZONE,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric',
+  });
+} catch (error) {
+  throw new Error(`Invalid RESTAURANT_TIMEZONE "${RESTAURANT_TIMEZONE}" (expected an IANA zone such as Europe/Paris)`);
+}
+
+/**
+ * Get the wall-clock date and time of a moment in the restaurant timezone
+ * @param {Date|number} instant - Moment
+ * @returns {object} { year, month (1-12), day, hours, minutes, seconds }
+ */
+const getZonedParts = (instant) => {
+  const parts = {};
+  formatter.formatToParts(new Date(instant)).forEach(({ type, value }) => {
+    if (type !== 'literal') parts[type] = Number(value);
+  });
+
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hours: parts.hour,
+    minutes: parts.minute,
+    seconds: parts.second,
+  };
+};
+
+/**
+ * Get the calendar date of a value
+ * A date-only string or a UTC-midnight Date is taken as-is; any other moment is converted to
+ * its day in the restaurant timezone.
+ * @param {Date|string|number} value - Date-only string, calendar date or moment
+ * @returns {Date} The day at UTC midnight (null/undefined are returned unchanged)
+ */
+const toCalendarDate = (value) => {
+  if (value === null || value === undefined) return value;
+
+  if (typeof value === 'string' && DATE_ONLY.test(value)) {
+    return new Date(`${value}T00:00:00.000Z`);
+  }
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime()) || date.getTime() % DAY === 0) {
+    return date;
+  }
+
+  const { year, month, day } = getZonedParts(date);
+  return new Date(Date.UTC(year, month - 1, day));
+};
+
+/**
+ * Get today's calendar date in the restaurant timezone
+ * @param {Date} [now] - Current moment
+ * @returns {Date} Today at UTC midnight
+ */
+const today = (now = new Date()) => {
+  const { year, month, day } = getZonedParts(now);
+  return new Date(Date.UTC(year, month - 1, day));
+};
+
+/**
+ * Add days to a calendar date
+ * @param {Date|string} date - Calendar date
+ * @param {number} days - Days to add (may be negative)
+ * @returns {Date} Calendar date
+ */
+const addDays = (date, days) => new Date(toCalendarDate(date).getTime() + days * DAY);
+
+/**
+ * Format a calendar date as YYYY-MM-DD
+ * @param {Date|string} date - Calendar date
+ * @returns {string} e.g. '2026-12-24'
+ */
+const formatCalendarDate = (date) => toCalendarDate(date).toISOString().slice(0, 10);
+
+/**
+ * Get the moment a wall-clock time happens on a day in the restaurant timezone
+ * @param {Date|string} date - Calendar date
+ * @param {number} hours - Hours (0-23)
+ * @param {number} minutes - Minutes
+ * @returns {Date} The moment
+ */
+const zonedTime = (date, hours, minutes) => {
+  const day = toCalendarDate(date);
+  const wallClock = Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate(), hours, minutes);
+
+  // Offset of the zone at that time; computed twice so a DST change on that day is accounted for
+  const offsetAt = (instant) => {
+    const parts = getZonedParts(instant);
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hours, parts.minutes, parts.seconds);
+    return asUtc - Math.floor(instant / 1000) * 1000;
+  };
+
+  let instant = wallClock - offsetAt(wallClock);
+  instant = wallClock - offsetAt(instant);
+  return new Date(instant);
+};
+
+/**
+ * Get the minutes elapsed since midnight in the restaurant timezone
+ * @param {Date} instant - Moment
+ * @returns {number} Minutes since local midnight
+ */
+const minutesOfDay = (instant) => {
+  const { hours, minutes } = getZonedParts(instant);
+  return hours * 60 + minutes;
+};
+
+module.exports = {
+  RESTAURANT_TIMEZONE,
+  getZonedParts,
+  toCalendarDate,
+  today,
+  addDays,
+  formatCalendarDate,
+  zonedTime,
+  minutesOfDay,
+};
@@ -0,0 +1,122 @@
+const crypto = require('crypto');
+
+/**
+ * Time-based one-time passwords (RFC 6238) as shown by authenticator apps:
+ * HMAC-SHA1, 6 digits, a new code every 30 seconds. Secrets are exchanged in base32.
+ */
+
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let bits = '';
+  buffer.forEach(byte => {
+    bits += byte.toString(2).padStart(8, '0');
+  });
+
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+};
+
+const base32Decode = (text) => {
+  const bits = text
+    .toUpperCase()
+    .replace(/[\s=-]/g, '')
+    .split('')
+    .map(char => {
+      const value = BASE32_ALPHABET.indexOf(char);
+      if (value === -1) throw new Error(`Invalid base32 character "${char}"`);
+      return value.toString(2).padStart(5, '0');
+    })
+    .join('');
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a new random secret
+ * @returns {string} 160-bit secret in base32
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Time step a date falls in
+ * @param {Date} now - Date
+ * @returns {number} Step counter
+ */
+const getTimeStep = (now = new Date()) => Math.floor(now.getTime() / 1000 / STEP_SECONDS);
+
+const codeForStep = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+
+  // Dynamic truncation
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+/**
+ * Code an authenticator app shows for a secret
+ * @param {string} secret - Base32 secret
+ * @param {Date} now - Current time
+ * @returns {string} 6-digit code
+ */
+const generateCode = (secret, now = new Date()) => codeForStep(secret, getTimeStep(now));
+
+/**
+ * Check a code against a secret, allowing for clock drift
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code typed by the user
+ * @param {object} options - { now?, window?: steps accepted before and after the current one (default 1) }
+ * @returns {number|null} Time step the code belongs to (to refuse it when replayed), or null if wrong
+ */
+const verifyCode = (secret, code, { now = new Date(), window = 1 } = {}) => {
+  const typed = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(typed)) return null;
+
+  const current = getTimeStep(now);
+  for (let step = current - window; step <= current + window; step++) {
+    const expected = codeForStep(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(typed))) {
+      return step;
+    }
+  }
+  return null;
+};
+
+/**
+ * Enrolment URI for authenticator apps, usually shown as a QR code
+ * @param {object} options - { secret, account (e.g. the email), issuer }
+ * @returns {string} otpauth://totp/... URI
+ */
+const buildOtpauthUri = ({ secret, account, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  getTimeStep,
+  generateCode,
+  verifyCode,
+  buildOtpauthUri,
+};
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+/**
+ * Multi-document write helpers.
+ * On a replica set (or sharded cluster) work runs inside a MongoDB transaction. A standalone
+ * server cannot run transactions, so the work runs directly and every step registers an
+ * undo callback that is replayed, newest first, if a later step fails.
+ */
+
+let transactionsSupported = null;
+
+/**
+ * Check once whether the connected deployment supports transactions
+ * @returns {Promise<boolean>} True on a replica set or a mongos
+ */
+const supportsTransactions = async () => {
+  if (transactionsSupported === null) {
+    const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+    transactionsSupported = Boolean(hello.setName || hello.msg === 'isdbgrid');
+  }
+  return transactionsSupported;
+};
+
+/**
+ * Run a unit of work so that it is either fully applied or not at all
+ * @param {Function} work - async ({ session, onRollback }) => result
+ *   session is the ClientSession to pass to every read/write (null without transactions);
+ *   onRollback(fn) registers a compensation, only used without transactions
+ * @returns {Promise<*>} Result of the work
+ */
+const runAtomically = async (work) => {
+  if (await supportsTransactions()) {
+    const session = await mongoose.startSession();
+    try {
+      let result;
+      // withTransaction retries the whole callback on transient errors (e.g. write conflicts)
+      await session.withTransaction(async () => {
+        result = await work({ session, onRollback: () => {} });
+      });
+      return result;
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  const compensations = [];
+  try {
+    return await work({ session: null, onRollback: (undo) => compensations.unshift(undo) });
+  } catch (error) {
+    for (const undo of compensations) {
+      try {
+        await undo();
+      } catch (undoError) {
+        console.error('Error rolling back partial write:', undoError);
+      }
+    }
+    throw error;
+  }
+};
+
+module.exports = {
+  supportsTransactions,
+  runAtomically,
+};
@@ -1,4 +1,5 @@
 const Joi = require('joi');
+const { toCalendarDate, today } = require('./timezone');
 
 // User registration validation
 const validateRegister = (data) => {
@@ -22,6 +23,60 @@ const validateLogin = (data) => {
   return schema.validate(data);
 };
 
+// Forgot password validation
+const validateForgotPassword = (data) => {
+  const schema = Joi.object({
+    email: Joi.string().email().required(),
+  });
+
+  return schema.validate(data);
+};
+
+// Password reset validation
+const validateResetPassword = (data) => {
+  const schema = Joi.object({
+    password: Joi.string().min(6).required(),
+  });
+
+  return schema.validate(data);
+};
+
+// Code from an authenticator app
+const mfaCode = Joi.string().trim().pattern(/^\d{6}$/).messages({
+  'string.pattern.base': 'Code must be the 6 digits shown by your authenticator app',
+});
+
+// MFA enrolment confirmation and recovery code renewal validation
+const validateMfaCode = (data) => {
+  const schema = Joi.object({
+    code: mfaCode.required(),
+  });
+
+  return schema.validate(data);
+};
+
+// Second login step validation: a code from the app or a recovery code
+const validateMfaLogin = (data) => {
+  const schema = Joi.object({
+    mfaToken: Joi.string().required(),
+    code: mfaCode,
+    recoveryCode: Joi.string().trim().max(20),
+  }).xor('code', 'recoveryCode');
+
+  return schema.validate(data);
+};
+
+// MFA removal validation
+const validateMfaDisable = (data) => {
+  const schema = Joi.object({
+    password: Joi.string().required(),
+    code: mfaCode,
+    recoveryCode: Joi.string().trim().max(20),
+  }).xor('code', 'recoveryCode');
+
+  return schema.validate(data);
+};
+
 const menuSchema = Joi.object({
     name: Joi.string().min(2).max(100).required(),
     description: Joi.string().min(10).max(500).required(),
@@ -41,10 +96,91 @@ const menuSchema = Joi.object({
 // Reservation validation
 const validateReservation = (data) => {
   const schema = Joi.object({
-    date: Joi.date().min('now').required(),
+    // Today is allowed: the controller checks the slot itself against the current time
+    date: Joi.date().required().custom((value, helpers) => (
+      toCalendarDate(value) < today() ? helpers.message('"date" cannot be in the past') : value
+    )),
+    slot: Joi.number().required(),
+    guests: Joi.number().integer().min(1).max(20).required(),
+    tableNumber: Joi.array().items(Joi.number().integer()).optional(),
+    specialRequest: Joi.string().max(200).allow(null).optional(),
+    contactPhone: Joi.string().pattern(/^[0-9]{10}$/).required(),
+  });
+
+  return schema.validate(data);
+};
+
+// Recurring reservation series validation: the first occurrence, and how it repeats
+const validateReservationSeries = (data) => {
+  const schema = Joi.object({
+    date: Joi.date().required().custom((value, helpers) => (
+      toCalendarDate(value) < today() ? helpers.message('"date" cannot be in the past') : value
+    )),
+    slot: Joi.number().required(),
+    guests: Joi.number().integer().min(1).max(20).required(),
+    tableNumber: Joi.array().items(Joi.number().integer()).optional(),
+    specialRequest: Joi.string().max(200).allow(null).optional(),
+    contactPhone: Joi.string().pattern(/^[0-9]{10}$/).required(),
+    recurrence: Joi.object({
+      frequency: Joi.string().valid('weekly', 'monthly').required(),
+      interval: Joi.number().integer().min(1).max(12).default(1),
+      until: Joi.date().optional(),
+      count: Joi.number().integer().min(2).max(52).optional(),
+    }).xor('until', 'count').required(),
+    // Book the dates that are free and report the others, instead of refusing the whole series
+    skipConflicts: Joi.boolean().default(false),
+    // Only report which dates are free, without booking
+    dryRun: Joi.boolean().default(false),
+  });
+
+  return schema.validate(data);
+};
+
+// Changes applied to every upcoming occurrence of a series
+const validateReservationSeriesUpdate = (data) => {
+  const schema = Joi.object({
+    slot: Joi.number().optional(),
+    guests: Joi.number().integer().min(1).max(20).optional(),
+    specialRequest: Joi.string().max(200).allow(null).optional(),
+    contactPhone: Joi.string().pattern(/^[0-9]{10}$/).optional(),
+  }).min(1);
+
+  return schema.validate(data);
+};
+
+// Staff reservation (phone or walk-in guest) validation
+const validateGuestReservation = (data) => {
+  const schema = Joi.object({
+    source: Joi.string().valid('phone', 'walk-in').required(),
+    // A walk-in seated now is booked today, on the slot in progress unless one is given
+    seatNow: Joi.boolean().default(false).when('source', {
+      is: 'phone',
+      then: Joi.valid(false),
+    }),
+    date: Joi.date().when('seatNow', { is: true, then: Joi.forbidden(), otherwise: Joi.required() })
+      .custom((value, helpers) => (
+        toCalendarDate(value) < today() ? helpers.message('"date" cannot be in the past') : value
+      )),
+    slot: Joi.number().when('seatNow', { is: true, then: Joi.optional(), otherwise: Joi.required() }),
+    guests: Joi.number().integer().min(1).max(20).required(),
+    tableNumber: Joi.array().items(Joi.number().integer()).optional(),
+    name: Joi.string().max(50).required(),
+    contactPhone: Joi.string().pattern(/^[0-9]{10}$/).required(),
+    email: Joi.string().email().allow(null, '').optional(),
+    specialRequest: Joi.string().max(200).allow(null).optional(),
+  });
+
+  return schema.validate(data);
+};
+
+// Waitlist validation
+const validateWaitlistEntry = (data) => {
+  const schema = Joi.object({
+    date: Joi.date().required().custom((value, helpers) => (
+      toCalendarDate(value) < today() ? helpers.message('"date" cannot be in the past') : value
+    )),
     slot: Joi.number().required(),
     guests: Joi.number().integer().min(1).max(20).required(),
-    tableNumber: Joi.array().items(Joi.number().integer()).required(),
     specialRequest: Joi.string().max(200).allow(null).optional(),
     contactPhone: Joi.string().pattern(/^[0-9]{10}$/).required(),
   });
@@ -62,13 +198,10 @@ const validateOrder = (data) => {
       Joi.object({
         menuItem: Joi.string().required(),
         quantity: Joi.number().integer().min(1).required(),
-        price: Joi.number().positive().required(),
         specialInstructions: Joi.string().max(100).allow(null).optional(),
       })
     ).min(1).required(),
-    totalPrice: Joi.number().positive().required(),
     orderType: Joi.string().valid('pickup', 'delivery').required(),
-    paymentStatus: Joi.string().valid('pending', 'paid').optional(),
     paymentMethod: Joi.string().valid('cash', 'card').required(),
     deliveryAddress: Joi.string().required(),
     notes: Joi.string().max(200).allow(null).optional(),
@@ -77,6 +210,23 @@ const validateOrder = (data) => {
   return schema.validate(data);
 };
 
+// Refund validation
+const validateRefund = (data) => {
+  const schema = Joi.object({
+    amount: Joi.number().positive().precision(2),
+    items: Joi.array().items(
+      Joi.object({
+        itemId: Joi.string().required(),
+        quantity: Joi.number().integer().min(1).required(),
+      })
+    ).min(1),
+    method: Joi.string().valid('stripe', 'cash').optional(),
+    reason: Joi.string().max(200).allow(null, '').optional(),
+  }).xor('amount', 'items');
+
+  return schema.validate(data);
+};
+
 // Contact form validation
 const validateContact = (data) => {
   const schema = Joi.object({
@@ -90,11 +240,143 @@ const validateContact = (data) => {
   return schema.validate(data);
 };
 
+// Service schedule validation
+const validateSchedule = (data) => {
+  const time = Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/).messages({
+    'string.pattern.base': '{{#label}} must be a HH:mm time',
+  });
+
+  const schema = Joi.object({
+    slotLength: Joi.number().integer().min(5).max(240).required(),
+    seatingDuration: Joi.number().integer().min(5).max(600).required(),
+    weekdays: Joi.array().items(
+      Joi.object({
+        day: Joi.number().integer().min(0).max(6).required(),
+        services: Joi.array().items(
+          Joi.object({
+            name: Joi.string().max(30).required(),
+            firstSeating: time.required(),
+            lastSeating: time.required(),
+          })
+        ).required(),
+      })
+    ).required(),
+  });
+
+  return schema.validate(data);
+};
+
+// Schedule exception (closure/opening) validation
+const validateScheduleException = (data) => {
+  const time = Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/).messages({
+    'string.pattern.base': '{{#label}} must be a HH:mm time',
+  });
+
+  const schema = Joi.object({
+    type: Joi.string().valid('closure', 'opening').required(),
+    startDate: Joi.date().required(),
+    endDate: Joi.date().min(Joi.ref('startDate')).optional(),
+    slots: Joi.when('type', {
+      is: 'closure',
+      then: Joi.array().items(Joi.number().integer().min(1)).optional(),
+      otherwise: Joi.forbidden(),
+    }),
+    tables: Joi.when('type', {
+      is: 'closure',
+      then: Joi.array().items(Joi.number().integer().min(1)).optional(),
+      otherwise: Joi.forbidden(),
+    }),
+    services: Joi.when('type', {
+      is: 'opening',
+      then: Joi.array().items(
+        Joi.object({
+          name: Joi.string().max(30).required(),
+          firstSeating: time.required(),
+          lastSeating: time.required(),
+        })
+      ).min(1).required(),
+      otherwise: Joi.forbidden(),
+    }),
+    reason: Joi.string().max(200).required(),
+  });
+
+  return schema.validate(data);
+};
+
+// Table (floor plan) validation; on update every field is optional
+const validateTable = (data, { isUpdate = false } = {}) => {
+  const schema = Joi.object({
+    tableNumber: isUpdate ? Joi.forbidden() : Joi.number().integer().min(1).required(),
+    capacity: Joi.number().integer().min(1).max(12),
+    zone: Joi.string().hex().length(24).allow(null),
+    shape: Joi.string().valid('square', 'round', 'rectangle', 'booth', 'bar'),
+    position: Joi.object({
+      x: Joi.number().allow(null),
+      y: Joi.number().allow(null),
+      rotation: Joi.number().min(0).max(359),
+    }),
+    joinableWith: Joi.array().items(Joi.number().integer().min(1)).unique().allow(null),
+    notes: Joi.string().max(200).allow(null, ''),
+    isActive: Joi.boolean(),
+  });
+
+  return schema.validate(data);
+};
+
+// Floor zone validation
+const validateZone = (data) => {
+  const schema = Joi.object({
+    name: Joi.string().max(50).required(),
+    description: Joi.string().max(200).allow(null, '').optional(),
+    displayOrder: Joi.number().integer().optional(),
+    isActive: Joi.boolean().optional(),
+  });
+
+  return schema.validate(data);
+};
+
+// Deposit policy validation
+const validateDepositPolicy = (data) => {
+  const schema = Joi.object({
+    enabled: Joi.boolean().required(),
+    currency: Joi.string().length(3).lowercase().default('usd'),
+    refundWindowHours: Joi.number().min(0).max(720).default(24),
+    rules: Joi.array().items(
+      Joi.object({
+        name: Joi.string().max(50).required(),
+        minGuests: Joi.number().integer().min(1).allow(null).optional(),
+        weekdays: Joi.array().items(Joi.number().integer().min(0).max(6)).unique().optional(),
+        minNoShows: Joi.number().integer().min(1).allow(null).optional(),
+        type: Joi.string().valid('deposit', 'card').default('deposit'),
+        amount: Joi.number().min(0).precision(2).default(0),
+        amountPerGuest: Joi.number().min(0).precision(2).default(0),
+      }).or('amount', 'amountPerGuest')
+    ).required(),
+  });
+
+  return schema.validate(data);
+};
+
 module.exports = {
   validateRegister,
   validateLogin,
+  validateForgotPassword,
+  validateResetPassword,
+  validateMfaCode,
+  validateMfaLogin,
+  validateMfaDisable,
   menuSchema,
   validateReservation,
+  validateGuestReservation,
+  validateReservationSeries,
+  validateReservationSeriesUpdate,
+  validateWaitlistEntry,
   validateOrder,
+  validateRefund,
   validateContact,
+  validateSchedule,
+  validateScheduleException,
+  validateDepositPolicy,
+  validateTable,
+  validateZone,
 };
\ No newline at end of file
@@ -0,0 +1,193 @@
+const WaitlistEntry = require('../models/WaitlistEntry');
+const Reservation = require('../models/Reservation');
+const ErrorResponse = require('./errorResponse');
+const { runAtomically } = require('./transactions');
+const { loadSchedule } = require('./timeSlots');
+const { findClosure } = require('./closures');
+const {
+  isValidNewReservationTime,
+  findAvailableTables,
+  bookTables,
+  releaseTables,
+} = require('./reservationHelpers');
+const { toCalendarDate } = require('./timezone');
+const { publishWaitlistEvent } = require('./eventStream');
+
+/**
+ * Waitlist for fully booked slots.
+ * When tables are freed on a date, waiting entries are offered a seat in the order they joined:
+ * the first entry that fits gets the tables held for WAITLIST_HOLD_MINUTES. Accepting turns the
+ * entry into a reservation on the held tables, pending when the deposit policy asks for one.
+ * Declining or letting the hold expire releases them and passes the seat on to the next entry.
+ */
+
+const HOLD_MINUTES = parseInt(process.env.WAITLIST_HOLD_MINUTES, 10) || 15;
+
+/**
+ * Offer freed tables to the waitlist of a date
+ * @param {Date|string} date - Date on which tables were freed
+ * @param {object} [options] - { schedule?: object, now?: Date }
+ * @returns {Promise<Array>} Entries that received an offer
+ */
+const offerFreedSeats = async (date, { schedule, now = new Date() } = {}) => {
+  const activeSchedule = schedule || await loadSchedule();
+  const entries = await WaitlistEntry.find({ date: toCalendarDate(date), status: 'waiting' })
+    .sort({ createdAt: 1 });
+  const offered = [];
+
+  for (const entry of entries) {
+    // Too late to come, or closed since the entry joined: keep it waiting, nothing to offer
+    if (!isValidNewReservationTime(entry.date, entry.slot, activeSchedule, now).isValid) continue;
+    if (findClosure(entry.date, entry.slot, [], activeSchedule)) continue;
+
+    const { suggestion } = await findAvailableTables(entry.date, entry.slot, entry.guests, { schedule: activeSchedule });
+    if (!suggestion) continue;
+
+    try {
+      const offer = await runAtomically(async ({ session, onRollback }) => {
+        await bookTables(suggestion.tableNumbers, entry.date, entry.slot, { session, onRollback, schedule: activeSchedule });
+
+        const updated = await WaitlistEntry.findOneAndUpdate(
+          { _id: entry._id, status: 'waiting' },
+          {
+            status: 'offered',
+            offeredTables: suggestion.tableNumbers,
+            offeredAt: now,
+            offerExpiresAt: new Date(now.getTime() + HOLD_MINUTES * 60 * 1000),
+          },
+          { new: true, session }
+        );
+        if (!updated) {
+          throw new ErrorResponse('Waitlist entry is no longer waiting', 409);
+        }
+        return updated;
+      });
+
+      offered.push(offer);
+      publishWaitlistEvent('waitlist.offered', offer);
+    } catch (error) {
+      // The tables were taken meanwhile, or the guest left the queue: try the next entry
+      if (error.statusCode !== 409) throw error;
+    }
+  }
+
+  return offered;
+};
+
+/**
+ * Close an open offer and release its held tables
+ * @param {object} entry - Offered waitlist entry
+ * @param {string} status - 'expired', 'declined' or 'cancelled'
+ * @param {object} [options] - { schedule?: object }
+ * @returns {Promise<object|null>} The updated entry, or null if the offer was no longer open
+ */
+const withdrawOffer = async (entry, status, { schedule } = {}) => {
+  return runAtomically(async ({ session, onRollback }) => {
+    const updated = await WaitlistEntry.findOneAndUpdate(
+      { _id: entry._id, status: 'offered' },
+      { status },
+      { new: true, session }
+    );
+    if (!updated) return null;
+    onRollback(() => WaitlistEntry.updateOne({ _id: entry._id }, { status: 'offered' }));
+
+    await releaseTables(updated.offeredTables, updated.date, updated.slot, { session, onRollback, schedule });
+    return updated;
+  });
+};
+
+/**
+ * Turn an offer into a reservation on the held tables
+ * @param {object} entry - Offered waitlist entry
+ * @param {object} [options] - { deposit?: object (see buildDeposit), now?: Date }
+ * @returns {Promise<object>} { entry, reservation }, the reservation pending when a deposit is due
+ * @throws {ErrorResponse} 409 if the offer is no longer open
+ */
+const acceptOffer = async (entry, { deposit = null, now = new Date() } = {}) => {
+  return runAtomically(async ({ session, onRollback }) => {
+    const accepted = await WaitlistEntry.findOneAndUpdate(
+      { _id: entry._id, status: 'offered', offerExpiresAt: { $gt: now } },
+      { status: 'accepted' },
+      { new: true, session }
+    );
+    if (!accepted) {
+      throw new ErrorResponse('This offer is no longer available', 409);
+    }
+    onRollback(() => WaitlistEntry.updateOne({ _id: entry._id }, { status: 'offered' }));
+
+    const [reservation] = await Reservation.create([{
+      userId: accepted.userId,
+      userEmail: accepted.userEmail,
+      userName: accepted.userName,
+      date: accepted.date,
+      slot: accepted.slot,
+      guests: accepted.guests,
+      tableNumber: accepted.offeredTables,
+      specialRequest: accepted.specialRequest,
+      contactPhone: accepted.contactPhone,
+      ...(deposit && { status: 'pending', deposit }),
+    }], { session });
+    onRollback(() => Reservation.deleteOne({ _id: reservation._id }));
+
+    accepted.reservationId = reservation._id;
+    await accepted.save({ session });
+
+    return { entry: accepted, reservation };
+  });
+};
+
+/**
+ * Undo an acceptance whose deposit payment could not be started: the offer is open again on its
+ * held tables, until its hold ends
+ * @param {object} entry - Accepted waitlist entry
+ * @param {object} reservation - Reservation created by acceptOffer
+ * @returns {Promise<void>}
+ */
+const reopenOffer = async (entry, reservation) => {
+  await runAtomically(async ({ session }) => {
+    await Reservation.deleteOne({ _id: reservation._id }, { session });
+    await WaitlistEntry.updateOne(
+      { _id: entry._id, status: 'accepted' },
+      { status: 'offered', reservationId: null },
+      { session }
+    );
+  });
+};
+
+/**
+ * Expire the offers whose hold is over and pass their seats on
+ * @param {Date} [now] - Current time
+ * @returns {Promise<number>} Number of offers expired
+ */
+const expireWaitlistOffers = async (now = new Date()) => {
+  const due = await WaitlistEntry.find({ status: 'offered', offerExpiresAt: { $lte: now } });
+  if (due.length === 0) return 0;
+
+  const schedule = await loadSchedule();
+  const dates = new Map();
+  let expired = 0;
+
+  for (const entry of due) {
+    const updated = await withdrawOffer(entry, 'expired', { schedule });
+    if (updated) {
+      expired++;
+      dates.set(updated.date.getTime(), updated.date);
+      publishWaitlistEvent('waitlist.expired', updated);
+    }
+  }
+
+  for (const date of dates.values()) {
+    await offerFreedSeats(date, { schedule, now });
+  }
+
+  return expired;
+};
+
+module.exports = {
+  HOLD_MINUTES,
+  offerFreedSeats,
+  withdrawOffer,
+  acceptOffer,
+  reopenOffer,
+  expireWaitlistOffers,
+};